@@ -0,0 +1,712 @@
+/**
+ * Offline airport database for the 3D Globe Flight Tracker
+ *
+ * A bundled table of major airports (IATA/ICAO code, name, city, country,
+ * latitude/longitude) with fuzzy search and nearest-airport lookup, so pins
+ * can be placed at exact airport positions without any network access.
+ *
+ * Loaded as a plain script in the browser (exposed as `window.Airports`,
+ * after geodesy.js) and as a CommonJS module in Node.
+ *
+ * Airport data derived from the OpenFlights airport database
+ * (https://openflights.org/data.html, Open Database License).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geodesy.js'));
+    } else {
+        root.Airports = factory(root.Geodesy);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geodesy) {
+    'use strict';
+
+    /**
+     * Lowercase a string and strip diacritics so "Zürich" matches "zurich"
+     *
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    function normalizeText(text) {
+        return text.normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase();
+    }
+
+    /**
+     * Score how well `query` matches `text` as an in-order subsequence
+     * Tighter matches (fewer gaps between matched characters) score higher
+     *
+     * @param {string} query - Normalized query
+     * @param {string} text - Normalized text
+     * @returns {number} - 0 when not a subsequence, up to 1 for a contiguous match
+     */
+    function subsequenceScore(query, text) {
+        let bestSpan = Infinity;
+        for (let start = text.indexOf(query[0]); start !== -1; start = text.indexOf(query[0], start + 1)) {
+            let position = start;
+            for (let i = 1; i < query.length && position !== -1; i++) {
+                position = text.indexOf(query[i], position + 1);
+            }
+            if (position === -1) break;
+            bestSpan = Math.min(bestSpan, position - start + 1);
+        }
+        return bestSpan === Infinity ? 0 : query.length / bestSpan;
+    }
+
+    /**
+     * Upper bound of a fuzzy (subsequence) token score, below every direct match
+     */
+    const FUZZY_WEIGHT = 20;
+
+    /**
+     * Score a single query token against an airport
+     *
+     * @param {string} token - Normalized query token
+     * @param {Object} airport - Airport record with precomputed search fields
+     * @returns {number} - Match score, 0 when the token does not match at all
+     */
+    function scoreToken(token, airport) {
+        const { iata, icao } = airport.searchCodes;
+        if (token === iata) return 100;
+        if (token === icao) return 95;
+        if (iata.startsWith(token) || icao.startsWith(token)) return 70;
+
+        const { city, name, country } = airport.searchText;
+        if (city.startsWith(token)) return 65;
+        if (airport.searchWords.some((word) => word.startsWith(token))) return 55;
+        if (city.includes(token) || name.includes(token)) return 40;
+        if (country.includes(token)) return 25;
+
+        // Fall back to fuzzy subsequence matching for typos like "hthrow"
+        const fuzzy = subsequenceScore(token, `${city} ${name}`);
+        return fuzzy >= 0.3 ? fuzzy * FUZZY_WEIGHT : 0;
+    }
+
+    /**
+     * Search airports by code, name, city or country with fuzzy matching
+     * Every whitespace-separated token of the query has to match the airport;
+     * fuzzy-only matches are dropped as soon as any airport matches directly
+     *
+     * @param {string} query - Free text such as "LHR", "heathrow" or "new york jfk"
+     * @param {number} [limit=8] - Maximum number of results
+     * @returns {Object[]} - Matching airports, best match first
+     */
+    function search(query, limit = 8) {
+        const tokens = normalizeText(query).split(/\s+/).filter(Boolean);
+        if (tokens.length === 0) return [];
+
+        const results = [];
+        for (const airport of list) {
+            let score = 0;
+            let fuzzy = false;
+            for (const token of tokens) {
+                const tokenScore = scoreToken(token, airport);
+                if (tokenScore === 0) {
+                    score = 0;
+                    break;
+                }
+                score += tokenScore;
+                fuzzy = fuzzy || tokenScore <= FUZZY_WEIGHT;
+            }
+            if (score > 0) {
+                results.push({ airport, score, fuzzy });
+            }
+        }
+
+        const hasDirectMatch = results.some((result) => !result.fuzzy);
+        return results
+            .filter((result) => !hasDirectMatch || !result.fuzzy)
+            .sort((a, b) => b.score - a.score || a.airport.iata.localeCompare(b.airport.iata))
+            .slice(0, limit)
+            .map((result) => result.airport);
+    }
+
+    /**
+     * Look up an airport by its IATA or ICAO code
+     *
+     * @param {string} code - Three-letter IATA or four-letter ICAO code (case-insensitive)
+     * @returns {Object|null} - The airport, or null if unknown
+     */
+    function findByCode(code) {
+        const key = String(code).trim().toUpperCase();
+        return byCode.get(key) || null;
+    }
+
+    /**
+     * Find the airport closest to a location, optionally within a maximum distance
+     *
+     * @param {{lat: number, lon: number}} location - Location in degrees
+     * @param {number} [maxDistanceKm=Infinity] - Ignore airports further away than this
+     * @returns {{airport: Object, distanceKm: number}|null} - Nearest airport and its distance
+     */
+    function findNearest(location, maxDistanceKm = Infinity) {
+        let nearest = null;
+        for (const airport of list) {
+            const distanceKm = Geodesy.haversineDistance(location, airport);
+            if (distanceKm <= maxDistanceKm && (!nearest || distanceKm < nearest.distanceKm)) {
+                nearest = { airport, distanceKm };
+            }
+        }
+        return nearest;
+    }
+
+    // ========================================================================
+    // AIRPORT TABLE
+    // ========================================================================
+
+    /**
+     * [IATA, ICAO, name, city, country, latitude, longitude]
+     */
+    const AIRPORT_TABLE = [
+        ['AAL', 'EKYT', 'Aalborg Airport', 'Aalborg', 'Denmark', 57.0928, 9.8492],
+        ['ABJ', 'DIAP', 'Port Bouet Airport', 'Abidjan', 'Cote d\'Ivoire', 5.2614, -3.9263],
+        ['ABQ', 'KABQ', 'Albuquerque International Sunport Airport', 'Albuquerque', 'United States', 35.0402, -106.609],
+        ['ABV', 'DNAA', 'Nnamdi Azikiwe International Airport', 'Abuja', 'Nigeria', 9.0068, 7.2632],
+        ['ABZ', 'EGPD', 'Aberdeen Dyce Airport', 'Aberdeen', 'United Kingdom', 57.2019, -2.1978],
+        ['ACA', 'MMAA', 'General Juan N Alvarez International Airport', 'Acapulco', 'Mexico', 16.7571, -99.754],
+        ['ACC', 'DGAA', 'Kotoka International Airport', 'Accra', 'Ghana', 5.6052, -0.1668],
+        ['ADA', 'LTAF', 'Adana Airport', 'Adana', 'Turkey', 36.9822, 35.2804],
+        ['ADB', 'LTBJ', 'Adnan Menderes International Airport', 'Izmir', 'Turkey', 38.2924, 27.157],
+        ['ADD', 'HAAB', 'Addis Ababa Bole International Airport', 'Addis Ababa', 'Ethiopia', 8.9779, 38.7993],
+        ['ADW', 'KADW', 'Andrews Air Force Base', 'Camp Springs', 'United States', 38.8108, -76.867],
+        ['AER', 'URSS', 'Sochi International Airport', 'Sochi', 'Russia', 43.4499, 39.9566],
+        ['AFW', 'KAFW', 'Fort Worth Alliance Airport', 'Fort Worth', 'United States', 32.9876, -97.3188],
+        ['AGP', 'LEMG', 'Málaga Airport', 'Malaga', 'Spain', 36.6749, -4.4991],
+        ['AGS', 'KAGS', 'Augusta Regional At Bush Field', 'Bush Field', 'United States', 33.3699, -81.9645],
+        ['AKL', 'NZAA', 'Auckland International Airport', 'Auckland', 'New Zealand', -37.0081, 174.792],
+        ['ALA', 'UAAA', 'Almaty Airport', 'Alma-ata', 'Kazakhstan', 43.3521, 77.0405],
+        ['ALC', 'LEAL', 'Alicante International Airport', 'Alicante', 'Spain', 38.2822, -0.5582],
+        ['ALG', 'DAAG', 'Houari Boumediene Airport', 'Algier', 'Algeria', 36.691, 3.2154],
+        ['ALP', 'OSAP', 'Aleppo International Airport', 'Aleppo', 'Syria', 36.1807, 37.2244],
+        ['AMA', 'KAMA', 'Rick Husband Amarillo International Airport', 'Amarillo', 'United States', 35.2194, -101.706],
+        ['AMM', 'OJAI', 'Queen Alia International Airport', 'Amman', 'Jordan', 31.7226, 35.9932],
+        ['AMS', 'EHAM', 'Amsterdam Airport Schiphol', 'Amsterdam', 'Netherlands', 52.3086, 4.7639],
+        ['ANC', 'PANC', 'Ted Stevens Anchorage International Airport', 'Anchorage', 'United States', 61.1744, -149.996],
+        ['APW', 'NSFA', 'Faleolo International Airport', 'Faleolo', 'Samoa', -13.83, -172.008],
+        ['ARN', 'ESSA', 'Stockholm-Arlanda Airport', 'Stockholm', 'Sweden', 59.6519, 17.9186],
+        ['ATH', 'LGAV', 'Eleftherios Venizelos International Airport', 'Athens', 'Greece', 37.9364, 23.9445],
+        ['ATL', 'KATL', 'Hartsfield Jackson Atlanta International Airport', 'Atlanta', 'United States', 33.6367, -84.4281],
+        ['ATQ', 'VIAR', 'Sri Guru Ram Dass Jee International Airport', 'Amritsar', 'India', 31.7096, 74.7973],
+        ['AUH', 'OMAA', 'Abu Dhabi International Airport', 'Abu Dhabi', 'United Arab Emirates', 24.433, 54.6511],
+        ['AUS', 'KAUS', 'Austin Bergstrom International Airport', 'Austin', 'United States', 30.1945, -97.6699],
+        ['AVL', 'KAVL', 'Asheville Regional Airport', 'Asheville', 'United States', 35.4362, -82.5418],
+        ['AYT', 'LTAI', 'Antalya International Airport', 'Antalya', 'Turkey', 36.8987, 30.8005],
+        ['BAB', 'KBAB', 'Beale Air Force Base', 'Marysville', 'United States', 39.1361, -121.437],
+        ['BAD', 'KBAD', 'Barksdale Air Force Base', 'Shreveport', 'United States', 32.5018, -93.6627],
+        ['BAH', 'OBBI', 'Bahrain International Airport', 'Bahrain', 'Bahrain', 26.2708, 50.6336],
+        ['BCN', 'LEBL', 'Barcelona International Airport', 'Barcelona', 'Spain', 41.2971, 2.0785],
+        ['BDL', 'KBDL', 'Bradley International Airport', 'Windsor Locks', 'United States', 41.9389, -72.6832],
+        ['BEG', 'LYBE', 'Belgrade Nikola Tesla Airport', 'Belgrade', 'Serbia', 44.8184, 20.3091],
+        ['BEL', 'SBBE', 'Val de Cans/Júlio Cezar Ribeiro International Airport', 'Belem', 'Brazil', -1.3793, -48.4763],
+        ['BER', 'EDDB', 'Berlin Brandenburg Airport', 'Berlin', 'Germany', 52.3667, 13.5033],
+        ['BEY', 'OLBA', 'Beirut Rafic Hariri International Airport', 'Beirut', 'Lebanon', 33.8209, 35.4884],
+        ['BFI', 'KBFI', 'Boeing Field King County International Airport', 'Seattle', 'United States', 47.53, -122.302],
+        ['BFS', 'EGAA', 'Belfast International Airport', 'Belfast', 'United Kingdom', 54.6575, -6.2158],
+        ['BGO', 'ENBR', 'Bergen Airport Flesland', 'Bergen', 'Norway', 60.2934, 5.2181],
+        ['BGR', 'KBGR', 'Bangor International Airport', 'Bangor', 'United States', 44.8074, -68.8281],
+        ['BGY', 'LIME', 'Il Caravaggio International Airport', 'Bergamo', 'Italy', 45.6739, 9.7042],
+        ['BHD', 'EGAC', 'George Best Belfast City Airport', 'Belfast', 'United Kingdom', 54.6181, -5.8725],
+        ['BHM', 'KBHM', 'Birmingham-Shuttlesworth International Airport', 'Birmingham', 'United States', 33.5629, -86.7535],
+        ['BHX', 'EGBB', 'Birmingham International Airport', 'Birmingham', 'United Kingdom', 52.4539, -1.748],
+        ['BIL', 'KBIL', 'Billings Logan International Airport', 'Billings', 'United States', 45.8077, -108.543],
+        ['BJV', 'LTFE', 'Milas Bodrum International Airport', 'Bodrum', 'Turkey', 37.2506, 27.6643],
+        ['BKK', 'VTBS', 'Suvarnabhumi Airport', 'Bangkok', 'Thailand', 13.6811, 100.747],
+        ['BLL', 'EKBI', 'Billund Airport', 'Billund', 'Denmark', 55.7403, 9.1518],
+        ['BLQ', 'LIPE', 'Bologna Guglielmo Marconi Airport', 'Bologna', 'Italy', 44.5354, 11.2887],
+        ['BLR', 'VOBL', 'Kempegowda International Airport', 'Bangalore', 'India', 13.1979, 77.7063],
+        ['BMI', 'KBMI', 'Central Illinois Regional Airport at Bloomington-Normal', 'Bloomington', 'United States', 40.4771, -88.9159],
+        ['BNA', 'KBNA', 'Nashville International Airport', 'Nashville', 'United States', 36.1245, -86.6782],
+        ['BNE', 'YBBN', 'Brisbane International Airport', 'Brisbane', 'Australia', -27.3842, 153.117],
+        ['BOD', 'LFBD', 'Bordeaux-Mérignac Airport', 'Bordeaux', 'France', 44.8283, -0.7156],
+        ['BOG', 'SKBO', 'El Dorado International Airport', 'Bogota', 'Colombia', 4.7016, -74.1469],
+        ['BOH', 'EGHH', 'Bournemouth Airport', 'Bournemouth', 'United Kingdom', 50.78, -1.8425],
+        ['BOI', 'KBOI', 'Boise Air Terminal/Gowen field', 'Boise', 'United States', 43.5644, -116.223],
+        ['BOJ', 'LBBG', 'Burgas Airport', 'Bourgas', 'Bulgaria', 42.5696, 27.5152],
+        ['BOM', 'VABB', 'Chhatrapati Shivaji International Airport', 'Mumbai', 'India', 19.0887, 72.8679],
+        ['BOO', 'ENBO', 'Bodø Airport', 'Bodo', 'Norway', 67.2692, 14.3653],
+        ['BOS', 'KBOS', 'General Edward Lawrence Logan International Airport', 'Boston', 'United States', 42.3643, -71.0052],
+        ['BRE', 'EDDW', 'Bremen Airport', 'Bremen', 'Germany', 53.0475, 8.7867],
+        ['BRI', 'LIBD', 'Bari Karol Wojtyła Airport', 'Bari', 'Italy', 41.1389, 16.7606],
+        ['BRS', 'EGGD', 'Bristol Airport', 'Bristol', 'United Kingdom', 51.3827, -2.7191],
+        ['BRU', 'EBBR', 'Brussels Airport', 'Brussels', 'Belgium', 50.9014, 4.4844],
+        ['BSB', 'SBBR', 'Presidente Juscelino Kubistschek International Airport', 'Brasilia', 'Brazil', -15.8692, -47.9208],
+        ['BSR', 'ORMM', 'Basrah International Airport', 'Basrah', 'Iraq', 30.5491, 47.6621],
+        ['BTR', 'KBTR', 'Baton Rouge Metropolitan, Ryan Field', 'Baton Rouge', 'United States', 30.5332, -91.1496],
+        ['BTS', 'LZIB', 'M. R. Štefánik Airport', 'Bratislava', 'Slovakia', 48.1702, 17.2127],
+        ['BUD', 'LHBP', 'Budapest Ferenc Liszt International Airport', 'Budapest', 'Hungary', 47.4369, 19.2556],
+        ['BUF', 'KBUF', 'Buffalo Niagara International Airport', 'Buffalo', 'United States', 42.9405, -78.7322],
+        ['BVA', 'LFOB', 'Paris Beauvais Tillé Airport', 'Beauvais', 'France', 49.4544, 2.1128],
+        ['BVE', 'LFSL', 'Toul Rosières Air Base', 'Brive', 'France', 48.78, 5.98],
+        ['BWI', 'KBWI', 'Baltimore/Washington International Thurgood Marshall Airport', 'Baltimore', 'United States', 39.1754, -76.6683],
+        ['BWN', 'WBSB', 'Brunei International Airport', 'Bandar Seri Begawan', 'Brunei', 4.9442, 114.928],
+        ['BZE', 'MZBZ', 'Philip S. W. Goldson International Airport', 'Belize City', 'Belize', 17.5391, -88.3082],
+        ['BZZ', 'EGVN', 'RAF Brize Norton', 'Brize Norton', 'United Kingdom', 51.75, -1.5836],
+        ['CAE', 'KCAE', 'Columbia Metropolitan Airport', 'Columbia', 'United States', 33.9388, -81.1195],
+        ['CAG', 'LIEE', 'Cagliari Elmas Airport', 'Cagliari', 'Italy', 39.2515, 9.0543],
+        ['CAI', 'HECA', 'Cairo International Airport', 'Cairo', 'Egypt', 30.1219, 31.4056],
+        ['CAN', 'ZGGG', 'Guangzhou Baiyun International Airport', 'Guangzhou', 'China', 23.3924, 113.299],
+        ['CBR', 'YSCB', 'Canberra International Airport', 'Canberra', 'Australia', -35.3069, 149.195],
+        ['CCJ', 'VOCL', 'Calicut International Airport', 'Calicut', 'India', 11.1368, 75.9553],
+        ['CCU', 'VECC', 'Netaji Subhash Chandra Bose International Airport', 'Kolkata', 'India', 22.6547, 88.4467],
+        ['CDG', 'LFPG', 'Charles de Gaulle International Airport', 'Paris', 'France', 49.0128, 2.55],
+        ['CEB', 'RPVM', 'Mactan Cebu International Airport', 'Cebu', 'Philippines', 10.3075, 123.979],
+        ['CGH', 'SBSP', 'Congonhas Airport', 'Sao Paulo', 'Brazil', -23.6261, -46.6564],
+        ['CGK', 'WIII', 'Soekarno-Hatta International Airport', 'Jakarta', 'Indonesia', -6.1256, 106.656],
+        ['CGN', 'EDDK', 'Cologne Bonn Airport', 'Cologne', 'Germany', 50.8659, 7.1427],
+        ['CGO', 'ZHCC', 'Zhengzhou Xinzheng International Airport', 'Zhengzhou', 'China', 34.5197, 113.841],
+        ['CHA', 'KCHA', 'Lovell Field', 'Chattanooga', 'United States', 35.0353, -85.2038],
+        ['CHC', 'NZCH', 'Christchurch International Airport', 'Christchurch', 'New Zealand', -43.4894, 172.532],
+        ['CHS', 'KCHS', 'Charleston Air Force Base-International Airport', 'Charleston', 'United States', 32.8986, -80.0405],
+        ['CIA', 'LIRA', 'Ciampino–G. B. Pastine International Airport', 'Rome', 'Italy', 41.7994, 12.5949],
+        ['CID', 'KCID', 'The Eastern Iowa Airport', 'Cedar Rapids', 'United States', 41.8847, -91.7108],
+        ['CJJ', 'RKTU', 'Cheongju International Airport', 'Chongju', 'South Korea', 36.7166, 127.499],
+        ['CJU', 'RKPC', 'Jeju International Airport', 'Cheju', 'South Korea', 33.5113, 126.493],
+        ['CKG', 'ZUCK', 'Chongqing Jiangbei International Airport', 'Chongqing', 'China', 29.7192, 106.642],
+        ['CLE', 'KCLE', 'Cleveland Hopkins International Airport', 'Cleveland', 'United States', 41.4117, -81.8498],
+        ['CLT', 'KCLT', 'Charlotte Douglas International Airport', 'Charlotte', 'United States', 35.214, -80.9431],
+        ['CMB', 'VCBI', 'Bandaranaike International Colombo Airport', 'Colombo', 'Sri Lanka', 7.1808, 79.8841],
+        ['CMH', 'KCMH', 'Port Columbus International Airport', 'Columbus', 'United States', 39.998, -82.8919],
+        ['CMN', 'GMMN', 'Mohammed V International Airport', 'Casablanca', 'Morocco', 33.3675, -7.59],
+        ['CNF', 'SBCF', 'Tancredo Neves International Airport', 'Belo Horizonte', 'Brazil', -19.6244, -43.9719],
+        ['CNX', 'VTCC', 'Chiang Mai International Airport', 'Chiang Mai', 'Thailand', 18.7668, 98.9626],
+        ['COK', 'VOCI', 'Cochin International Airport', 'Kochi', 'India', 10.152, 76.4019],
+        ['COS', 'KCOS', 'City of Colorado Springs Municipal Airport', 'Colorado Springs', 'United States', 38.8058, -104.701],
+        ['CPH', 'EKCH', 'Copenhagen Kastrup Airport', 'Copenhagen', 'Denmark', 55.6179, 12.656],
+        ['CPR', 'KCPR', 'Casper-Natrona County International Airport', 'Casper', 'United States', 42.908, -106.464],
+        ['CPT', 'FACT', 'Cape Town International Airport', 'Cape Town', 'South Africa', -33.9648, 18.6017],
+        ['CRK', 'RPLC', 'Clark International Airport', 'Angeles City', 'Philippines', 15.186, 120.56],
+        ['CRP', 'KCRP', 'Corpus Christi International Airport', 'Corpus Christi', 'United States', 27.7704, -97.5012],
+        ['CRW', 'KCRW', 'Yeager Airport', 'Charleston', 'United States', 38.3731, -81.5932],
+        ['CSX', 'ZGHA', 'Changsha Huanghua International Airport', 'Changcha', 'China', 28.1892, 113.22],
+        ['CTA', 'LICC', 'Catania-Fontanarossa Airport', 'Catania', 'Italy', 37.4668, 15.0664],
+        ['CTS', 'RJCC', 'New Chitose Airport', 'Sapporo', 'Japan', 42.7752, 141.692],
+        ['CTU', 'ZUUU', 'Chengdu Shuangliu International Airport', 'Chengdu', 'China', 30.5785, 103.947],
+        ['CUN', 'MMUN', 'Cancún International Airport', 'Cancun', 'Mexico', 21.0365, -86.8771],
+        ['CUZ', 'SPZO', 'Alejandro Velasco Astete International Airport', 'Cuzco', 'Peru', -13.5357, -71.9388],
+        ['CVG', 'KCVG', 'Cincinnati Northern Kentucky International Airport', 'Cincinnati', 'United States', 39.0488, -84.6678],
+        ['CWL', 'EGFF', 'Cardiff International Airport', 'Cardiff', 'United Kingdom', 51.3967, -3.3433],
+        ['DAC', 'VGZR', 'Dhaka / Hazrat Shahjalal International Airport', 'Dhaka', 'Bangladesh', 23.8433, 90.3978],
+        ['DAD', 'VVDN', 'Da Nang International Airport', 'Danang', 'Vietnam', 16.0439, 108.199],
+        ['DAL', 'KDAL', 'Dallas Love Field', 'Dallas', 'United States', 32.8471, -96.8518],
+        ['DAM', 'OSDI', 'Damascus International Airport', 'Damascus', 'Syria', 33.4115, 36.5156],
+        ['DAR', 'HTDA', 'Julius Nyerere International Airport', 'Dar Es Salaam', 'Tanzania', -6.8781, 39.2026],
+        ['DAY', 'KDAY', 'James M Cox Dayton International Airport', 'Dayton', 'United States', 39.9024, -84.2194],
+        ['DBQ', 'KDBQ', 'Dubuque Regional Airport', 'Dubuque IA', 'United States', 42.402, -90.7095],
+        ['DCA', 'KDCA', 'Ronald Reagan Washington National Airport', 'Washington', 'United States', 38.8521, -77.0377],
+        ['DEL', 'VIDP', 'Indira Gandhi International Airport', 'Delhi', 'India', 28.5665, 77.1031],
+        ['DEN', 'KDEN', 'Denver International Airport', 'Denver', 'United States', 39.8617, -104.673],
+        ['DFW', 'KDFW', 'Dallas Fort Worth International Airport', 'Dallas-Fort Worth', 'United States', 32.8968, -97.038],
+        ['DHA', 'OEDR', 'King Abdulaziz Air Base', 'Dhahran', 'Saudi Arabia', 26.2654, 50.152],
+        ['DKR', 'GOOY', 'Léopold Sédar Senghor International Airport', 'Dakar', 'Senegal', 14.7397, -17.4902],
+        ['DLC', 'ZYTL', 'Zhoushuizi Airport', 'Dalian', 'China', 38.9657, 121.539],
+        ['DLH', 'KDLH', 'Duluth International Airport', 'Duluth', 'United States', 46.8421, -92.1936],
+        ['DLM', 'LTBS', 'Dalaman International Airport', 'Dalaman', 'Turkey', 36.7131, 28.7925],
+        ['DME', 'UUDD', 'Domodedovo International Airport', 'Moscow', 'Russia', 55.4088, 37.9063],
+        ['DMK', 'VTBD', 'Don Mueang International Airport', 'Bangkok', 'Thailand', 13.9126, 100.607],
+        ['DMM', 'OEDF', 'King Fahd International Airport', 'Dammam', 'Saudi Arabia', 26.4712, 49.7979],
+        ['DNA', 'RODN', 'Kadena Air Base', 'Kadena', 'Japan', 26.3556, 127.768],
+        ['DOH', 'OTHH', 'Hamad International Airport', 'Doha', 'Qatar', 25.2731, 51.6081],
+        ['DOK', 'UKCC', 'Donetsk International Airport', 'Donetsk', 'Ukraine', 48.0736, 37.7397],
+        ['DPS', 'WADD', 'Ngurah Rai (Bali) International Airport', 'Denpasar', 'Indonesia', -8.7482, 115.167],
+        ['DRS', 'EDDC', 'Dresden Airport', 'Dresden', 'Germany', 51.1328, 13.7672],
+        ['DSA', 'EGCN', 'Robin Hood Doncaster Sheffield Airport', 'Doncaster, Sheffield', 'United Kingdom', 53.4805, -1.0107],
+        ['DSM', 'KDSM', 'Des Moines International Airport', 'Des Moines', 'United States', 41.534, -93.6631],
+        ['DTM', 'EDLW', 'Dortmund Airport', 'Dortmund', 'Germany', 51.5183, 7.6122],
+        ['DTW', 'KDTW', 'Detroit Metropolitan Wayne County Airport', 'Detroit', 'United States', 42.2124, -83.3534],
+        ['DUB', 'EIDW', 'Dublin Airport', 'Dublin', 'Ireland', 53.4213, -6.2701],
+        ['DUR', 'FALE', 'King Shaka International Airport', 'Durban', 'South Africa', -29.6144, 31.1197],
+        ['DUS', 'EDDL', 'Düsseldorf International Airport', 'Duesseldorf', 'Germany', 51.2895, 6.7668],
+        ['DVO', 'RPMD', 'Francisco Bangoy International Airport', 'Davao', 'Philippines', 7.1255, 125.646],
+        ['DWC', 'OMDW', 'Al Maktoum International Airport', 'Dubai', 'United Arab Emirates', 24.8964, 55.1614],
+        ['DXB', 'OMDB', 'Dubai International Airport', 'Dubai', 'United Arab Emirates', 25.2528, 55.3644],
+        ['EBB', 'HUEN', 'Entebbe International Airport', 'Entebbe', 'Uganda', 0.0424, 32.4435],
+        ['EDI', 'EGPH', 'Edinburgh Airport', 'Edinburgh', 'United Kingdom', 55.95, -3.3725],
+        ['EIN', 'EHEH', 'Eindhoven Airport', 'Eindhoven', 'Netherlands', 51.4501, 5.3745],
+        ['EMA', 'EGNX', 'East Midlands Airport', 'East Midlands', 'United Kingdom', 52.8311, -1.3281],
+        ['ERI', 'KERI', 'Erie International Tom Ridge Field', 'Erie', 'United States', 42.0831, -80.1739],
+        ['ERZ', 'LTCE', 'Erzurum International Airport', 'Erzurum', 'Turkey', 39.9565, 41.1702],
+        ['ESB', 'LTAC', 'Esenboğa International Airport', 'Ankara', 'Turkey', 40.1281, 32.9951],
+        ['EVN', 'UDYZ', 'Zvartnots International Airport', 'Yerevan', 'Armenia', 40.1473, 44.3959],
+        ['EWR', 'KEWR', 'Newark Liberty International Airport', 'Newark', 'United States', 40.6925, -74.1687],
+        ['EXT', 'EGTE', 'Exeter International Airport', 'Exeter', 'United Kingdom', 50.7344, -3.4139],
+        ['EZE', 'SAEZ', 'Ministro Pistarini International Airport', 'Buenos Aires', 'Argentina', -34.8222, -58.5358],
+        ['FAI', 'PAFA', 'Fairbanks International Airport', 'Fairbanks', 'United States', 64.8151, -147.856],
+        ['FAO', 'LPFR', 'Faro Airport', 'Faro', 'Portugal', 37.0144, -7.9659],
+        ['FCO', 'LIRF', 'Leonardo da Vinci–Fiumicino Airport', 'Rome', 'Italy', 41.8003, 12.2389],
+        ['FFD', 'EGVA', 'RAF Fairford', 'Fairford', 'United Kingdom', 51.6822, -1.79],
+        ['FKB', 'EDSB', 'Karlsruhe Baden-Baden Airport', 'Karlsruhe/Baden-Baden', 'Germany', 48.7794, 8.0805],
+        ['FLL', 'KFLL', 'Fort Lauderdale Hollywood International Airport', 'Fort Lauderdale', 'United States', 26.0726, -80.1527],
+        ['FLN', 'SBFL', 'Hercílio Luz International Airport', 'Florianopolis', 'Brazil', -27.6703, -48.5525],
+        ['FMO', 'EDDG', 'Münster Osnabrück Airport', 'Munster', 'Germany', 52.1346, 7.6848],
+        ['FOC', 'ZSFZ', 'Fuzhou Changle International Airport', 'Fuzhou', 'China', 25.9351, 119.663],
+        ['FRA', 'EDDF', 'Frankfurt am Main International Airport', 'Frankfurt', 'Germany', 50.0333, 8.5706],
+        ['FRU', 'UAFM', 'Manas International Airport', 'Bishkek', 'Kyrgyzstan', 43.0613, 74.4776],
+        ['FSM', 'KFSM', 'Fort Smith Regional Airport', 'Fort Smith', 'United States', 35.3366, -94.3674],
+        ['FTW', 'KFTW', 'Fort Worth Meacham International Airport', 'Fort Worth', 'United States', 32.8198, -97.3624],
+        ['FUK', 'RJFF', 'Fukuoka Airport', 'Fukuoka', 'Japan', 33.5859, 130.451],
+        ['FWA', 'KFWA', 'Fort Wayne International Airport', 'Fort Wayne', 'United States', 40.9785, -85.1951],
+        ['GCM', 'MWCR', 'Owen Roberts International Airport', 'Georgetown', 'Cayman Islands', 19.2928, -81.3577],
+        ['GDL', 'MMGL', 'Don Miguel Hidalgo Y Costilla International Airport', 'Guadalajara', 'Mexico', 20.5218, -103.311],
+        ['GDN', 'EPGD', 'Gdańsk Lech Wałęsa Airport', 'Gdansk', 'Poland', 54.3776, 18.4662],
+        ['GEG', 'KGEG', 'Spokane International Airport', 'Spokane', 'United States', 47.6199, -117.534],
+        ['GIG', 'SBGL', 'Rio Galeão – Tom Jobim International Airport', 'Rio De Janeiro', 'Brazil', -22.81, -43.2506],
+        ['GLA', 'EGPF', 'Glasgow International Airport', 'Glasgow', 'United Kingdom', 55.8719, -4.4331],
+        ['GMP', 'RKSS', 'Gimpo International Airport', 'Seoul', 'South Korea', 37.5583, 126.791],
+        ['GOA', 'LIMJ', 'Genoa Cristoforo Colombo Airport', 'Genoa', 'Italy', 44.4133, 8.8375],
+        ['GOH', 'BGGH', 'Godthaab / Nuuk Airport', 'Godthaab', 'Greenland', 64.1909, -51.6781],
+        ['GOI', 'VAGO', 'Dabolim Airport', 'Goa', 'India', 15.3808, 73.8314],
+        ['GOT', 'ESGG', 'Gothenburg-Landvetter Airport', 'Gothenborg', 'Sweden', 57.6628, 12.2798],
+        ['GPT', 'KGPT', 'Gulfport Biloxi International Airport', 'Gulfport', 'United States', 30.4073, -89.0701],
+        ['GRB', 'KGRB', 'Austin Straubel International Airport', 'Green Bay', 'United States', 44.4851, -88.1296],
+        ['GRJ', 'FAGG', 'George Airport', 'George', 'South Africa', -34.0056, 22.3789],
+        ['GRU', 'SBGR', 'Guarulhos - Governador André Franco Montoro International Airport', 'Sao Paulo', 'Brazil', -23.4356, -46.4731],
+        ['GRV', 'URMG', 'Khankala Air Base', 'Grozny', 'Russia', 43.2981, 45.7841],
+        ['GSO', 'KGSO', 'Piedmont Triad International Airport', 'Greensboro', 'United States', 36.0978, -79.9373],
+        ['GSP', 'KGSP', 'Greenville Spartanburg International Airport', 'Greenville', 'United States', 34.8957, -82.2189],
+        ['GUM', 'PGUM', 'Antonio B. Won Pat International Airport', 'Agana', 'Guam', 13.4834, 144.796],
+        ['GVA', 'LSGG', 'Geneva Cointrin International Airport', 'Geneva', 'Switzerland', 46.2381, 6.109],
+        ['GYD', 'UBBB', 'Heydar Aliyev International Airport', 'Baku', 'Azerbaijan', 40.4675, 50.0467],
+        ['GZT', 'LTAJ', 'Gaziantep International Airport', 'Gaziantep', 'Turkey', 36.9472, 37.4787],
+        ['HAJ', 'EDDV', 'Hannover Airport', 'Hannover', 'Germany', 52.4611, 9.6851],
+        ['HAK', 'ZJHK', 'Haikou Meilan International Airport', 'Haikou', 'China', 19.9349, 110.459],
+        ['HAM', 'EDDH', 'Hamburg Airport', 'Hamburg', 'Germany', 53.6304, 9.9882],
+        ['HAN', 'VVNB', 'Noi Bai International Airport', 'Hanoi', 'Vietnam', 21.2212, 105.807],
+        ['HAV', 'MUHA', 'José Martí International Airport', 'Havana', 'Cuba', 22.9892, -82.4091],
+        ['HEL', 'EFHK', 'Helsinki Vantaa Airport', 'Helsinki', 'Finland', 60.3172, 24.9633],
+        ['HER', 'LGIR', 'Heraklion International Nikos Kazantzakis Airport', 'Heraklion', 'Greece', 35.3397, 25.1803],
+        ['HGH', 'ZSHC', 'Hangzhou Xiaoshan International Airport', 'Hangzhou', 'China', 30.2295, 120.434],
+        ['HIB', 'KHIB', 'Range Regional Airport', 'Hibbing', 'United States', 47.3866, -92.839],
+        ['HKG', 'VHHH', 'Chek Lap Kok International Airport', 'Hong Kong', 'Hong Kong', 22.3089, 113.915],
+        ['HMO', 'MMHO', 'General Ignacio P. Garcia International Airport', 'Hermosillo', 'Mexico', 29.0959, -111.048],
+        ['HND', 'RJTT', 'Tokyo Haneda International Airport', 'Tokyo', 'Japan', 35.5523, 139.78],
+        ['HNL', 'PHNL', 'Honolulu International Airport', 'Honolulu', 'United States', 21.3187, -157.922],
+        ['HOU', 'KHOU', 'William P Hobby Airport', 'Houston', 'United States', 29.6454, -95.2789],
+        ['HRB', 'ZYHB', 'Taiping Airport', 'Harbin', 'China', 45.6234, 126.25],
+        ['HRE', 'FVHA', 'Harare International Airport', 'Harare', 'Zimbabwe', -17.9318, 31.0928],
+        ['HRG', 'HEGN', 'Hurghada International Airport', 'Hurghada', 'Egypt', 27.1783, 33.7994],
+        ['HRK', 'UKHH', 'Kharkiv International Airport', 'Kharkov', 'Ukraine', 49.9248, 36.29],
+        ['HSV', 'KHSV', 'Huntsville International Carl T Jones Field', 'Huntsville', 'United States', 34.6372, -86.7751],
+        ['HTS', 'KHTS', 'Tri-State/Milton J. Ferguson Field', 'Huntington', 'United States', 38.3667, -82.558],
+        ['HYD', 'VOHS', 'Rajiv Gandhi International Airport', 'Hyderabad', 'India', 17.2313, 78.4298],
+        ['IAD', 'KIAD', 'Washington Dulles International Airport', 'Washington', 'United States', 38.9445, -77.4558],
+        ['IAH', 'KIAH', 'George Bush Intercontinental Houston Airport', 'Houston', 'United States', 29.9844, -95.3414],
+        ['ICN', 'RKSI', 'Incheon International Airport', 'Seoul', 'South Korea', 37.4691, 126.451],
+        ['ICT', 'KICT', 'Wichita Mid Continent Airport', 'Wichita', 'United States', 37.6499, -97.4331],
+        ['IKA', 'OIIE', 'Imam Khomeini International Airport', 'Tehran', 'Iran', 35.4161, 51.1522],
+        ['IND', 'KIND', 'Indianapolis International Airport', 'Indianapolis', 'United States', 39.7173, -86.2944],
+        ['ISB', 'OPRN', 'Benazir Bhutto International Airport', 'Islamabad', 'Pakistan', 33.6167, 73.0992],
+        ['ISE', 'LTFC', 'Süleyman Demirel International Airport', 'Isparta', 'Turkey', 37.8554, 30.3684],
+        ['IST', 'LTBA', 'Atatürk International Airport', 'Istanbul', 'Turkey', 40.9769, 28.8146],
+        ['ITM', 'RJOO', 'Osaka International Airport', 'Osaka', 'Japan', 34.7855, 135.438],
+        ['JAN', 'KJAN', 'Jackson-Medgar Wiley Evers International Airport', 'Jackson', 'United States', 32.3112, -90.0759],
+        ['JAX', 'KJAX', 'Jacksonville International Airport', 'Jacksonville', 'United States', 30.4941, -81.6879],
+        ['JED', 'OEJN', 'King Abdulaziz International Airport', 'Jeddah', 'Saudi Arabia', 21.6796, 39.1565],
+        ['JFK', 'KJFK', 'John F Kennedy International Airport', 'New York', 'United States', 40.6398, -73.7789],
+        ['JLN', 'KJLN', 'Joplin Regional Airport', 'Joplin', 'United States', 37.1518, -94.4983],
+        ['JNB', 'FAJS', 'OR Tambo International Airport', 'Johannesburg', 'South Africa', -26.1392, 28.246],
+        ['KBP', 'UKBB', 'Boryspil International Airport', 'Kiev', 'Ukraine', 50.345, 30.8947],
+        ['KEF', 'BIKF', 'Keflavik International Airport', 'Keflavik', 'Iceland', 63.985, -22.6056],
+        ['KGF', 'UAKK', 'Sary-Arka Airport', 'Karaganda', 'Kazakhstan', 49.6708, 73.3344],
+        ['KGL', 'HRYR', 'Kigali International Airport', 'Kigali', 'Rwanda', -1.9686, 30.1395],
+        ['KHH', 'RCKH', 'Kaohsiung International Airport', 'Kaohsiung', 'Taiwan', 22.5771, 120.35],
+        ['KHI', 'OPKC', 'Jinnah International Airport', 'Karachi', 'Pakistan', 24.9065, 67.1608],
+        ['KIN', 'MKJP', 'Norman Manley International Airport', 'Kingston', 'Jamaica', 17.9357, -76.7875],
+        ['KIX', 'RJBB', 'Kansai International Airport', 'Osaka', 'Japan', 34.4273, 135.244],
+        ['KJA', 'UNKL', 'Yemelyanovo Airport', 'Krasnoyarsk', 'Russia', 56.1729, 92.4933],
+        ['KMG', 'ZPPP', 'Kunming Changshui International Airport', 'Kunming', 'China', 25.1019, 102.9292],
+        ['KNH', 'RCBS', 'Kinmen Airport', 'Kinmen', 'Taiwan', 24.4279, 118.359],
+        ['KOJ', 'RJFK', 'Kagoshima Airport', 'Kagoshima', 'Japan', 31.8034, 130.719],
+        ['KRK', 'EPKK', 'John Paul II International Airport Kraków-Balice Airport', 'Krakow', 'Poland', 50.0777, 19.7848],
+        ['KRT', 'HSSS', 'Khartoum International Airport', 'Khartoum', 'Sudan', 15.5895, 32.5532],
+        ['KTM', 'VNKT', 'Tribhuvan International Airport', 'Kathmandu', 'Nepal', 27.6966, 85.3591],
+        ['KUF', 'UWWW', 'Kurumoch International Airport', 'Samara', 'Russia', 53.5049, 50.1643],
+        ['KUL', 'WMKK', 'Kuala Lumpur International Airport', 'Kuala Lumpur', 'Malaysia', 2.7456, 101.71],
+        ['KUV', 'RKJK', 'Kunsan Air Base', 'Kunsan', 'South Korea', 35.9038, 126.616],
+        ['KWE', 'ZUGY', 'Longdongbao Airport', 'Guiyang', 'China', 26.5385, 106.801],
+        ['KWI', 'OKBK', 'Kuwait International Airport', 'Kuwait', 'Kuwait', 29.2266, 47.9689],
+        ['KWL', 'ZGKL', 'Guilin Liangjiang International Airport', 'Guilin', 'China', 25.2181, 110.039],
+        ['LAS', 'KLAS', 'McCarran International Airport', 'Las Vegas', 'United States', 36.0801, -115.152],
+        ['LAX', 'KLAX', 'Los Angeles International Airport', 'Los Angeles', 'United States', 33.9425, -118.408],
+        ['LBA', 'EGNM', 'Leeds Bradford Airport', 'Leeds', 'United Kingdom', 53.8659, -1.6606],
+        ['LBB', 'KLBB', 'Lubbock Preston Smith International Airport', 'Lubbock', 'United States', 33.6636, -101.823],
+        ['LCA', 'LCLK', 'Larnaca International Airport', 'Larnaca', 'Cyprus', 34.8751, 33.6249],
+        ['LCY', 'EGLC', 'London City Airport', 'London', 'United Kingdom', 51.5053, 0.0553],
+        ['LED', 'ULLI', 'Pulkovo Airport', 'St. Petersburg', 'Russia', 59.8003, 30.2625],
+        ['LEJ', 'EDDP', 'Leipzig Halle Airport', 'Leipzig', 'Germany', 51.4239, 12.2364],
+        ['LEX', 'KLEX', 'Blue Grass Airport', 'Lexington KY', 'United States', 38.0365, -84.6059],
+        ['LFT', 'KLFT', 'Lafayette Regional Airport', 'Lafayette', 'United States', 30.2053, -91.9876],
+        ['LGA', 'KLGA', 'La Guardia Airport', 'New York', 'United States', 40.7772, -73.8726],
+        ['LGG', 'EBLG', 'Liège Airport', 'Liege', 'Belgium', 50.6374, 5.4432],
+        ['LGW', 'EGKK', 'London Gatwick Airport', 'London', 'United Kingdom', 51.1481, -0.1903],
+        ['LHE', 'OPLA', 'Alama Iqbal International Airport', 'Lahore', 'Pakistan', 31.5216, 74.4036],
+        ['LHR', 'EGLL', 'London Heathrow Airport', 'London', 'United Kingdom', 51.4706, -0.4619],
+        ['LIM', 'SPIM', 'Jorge Chávez International Airport', 'Lima', 'Peru', -12.0219, -77.1143],
+        ['LIN', 'LIML', 'Milano Linate Airport', 'Milan', 'Italy', 45.4451, 9.2767],
+        ['LIS', 'LPPT', 'Lisbon Portela Airport', 'Lisbon', 'Portugal', 38.7813, -9.1359],
+        ['LIT', 'KLIT', 'Bill & Hillary Clinton National Airport/Adams Field', 'Little Rock', 'United States', 34.7294, -92.2243],
+        ['LJU', 'LJLJ', 'Ljubljana Jože Pučnik Airport', 'Ljubljana', 'Slovenia', 46.2237, 14.4576],
+        ['LLA', 'ESPA', 'Luleå Airport', 'Lulea', 'Sweden', 65.5438, 22.122],
+        ['LOS', 'DNMM', 'Murtala Muhammed International Airport', 'Lagos', 'Nigeria', 6.5774, 3.3212],
+        ['LPA', 'GCLP', 'Gran Canaria Airport', 'Gran Canaria', 'Spain', 27.9319, -15.3866],
+        ['LPL', 'EGGP', 'Liverpool John Lennon Airport', 'Liverpool', 'United Kingdom', 53.3336, -2.8497],
+        ['LTK', 'OSLK', 'Bassel Al-Assad International Airport', 'Latakia', 'Syria', 35.4011, 35.9487],
+        ['LTN', 'EGGW', 'London Luton Airport', 'London', 'United Kingdom', 51.8747, -0.3683],
+        ['LUN', 'FLLS', 'Kenneth Kaunda International Airport Lusaka', 'Lusaka', 'Zambia', -15.3308, 28.4526],
+        ['LUX', 'ELLX', 'Luxembourg-Findel International Airport', 'Luxemburg', 'Luxembourg', 49.6233, 6.2044],
+        ['MAA', 'VOMM', 'Chennai International Airport', 'Madras', 'India', 12.99, 80.1693],
+        ['MAD', 'LEMD', 'Adolfo Suárez Madrid–Barajas Airport', 'Madrid', 'Spain', 40.4719, -3.5626],
+        ['MAN', 'EGCC', 'Manchester Airport', 'Manchester', 'United Kingdom', 53.3537, -2.275],
+        ['MBA', 'HKMO', 'Mombasa Moi International Airport', 'Mombasa', 'Kenya', -4.0348, 39.5942],
+        ['MBJ', 'MKJS', 'Sangster International Airport', 'Montego Bay', 'Jamaica', 18.5037, -77.9134],
+        ['MBS', 'KMBS', 'MBS International Airport', 'Saginaw', 'United States', 43.5329, -84.0796],
+        ['MCI', 'KMCI', 'Kansas City International Airport', 'Kansas City', 'United States', 39.2976, -94.7139],
+        ['MCO', 'KMCO', 'Orlando International Airport', 'Orlando', 'United States', 28.4294, -81.309],
+        ['MCT', 'OOMS', 'Muscat International Airport', 'Muscat', 'Oman', 23.5933, 58.2844],
+        ['MDL', 'VYMD', 'Mandalay International Airport', 'Mandalay', 'Burma', 21.7022, 95.9779],
+        ['MDW', 'KMDW', 'Chicago Midway International Airport', 'Chicago', 'United States', 41.786, -87.7524],
+        ['MED', 'OEMA', 'Prince Mohammad Bin Abdulaziz Airport', 'Madinah', 'Saudi Arabia', 24.5534, 39.7051],
+        ['MEL', 'YMML', 'Melbourne International Airport', 'Melbourne', 'Australia', -37.6733, 144.843],
+        ['MEM', 'KMEM', 'Memphis International Airport', 'Memphis', 'United States', 35.0424, -89.9767],
+        ['MEX', 'MMMX', 'Licenciado Benito Juarez International Airport', 'Mexico City', 'Mexico', 19.4363, -99.0721],
+        ['MFM', 'VMMC', 'Macau International Airport', 'Macau', 'Macau', 22.1496, 113.592],
+        ['MGM', 'KMGM', 'Montgomery Regional (Dannelly Field) Airport', 'MONTGOMERY', 'United States', 32.3006, -86.394],
+        ['MHD', 'OIMM', 'Mashhad International Airport', 'Mashhad', 'Iran', 36.2352, 59.641],
+        ['MHT', 'KMHT', 'Manchester Airport', 'Manchester NH', 'United States', 42.9326, -71.4357],
+        ['MHZ', 'EGUN', 'RAF Mildenhall', 'Mildenhall', 'United Kingdom', 52.3619, 0.4864],
+        ['MIA', 'KMIA', 'Miami International Airport', 'Miami', 'United States', 25.7932, -80.2906],
+        ['MKE', 'KMKE', 'General Mitchell International Airport', 'Milwaukee', 'United States', 42.9472, -87.8966],
+        ['MLA', 'LMML', 'Malta International Airport', 'Malta', 'Malta', 35.8575, 14.4775],
+        ['MLE', 'VRMM', 'Malé International Airport', 'Male', 'Maldives', 4.1918, 73.5291],
+        ['MLI', 'KMLI', 'Quad City International Airport', 'Moline', 'United States', 41.4485, -90.5075],
+        ['MLU', 'KMLU', 'Monroe Regional Airport', 'Monroe', 'United States', 32.5109, -92.0377],
+        ['MMX', 'ESMS', 'Malmö Sturup Airport', 'Malmoe', 'Sweden', 55.5363, 13.3762],
+        ['MNL', 'RPLL', 'Ninoy Aquino International Airport', 'Manila', 'Philippines', 14.5086, 121.02],
+        ['MOB', 'KMOB', 'Mobile Regional Airport', 'Mobile', 'United States', 30.6912, -88.2428],
+        ['MRS', 'LFML', 'Marseille Provence Airport', 'Marseille', 'France', 43.4393, 5.2214],
+        ['MRU', 'FIMP', 'Sir Seewoosagur Ramgoolam International Airport', 'Plaisance', 'Mauritius', -20.4302, 57.6836],
+        ['MSN', 'KMSN', 'Dane County Regional Truax Field', 'Madison', 'United States', 43.1399, -89.3375],
+        ['MSP', 'KMSP', 'Minneapolis-St Paul International/Wold-Chamberlain Airport', 'Minneapolis', 'United States', 44.882, -93.2218],
+        ['MSQ', 'UMMS', 'Minsk National Airport', 'Minsk 2', 'Belarus', 53.8825, 28.0307],
+        ['MST', 'EHBK', 'Maastricht Aachen Airport', 'Maastricht', 'Netherlands', 50.9117, 5.7701],
+        ['MSY', 'KMSY', 'Louis Armstrong New Orleans International Airport', 'New Orleans', 'United States', 29.9934, -90.258],
+        ['MTY', 'MMMY', 'General Mariano Escobedo International Airport', 'Monterrey', 'Mexico', 25.7785, -100.107],
+        ['MUC', 'EDDM', 'Munich International Airport', 'Munich', 'Germany', 48.3538, 11.7861],
+        ['MVD', 'SUMU', 'Carrasco International /General C L Berisso Airport', 'Montevideo', 'Uruguay', -34.8384, -56.0308],
+        ['MXP', 'LIMC', 'Malpensa International Airport', 'Milano', 'Italy', 45.6306, 8.7281],
+        ['MYR', 'KMYR', 'Myrtle Beach International Airport', 'Myrtle Beach', 'United States', 33.6797, -78.9283],
+        ['NAN', 'NFFN', 'Nadi International Airport', 'Nandi', 'Fiji', -17.7554, 177.443],
+        ['NAP', 'LIRN', 'Naples International Airport', 'Naples', 'Italy', 40.886, 14.2908],
+        ['NAS', 'MYNN', 'Lynden Pindling International Airport', 'Nassau', 'Bahamas', 25.039, -77.4662],
+        ['NAV', 'LTAZ', 'Nevşehir Kapadokya Airport', 'Nevsehir', 'Turkey', 38.7719, 34.5345],
+        ['NAY', 'ZBNY', 'Beijing Nanyuan Airport', 'Beijing', 'China', 39.7828, 116.388],
+        ['NBO', 'HKJK', 'Jomo Kenyatta International Airport', 'Nairobi', 'Kenya', -1.3192, 36.9278],
+        ['NCE', 'LFMN', 'Nice-Côte d\'Azur Airport', 'Nice', 'France', 43.6584, 7.2159],
+        ['NCL', 'EGNT', 'Newcastle Airport', 'Newcastle', 'United Kingdom', 55.0375, -1.6917],
+        ['NGB', 'ZSNB', 'Ningbo Lishe International Airport', 'Ninbo', 'China', 29.8267, 121.462],
+        ['NGO', 'RJGG', 'Chubu Centrair International Airport', 'Nagoya', 'Japan', 34.8584, 136.805],
+        ['NKG', 'ZSNJ', 'Nanjing Lukou Airport', 'Nanjing', 'China', 31.742, 118.862],
+        ['NNG', 'ZGNN', 'Nanning Wuxu Airport', 'Nanning', 'China', 22.6083, 108.172],
+        ['NOU', 'NWWW', 'La Tontouta International Airport', 'Noumea', 'New Caledonia', -22.0146, 166.213],
+        ['NRT', 'RJAA', 'Narita International Airport', 'Tokyo', 'Japan', 35.7647, 140.386],
+        ['NUE', 'EDDN', 'Nuremberg Airport', 'Nuernberg', 'Germany', 49.4987, 11.0781],
+        ['OAK', 'KOAK', 'Metropolitan Oakland International Airport', 'Oakland', 'United States', 37.7213, -122.221],
+        ['ODS', 'UKOO', 'Odessa International Airport', 'Odessa', 'Ukraine', 46.4268, 30.6765],
+        ['OKA', 'ROAH', 'Naha Airport', 'Okinawa', 'Japan', 26.1958, 127.646],
+        ['OKC', 'KOKC', 'Will Rogers World Airport', 'Oklahoma City', 'United States', 35.3931, -97.6007],
+        ['OKO', 'RJTY', 'Yokota Air Base', 'Yokota', 'Japan', 35.7485, 139.348],
+        ['ONT', 'KONT', 'Ontario International Airport', 'Ontario', 'United States', 34.056, -117.601],
+        ['OPO', 'LPPR', 'Francisco de Sá Carneiro Airport', 'Porto', 'Portugal', 41.2481, -8.6814],
+        ['ORD', 'KORD', 'Chicago O\'Hare International Airport', 'Chicago', 'United States', 41.9786, -87.9048],
+        ['ORF', 'KORF', 'Norfolk International Airport', 'Norfolk', 'United States', 36.8946, -76.2012],
+        ['ORK', 'EICK', 'Cork Airport', 'Cork', 'Ireland', 51.8413, -8.4911],
+        ['ORY', 'LFPO', 'Paris-Orly Airport', 'Paris', 'France', 48.7233, 2.3794],
+        ['OSL', 'ENGM', 'Oslo Gardermoen Airport', 'Oslo', 'Norway', 60.1939, 11.1004],
+        ['OSN', 'RKSO', 'Osan Air Base', 'Osan', 'South Korea', 37.0906, 127.03],
+        ['OTP', 'LROP', 'Henri Coandă International Airport', 'Bucharest', 'Romania', 44.5711, 26.085],
+        ['PBI', 'KPBI', 'Palm Beach International Airport', 'West Palm Beach', 'United States', 26.6832, -80.0956],
+        ['PDL', 'LPPD', 'João Paulo II Airport', 'Ponta Delgada', 'Portugal', 37.7412, -25.6979],
+        ['PDV', 'LBPD', 'Plovdiv International Airport', 'Plovdiv', 'Bulgaria', 42.0678, 24.8508],
+        ['PDX', 'KPDX', 'Portland International Airport', 'Portland', 'United States', 45.5887, -122.598],
+        ['PEK', 'ZBAA', 'Beijing Capital International Airport', 'Beijing', 'China', 40.0801, 116.585],
+        ['PER', 'YPPH', 'Perth International Airport', 'Perth', 'Australia', -31.9403, 115.967],
+        ['PFO', 'LCPH', 'Paphos International Airport', 'Paphos', 'Cyprus', 34.718, 32.4857],
+        ['PHF', 'KPHF', 'Newport News Williamsburg International Airport', 'Newport News', 'United States', 37.1319, -76.493],
+        ['PHL', 'KPHL', 'Philadelphia International Airport', 'Philadelphia', 'United States', 39.8719, -75.2411],
+        ['PHX', 'KPHX', 'Phoenix Sky Harbor International Airport', 'Phoenix', 'United States', 33.4343, -112.012],
+        ['PIA', 'KPIA', 'General Wayne A. Downing Peoria International Airport', 'Peoria', 'United States', 40.6642, -89.6933],
+        ['PIT', 'KPIT', 'Pittsburgh International Airport', 'Pittsburgh', 'United States', 40.4915, -80.2329],
+        ['PKX', 'ZBAD', 'Beijing Daxing International Airport', 'Beijing', 'China', 39.5098, 116.4105],
+        ['PMI', 'LEPA', 'Palma De Mallorca Airport', 'Palma de Mallorca', 'Spain', 39.5517, 2.7388],
+        ['PMO', 'LICJ', 'Falcone–Borsellino Airport', 'Palermo', 'Italy', 38.176, 13.091],
+        ['PNH', 'VDPP', 'Phnom Penh International Airport', 'Phnom-penh', 'Cambodia', 11.5466, 104.844],
+        ['POM', 'AYPY', 'Port Moresby Jacksons International Airport', 'Port Moresby', 'Papua New Guinea', -9.4434, 147.22],
+        ['PPT', 'NTAA', 'Faa\'a International Airport', 'Papeete', 'French Polynesia', -17.5537, -149.607],
+        ['PRG', 'LKPR', 'Václav Havel Airport Prague', 'Prague', 'Czech Republic', 50.1008, 14.26],
+        ['PRN', 'BKPR', 'Priština International Airport', 'Pristina', 'Serbia', 42.5728, 21.0358],
+        ['PSA', 'LIRP', 'Pisa International Airport', 'Pisa', 'Italy', 43.6839, 10.3927],
+        ['PTY', 'MPTO', 'Tocumen International Airport', 'Panama City', 'Panama', 9.0714, -79.3835],
+        ['PUJ', 'MDPC', 'Punta Cana International Airport', 'Punta Cana', 'Dominican Republic', 18.5674, -68.3634],
+        ['PUS', 'RKPK', 'Gimhae International Airport', 'Busan', 'South Korea', 35.1795, 128.938],
+        ['PVG', 'ZSPD', 'Shanghai Pudong International Airport', 'Shanghai', 'China', 31.1434, 121.805],
+        ['PVR', 'MMPR', 'Licenciado Gustavo Díaz Ordaz International Airport', 'Puerto Vallarta', 'Mexico', 20.6801, -105.254],
+        ['PWM', 'KPWM', 'Portland International Jetport Airport', 'Portland', 'United States', 43.6462, -70.3093],
+        ['RDU', 'KRDU', 'Raleigh Durham International Airport', 'Raleigh-durham', 'United States', 35.8776, -78.7875],
+        ['REP', 'VDSR', 'Siem Reap International Airport', 'Siem-reap', 'Cambodia', 13.4107, 103.813],
+        ['RFD', 'KRFD', 'Chicago Rockford International Airport', 'Rockford', 'United States', 42.1954, -89.0972],
+        ['RGN', 'VYYY', 'Yangon International Airport', 'Yangon', 'Burma', 16.9073, 96.1332],
+        ['RIC', 'KRIC', 'Richmond International Airport', 'Richmond', 'United States', 37.5052, -77.3197],
+        ['RIX', 'EVRA', 'Riga International Airport', 'Riga', 'Latvia', 56.9236, 23.9711],
+        ['RMS', 'ETAR', 'Ramstein Air Base', 'Ramstein', 'Germany', 49.4369, 7.6003],
+        ['RNO', 'KRNO', 'Reno Tahoe International Airport', 'Reno', 'United States', 39.4991, -119.768],
+        ['ROA', 'KROA', 'Roanoke–Blacksburg Regional Airport', 'Roanoke VA', 'United States', 37.3255, -79.9754],
+        ['ROC', 'KROC', 'Greater Rochester International Airport', 'Rochester', 'United States', 43.1189, -77.6724],
+        ['RST', 'KRST', 'Rochester International Airport', 'Rochester', 'United States', 43.9083, -92.5],
+        ['RSW', 'KRSW', 'Southwest Florida International Airport', 'Fort Myers', 'United States', 26.5362, -81.7552],
+        ['RUH', 'OERK', 'King Khaled International Airport', 'Riyadh', 'Saudi Arabia', 24.9576, 46.6988],
+        ['SAN', 'KSAN', 'San Diego International Airport', 'San Diego', 'United States', 32.7336, -117.19],
+        ['SAT', 'KSAT', 'San Antonio International Airport', 'San Antonio', 'United States', 29.5337, -98.4698],
+        ['SAV', 'KSAV', 'Savannah Hilton Head International Airport', 'Savannah', 'United States', 32.1276, -81.2021],
+        ['SAW', 'LTFJ', 'Sabiha Gökçen International Airport', 'Istanbul', 'Turkey', 40.8986, 29.3092],
+        ['SBN', 'KSBN', 'South Bend Regional Airport', 'South Bend', 'United States', 41.7087, -86.3173],
+        ['SCL', 'SCEL', 'Comodoro Arturo Merino Benítez International Airport', 'Santiago', 'Chile', -33.393, -70.7858],
+        ['SCQ', 'LEST', 'Santiago de Compostela Airport', 'Santiago', 'Spain', 42.8963, -8.4151],
+        ['SDF', 'KSDF', 'Louisville International Standiford Field', 'Louisville', 'United States', 38.1744, -85.736],
+        ['SDQ', 'MDSD', 'Las Américas International Airport', 'Santo Domingo', 'Dominican Republic', 18.4297, -69.6689],
+        ['SEA', 'KSEA', 'Seattle Tacoma International Airport', 'Seattle', 'United States', 47.449, -122.309],
+        ['SEZ', 'FSIA', 'Seychelles International Airport', 'Mahe', 'Seychelles', -4.6743, 55.5218],
+        ['SFB', 'KSFB', 'Orlando Sanford International Airport', 'Sanford', 'United States', 28.7776, -81.2375],
+        ['SFO', 'KSFO', 'San Francisco International Airport', 'San Francisco', 'United States', 37.619, -122.375],
+        ['SGF', 'KSGF', 'Springfield Branson National Airport', 'Springfield', 'United States', 37.2457, -93.3886],
+        ['SGN', 'VVTS', 'Tan Son Nhat International Airport', 'Ho Chi Minh City', 'Vietnam', 10.8188, 106.652],
+        ['SHA', 'ZSSS', 'Shanghai Hongqiao International Airport', 'Shanghai', 'China', 31.1979, 121.336],
+        ['SHE', 'ZYTX', 'Taoxian Airport', 'Shenyang', 'China', 41.6398, 123.483],
+        ['SHJ', 'OMSJ', 'Sharjah International Airport', 'Sharjah', 'United Arab Emirates', 25.3286, 55.5172],
+        ['SHV', 'KSHV', 'Shreveport Regional Airport', 'Shreveport', 'United States', 32.4466, -93.8256],
+        ['SIN', 'WSSS', 'Singapore Changi Airport', 'Singapore', 'Singapore', 1.3502, 103.994],
+        ['SIP', 'UKFF', 'Simferopol International Airport', 'Simferopol', 'Ukraine', 45.0522, 33.9751],
+        ['SJC', 'KSJC', 'Norman Y. Mineta San Jose International Airport', 'San Jose', 'United States', 37.3626, -121.929],
+        ['SJD', 'MMSD', 'Los Cabos International Airport', 'San Jose Del Cabo', 'Mexico', 23.1518, -109.721],
+        ['SJJ', 'LQSA', 'Sarajevo International Airport', 'Sarajevo', 'Bosnia and Herzegovina', 43.8246, 18.3315],
+        ['SJO', 'MROC', 'Juan Santamaria International Airport', 'San Jose', 'Costa Rica', 9.9939, -84.2088],
+        ['SJU', 'TJSJ', 'Luis Munoz Marin International Airport', 'San Juan', 'Puerto Rico', 18.4394, -66.0018],
+        ['SKG', 'LGTS', 'Thessaloniki Macedonia International Airport', 'Thessaloniki', 'Greece', 40.5197, 22.9709],
+        ['SLC', 'KSLC', 'Salt Lake City International Airport', 'Salt Lake City', 'United States', 40.7884, -111.978],
+        ['SLV', 'VISM', 'Shimla Airport', 'Shimla', 'India', 31.0818, 77.068],
+        ['SMF', 'KSMF', 'Sacramento International Airport', 'Sacramento', 'United States', 38.6954, -121.591],
+        ['SNA', 'KSNA', 'John Wayne Airport-Orange County Airport', 'Santa Ana', 'United States', 33.6757, -117.868],
+        ['SNN', 'EINN', 'Shannon Airport', 'Shannon', 'Ireland', 52.702, -8.9248],
+        ['SOF', 'LBSF', 'Sofia Airport', 'Sofia', 'Bulgaria', 42.6967, 23.4114],
+        ['SOU', 'EGHI', 'Southampton Airport', 'Southampton', 'United Kingdom', 50.9503, -1.3568],
+        ['SPI', 'KSPI', 'Abraham Lincoln Capital Airport', 'Springfield', 'United States', 39.8441, -89.6779],
+        ['SPS', 'KSPS', 'Sheppard Air Force Base-Wichita Falls Municipal Airport', 'Wichita Falls', 'United States', 33.9888, -98.4919],
+        ['SRQ', 'KSRQ', 'Sarasota Bradenton International Airport', 'Sarasota', 'United States', 27.3954, -82.5544],
+        ['SSA', 'SBSV', 'Deputado Luiz Eduardo Magalhães International Airport', 'Salvador', 'Brazil', -12.9086, -38.3225],
+        ['STL', 'KSTL', 'Lambert St Louis International Airport', 'St. Louis', 'United States', 38.7487, -90.37],
+        ['STN', 'EGSS', 'London Stansted Airport', 'London', 'United Kingdom', 51.885, 0.235],
+        ['STR', 'EDDS', 'Stuttgart Airport', 'Stuttgart', 'Germany', 48.6899, 9.222],
+        ['SUB', 'WARR', 'Juanda International Airport', 'Surabaya', 'Indonesia', -7.3798, 112.787],
+        ['SUV', 'NFNA', 'Nausori International Airport', 'Nausori', 'Fiji', -18.0433, 178.559],
+        ['SUX', 'KSUX', 'Sioux Gateway Col. Bud Day Field', 'Sioux City', 'United States', 42.4026, -96.3844],
+        ['SVG', 'ENZV', 'Stavanger Airport Sola', 'Stavanger', 'Norway', 58.8767, 5.6378],
+        ['SVO', 'UUEE', 'Sheremetyevo International Airport', 'Moscow', 'Russia', 55.9726, 37.4146],
+        ['SVX', 'USSS', 'Koltsovo Airport', 'Yekaterinburg', 'Russia', 56.7431, 60.8027],
+        ['SXM', 'TNCM', 'Princess Juliana International Airport', 'Philipsburg', 'Netherlands Antilles', 18.041, -63.1089],
+        ['SYD', 'YSSY', 'Sydney Kingsford Smith International Airport', 'Sydney', 'Australia', -33.9461, 151.177],
+        ['SYR', 'KSYR', 'Syracuse Hancock International Airport', 'Syracuse', 'United States', 43.1112, -76.1063],
+        ['SYX', 'ZJSY', 'Sanya Phoenix International Airport', 'Sanya', 'China', 18.3029, 109.412],
+        ['SYZ', 'OISS', 'Shiraz Shahid Dastghaib International Airport', 'Shiraz', 'Iran', 29.5392, 52.5898],
+        ['SZX', 'ZGSZ', 'Shenzhen Bao\'an International Airport', 'Shenzhen', 'China', 22.6393, 113.811],
+        ['TAS', 'UTTT', 'Tashkent International Airport', 'Tashkent', 'Uzbekistan', 41.2579, 69.2812],
+        ['TBS', 'UGTB', 'Tbilisi International Airport', 'Tbilisi', 'Georgia', 41.6692, 44.9547],
+        ['TBZ', 'OITT', 'Tabriz International Airport', 'Tabriz', 'Iran', 38.1339, 46.235],
+        ['TER', 'LPLA', 'Lajes Field', 'Lajes (terceira Island)', 'Portugal', 38.7618, -27.0908],
+        ['TFN', 'GCXO', 'Tenerife Norte Airport', 'Tenerife', 'Spain', 28.4827, -16.3415],
+        ['TFS', 'GCTS', 'Tenerife South Airport', 'Tenerife', 'Spain', 28.0445, -16.5725],
+        ['TGD', 'LYPG', 'Podgorica Airport', 'Podgorica', 'Montenegro', 42.3594, 19.2519],
+        ['THR', 'OIII', 'Mehrabad International Airport', 'Teheran', 'Iran', 35.6892, 51.3134],
+        ['TIA', 'LATI', 'Tirana International Airport Mother Teresa', 'Tirana', 'Albania', 41.4147, 19.7206],
+        ['TIJ', 'MMTJ', 'General Abelardo L. Rodríguez International Airport', 'Tijuana', 'Mexico', 32.5411, -116.97],
+        ['TIP', 'HLLT', 'Tripoli International Airport', 'Tripoli', 'Libya', 32.6635, 13.159],
+        ['TLH', 'KTLH', 'Tallahassee Regional Airport', 'Tallahassee', 'United States', 30.3965, -84.3503],
+        ['TLL', 'EETN', 'Lennart Meri Tallinn Airport', 'Tallinn-ulemiste International', 'Estonia', 59.4133, 24.8328],
+        ['TLS', 'LFBO', 'Toulouse-Blagnac Airport', 'Toulouse', 'France', 43.6291, 1.3638],
+        ['TLV', 'LLBG', 'Ben Gurion International Airport', 'Tel-aviv', 'Israel', 32.0114, 34.8867],
+        ['TNA', 'ZSJN', 'Yaoqiang Airport', 'Jinan', 'China', 36.8572, 117.216],
+        ['TNR', 'FMMI', 'Ivato Airport', 'Antananarivo', 'Madagascar', -18.7969, 47.4788],
+        ['TOL', 'KTOL', 'Toledo Express Airport', 'Toledo', 'United States', 41.5868, -83.8078],
+        ['TOS', 'ENTC', 'Tromsø Airport', 'Tromso', 'Norway', 69.6833, 18.9189],
+        ['TPA', 'KTPA', 'Tampa International Airport', 'Tampa', 'United States', 27.9755, -82.5332],
+        ['TPE', 'RCTP', 'Taiwan Taoyuan International Airport', 'Taipei', 'Taiwan', 25.0777, 121.233],
+        ['TRD', 'ENVA', 'Trondheim Airport Værnes', 'Trondheim', 'Norway', 63.4578, 10.924],
+        ['TRI', 'KTRI', 'Tri Cities Regional Tn Va Airport', 'BRISTOL', 'United States', 36.4752, -82.4074],
+        ['TRN', 'LIMF', 'Turin Airport', 'Torino', 'Italy', 45.2008, 7.6496],
+        ['TRV', 'VOTV', 'Trivandrum International Airport', 'Trivandrum', 'India', 8.4821, 76.9201],
+        ['TSE', 'UACC', 'Astana International Airport', 'Tselinograd', 'Kazakhstan', 51.0222, 71.4669],
+        ['TSF', 'LIPH', 'Treviso-Sant\'Angelo Airport', 'Treviso', 'Italy', 45.6484, 12.1944],
+        ['TSN', 'ZBTJ', 'Tianjin Binhai International Airport', 'Tianjin', 'China', 39.1244, 117.346],
+        ['TUF', 'LFOT', 'Tours-Val-de-Loire Airport', 'Tours', 'France', 47.4322, 0.7276],
+        ['TUL', 'KTUL', 'Tulsa International Airport', 'Tulsa', 'United States', 36.1984, -95.8881],
+        ['TUN', 'DTTA', 'Tunis Carthage International Airport', 'Tunis', 'Tunisia', 36.851, 10.2272],
+        ['TUS', 'KTUS', 'Tucson International Airport', 'Tucson', 'United States', 32.1161, -110.941],
+        ['TYN', 'ZBYN', 'Taiyuan Wusu Airport', 'Taiyuan', 'China', 37.7469, 112.628],
+        ['TYS', 'KTYS', 'McGhee Tyson Airport', 'Knoxville', 'United States', 35.811, -83.994],
+        ['TZX', 'LTCG', 'Trabzon International Airport', 'Trabzon', 'Turkey', 40.9951, 39.7897],
+        ['UFA', 'UWUU', 'Ufa International Airport', 'Ufa', 'Russia', 54.5575, 55.8744],
+        ['ULN', 'ZMUB', 'Chinggis Khaan International Airport', 'Ulan Bator', 'Mongolia', 47.8431, 106.767],
+        ['UPG', 'WAAA', 'Hasanuddin International Airport', 'Ujung Pandang', 'Indonesia', -5.0616, 119.554],
+        ['URC', 'ZWWW', 'Ürümqi Diwopu International Airport', 'Urumqi', 'China', 43.9071, 87.4742],
+        ['VAR', 'LBWN', 'Varna Airport', 'Varna', 'Bulgaria', 43.2321, 27.8251],
+        ['VCE', 'LIPZ', 'Venice Marco Polo Airport', 'Venice', 'Italy', 45.5053, 12.3519],
+        ['VDA', 'LLOV', 'Ovda International Airport', 'Ovda', 'Israel', 29.9403, 34.9358],
+        ['VIE', 'LOWW', 'Vienna International Airport', 'Vienna', 'Austria', 48.1103, 16.5697],
+        ['VNO', 'EYVI', 'Vilnius International Airport', 'Vilnius', 'Lithuania', 54.6341, 25.2858],
+        ['VPS', 'KVPS', 'Destin-Ft Walton Beach Airport', 'Valparaiso', 'United States', 30.4832, -86.5254],
+        ['VRA', 'MUVR', 'Juan Gualberto Gomez International Airport', 'Varadero', 'Cuba', 23.0344, -81.4353],
+        ['VRN', 'LIPX', 'Verona Villafranca Airport', 'Villafranca', 'Italy', 45.3957, 10.8885],
+        ['WAW', 'EPWA', 'Warsaw Chopin Airport', 'Warsaw', 'Poland', 52.1657, 20.9671],
+        ['WDH', 'FYWH', 'Hosea Kutako International Airport', 'Windhoek', 'Namibia', -22.4799, 17.4709],
+        ['WLG', 'NZWN', 'Wellington International Airport', 'Wellington', 'New Zealand', -41.3272, 174.805],
+        ['WNZ', 'ZSWZ', 'Wenzhou Yongqiang Airport', 'Wenzhou', 'China', 27.9122, 120.852],
+        ['WUH', 'ZHHH', 'Wuhan Tianhe International Airport', 'Wuhan', 'China', 30.7838, 114.208],
+        ['XIY', 'ZLXY', 'Xi\'an Xianyang International Airport', 'Xi\'an', 'China', 34.4471, 108.752],
+        ['XMN', 'ZSAM', 'Xiamen Gaoqi International Airport', 'Xiamen', 'China', 24.544, 118.128],
+        ['YEG', 'CYEG', 'Edmonton International Airport', 'Edmonton', 'Canada', 53.3097, -113.58],
+        ['YHZ', 'CYHZ', 'Halifax / Stanfield International Airport', 'Halifax', 'Canada', 44.8808, -63.5086],
+        ['YOW', 'CYOW', 'Ottawa Macdonald-Cartier International Airport', 'Ottawa', 'Canada', 45.3225, -75.6692],
+        ['YQB', 'CYQB', 'Quebec Jean Lesage International Airport', 'Quebec', 'Canada', 46.7911, -71.3933],
+        ['YUL', 'CYUL', 'Montreal / Pierre Elliott Trudeau International Airport', 'Montreal', 'Canada', 45.4706, -73.7408],
+        ['YVR', 'CYVR', 'Vancouver International Airport', 'Vancouver', 'Canada', 49.1939, -123.184],
+        ['YWG', 'CYWG', 'Winnipeg / James Armstrong Richardson International Airport', 'Winnipeg', 'Canada', 49.91, -97.2399],
+        ['YXU', 'CYXU', 'London Airport', 'London', 'Canada', 43.0356, -81.1539],
+        ['YYC', 'CYYC', 'Calgary International Airport', 'Calgary', 'Canada', 51.1139, -114.02],
+        ['YYJ', 'CYYJ', 'Victoria International Airport', 'Victoria', 'Canada', 48.6469, -123.426],
+        ['YYZ', 'CYYZ', 'Lester B. Pearson International Airport', 'Toronto', 'Canada', 43.6772, -79.6306],
+        ['ZAG', 'LDZA', 'Zagreb Airport', 'Zagreb', 'Croatia', 45.7429, 16.0688],
+        ['ZNZ', 'HTZA', 'Abeid Amani Karume International Airport', 'Zanzibar', 'Tanzania', -6.222, 39.2249],
+        ['ZRH', 'LSZH', 'Zürich Airport', 'Zurich', 'Switzerland', 47.4647, 8.5492]
+    ];
+
+    const list = AIRPORT_TABLE.map(([iata, icao, name, city, country, lat, lon]) => ({
+        iata,
+        icao,
+        name,
+        city,
+        country,
+        lat,
+        lon,
+        searchCodes: { iata: iata.toLowerCase(), icao: icao.toLowerCase() },
+        searchText: { name: normalizeText(name), city: normalizeText(city), country: normalizeText(country) },
+        searchWords: normalizeText(`${name} ${city}`).split(/[^a-z0-9]+/).filter(Boolean)
+    }));
+
+    const byCode = new Map();
+    for (const airport of list) {
+        byCode.set(airport.iata, airport);
+        byCode.set(airport.icao, airport);
+    }
+
+    return {
+        list,
+        search,
+        findByCode,
+        findNearest
+    };
+});
@@ -0,0 +1,123 @@
+/**
+ * Astronomy helpers for the 3D Globe Flight Tracker
+ *
+ * Low-precision solar ephemeris and sidereal time, enough to light the globe
+ * as it really is at any moment: the Sun's apparent right ascension and
+ * declination, Greenwich mean sidereal time and the subsolar point (where the
+ * Sun is directly overhead). Uses the approximations from the Astronomical
+ * Almanac, good to about 0.01 degrees between 1950 and 2050.
+ *
+ * Loaded as a plain script in the browser (exposed as `window.Astronomy`,
+ * after geodesy.js) and as a CommonJS module in Node.
+ *
+ * Times are Date objects or epoch milliseconds (UTC); angles are returned in
+ * degrees unless a name says otherwise.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geodesy.js'));
+    } else {
+        root.Astronomy = factory(root.Geodesy);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geodesy) {
+    'use strict';
+
+    /**
+     * Julian date of the J2000.0 epoch (2000-01-01 12:00 TT)
+     */
+    const J2000 = 2451545.0;
+
+    const MS_PER_DAY = 86400000;
+    const UNIX_EPOCH_JD = 2440587.5;
+
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const toDegrees = (radians) => radians * 180 / Math.PI;
+    const wrap360 = (degrees) => ((degrees % 360) + 360) % 360;
+
+    /**
+     * Convert a time to a Julian date
+     *
+     * @param {Date|number} time - Date or epoch milliseconds
+     * @returns {number} - Julian date
+     */
+    function julianDate(time) {
+        return Number(time) / MS_PER_DAY + UNIX_EPOCH_JD;
+    }
+
+    /**
+     * Greenwich mean sidereal time: the right ascension on the Greenwich meridian
+     *
+     * @param {Date|number} time - Date or epoch milliseconds
+     * @returns {number} - Sidereal angle in degrees [0, 360)
+     */
+    function greenwichSiderealTime(time) {
+        const days = julianDate(time) - J2000;
+        const centuries = days / 36525;
+        return wrap360(280.46061837 + 360.98564736629 * days + 0.000387933 * centuries * centuries);
+    }
+
+    /**
+     * Apparent position of the Sun on the celestial sphere
+     *
+     * @param {Date|number} time - Date or epoch milliseconds
+     * @returns {{rightAscension: number, declination: number, distance: number}} - Degrees, and distance in AU
+     */
+    function sunPosition(time) {
+        const days = julianDate(time) - J2000;
+
+        const meanLongitude = wrap360(280.460 + 0.9856474 * days);
+        const meanAnomaly = toRadians(wrap360(357.528 + 0.9856003 * days));
+        const eclipticLongitude = toRadians(
+            meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)
+        );
+        const obliquity = toRadians(23.439 - 0.0000004 * days);
+
+        return {
+            rightAscension: wrap360(toDegrees(Math.atan2(
+                Math.cos(obliquity) * Math.sin(eclipticLongitude),
+                Math.cos(eclipticLongitude)
+            ))),
+            declination: toDegrees(Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude))),
+            distance: 1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly)
+        };
+    }
+
+    /**
+     * Point on Earth where the Sun is at the zenith
+     *
+     * @param {Date|number} time - Date or epoch milliseconds
+     * @returns {{lat: number, lon: number}} - Subsolar point in degrees
+     */
+    function subsolarPoint(time) {
+        const sun = sunPosition(time);
+        return {
+            lat: sun.declination,
+            lon: Geodesy.normalizeLongitude(sun.rightAscension - greenwichSiderealTime(time))
+        };
+    }
+
+    /**
+     * Elevation of the Sun above the horizon at a location
+     *
+     * @param {{lat: number, lon: number}} location - Position in degrees
+     * @param {Date|number} time - Date or epoch milliseconds
+     * @returns {number} - Elevation in degrees, negative at night
+     */
+    function solarElevation(location, time) {
+        const subsolar = subsolarPoint(time);
+        const lat = toRadians(location.lat);
+        const sunLat = toRadians(subsolar.lat);
+        const hourAngle = toRadians(location.lon - subsolar.lon);
+        return toDegrees(Math.asin(
+            Math.sin(lat) * Math.sin(sunLat) + Math.cos(lat) * Math.cos(sunLat) * Math.cos(hourAngle)
+        ));
+    }
+
+    return {
+        julianDate,
+        greenwichSiderealTime,
+        sunPosition,
+        subsolarPoint,
+        solarElevation
+    };
+});
@@ -0,0 +1,340 @@
+/**
+ * Live aircraft feed for the 3D Globe Flight Tracker
+ *
+ * Ingests aircraft state vectors from a WebSocket or an HTTP endpoint that is
+ * polled, keeps track of every aircraft seen, and predicts smooth positions
+ * between updates. Accepted payloads:
+ *
+ *   - OpenSky Network /states/all: { time, states: [[icao24, callsign, country,
+ *     timePosition, lastContact, lon, lat, baroAltitude, onGround, velocity,
+ *     trueTrack, ...], ...] }
+ *   - Objects: { aircraft: [{ icao24, callsign, lat, lon, altitude, heading,
+ *     velocity }, ...] } or a bare array of such objects
+ *
+ * Altitudes are in metres, velocities in metres per second and headings in
+ * degrees clockwise from north, as in the OpenSky API.
+ *
+ * Loaded as a plain script in the browser (exposed as `window.AircraftFeed`,
+ * after geodesy.js) and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geodesy.js'));
+    } else {
+        root.AircraftFeed = factory(root.Geodesy);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geodesy) {
+    'use strict';
+
+    /**
+     * Aircraft not heard from for this long are removed
+     */
+    const DEFAULT_STALE_AFTER_MS = 60000;
+
+    /**
+     * Positions are dead-reckoned from the last report for at most this long
+     */
+    const MAX_EXTRAPOLATION_MS = 30000;
+
+    /**
+     * Longest time taken to glide from the drawn position to a new report
+     */
+    const MAX_BLEND_MS = 5000;
+
+    // ========================================================================
+    // STATE VECTOR PARSING
+    // ========================================================================
+
+    /**
+     * Return the first property of an object that holds a usable value
+     *
+     * @param {Object} source - Object to read
+     * @param {string[]} keys - Property names in order of preference
+     * @returns {*} - The value, or undefined
+     */
+    function pick(source, keys) {
+        for (const key of keys) {
+            if (source[key] !== undefined && source[key] !== null && source[key] !== '') return source[key];
+        }
+        return undefined;
+    }
+
+    /**
+     * Convert one aircraft from either payload shape to a normalized state
+     *
+     * @param {Array|Object} entry - OpenSky state array or aircraft object
+     * @returns {Object|null} - State, or null when it has no usable position
+     */
+    function normalizeState(entry) {
+        let state;
+        if (Array.isArray(entry)) {
+            state = {
+                icao24: entry[0],
+                callsign: entry[1],
+                lon: entry[5],
+                lat: entry[6],
+                altitude: entry[13] !== null && entry[13] !== undefined ? entry[13] : entry[7],
+                onGround: entry[8],
+                velocity: entry[9],
+                heading: entry[10]
+            };
+        } else if (entry && typeof entry === 'object') {
+            state = {
+                icao24: pick(entry, ['icao24', 'hex', 'id']),
+                callsign: pick(entry, ['callsign', 'flight']),
+                lat: pick(entry, ['lat', 'latitude']),
+                lon: pick(entry, ['lon', 'lng', 'longitude']),
+                altitude: pick(entry, ['altitude', 'geo_altitude', 'baro_altitude', 'alt']),
+                onGround: pick(entry, ['onGround', 'on_ground']),
+                velocity: pick(entry, ['velocity', 'speed', 'ground_speed']),
+                heading: pick(entry, ['heading', 'true_track', 'track'])
+            };
+        } else {
+            return null;
+        }
+
+        const lat = Number(state.lat);
+        const lon = Number(state.lon);
+        if (!state.icao24 || !Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90) return null;
+
+        const number = (value) => (Number.isFinite(Number(value)) && value !== null ? Number(value) : 0);
+        return {
+            icao24: String(state.icao24).trim().toLowerCase(),
+            callsign: state.callsign ? String(state.callsign).trim() : '',
+            lat,
+            lon: Geodesy.normalizeLongitude(lon),
+            altitude: Math.max(0, number(state.altitude)),
+            heading: Geodesy.normalizeBearing(number(state.heading)),
+            velocity: Math.max(0, number(state.velocity)),
+            onGround: Boolean(state.onGround)
+        };
+    }
+
+    /**
+     * Extract aircraft states from a feed message
+     *
+     * @param {Object|Array|string} payload - Parsed message or its JSON text
+     * @returns {Object[]} - Normalized states; entries without a position are dropped
+     * @throws {Error} - If the payload is not JSON or has no aircraft list
+     */
+    function parseStates(payload) {
+        const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+
+        let entries;
+        if (Array.isArray(data)) entries = data;
+        else if (data && Array.isArray(data.states)) entries = data.states;
+        else if (data && Array.isArray(data.aircraft)) entries = data.aircraft;
+        else if (data && data.states === null) entries = []; // OpenSky returns null when nothing is in range
+        else throw new Error('Feed message has no "states" or "aircraft" list');
+
+        return entries.map(normalizeState).filter(Boolean);
+    }
+
+    // ========================================================================
+    // AIRCRAFT STORE AND INTERPOLATION
+    // ========================================================================
+
+    /**
+     * Predict where an aircraft is at a given time
+     * The last report is dead-reckoned along its heading at its velocity, and
+     * for a short while after each report the result is blended from where
+     * the aircraft was drawn so it never jumps
+     *
+     * @param {Object} entry - Aircraft entry from the store
+     * @param {number} now - Time in milliseconds
+     * @returns {{lat: number, lon: number, altitude: number, heading: number}} - Predicted position
+     */
+    function predictPosition(entry, now) {
+        const { state } = entry;
+        const elapsed = Math.min(Math.max(now - entry.receivedAt, 0), MAX_EXTRAPOLATION_MS);
+
+        const reckoned = state.onGround || state.velocity === 0
+            ? { lat: state.lat, lon: state.lon }
+            : Geodesy.destinationPoint(state, (state.velocity * elapsed) / 1e6, state.heading);
+
+        if (!entry.from || elapsed >= entry.blendMs) {
+            return { lat: reckoned.lat, lon: reckoned.lon, altitude: state.altitude, heading: state.heading };
+        }
+
+        // Smoothstep from the drawn position onto the dead-reckoned track
+        const t = elapsed / entry.blendMs;
+        const ease = t * t * (3 - 2 * t);
+        const position = Geodesy.intermediatePoint(entry.from, reckoned, ease);
+        const turn = ((state.heading - entry.from.heading + 540) % 360) - 180;
+
+        return {
+            lat: position.lat,
+            lon: position.lon,
+            altitude: entry.from.altitude + (state.altitude - entry.from.altitude) * ease,
+            heading: Geodesy.normalizeBearing(entry.from.heading + turn * ease)
+        };
+    }
+
+    /**
+     * Create a store that tracks aircraft across feed updates
+     *
+     * @param {{staleAfterMs?: number}} [options] - Removal timeout for silent aircraft
+     * @returns {Object} - Store with `aircraft` (Map by icao24), `ingest`, `prune` and `clear`
+     */
+    function createAircraftStore(options = {}) {
+        const staleAfterMs = options.staleAfterMs > 0 ? options.staleAfterMs : DEFAULT_STALE_AFTER_MS;
+        const aircraft = new Map();
+
+        /**
+         * Apply a batch of states
+         *
+         * @param {Object[]} states - Normalized states
+         * @param {number} now - Time the batch arrived in milliseconds
+         * @returns {{added: Object[], updated: Object[], removed: Object[]}} - Affected entries
+         */
+        function ingest(states, now) {
+            const added = [];
+            const updated = [];
+
+            for (const state of states) {
+                const entry = aircraft.get(state.icao24);
+                if (!entry) {
+                    const created = { icao24: state.icao24, state, receivedAt: now, from: null, blendMs: 0 };
+                    aircraft.set(state.icao24, created);
+                    added.push(created);
+                    continue;
+                }
+
+                // Glide from where the aircraft is drawn now, over about one update interval
+                entry.from = predictPosition(entry, now);
+                entry.blendMs = Math.min(Math.max(now - entry.receivedAt, 250), MAX_BLEND_MS);
+                entry.state = state;
+                entry.receivedAt = now;
+                updated.push(entry);
+            }
+
+            return { added, updated, removed: prune(now) };
+        }
+
+        /**
+         * Remove aircraft that haven't been reported recently
+         *
+         * @param {number} now - Current time in milliseconds
+         * @returns {Object[]} - Removed entries
+         */
+        function prune(now) {
+            const removed = [];
+            for (const [icao24, entry] of aircraft) {
+                if (now - entry.receivedAt > staleAfterMs) {
+                    aircraft.delete(icao24);
+                    removed.push(entry);
+                }
+            }
+            return removed;
+        }
+
+        /**
+         * Forget every aircraft
+         *
+         * @returns {Object[]} - Removed entries
+         */
+        function clear() {
+            const removed = [...aircraft.values()];
+            aircraft.clear();
+            return removed;
+        }
+
+        return { aircraft, ingest, prune, clear };
+    }
+
+    // ========================================================================
+    // FEED CONNECTIONS
+    // ========================================================================
+
+    /**
+     * Connect to a feed and deliver its states until stopped
+     * ws:// and wss:// URLs are opened as WebSockets (every message is a
+     * payload); any other URL is fetched every `pollIntervalMs`. Dropped
+     * WebSockets reconnect with exponential backoff.
+     *
+     * @param {string} url - Feed URL
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onStates - Receives (states, receivedAt)
+     * @param {Function} [handlers.onStatus] - Receives (status, detail) with status 'connecting', 'live', 'retrying', 'error' or 'stopped'
+     * @param {{pollIntervalMs?: number}} [options] - Polling interval, default 10 s (OpenSky's anonymous rate)
+     * @returns {{stop: Function}} - Handle to close the connection
+     */
+    function connectFeed(url, handlers, options = {}) {
+        const pollIntervalMs = options.pollIntervalMs > 0 ? options.pollIntervalMs : 10000;
+        const onStatus = handlers.onStatus || (() => {});
+        let stopped = false;
+        let socket = null;
+        let timer = null;
+        let retryDelay = 1000;
+
+        const deliver = (payload) => {
+            // Messages already queued on a closing socket arrive after stop()
+            if (stopped) return;
+            try {
+                handlers.onStates(parseStates(payload), Date.now());
+                onStatus('live');
+            } catch (error) {
+                onStatus('error', error.message);
+            }
+        };
+
+        function openSocket() {
+            onStatus('connecting');
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                onStatus('error', error.message);
+                return;
+            }
+
+            socket.onopen = () => {
+                retryDelay = 1000;
+                onStatus('live');
+            };
+            socket.onmessage = (event) => deliver(event.data);
+            socket.onclose = () => {
+                if (stopped) return;
+                onStatus('retrying', `Connection lost, retrying in ${Math.round(retryDelay / 1000)} s`);
+                timer = setTimeout(openSocket, retryDelay);
+                retryDelay = Math.min(retryDelay * 2, 30000);
+            };
+        }
+
+        async function poll() {
+            try {
+                const response = await fetch(url, { cache: 'no-store' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                deliver(await response.text());
+            } catch (error) {
+                if (!stopped) onStatus('retrying', `${error.message}, retrying`);
+            }
+            if (!stopped) timer = setTimeout(poll, pollIntervalMs);
+        }
+
+        if (/^wss?:\/\//i.test(url)) {
+            openSocket();
+        } else {
+            onStatus('connecting');
+            poll();
+        }
+
+        return {
+            stop() {
+                stopped = true;
+                clearTimeout(timer);
+                if (socket) {
+                    socket.onmessage = null;
+                    socket.close();
+                }
+                onStatus('stopped');
+            }
+        };
+    }
+
+    return {
+        parseStates,
+        predictPosition,
+        createAircraftStore,
+        connectFeed
+    };
+});
@@ -0,0 +1,1036 @@
+/**
+ * Route file formats for the 3D Globe Flight Tracker
+ *
+ * Converts routes to and from interchange formats used by GIS tools (GeoJSON),
+ * Google Earth (KML), flight-planning apps (GPX) and spreadsheets (CSV), and
+ * reads bulk city-pair tables (CSV or JSON) for network visualization and
+ * timestamped flight tracks (CSV, JSON or GPX) for playback.
+ * Routes are exchanged as plain data so this module has no dependency on
+ * Three.js or the scene:
+ *
+ *   {
+ *       name: 'Route 1',
+ *       color: '#64ffda',
+ *       waypoints: [{ lat, lon, name, iata }, ...],
+ *       track: [{ lat, lon, altitude }, ...],  // optional flown profile, altitude in metres
+ *       path: 'great-circle'                   // optional path flown between waypoints, or 'rhumb'
+ *   }
+ *
+ * Loaded as a plain script in the browser (exposed as `window.RouteFormats`,
+ * after geodesy.js) and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geodesy.js'));
+    } else {
+        root.RouteFormats = factory(root.Geodesy);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geodesy) {
+    'use strict';
+
+    /**
+     * Spacing of the vertices of densified route lines
+     */
+    const DENSIFY_STEP_KM = 100;
+
+    /**
+     * Interior line vertices closer than this to the great circle between their
+     * neighbours are treated as densification and not turned into waypoints
+     */
+    const SIMPLIFY_TOLERANCE_KM = 1;
+
+    /**
+     * How each kind of path is described in exported files
+     */
+    const PATH_LABELS = {
+        'great-circle': 'great circle',
+        rhumb: 'rhumb line'
+    };
+
+    // ========================================================================
+    // SHARED HELPERS
+    // ========================================================================
+
+    /**
+     * Length of one leg along the path flown
+     *
+     * @param {{lat: number, lon: number}} from - Start of the leg
+     * @param {{lat: number, lon: number}} to - End of the leg
+     * @param {'great-circle'|'rhumb'} [path='great-circle'] - Path flown
+     * @returns {number} - Distance in kilometres
+     */
+    function legDistance(from, to, path = 'great-circle') {
+        return path === 'rhumb' ? Geodesy.rhumbDistance(from, to) : Geodesy.haversineDistance(from, to);
+    }
+
+    /**
+     * Total distance along a route's waypoints
+     *
+     * @param {Array<{lat: number, lon: number}>} waypoints - Ordered waypoints
+     * @param {'great-circle'|'rhumb'} [path='great-circle'] - Path flown between them
+     * @returns {number} - Distance in kilometres
+     */
+    function routeDistance(waypoints, path = 'great-circle') {
+        let distance = 0;
+        for (let i = 0; i < waypoints.length - 1; i++) {
+            distance += legDistance(waypoints[i], waypoints[i + 1], path);
+        }
+        return distance;
+    }
+
+    /**
+     * Points along every leg of a route, spaced at most `stepKm` apart
+     *
+     * @param {Array<{lat: number, lon: number}>} waypoints - Ordered waypoints
+     * @param {number} [stepKm=DENSIFY_STEP_KM] - Maximum spacing between points
+     * @param {'great-circle'|'rhumb'} [path='great-circle'] - Path flown between them
+     * @returns {Array<{lat: number, lon: number}>} - Points from the first to the last waypoint
+     */
+    function densifyRoute(waypoints, stepKm = DENSIFY_STEP_KM, path = 'great-circle') {
+        const pointsAlong = path === 'rhumb' ? Geodesy.rhumbPoints : Geodesy.greatCirclePoints;
+        const points = waypoints.length > 0 ? [{ lat: waypoints[0].lat, lon: waypoints[0].lon }] : [];
+        for (let i = 0; i < waypoints.length - 1; i++) {
+            const distance = legDistance(waypoints[i], waypoints[i + 1], path);
+            const segments = Math.max(1, Math.ceil(distance / stepKm));
+            points.push(...pointsAlong(waypoints[i], waypoints[i + 1], segments).slice(1));
+        }
+        return points;
+    }
+
+    /**
+     * Role of a waypoint in its route
+     *
+     * @param {number} index - Position in the route
+     * @param {number} count - Number of waypoints
+     * @returns {string} - 'departure', 'stopover' or 'destination'
+     */
+    function waypointRole(index, count) {
+        if (index === 0) return 'departure';
+        if (index === count - 1) return 'destination';
+        return 'stopover';
+    }
+
+    // ========================================================================
+    // GEOJSON EXPORT
+    // ========================================================================
+
+    /**
+     * Split a [lon, lat] line wherever it crosses the antimeridian (RFC 7946 §3.1.9)
+     *
+     * @param {number[][]} coordinates - Line vertices as [lon, lat]
+     * @returns {number[][][]} - One or more line parts
+     */
+    function splitAtAntimeridian(coordinates) {
+        const parts = [[coordinates[0]]];
+        for (let i = 1; i < coordinates.length; i++) {
+            const [lon1, lat1] = coordinates[i - 1];
+            const [lon2, lat2] = coordinates[i];
+            if (Math.abs(lon2 - lon1) > 180) {
+                // Interpolate the latitude where the segment meets ±180°
+                const edge = lon1 > 0 ? 180 : -180;
+                const unwrappedLon2 = lon2 + (lon1 > 0 ? 360 : -360);
+                const t = (edge - lon1) / (unwrappedLon2 - lon1);
+                const lat = lat1 + (lat2 - lat1) * t;
+                parts[parts.length - 1].push([edge, lat]);
+                parts.push([[-edge, lat]]);
+            }
+            parts[parts.length - 1].push(coordinates[i]);
+        }
+        return parts;
+    }
+
+    /**
+     * Build a GeoJSON FeatureCollection from routes
+     * Every waypoint becomes a Point feature and every route with at least one
+     * leg a LineString densified along the route's path (MultiLineString when
+     * it crosses the antimeridian)
+     *
+     * @param {Object[]} routes - Routes as plain data
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    function toGeoJSON(routes) {
+        const features = [];
+
+        for (const route of routes) {
+            const { waypoints } = route;
+            const path = route.path || 'great-circle';
+
+            waypoints.forEach((waypoint, index) => {
+                const properties = {
+                    route: route.name,
+                    index,
+                    role: waypointRole(index, waypoints.length)
+                };
+                if (waypoint.name) properties.name = waypoint.name;
+                if (waypoint.iata) properties.iata = waypoint.iata;
+
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [waypoint.lon, waypoint.lat] },
+                    properties
+                });
+            });
+
+            if (waypoints.length < 2) continue;
+
+            const coordinates = densifyRoute(waypoints, DENSIFY_STEP_KM, path).map((point) => [
+                Number(point.lon.toFixed(6)),
+                Number(point.lat.toFixed(6))
+            ]);
+            const parts = splitAtAntimeridian(coordinates);
+
+            features.push({
+                type: 'Feature',
+                geometry: parts.length === 1
+                    ? { type: 'LineString', coordinates: parts[0] }
+                    : { type: 'MultiLineString', coordinates: parts },
+                properties: {
+                    route: route.name,
+                    name: route.name,
+                    color: route.color,
+                    distance_km: Number(routeDistance(waypoints, path).toFixed(1)),
+                    path,
+                    legs: waypoints.length - 1,
+                    waypoints: waypoints.map((waypoint) => [waypoint.lon, waypoint.lat])
+                }
+            });
+        }
+
+        return { type: 'FeatureCollection', features };
+    }
+
+    // ========================================================================
+    // GEOJSON IMPORT
+    // ========================================================================
+
+    /**
+     * Validate a GeoJSON position and convert it to a waypoint
+     *
+     * @param {*} position - Expected to be [longitude, latitude(, altitude)]
+     * @param {string} where - Location used in error messages
+     * @param {string[]} errors - Collects validation messages
+     * @returns {{lat: number, lon: number}|null} - The waypoint, or null if invalid
+     */
+    function readPosition(position, where, errors) {
+        if (!Array.isArray(position) || position.length < 2) {
+            errors.push(`${where}: position must be an array of [longitude, latitude]`);
+            return null;
+        }
+        const [lon, lat] = position;
+        if (typeof lon !== 'number' || typeof lat !== 'number' || !Number.isFinite(lon) || !Number.isFinite(lat)) {
+            errors.push(`${where}: longitude and latitude must be finite numbers`);
+            return null;
+        }
+        if (lat < -90 || lat > 90) {
+            errors.push(`${where}: latitude ${lat} is outside -90..90`);
+            return null;
+        }
+        if (lon < -180 || lon > 180) {
+            errors.push(`${where}: longitude ${lon} is outside -180..180`);
+            return null;
+        }
+        return { lat, lon };
+    }
+
+    /**
+     * Reduce a line's vertices to its turning points
+     * Vertices lying on the great circle between their neighbours (as produced
+     * by densification) are dropped, the first and last vertex are always kept
+     *
+     * @param {Array<{lat: number, lon: number}>} vertices - Line vertices
+     * @returns {Array<{lat: number, lon: number}>} - Waypoints
+     */
+    function simplifyLine(vertices) {
+        if (vertices.length <= 2) return vertices.slice();
+
+        const kept = [vertices[0]];
+        for (let i = 1; i < vertices.length - 1; i++) {
+            const anchor = kept[kept.length - 1];
+            const offset = Math.abs(Geodesy.crossTrackDistance(vertices[i], anchor, vertices[i + 1]));
+            if (offset > SIMPLIFY_TOLERANCE_KM) kept.push(vertices[i]);
+        }
+        kept.push(vertices[vertices.length - 1]);
+        return kept;
+    }
+
+    /**
+     * Collect the features of any GeoJSON object
+     *
+     * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+     * @param {string[]} errors - Collects validation messages
+     * @returns {Object[]} - Features
+     */
+    function collectFeatures(geojson, errors) {
+        if (!geojson || typeof geojson !== 'object') {
+            errors.push('File is not a GeoJSON object');
+            return [];
+        }
+        if (geojson.type === 'FeatureCollection') {
+            if (!Array.isArray(geojson.features)) {
+                errors.push('FeatureCollection has no "features" array');
+                return [];
+            }
+            return geojson.features;
+        }
+        if (geojson.type === 'Feature') return [geojson];
+        if (typeof geojson.type === 'string' && geojson.coordinates !== undefined) {
+            return [{ type: 'Feature', geometry: geojson, properties: {} }];
+        }
+        errors.push(`Unsupported GeoJSON type "${geojson.type}"`);
+        return [];
+    }
+
+    /**
+     * Turn GeoJSON into routes
+     *
+     * Features are grouped into routes by their "route" property (as written by
+     * toGeoJSON). Within a group, Point features become the waypoints, ordered
+     * by their "index" property; a group without points takes its waypoints
+     * from the line's "waypoints" property or, failing that, from the turning
+     * points of the line itself. Features without a route name become one route
+     * per line, and loose points are gathered into a single route.
+     *
+     * Any invalid geometry rejects the whole import; geometry types that have no
+     * meaning as routes (polygons) are skipped with a warning.
+     *
+     * @param {Object|string} input - Parsed GeoJSON or its JSON text
+     * @returns {{routes: Object[], errors: string[], warnings: string[]}} - Routes when errors is empty
+     */
+    function fromGeoJSON(input) {
+        const errors = [];
+        const warnings = [];
+
+        let geojson = input;
+        if (typeof input === 'string') {
+            try {
+                geojson = JSON.parse(input);
+            } catch (error) {
+                return { routes: [], errors: [`File is not valid JSON: ${error.message}`], warnings };
+            }
+        }
+
+        const groups = new Map();
+        const groupFor = (name) => {
+            if (!groups.has(name)) groups.set(name, { name, points: [], lines: [], color: null });
+            return groups.get(name);
+        };
+        let unnamedLines = 0;
+
+        collectFeatures(geojson, errors).forEach((feature, featureIndex) => {
+            const where = `Feature ${featureIndex + 1}`;
+            if (!feature || feature.type !== 'Feature') {
+                errors.push(`${where}: expected an object with "type": "Feature"`);
+                return;
+            }
+
+            const geometry = feature.geometry;
+            const properties = feature.properties || {};
+            if (!geometry) {
+                warnings.push(`${where}: no geometry, skipped`);
+                return;
+            }
+
+            const routeName = typeof properties.route === 'string' && properties.route.trim()
+                ? properties.route.trim()
+                : null;
+
+            switch (geometry.type) {
+                case 'Point': {
+                    const waypoint = readPosition(geometry.coordinates, where, errors);
+                    if (!waypoint) return;
+                    if (typeof properties.name === 'string') waypoint.name = properties.name;
+                    if (typeof properties.iata === 'string') waypoint.iata = properties.iata;
+                    const order = Number.isFinite(properties.index) ? properties.index : featureIndex;
+                    groupFor(routeName || 'Imported points').points.push({ order, waypoint });
+                    break;
+                }
+                case 'MultiPoint': {
+                    if (!Array.isArray(geometry.coordinates)) {
+                        errors.push(`${where}: MultiPoint coordinates must be an array of positions`);
+                        return;
+                    }
+                    geometry.coordinates.forEach((position, i) => {
+                        const waypoint = readPosition(position, `${where}, point ${i + 1}`, errors);
+                        if (waypoint) groupFor(routeName || 'Imported points').points.push({ order: featureIndex + i / 1000, waypoint });
+                    });
+                    break;
+                }
+                case 'LineString':
+                case 'MultiLineString': {
+                    const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+                    if (!Array.isArray(lines) || !lines.every(Array.isArray)) {
+                        errors.push(`${where}: ${geometry.type} coordinates must be arrays of positions`);
+                        return;
+                    }
+
+                    const errorCount = errors.length;
+                    const vertices = [];
+                    lines.forEach((line, part) => {
+                        line.forEach((position, i) => {
+                            const label = lines.length > 1 ? `${where}, part ${part + 1}, vertex ${i + 1}` : `${where}, vertex ${i + 1}`;
+                            const vertex = readPosition(position, label, errors);
+                            if (!vertex) return;
+                            // Antimeridian splits repeat the crossing point, don't treat it as a turn
+                            const previous = vertices[vertices.length - 1];
+                            if (previous && Math.abs(previous.lat - vertex.lat) < 1e-9 &&
+                                Math.abs(Math.abs(previous.lon - vertex.lon) - 360) < 1e-9) return;
+                            vertices.push(vertex);
+                        });
+                    });
+                    if (errors.length > errorCount) return;
+                    if (vertices.length < 2) {
+                        errors.push(`${where}: a line needs at least two positions`);
+                        return;
+                    }
+
+                    let waypoints = null;
+                    if (Array.isArray(properties.waypoints)) {
+                        const declared = properties.waypoints.map((position, i) => readPosition(position, `${where}, waypoint ${i + 1}`, errors));
+                        if (declared.every(Boolean)) waypoints = declared;
+                    }
+
+                    const name = routeName || (typeof properties.name === 'string' && properties.name.trim()) ||
+                        `Imported line ${++unnamedLines}`;
+                    const group = groupFor(name);
+                    group.lines.push(waypoints || simplifyLine(vertices));
+                    if (typeof properties.color === 'string') group.color = properties.color;
+                    break;
+                }
+                case 'Polygon':
+                case 'MultiPolygon':
+                case 'GeometryCollection':
+                    warnings.push(`${where}: ${geometry.type} geometry is not a route, skipped`);
+                    break;
+                default:
+                    errors.push(`${where}: unknown geometry type "${geometry.type}"`);
+            }
+        });
+
+        if (errors.length > 0) {
+            return { routes: [], errors, warnings };
+        }
+
+        const routes = [];
+        for (const group of groups.values()) {
+            if (group.points.length > 0) {
+                const waypoints = group.points
+                    .sort((a, b) => a.order - b.order)
+                    .map((entry) => entry.waypoint);
+                routes.push({ name: group.name, color: group.color, waypoints });
+            } else {
+                group.lines.forEach((waypoints, i) => {
+                    const name = group.lines.length > 1 ? `${group.name} (${i + 1})` : group.name;
+                    routes.push({ name, color: group.color, waypoints });
+                });
+            }
+        }
+
+        if (routes.length === 0) {
+            errors.push('No points or lines found');
+        }
+
+        return { routes, errors, warnings };
+    }
+
+    // ========================================================================
+    // KML EXPORT
+    // ========================================================================
+
+    /**
+     * Escape text for use in XML content and attribute values
+     *
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped text
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Display name of a waypoint for placemarks and route points
+     *
+     * @param {Object} waypoint - Waypoint
+     * @param {number} index - Position in the route
+     * @returns {string} - Airport code, name or coordinates
+     */
+    function waypointLabel(waypoint, index) {
+        if (waypoint.iata) return waypoint.iata;
+        if (waypoint.name) return waypoint.name;
+        return `WP${index + 1} ${waypoint.lat.toFixed(3)}, ${waypoint.lon.toFixed(3)}`;
+    }
+
+    /**
+     * Convert a "#rrggbb" color to KML's "aabbggrr" notation
+     *
+     * @param {string} color - CSS hex color
+     * @returns {string} - Opaque KML color
+     */
+    function kmlColor(color) {
+        const hex = /^#[0-9a-f]{6}$/i.test(color || '') ? color.slice(1) : 'ffffff';
+        return `ff${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toLowerCase();
+    }
+
+    /**
+     * Build a KML document for Google Earth
+     * Each route becomes a folder with one placemark per waypoint and a line
+     * styled in the route color. The line follows the route's track (with its
+     * altitudes) when given, otherwise the route's path densified on the ground.
+     *
+     * @param {Object[]} routes - Routes as plain data
+     * @returns {string} - KML document
+     */
+    function toKML(routes) {
+        const styles = [];
+        const folders = [];
+
+        routes.forEach((route, routeIndex) => {
+            const styleId = `route-${routeIndex + 1}`;
+            styles.push(
+                `    <Style id="${styleId}">\n` +
+                `      <LineStyle><color>${kmlColor(route.color)}</color><width>3</width></LineStyle>\n` +
+                `      <IconStyle><color>${kmlColor(route.color)}</color></IconStyle>\n` +
+                '    </Style>'
+            );
+
+            const placemarks = route.waypoints.map((waypoint, index) => {
+                const role = waypointRole(index, route.waypoints.length);
+                const description = waypoint.name && waypoint.iata ? waypoint.name : role;
+                return (
+                    '      <Placemark>\n' +
+                    `        <name>${escapeXml(waypointLabel(waypoint, index))}</name>\n` +
+                    `        <description>${escapeXml(description)}</description>\n` +
+                    `        <styleUrl>#${styleId}</styleUrl>\n` +
+                    `        <Point><coordinates>${waypoint.lon.toFixed(6)},${waypoint.lat.toFixed(6)},0</coordinates></Point>\n` +
+                    '      </Placemark>'
+                );
+            });
+
+            if (route.waypoints.length >= 2) {
+                const path = route.path || 'great-circle';
+                const hasTrack = Array.isArray(route.track) && route.track.length >= 2;
+                const points = hasTrack ? route.track : densifyRoute(route.waypoints, DENSIFY_STEP_KM, path);
+                const coordinates = points
+                    .map((point) => `${point.lon.toFixed(6)},${point.lat.toFixed(6)},${Math.round(point.altitude || 0)}`)
+                    .join(' ');
+                const distance = routeDistance(route.waypoints, path).toFixed(1);
+
+                placemarks.push(
+                    '      <Placemark>\n' +
+                    `        <name>${escapeXml(route.name)}</name>\n` +
+                    `        <description>${distance} km ${PATH_LABELS[path]}, ${route.waypoints.length - 1} leg(s)</description>\n` +
+                    `        <styleUrl>#${styleId}</styleUrl>\n` +
+                    '        <LineString>\n' +
+                    '          <tessellate>1</tessellate>\n' +
+                    `          <altitudeMode>${hasTrack ? 'absolute' : 'clampToGround'}</altitudeMode>\n` +
+                    `          <coordinates>${coordinates}</coordinates>\n` +
+                    '        </LineString>\n' +
+                    '      </Placemark>'
+                );
+            }
+
+            folders.push(
+                '    <Folder>\n' +
+                `      <name>${escapeXml(route.name)}</name>\n` +
+                `${placemarks.join('\n')}\n` +
+                '    </Folder>'
+            );
+        });
+
+        return (
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+            '  <Document>\n' +
+            '    <name>Flight Routes</name>\n' +
+            `${styles.concat(folders).join('\n')}\n` +
+            '  </Document>\n' +
+            '</kml>\n'
+        );
+    }
+
+    // ========================================================================
+    // GPX EXPORT
+    // ========================================================================
+
+    /**
+     * Build a GPX 1.1 document for flight-planning apps
+     * Each route is written twice: as a <rte> of its waypoints and as a <trk>
+     * with a track point at least every `trackSpacingKm` along the route's path
+     *
+     * @param {Object[]} routes - Routes as plain data
+     * @param {{trackSpacingKm?: number}} [options] - Track point spacing, default 50 km
+     * @returns {string} - GPX document
+     */
+    function toGPX(routes, options = {}) {
+        const spacing = options.trackSpacingKm > 0 ? options.trackSpacingKm : 50;
+        const coordinates = (point) => `lat="${point.lat.toFixed(6)}" lon="${point.lon.toFixed(6)}"`;
+        const sections = [];
+
+        for (const route of routes) {
+            const routePoints = route.waypoints.map((waypoint, index) => {
+                const description = waypoint.name && waypoint.iata ? `\n      <desc>${escapeXml(waypoint.name)}</desc>` : '';
+                return (
+                    `    <rtept ${coordinates(waypoint)}>\n` +
+                    `      <name>${escapeXml(waypointLabel(waypoint, index))}</name>${description}\n` +
+                    `      <type>${waypointRole(index, route.waypoints.length)}</type>\n` +
+                    '    </rtept>'
+                );
+            });
+            sections.push(`  <rte>\n    <name>${escapeXml(route.name)}</name>\n${routePoints.join('\n')}\n  </rte>`);
+
+            if (route.waypoints.length >= 2) {
+                const trackPoints = densifyRoute(route.waypoints, spacing, route.path)
+                    .map((point) => `      <trkpt ${coordinates(point)}/>`);
+                sections.push(
+                    `  <trk>\n    <name>${escapeXml(route.name)}</name>\n    <trkseg>\n` +
+                    `${trackPoints.join('\n')}\n    </trkseg>\n  </trk>`
+                );
+            }
+        }
+
+        return (
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<gpx version="1.1" creator="3D Globe Flight Tracker" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+            `${sections.join('\n')}\n` +
+            '</gpx>\n'
+        );
+    }
+
+    // ========================================================================
+    // CSV WAYPOINT TABLE
+    // ========================================================================
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or line break (RFC 4180)
+     *
+     * @param {*} value - Field value
+     * @returns {string} - CSV field
+     */
+    function csvField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build a waypoint table with leg and cumulative distances along each route's path
+     *
+     * @param {Object[]} routes - Routes as plain data
+     * @returns {string} - CSV text with a header row
+     */
+    function toCSV(routes) {
+        const rows = [['route', 'index', 'role', 'code', 'name', 'lat', 'lon', 'leg_km', 'cumulative_km']];
+
+        for (const route of routes) {
+            let cumulative = 0;
+            route.waypoints.forEach((waypoint, index) => {
+                const leg = index === 0 ? 0 : legDistance(route.waypoints[index - 1], waypoint, route.path);
+                cumulative += leg;
+                rows.push([
+                    route.name,
+                    index + 1,
+                    waypointRole(index, route.waypoints.length),
+                    waypoint.iata || '',
+                    waypoint.name || '',
+                    waypoint.lat.toFixed(6),
+                    waypoint.lon.toFixed(6),
+                    leg.toFixed(1),
+                    cumulative.toFixed(1)
+                ]);
+            });
+        }
+
+        return `${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+    }
+
+    // ========================================================================
+    // CITY PAIR TABLES
+    // ========================================================================
+
+    /**
+     * Accepted column names for the ends of a city pair, compared case-insensitively
+     * after removing spaces, dashes and underscores
+     */
+    const PAIR_COLUMNS = {
+        origin: ['origin', 'from', 'src', 'source', 'departure', 'dep', 'orig', 'sourceairport', 'originairport', 'origincode'],
+        destination: ['destination', 'to', 'dst', 'dest', 'arrival', 'arr', 'destinationairport', 'destairport', 'destinationcode'],
+        originLat: ['originlat', 'fromlat', 'srclat', 'sourcelat', 'deplat', 'lat1', 'startlat'],
+        originLon: ['originlon', 'originlng', 'fromlon', 'fromlng', 'srclon', 'sourcelon', 'deplon', 'lon1', 'lng1', 'startlon'],
+        destinationLat: ['destinationlat', 'destlat', 'tolat', 'dstlat', 'arrlat', 'lat2', 'endlat'],
+        destinationLon: ['destinationlon', 'destlon', 'destlng', 'tolon', 'tolng', 'dstlon', 'arrlon', 'lon2', 'lng2', 'endlon']
+    };
+
+    /**
+     * Split delimited text into rows of fields (RFC 4180 quoting)
+     * The delimiter is a comma unless the header line only contains tabs or semicolons
+     *
+     * @param {string} text - CSV, TSV or semicolon separated text
+     * @returns {string[][]} - Rows of raw field values, blank lines dropped
+     */
+    function parseDelimited(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const header = source.slice(0, source.search(/\r?\n|$/));
+        let delimiter = ',';
+        if (!header.includes(',')) {
+            if (header.includes('\t')) delimiter = '\t';
+            else if (header.includes(';')) delimiter = ';';
+        }
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+    }
+
+    /**
+     * Find the column that plays a role in a city pair table
+     *
+     * @param {string[]} columns - Column names
+     * @param {string[]} candidates - Normalized names accepted for the role
+     * @returns {string|null} - Matching column name
+     */
+    function findColumn(columns, candidates) {
+        const normalize = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+        return columns.find((column) => candidates.includes(normalize(column))) || null;
+    }
+
+    /**
+     * Read one end of a city pair from a record
+     *
+     * @param {Object} record - Table row keyed by column
+     * @param {string|null} codeColumn - Column with an airport code or "lat,lon"
+     * @param {string|null} latColumn - Column with a latitude
+     * @param {string|null} lonColumn - Column with a longitude
+     * @param {Function} resolveCode - Looks up an airport code, returning {lat, lon, name} or null
+     * @returns {{lat: number, lon: number, label: string}|string} - Location, or why it could not be read
+     */
+    function readPairEnd(record, codeColumn, latColumn, lonColumn, resolveCode) {
+        const code = codeColumn ? String(record[codeColumn] ?? '').trim() : '';
+
+        if (latColumn && lonColumn && record[latColumn] !== '' && record[latColumn] !== undefined) {
+            const lat = Number(record[latColumn]);
+            const lon = Number(record[lonColumn]);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+                return `invalid coordinates "${record[latColumn]}, ${record[lonColumn]}"`;
+            }
+            return { lat, lon, label: code || `${lat.toFixed(2)}, ${lon.toFixed(2)}` };
+        }
+
+        if (!code) return 'missing location';
+
+        const coordinates = code.match(/^(-?\d+(?:\.\d+)?)\s*[, ]\s*(-?\d+(?:\.\d+)?)$/);
+        if (coordinates) {
+            const lat = Number(coordinates[1]);
+            const lon = Number(coordinates[2]);
+            if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return `invalid coordinates "${code}"`;
+            return { lat, lon, label: code };
+        }
+
+        const airport = resolveCode ? resolveCode(code) : null;
+        if (!airport) return `unknown airport code "${code}"`;
+        return { lat: airport.lat, lon: airport.lon, label: code.toUpperCase() };
+    }
+
+    /**
+     * Read a table of city pairs for network visualization
+     *
+     * Accepts CSV text with a header row, a JSON array of objects, or an
+     * already parsed array. Each end of a pair is taken from lat/lon columns
+     * (e.g. "origin_lat", "origin_lon") when present, otherwise from a code
+     * column (e.g. "origin", "from") holding an airport code or "lat,lon".
+     * Rows that cannot be placed are skipped and reported as warnings; only a
+     * table without usable columns is an error.
+     *
+     * @param {string|Object[]} input - CSV/JSON text or array of records
+     * @param {{resolveCode?: Function}} [options] - Airport code lookup
+     * @returns {{pairs: Object[], columns: string[], errors: string[], warnings: string[]}} - Pairs as {from, to, record}
+     */
+    function fromRouteTable(input, options = {}) {
+        const errors = [];
+        const warnings = [];
+        let records = input;
+        let columns = [];
+
+        if (typeof input === 'string') {
+            const text = input.trim();
+            if (text.startsWith('[') || text.startsWith('{')) {
+                try {
+                    records = JSON.parse(text);
+                } catch (error) {
+                    return { pairs: [], columns, errors: [`File is not valid JSON: ${error.message}`], warnings };
+                }
+                if (records && !Array.isArray(records) && Array.isArray(records.routes)) records = records.routes;
+            } else {
+                const [header = [], ...rows] = parseDelimited(text);
+                columns = header.map((name) => name.trim());
+                records = rows.map((fields) => {
+                    const record = {};
+                    columns.forEach((column, i) => {
+                        record[column] = (fields[i] ?? '').trim();
+                    });
+                    return record;
+                });
+            }
+        }
+
+        if (!Array.isArray(records)) {
+            return { pairs: [], columns, errors: ['Expected a CSV table or a JSON array of routes'], warnings };
+        }
+        if (columns.length === 0) {
+            const seen = new Set();
+            records.forEach((record) => {
+                if (record && typeof record === 'object') Object.keys(record).forEach((key) => seen.add(key));
+            });
+            columns = [...seen];
+        }
+
+        const column = {};
+        Object.keys(PAIR_COLUMNS).forEach((role) => {
+            column[role] = findColumn(columns, PAIR_COLUMNS[role]);
+        });
+        const hasOrigin = column.origin || (column.originLat && column.originLon);
+        const hasDestination = column.destination || (column.destinationLat && column.destinationLon);
+        if (!hasOrigin || !hasDestination) {
+            errors.push('Could not find origin and destination columns (e.g. "origin,destination" or "origin_lat,origin_lon,dest_lat,dest_lon")');
+            return { pairs: [], columns, errors, warnings };
+        }
+
+        const pairs = [];
+        let skipped = 0;
+        records.forEach((record, index) => {
+            if (!record || typeof record !== 'object') {
+                skipped++;
+                return;
+            }
+            const from = readPairEnd(record, column.origin, column.originLat, column.originLon, options.resolveCode);
+            const to = readPairEnd(record, column.destination, column.destinationLat, column.destinationLon, options.resolveCode);
+            const problem = typeof from === 'string' ? from : (typeof to === 'string' ? to : null);
+
+            if (problem) {
+                skipped++;
+                if (warnings.length < 5) warnings.push(`Row ${index + 1}: ${problem}`);
+                return;
+            }
+            pairs.push({ from, to, record });
+        });
+
+        if (skipped > warnings.length) {
+            warnings.push(`${skipped - warnings.length} more row${skipped - warnings.length === 1 ? '' : 's'} skipped`);
+        }
+        if (pairs.length === 0) {
+            errors.push('No routes could be placed');
+        }
+
+        return { pairs, columns, errors, warnings };
+    }
+
+    // ========================================================================
+    // TIMESTAMPED TRACKS
+    // ========================================================================
+
+    /**
+     * Accepted column (or property) names for track points, normalized like PAIR_COLUMNS
+     */
+    const TRACK_COLUMNS = {
+        lat: ['lat', 'latitude'],
+        lon: ['lon', 'lng', 'long', 'longitude'],
+        altitude: ['alt', 'altitude', 'ele', 'elevation', 'altitudem', 'altm', 'geoaltitude', 'baroaltitude'],
+        altitudeFeet: ['altft', 'altitudeft', 'altitudefeet', 'baroaltitudeft'],
+        time: ['time', 'timestamp', 'datetime', 'date', 'utc', 't', 'epoch']
+    };
+
+    /**
+     * Parse a track timestamp
+     * Numbers are epoch seconds, or milliseconds when too large to be seconds;
+     * strings may also be anything Date.parse understands (ISO 8601)
+     *
+     * @param {*} value - Timestamp
+     * @returns {number} - Epoch milliseconds, NaN if unreadable
+     */
+    function parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return NaN;
+        const number = Number(value);
+        if (Number.isFinite(number)) return number < 1e11 ? number * 1000 : number;
+        return Date.parse(String(value));
+    }
+
+    /**
+     * Read the track points of a GPX document (<trkpt> with <ele> and <time>)
+     *
+     * @param {string} text - GPX text
+     * @returns {Object[]} - Raw points as { lat, lon, altitude, time }
+     */
+    function readGPXTrackPoints(text) {
+        const points = [];
+        const pattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+        let match;
+        while ((match = pattern.exec(text))) {
+            const attribute = (name) => {
+                const found = match[1].match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+                return found ? found[1] : undefined;
+            };
+            const element = (name) => {
+                const found = (match[2] || '').match(new RegExp(`<${name}>([^<]*)</${name}>`));
+                return found ? found[1].trim() : undefined;
+            };
+            points.push({ lat: attribute('lat'), lon: attribute('lon'), altitude: element('ele'), time: element('time') });
+        }
+        return points;
+    }
+
+    /**
+     * Read a timestamped flight track for playback
+     *
+     * Accepts GPX (track points with <time>), CSV with a header row, or a JSON
+     * array of point objects (or of [lon, lat, altitude, time] arrays), also
+     * wrapped as { points: [...] } or { track: [...] }. Altitudes are metres
+     * unless the column is marked as feet. Points are sorted by time, and
+     * points repeating an earlier time are dropped.
+     *
+     * @param {string|Object[]} input - Track text or array of points
+     * @returns {{points: Array<{time: number, lat: number, lon: number, altitude: number}>, errors: string[], warnings: string[]}} - Points with epoch millisecond times
+     */
+    function fromTrack(input) {
+        const errors = [];
+        const warnings = [];
+        let raw = input;
+        let columns = null;
+
+        if (typeof input === 'string') {
+            const text = input.trim();
+            if (text.startsWith('<')) {
+                raw = readGPXTrackPoints(text);
+                columns = { lat: 'lat', lon: 'lon', altitude: 'altitude', time: 'time' };
+            } else if (text.startsWith('[') || text.startsWith('{')) {
+                try {
+                    raw = JSON.parse(text);
+                } catch (error) {
+                    return { points: [], errors: [`File is not valid JSON: ${error.message}`], warnings };
+                }
+                if (raw && !Array.isArray(raw)) raw = raw.points || raw.track || raw.path;
+            } else {
+                const [header = [], ...rows] = parseDelimited(text);
+                const names = header.map((name) => name.trim());
+                raw = rows.map((fields) => {
+                    const record = {};
+                    names.forEach((name, i) => {
+                        record[name] = (fields[i] ?? '').trim();
+                    });
+                    return record;
+                });
+            }
+        }
+
+        if (!Array.isArray(raw)) {
+            return { points: [], errors: ['Expected a GPX track, a CSV table or a JSON array of points'], warnings };
+        }
+
+        // Arrays follow the GeoJSON position order with time appended: [lon, lat, altitude, time]
+        raw = raw.map((entry) => (Array.isArray(entry)
+            ? { lon: entry[0], lat: entry[1], altitude: entry[2], time: entry[3] }
+            : entry));
+
+        if (!columns) {
+            const names = raw.length > 0 && raw[0] && typeof raw[0] === 'object' ? Object.keys(raw[0]) : [];
+            columns = {};
+            Object.keys(TRACK_COLUMNS).forEach((role) => {
+                columns[role] = findColumn(names, TRACK_COLUMNS[role]);
+            });
+            if (!columns.lat || !columns.lon || !columns.time) {
+                return { points: [], errors: ['Could not find latitude, longitude and time columns'], warnings };
+            }
+        }
+
+        const points = [];
+        raw.forEach((record, index) => {
+            const where = `Point ${index + 1}`;
+            if (!record || typeof record !== 'object') {
+                errors.push(`${where}: expected an object`);
+                return;
+            }
+
+            const lat = Number(record[columns.lat]);
+            const lon = Number(record[columns.lon]);
+            const time = parseTimestamp(record[columns.time]);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+                errors.push(`${where}: invalid coordinates "${record[columns.lat]}, ${record[columns.lon]}"`);
+                return;
+            }
+            if (!Number.isFinite(time)) {
+                errors.push(`${where}: unreadable time "${record[columns.time]}"`);
+                return;
+            }
+
+            let altitude = 0;
+            if (columns.altitude && record[columns.altitude] !== '' && record[columns.altitude] !== undefined) {
+                altitude = Number(record[columns.altitude]);
+            } else if (columns.altitudeFeet && record[columns.altitudeFeet] !== '' && record[columns.altitudeFeet] !== undefined) {
+                altitude = Number(record[columns.altitudeFeet]) * 0.3048;
+            }
+            points.push({ time, lat, lon, altitude: Number.isFinite(altitude) ? Math.max(0, altitude) : 0 });
+        });
+
+        if (errors.length > 0) {
+            return { points: [], errors, warnings };
+        }
+
+        points.sort((a, b) => a.time - b.time);
+        const unique = points.filter((point, i) => i === 0 || point.time > points[i - 1].time);
+        if (unique.length < points.length) {
+            warnings.push(`${points.length - unique.length} point(s) with repeated times dropped`);
+        }
+        if (unique.length < 2) {
+            errors.push('A track needs at least two points with different times');
+            return { points: [], errors, warnings };
+        }
+
+        return { points: unique, errors, warnings };
+    }
+
+    return {
+        routeDistance,
+        densifyRoute,
+        toGeoJSON,
+        fromGeoJSON,
+        toKML,
+        toGPX,
+        toCSV,
+        parseDelimited,
+        fromRouteTable,
+        fromTrack
+    };
+});
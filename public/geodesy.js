@@ -0,0 +1,564 @@
+/**
+ * Geodesy helpers for the 3D Globe Flight Tracker
+ *
+ * Standalone, dependency-free math for working with positions on Earth:
+ * conversion between globe-local vectors and latitude/longitude, spherical
+ * (haversine) and ellipsoidal (WGS84) distances, bearings, midpoints and
+ * intermediate points along great circles and rhumb lines.
+ *
+ * Loaded as a plain script in the browser (exposed as `window.Geodesy`) and
+ * as a CommonJS module in Node, so it can be used and tested without a WebGL
+ * context. Vectors are plain `{ x, y, z }` objects, which means THREE.Vector3
+ * instances can be passed in and results can be copied into them.
+ *
+ * Positions are `{ lat, lon }` objects in decimal degrees, distances are in
+ * kilometres and bearings in degrees clockwise from true north.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Geodesy = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Mean Earth radius in kilometres (IUGG), used for spherical calculations
+     */
+    const EARTH_RADIUS_KM = 6371.0088;
+
+    /**
+     * WGS84 reference ellipsoid (semi-major axis and semi-minor axis in metres, flattening)
+     */
+    const WGS84 = {
+        a: 6378137,
+        b: 6356752.314245,
+        f: 1 / 298.257223563
+    };
+
+    /**
+     * Positions whose directions from the Earth's center are closer than this
+     * (sine of the angle between them) to exactly opposite are antipodal
+     */
+    const ANTIPODAL_TOLERANCE = 1e-9;
+
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const toDegrees = (radians) => radians * 180 / Math.PI;
+
+    /**
+     * Wrap a longitude into the -180..180 range
+     *
+     * @param {number} lon - Longitude in degrees
+     * @returns {number} - Equivalent longitude in [-180, 180)
+     */
+    function normalizeLongitude(lon) {
+        return ((lon + 540) % 360 + 360) % 360 - 180;
+    }
+
+    /**
+     * Wrap a bearing into the 0..360 range
+     *
+     * @param {number} bearing - Bearing in degrees
+     * @returns {number} - Equivalent bearing in [0, 360)
+     */
+    function normalizeBearing(bearing) {
+        return (bearing % 360 + 360) % 360;
+    }
+
+    // ========================================================================
+    // VECTOR <-> LAT/LON CONVERSION
+    // ========================================================================
+
+    /**
+     * Convert latitude/longitude to a globe-local position
+     *
+     * The axes match THREE.SphereGeometry's default UV layout with an
+     * equirectangular Earth texture: +Y is the north pole, longitude 0 lies on
+     * +X and longitudes increase eastward towards -Z.
+     *
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} [radius=1] - Distance from the globe center
+     * @returns {{x: number, y: number, z: number}} - Position in globe local coordinates
+     */
+    function latLonToVector(lat, lon, radius = 1) {
+        const phi = toRadians(lat);
+        const lambda = toRadians(lon);
+        return {
+            x: radius * Math.cos(phi) * Math.cos(lambda),
+            y: radius * Math.sin(phi),
+            z: -radius * Math.cos(phi) * Math.sin(lambda)
+        };
+    }
+
+    /**
+     * Convert a globe-local position to latitude/longitude
+     * The vector does not need to be normalized; only its direction is used
+     *
+     * @param {{x: number, y: number, z: number}} vector - Position in globe local coordinates
+     * @returns {{lat: number, lon: number}} - Latitude/longitude in degrees
+     */
+    function vectorToLatLon(vector) {
+        const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+        if (length === 0) {
+            return { lat: 0, lon: 0 };
+        }
+        const lat = toDegrees(Math.asin(Math.max(-1, Math.min(1, vector.y / length))));
+        const lon = toDegrees(Math.atan2(-vector.z, vector.x));
+        return { lat, lon: normalizeLongitude(lon) };
+    }
+
+    // ========================================================================
+    // DISTANCES
+    // ========================================================================
+
+    /**
+     * Central angle between two positions on a sphere
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @returns {number} - Angular distance in radians
+     */
+    function angularDistance(from, to) {
+        const phi1 = toRadians(from.lat);
+        const phi2 = toRadians(to.lat);
+        const deltaPhi = phi2 - phi1;
+        const deltaLambda = toRadians(to.lon - from.lon);
+
+        const h = Math.sin(deltaPhi / 2) ** 2 +
+            Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+        return 2 * Math.atan2(Math.sqrt(h), Math.sqrt(Math.max(0, 1 - h)));
+    }
+
+    /**
+     * Great circle distance on a spherical Earth (haversine formula)
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @param {number} [radius=EARTH_RADIUS_KM] - Sphere radius in kilometres
+     * @returns {number} - Distance in kilometres
+     */
+    function haversineDistance(from, to, radius = EARTH_RADIUS_KM) {
+        return angularDistance(from, to) * radius;
+    }
+
+    /**
+     * Geodesic distance on the WGS84 ellipsoid (Vincenty inverse formula)
+     * Accurate to within millimetres; the iteration does not converge for nearly
+     * antipodal points, in which case the haversine distance is returned instead
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @returns {number} - Distance in kilometres
+     */
+    function vincentyDistance(from, to) {
+        const { a, b, f } = WGS84;
+        const L = toRadians(to.lon - from.lon);
+        const U1 = Math.atan((1 - f) * Math.tan(toRadians(from.lat)));
+        const U2 = Math.atan((1 - f) * Math.tan(toRadians(to.lat)));
+        const sinU1 = Math.sin(U1);
+        const cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2);
+        const cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let previousLambda;
+        let iterations = 0;
+        let sinSigma;
+        let cosSigma;
+        let sigma;
+        let cosSqAlpha;
+        let cos2SigmaM;
+
+        do {
+            const sinLambda = Math.sin(lambda);
+            const cosLambda = Math.cos(lambda);
+            sinSigma = Math.sqrt(
+                (cosU2 * sinLambda) ** 2 +
+                (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2
+            );
+            if (sinSigma === 0) {
+                return 0; // Coincident points
+            }
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cosSqAlpha = 1 - sinAlpha * sinAlpha;
+            // Equatorial lines have cosSqAlpha = 0
+            cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+            const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+            previousLambda = lambda;
+            lambda = L + (1 - C) * f * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+        } while (Math.abs(lambda - previousLambda) > 1e-12 && ++iterations < 200 && Math.abs(lambda) <= Math.PI * 1.5);
+
+        if (iterations >= 200 || Math.abs(lambda) > Math.PI * 1.5) {
+            // Nearly antipodal: Vincenty fails to converge, fall back to the sphere
+            return haversineDistance(from, to);
+        }
+
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+            cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+        ));
+
+        return b * A * (sigma - deltaSigma) / 1000;
+    }
+
+    // ========================================================================
+    // BEARINGS
+    // ========================================================================
+
+    /**
+     * Initial bearing (forward azimuth) when leaving `from` towards `to` on a great circle
+     * For antipodes this is the bearing of the path intermediatePoint takes:
+     * due north, or due south from the southern hemisphere and the North Pole
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @returns {number} - Bearing in degrees, 0..360 clockwise from north
+     */
+    function initialBearing(from, to) {
+        if (isAntipodal(from, to)) {
+            return (from.lat < 0) !== (Math.abs(from.lat) >= 90) ? 180 : 0;
+        }
+
+        const phi1 = toRadians(from.lat);
+        const phi2 = toRadians(to.lat);
+        const deltaLambda = toRadians(to.lon - from.lon);
+
+        const y = Math.sin(deltaLambda) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) -
+            Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+        return normalizeBearing(toDegrees(Math.atan2(y, x)));
+    }
+
+    /**
+     * Final bearing when arriving at `to` from `from` on a great circle
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @returns {number} - Bearing in degrees, 0..360 clockwise from north
+     */
+    function finalBearing(from, to) {
+        // Antipodal paths cross a pole, so they arrive heading the opposite way
+        if (isAntipodal(from, to)) return normalizeBearing(initialBearing(from, to) + 180);
+        return normalizeBearing(initialBearing(to, from) + 180);
+    }
+
+    /**
+     * Distance of a point from the great circle through two positions
+     * Positive when the point lies to the right of the path, negative to the left
+     *
+     * @param {{lat: number, lon: number}} point - Position to measure
+     * @param {{lat: number, lon: number}} from - Start of the great circle path
+     * @param {{lat: number, lon: number}} to - End of the great circle path
+     * @param {number} [radius=EARTH_RADIUS_KM] - Sphere radius in kilometres
+     * @returns {number} - Cross-track distance in kilometres
+     */
+    function crossTrackDistance(point, from, to, radius = EARTH_RADIUS_KM) {
+        const delta13 = angularDistance(from, point);
+        const theta13 = toRadians(initialBearing(from, point));
+        const theta12 = toRadians(initialBearing(from, to));
+        return Math.asin(Math.sin(delta13) * Math.sin(theta13 - theta12)) * radius;
+    }
+
+    // ========================================================================
+    // POINTS ALONG GREAT CIRCLES
+    // ========================================================================
+
+    /**
+     * Whether two positions are on exactly opposite sides of the Earth
+     * Every great circle through antipodal points is equally short, so the
+     * path between them has to be chosen rather than calculated
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @returns {boolean} - True for antipodes
+     */
+    function isAntipodal(from, to) {
+        const { cosine, sine } = separation(latLonToVector(from.lat, from.lon), latLonToVector(to.lat, to.lon));
+        return cosine < 0 && sine < ANTIPODAL_TOLERANCE;
+    }
+
+    /**
+     * Angle between two unit vectors, and the direction from the first
+     * towards the second along the sphere
+     * The sine comes from the length of that direction rather than from the
+     * cosine, so it stays exact near 0° and 180°.
+     *
+     * @param {{x: number, y: number, z: number}} start - Unit vector
+     * @param {{x: number, y: number, z: number}} end - Unit vector
+     * @returns {{cosine: number, sine: number, direction: Object}} - Direction is not normalized (its length is the sine)
+     */
+    function separation(start, end) {
+        const cosine = start.x * end.x + start.y * end.y + start.z * end.z;
+        const direction = {
+            x: end.x - start.x * cosine,
+            y: end.y - start.y * cosine,
+            z: end.z - start.z * cosine
+        };
+        const sine = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+        return { cosine, sine, direction };
+    }
+
+    /**
+     * Point at a given fraction of the way along the great circle between two positions
+     *
+     * Works on the unit vectors of the positions: the start vector is turned
+     * towards the end by a fraction of the angle between them, which stays
+     * accurate for identical, nearly identical and nearly antipodal positions.
+     * Antipodal positions are joined along the start's meridian over the
+     * nearer pole (the North Pole from the equator); from a pole, the path
+     * follows the start's longitude.
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @param {number} fraction - 0 returns `from`, 1 returns `to`
+     * @returns {{lat: number, lon: number}} - Intermediate position
+     */
+    function intermediatePoint(from, to, fraction) {
+        const start = latLonToVector(from.lat, from.lon);
+        const end = latLonToVector(to.lat, to.lon);
+        const { cosine, sine, direction: towardsEnd } = separation(start, end);
+        let direction;
+        let delta = Math.atan2(sine, cosine);
+
+        if (sine < ANTIPODAL_TOLERANCE) {
+            if (cosine > 0) {
+                return { lat: from.lat, lon: from.lon };
+            }
+
+            // Antipodes: head due north (south in the southern hemisphere, away from a pole)
+            const phi = toRadians(from.lat);
+            const lambda = toRadians(from.lon);
+            const towardsPole = (from.lat < 0 ? -1 : 1) * (Math.abs(from.lat) >= 90 ? -1 : 1);
+            direction = {
+                x: -towardsPole * Math.sin(phi) * Math.cos(lambda),
+                y: towardsPole * Math.cos(phi),
+                z: towardsPole * Math.sin(phi) * Math.sin(lambda)
+            };
+            delta = Math.PI;
+        } else {
+            // Unit direction along the surface at the start, towards the end
+            direction = { x: towardsEnd.x / sine, y: towardsEnd.y / sine, z: towardsEnd.z / sine };
+        }
+
+        const a = Math.cos(fraction * delta);
+        const b = Math.sin(fraction * delta);
+        return vectorToLatLon({
+            x: a * start.x + b * direction.x,
+            y: a * start.y + b * direction.y,
+            z: a * start.z + b * direction.z
+        });
+    }
+
+    /**
+     * Halfway point along the great circle between two positions
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @returns {{lat: number, lon: number}} - Midpoint
+     */
+    function midpoint(from, to) {
+        return intermediatePoint(from, to, 0.5);
+    }
+
+    /**
+     * Evenly spaced points along the great circle between two positions
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @param {number} segments - Number of segments (returns segments + 1 points)
+     * @returns {Array<{lat: number, lon: number}>} - Points from `from` to `to` inclusive
+     */
+    function greatCirclePoints(from, to, segments) {
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            points.push(intermediatePoint(from, to, i / segments));
+        }
+        return points;
+    }
+
+    /**
+     * Number of segments that draws the great circle between two positions
+     * smoothly: one per `maxSegmentAngle` degrees of arc, within limits, so
+     * short hops stay cheap and the longest routes don't turn into polygons
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @param {Object} [options] - Resolution and limits
+     * @param {number} [options.maxSegmentAngle=2] - Longest segment in degrees of arc
+     * @param {number} [options.minSegments=8] - Fewest segments, for short routes
+     * @param {number} [options.maxSegments=128] - Most segments, for the longest routes
+     * @returns {number} - Segment count
+     */
+    function greatCircleSegmentCount(from, to, options = {}) {
+        const maxSegmentAngle = options.maxSegmentAngle || 2;
+        const minSegments = options.minSegments || 8;
+        const maxSegments = Math.max(options.maxSegments || 128, minSegments);
+        const segments = Math.ceil(toDegrees(angularDistance(from, to)) / maxSegmentAngle);
+        return Math.min(Math.max(segments, minSegments), maxSegments);
+    }
+
+    /**
+     * Position reached by travelling a distance along a great circle from a start point
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {number} distance - Distance in kilometres
+     * @param {number} bearing - Initial bearing in degrees
+     * @param {number} [radius=EARTH_RADIUS_KM] - Sphere radius in kilometres
+     * @returns {{lat: number, lon: number}} - Destination position
+     */
+    function destinationPoint(from, distance, bearing, radius = EARTH_RADIUS_KM) {
+        const delta = distance / radius;
+        const theta = toRadians(bearing);
+        const phi1 = toRadians(from.lat);
+        const lambda1 = toRadians(from.lon);
+
+        const sinPhi2 = Math.sin(phi1) * Math.cos(delta) +
+            Math.cos(phi1) * Math.sin(delta) * Math.cos(theta);
+        const phi2 = Math.asin(Math.max(-1, Math.min(1, sinPhi2)));
+        const lambda2 = lambda1 + Math.atan2(
+            Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+            Math.cos(delta) - Math.sin(phi1) * sinPhi2
+        );
+
+        return { lat: toDegrees(phi2), lon: normalizeLongitude(toDegrees(lambda2)) };
+    }
+
+    // ========================================================================
+    // RHUMB LINES
+    // ========================================================================
+
+    /**
+     * Stretched latitude of the Mercator projection, in which rhumb lines are straight
+     * Clamped just short of the poles, where it goes to infinity
+     *
+     * @param {number} phi - Latitude in radians
+     * @returns {number} - Mercator ordinate in radians
+     */
+    function mercatorLatitude(phi) {
+        const limit = Math.PI / 2 - 1e-9;
+        return Math.log(Math.tan(Math.PI / 4 + Math.max(-limit, Math.min(limit, phi)) / 2));
+    }
+
+    /**
+     * Latitude and longitude change of the rhumb line between two positions
+     * The longitude change takes the shorter way around, across the antimeridian if needed
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @returns {{deltaPhi: number, deltaLambda: number, deltaPsi: number, q: number}} - Radians, and the east-west stretch factor q
+     */
+    function rhumbDeltas(from, to) {
+        const phi1 = toRadians(from.lat);
+        const phi2 = toRadians(to.lat);
+        const deltaPhi = phi2 - phi1;
+        const deltaLambda = toRadians(normalizeLongitude(to.lon - from.lon));
+        const deltaPsi = mercatorLatitude(phi2) - mercatorLatitude(phi1);
+
+        // Along a parallel deltaPhi / deltaPsi is 0 / 0; its limit is cos(latitude)
+        const q = Math.abs(deltaPsi) > 1e-12 ? deltaPhi / deltaPsi : Math.cos(phi1);
+        return { deltaPhi, deltaLambda, deltaPsi, q };
+    }
+
+    /**
+     * Distance along the rhumb line (loxodrome) between two positions: the
+     * path flown at one constant compass heading
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @param {number} [radius=EARTH_RADIUS_KM] - Sphere radius in kilometres
+     * @returns {number} - Distance in kilometres, never shorter than the great circle
+     */
+    function rhumbDistance(from, to, radius = EARTH_RADIUS_KM) {
+        const { deltaPhi, deltaLambda, q } = rhumbDeltas(from, to);
+        return Math.sqrt(deltaPhi * deltaPhi + q * q * deltaLambda * deltaLambda) * radius;
+    }
+
+    /**
+     * Constant bearing of the rhumb line from `from` to `to`
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @returns {number} - Bearing in degrees, 0..360 clockwise from north
+     */
+    function rhumbBearing(from, to) {
+        const { deltaLambda, deltaPsi } = rhumbDeltas(from, to);
+        return normalizeBearing(toDegrees(Math.atan2(deltaLambda, deltaPsi)));
+    }
+
+    /**
+     * Point at a given fraction of the way along the rhumb line between two positions
+     * Latitude changes evenly with distance; longitude follows the straight
+     * line between the two positions on a Mercator map
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @param {number} fraction - 0 returns `from`, 1 returns `to`
+     * @returns {{lat: number, lon: number}} - Intermediate position
+     */
+    function rhumbIntermediatePoint(from, to, fraction) {
+        const { deltaPhi, deltaLambda, deltaPsi } = rhumbDeltas(from, to);
+        const phi1 = toRadians(from.lat);
+        const phi = phi1 + deltaPhi * fraction;
+
+        // Along a parallel the longitude changes evenly too
+        const progress = Math.abs(deltaPsi) > 1e-12
+            ? (mercatorLatitude(phi) - mercatorLatitude(phi1)) / deltaPsi
+            : fraction;
+
+        return {
+            lat: toDegrees(phi),
+            lon: normalizeLongitude(from.lon + toDegrees(deltaLambda * progress))
+        };
+    }
+
+    /**
+     * Evenly spaced points along the rhumb line between two positions
+     *
+     * @param {{lat: number, lon: number}} from - Start position
+     * @param {{lat: number, lon: number}} to - End position
+     * @param {number} segments - Number of segments (returns segments + 1 points)
+     * @returns {Array<{lat: number, lon: number}>} - Points from `from` to `to` inclusive
+     */
+    function rhumbPoints(from, to, segments) {
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            points.push(rhumbIntermediatePoint(from, to, i / segments));
+        }
+        return points;
+    }
+
+    return {
+        EARTH_RADIUS_KM,
+        WGS84,
+        toRadians,
+        toDegrees,
+        normalizeLongitude,
+        normalizeBearing,
+        latLonToVector,
+        vectorToLatLon,
+        angularDistance,
+        haversineDistance,
+        vincentyDistance,
+        initialBearing,
+        finalBearing,
+        crossTrackDistance,
+        isAntipodal,
+        intermediatePoint,
+        midpoint,
+        greatCirclePoints,
+        greatCircleSegmentCount,
+        destinationPoint,
+        rhumbDistance,
+        rhumbBearing,
+        rhumbIntermediatePoint,
+        rhumbPoints
+    };
+});
@@ -2,17 +2,37 @@
  * 3D Globe Flight Tracker
  * 
  * An interactive 3D globe application built with Three.js that visualizes
- * flight paths between any two points on Earth with realistic airplane animations.
+ * multi-leg flight itineraries on Earth with realistic airplane animations.
  * 
  * Features:
  * - Interactive pin placement on globe surface
- * - Great circle route calculation and visualization
+ * - Multi-leg itineraries with insertable and removable stopovers
+ * - Multiple concurrent routes managed from the UI panel
+ * - Route info card with distance, heading and estimated block time
+ * - Offline airport search with snap-to-airport pin placement (airports.js)
+ * - Drag-to-edit pins with live route recalculation
+ * - Undo/redo history for pin and route edits
+ * - Shareable deep links encoding routes, options and camera
+ * - GeoJSON import/export of routes and pins (formats.js)
+ * - KML, GPX and CSV waypoint table export
+ * - Bulk route networks from CSV/JSON drawn as one merged arc geometry
+ * - Live aircraft from a WebSocket or polled OpenSky-style feed (feed.js)
+ * - Timed playback of recorded tracks with a timeline scrubber
+ * - Great circle route calculation and visualization (geodesy.js)
+ * - Rhumb line and side-by-side comparison path modes
+ * - Climb, cruise and descent flight profile with an altitude chart (profile.js)
+ * - Flat equirectangular and Mercator map view with an animated globe-to-map morph (projection.js)
  * - Realistic 3D airplane model with proper flight orientation
- * - Real Earth textures with fallback support
+ * - Self-hosted XYZ/TMS tiled imagery with level of detail and a bundled offline tile set (tiles.js)
  * - Animated sun with corona effects
  * - Starfield background for immersive space environment
  * - Mobile-responsive touch controls
- * - Smooth 60fps animations
+ * - Chase, cockpit and keep-in-frame camera modes following the airplane
+ * - Animated camera fly-to for locations, pins and routes
+ * - Frame-rate independent animations on a shared clock, with airplanes at true ground speed
+ * - Real sun position and sidereal globe orientation with city lights on the night side (astronomy.js)
+ * - Sun-lit atmospheric scattering glow and a drifting cloud layer, each toggleable
+ * - Country borders, coastlines and zoom-faded place names from bundled Natural Earth data
  * 
  * @author 3D Globe Flight Tracker Team
  * @version 1.0.0
@@ -57,10 +77,32 @@ let controls;           // Camera controls (orbit or fallback)
 /**
  * Interactive elements for flight visualization
  */
-let pins = [];          // Array to store placed location pins (max 2)
-let flightPath = null;  // The flight path line connecting pins
-let animatedParticle = null; // The airplane that flies along the path
+let routes = [];        // All routes, each with its own pins, arc, color and airplane
+let activeRoute = null; // The route that receives new pins and is shown in the itinerary
+let nextRouteId = 1;    // Incrementing id used for default route names
 let isRotating = true;  // Flag to control automatic globe rotation
+let pinDrag = null;     // Active pin drag: { route, pin, moved } while a pin is being dragged
+let suppressNextClick = false; // Swallow the click that ends a pin drag so it doesn't place a pin
+
+/**
+ * Pins, route lines and aircraft under the pointer (see OBJECT PICKING)
+ * A pick is { kind, ... } with kind 'pin', 'leg', 'airplane', 'traffic' or 'playback'
+ */
+const picking = {
+    hovered: null,  // Pick described by the hover tooltip
+    popup: null     // Pick whose popup is open, kept next to its object as the globe turns
+};
+const PICK_LINE_PIXELS = 6;     // How close the pointer must come to a route line to pick it
+
+/**
+ * Undo/redo history
+ * Each entry is a command object { label, undo(), redo() } recorded after an edit was applied
+ */
+const editHistory = {
+    undoStack: [],
+    redoStack: [],
+    limit: 100      // Oldest commands are dropped beyond this many
+};
 
 /**
  * Input handling objects for mouse/touch interaction
@@ -74,7 +116,306 @@ const raycaster = new THREE.Raycaster(); // For detecting mouse intersections wi
  */
 const GLOBE_RADIUS = 2;      // Radius of the Earth sphere in 3D units
 const PIN_HEIGHT = 0.01;     // How far pins extend above Earth surface
-const ARC_SEGMENTS = 64;     // Number of segments in flight path arcs (higher = smoother)
+const ARC_SEGMENT_DEGREES = 2;  // Longest flight arc segment in degrees of arc, so longer routes get more segments
+const ARC_MIN_SEGMENTS = 8;     // Segments in the shortest arcs
+const ARC_MAX_SEGMENTS = 128;   // Segments in the longest (antipodal) arcs
+const ARC_BASE_HEIGHT = 0.02;   // Arc height above the globe at both ends, below the flight profile's altitude
+const ALTITUDE_SCALE = 0.004 / 1000; // Globe units per metre of real altitude (exaggerated so cruise height is visible)
+
+/**
+ * Pin colors by role in the itinerary
+ * The first waypoint is the departure, the last the destination, everything in between a stopover
+ */
+const PIN_COLORS = {
+    departure: { color: 0xff4444, emissive: 0x220000 },
+    stopover: { color: 0xffb444, emissive: 0x221800 },
+    destination: { color: 0x44ff44, emissive: 0x002200 }
+};
+const PIN_ROLE_LABELS = {
+    departure: 'Departure',
+    stopover: 'Stop',
+    destination: 'Destination'
+};
+
+/**
+ * Palette cycled through as new routes are created
+ * Each route draws its arcs and airplane livery in its own color
+ */
+const ROUTE_COLORS = [0x64ffda, 0xff79c6, 0xffd166, 0x8be9fd, 0xbd93f9, 0xff9f43, 0x50fa7b];
+
+/**
+ * Route estimation settings
+ * Cruise speed and path mode are user-configurable from the route card; the
+ * block time allowance covers taxi, climb and descent on top of cruise time
+ * for every leg
+ */
+const routeSettings = {
+    cruiseSpeedKnots: 480,     // True airspeed used for flight time estimates
+    blockAllowanceMinutes: 30, // Added per leg to turn flight time into block time
+    pathMode: 'great-circle'   // One of ROUTE_PATH_MODES
+};
+
+/**
+ * Vertical flight profile of route paths (profile.js)
+ * Every leg climbs at the climb rate to the cruise level, cruises and comes
+ * down on the descent gradient; the 3D path is drawn `exaggeration` times
+ * taller than true scale so the profile can be seen on the globe
+ */
+const flightProfile = {
+    cruiseFlightLevel: 350,     // Cruise altitude in hundreds of feet
+    climbRateFpm: 2000,         // Rate of climb in feet per minute
+    descentAngle: 3,            // Descent gradient in degrees
+    exaggeration: 25,           // Drawn height relative to true scale
+    chartKey: ''                // What the altitude chart last showed, so it is only redrawn on change
+};
+
+/**
+ * Paths routes can follow between pins
+ * 'great-circle' is the shortest path (drawn solid), 'rhumb' keeps one compass
+ * heading per leg (drawn dashed), and 'both' flies the great circle with the
+ * rhumb line drawn alongside for comparison
+ */
+const ROUTE_PATH_MODES = ['great-circle', 'rhumb', 'both'];
+
+/**
+ * Distance unit conversions from kilometres
+ */
+const KM_TO_MILES = 0.621371;
+const KM_TO_NAUTICAL_MILES = 1 / 1.852;
+
+/**
+ * Unit conversions for reported aircraft altitudes (metres) and speeds (metres per second)
+ */
+const METRES_TO_FEET = 1 / 0.3048;
+const METRES_PER_SECOND_TO_KNOTS = 3600 / 1852;
+
+/**
+ * Airport snapping for click placement
+ * When enabled, a click within the radius of an airport places the pin on the airport itself
+ */
+const airportSnap = {
+    enabled: false,
+    radiusKm: 75
+};
+
+/**
+ * Shared animation timing
+ */
+const animationClock = new THREE.Clock(); // Shared clock driving every time-based animation
+const MAX_FRAME_DELTA = 0.1;               // Longest step in seconds, so a background tab doesn't teleport aircraft
+const GLOBE_ROTATION_SPEED = 0.3;          // Auto-rotation (the camera orbiting the globe) in radians per second
+
+/**
+ * Simulated date and time that lights the globe (astronomy.js)
+ * The scene is fixed to the stars: the globe turns with sidereal time and the
+ * sun sits in the direction of its right ascension and declination, so the
+ * day/night terminator falls where it really is at `time`
+ */
+const worldClock = {
+    time: Date.now(),                   // Simulated UTC time in epoch milliseconds
+    live: true,                         // Follow the real time
+    rate: 1,                            // Simulated seconds per real second when not live
+    sunDirection: new THREE.Vector3(),  // Unit vector from the globe center toward the sun
+    sunLight: null,                     // THREE.DirectionalLight placed at the sun
+    nightUniforms: null,                // Uniforms of the globe's night-lights shader
+    displayedMinute: -1                 // Minute shown in the clock panel, to refresh it only when it changes
+};
+const SUN_DISTANCE = 15; // Distance of the sun (and its light) from the globe center
+
+/**
+ * Optional Earth layers, each toggleable from the panel for performance
+ */
+const earthLayers = {
+    atmosphere: null,       // THREE.Group with the limb halo and rim shells
+    clouds: null,           // Cloud sphere, a child of globe
+    cloudDriftSpeed: 0.004, // Cloud drift relative to the ground in radians per second
+    shown: { atmosphere: true, clouds: true }   // Layers switched on in the Display panel
+};
+const ATMOSPHERE_SCALE = 1.06;  // Outer atmosphere radius relative to the globe
+const CLOUD_TEXTURE_URL = 'https://threejs.org/examples/textures/planets/earth_clouds_1024.png';
+
+/**
+ * Vector map overlays drawn from the bundled Natural Earth GeoJSON in data/
+ * Borders and coastlines are lines on the sphere; country and city names are
+ * sprites that fade in as the camera zooms closer and fade out toward the
+ * horizon. Each layer is a child of globe and can be toggled from the panel.
+ */
+const mapOverlays = {
+    group: null,            // THREE.Group holding every overlay layer, a child of globe
+    borders: null,          // THREE.LineSegments of land borders between countries
+    coastlines: null,       // THREE.LineSegments of coastlines
+    countryLabels: null,    // THREE.Group of country name sprites
+    cityLabels: null        // THREE.Group of city name sprites
+};
+const OVERLAY_DATA_URLS = {
+    borders: 'data/ne_110m_admin_0_boundary_lines_land.geojson',
+    coastlines: 'data/ne_110m_coastline.geojson',
+    countryLabels: 'data/ne_110m_admin_0_label_points.geojson',
+    cityLabels: 'data/ne_110m_populated_places.geojson'
+};
+const OVERLAY_LIFT = 0.005;         // Overlay height above the globe (fraction of the radius), clear of the finest imagery tiles
+const OVERLAY_STEP_DEGREES = 2;     // Longest line segment, so lines follow the curve of the globe
+const LABEL_FONT_PIXELS = 13;       // On-screen label text height
+/**
+ * Camera heights above the surface (globe units) below which labels of each
+ * rank are shown; rank 1 are the largest countries and biggest cities
+ */
+const LABEL_RANK_ALTITUDES = {
+    countryLabels: [Infinity, 5.5, 3.5, 2],
+    cityLabels: [4.5, 3, 2, 1.3]
+};
+
+const OFFLINE_TILE_URL = 'tiles/{z}/{x}/{y}.png';
+const OFFLINE_TILE_MAX_ZOOM = 3;
+const TILE_CACHE_SIZE = 256;        // Tiles kept in memory (textures and meshes)
+const TILE_MAX_REQUESTS = 6;        // Tile downloads in flight at once
+const TILE_UPDATE_INTERVAL = 0.2;   // Seconds between tile selections
+const TILE_SCREEN_SIZE = 384;       // Tiles drawn larger than this many pixels are split into children
+const TILE_LIFT = 0.0002;           // Tile height above the globe (fraction of the radius), plus the same again per zoom level so finer tiles cover coarser ones
+
+/**
+ * Surface imagery from XYZ/TMS map tiles (tiles.js)
+ * Tiles are chosen by level of detail from the camera's position, drawn as
+ * curved patches over the globe and kept in an LRU cache. The bundled offline
+ * tile set (zoom 0-3, built by scripts/build-offline-tiles.js) is the default
+ * source and the fallback for any low-zoom tile another source can't deliver.
+ */
+const tileImagery = {
+    url: OFFLINE_TILE_URL,      // Tile URL template with {z}, {x}, {y}, {-y} or {s}
+    scheme: 'xyz',              // 'xyz' or 'tms' (rows counted from the south)
+    maxZoom: OFFLINE_TILE_MAX_ZOOM,
+    cache: null,                // TileImagery cache of { tile, status, texture, mesh } by "z/x/y"
+    group: null,                // THREE.Group of tile meshes, a child of globe
+    queue: [],                  // Tiles wanted on screen and not yet requested, coarsest first
+    loading: 0,                 // Requests in flight
+    drawn: new Set(),           // Keys of the tiles drawn since the last update
+    sinceUpdate: Infinity,      // Seconds since the tile selection was last updated
+    status: ''                  // Text last shown in the imagery panel
+};
+
+/**
+ * Camera modes that follow an airplane
+ * In any mode but 'orbit' the camera is driven by updateCameraFollow instead of the controls;
+ * 'returning' eases back to a free orbit position before handing control back
+ */
+const cameraFollow = {
+    mode: 'orbit',                      // 'orbit', 'chase', 'cockpit', 'frame' or 'returning'
+    lookTarget: new THREE.Vector3(),    // Point the camera is currently aimed at
+    blend: 1,                           // 0 right after a mode change, 1 once the camera is locked on
+    transitionSeconds: 1.5,             // Time to ease into a new mode
+    response: 3                         // Catch-up rate during transitions (1/s)
+};
+/**
+ * Animated camera flight to a location (see flyTo)
+ * While active the camera is steered along a great circle orbit and auto-rotation is paused
+ */
+const cameraFlight = {
+    active: false,
+    from: new THREE.Vector3(),  // Camera position when the flight started
+    to: new THREE.Vector3(),    // Final camera position
+    target: new THREE.Vector3(),// Location flown to, in globe local coordinates (the globe turns with the clock)
+    distance: 0,                // Final camera distance from the globe center
+    lift: 0,                    // Extra distance at mid-flight for the zoom-out/zoom-in
+    elapsed: 0,
+    duration: 0,                // Seconds
+    resumeRotation: false,      // Auto-rotation was on and is restored on arrival
+    onComplete: null
+};
+
+const CAMERA_ORBIT_NEAR = 0.1;     // Near plane for free orbit
+const CAMERA_FOLLOW_NEAR = 0.005;  // Near plane close to the airplane
+
+/**
+ * Flat map view (projection.js)
+ * The globe and everything on it morphs between the sphere and a flat map in
+ * the world's XY plane, seen by the camera from +Z. Meshes and lines are
+ * moved in their vertex shaders (see injectMapProjection); objects placed on
+ * the globe, like pins and airplanes, are moved with projectToMap. On the
+ * flat map the orbit controls are switched off for pan and zoom.
+ */
+const mapProjection = {
+    mode: 'globe',              // One of MAP_PROJECTIONS
+    morph: 0,                   // 0 on the sphere, 1 flat
+    mercator: 0,                // 0 equirectangular, 1 Mercator
+    transition: null,           // Morph or camera move in progress (see startMapTransition)
+    pointers: new Map(),        // Pointers down on the flat map by id, for panning and pinching
+    panMoved: false,            // The current pan went far enough that its click must not place a pin
+    unrolled: false,            // Frustum culling is switched off (see updateMapCulling)
+    uniforms: {
+        mapMorph: { value: 0 },
+        mapMercator: { value: 0 },
+        mapRotation: { value: 0 }   // The globe's turn, undone so the flat map stays square to the camera
+    }
+};
+
+const MAP_PROJECTIONS = ['globe', 'equirectangular', 'mercator'];
+const MAP_MORPH_SECONDS = 1.5;     // Time to unroll the globe or roll the map back up
+const MAP_MIN_HEIGHT = 0.3;        // Closest camera height above the flat map
+const MAP_MAX_HEIGHT = 9;          // Farthest camera height above the flat map
+
+/**
+ * Route airplane animation settings
+ * Airplanes fly at the cruise speed from routeSettings along the ground
+ * distance of their path, sped up by timeScale so flights take seconds
+ */
+const flightAnimation = {
+    timeScale: 2000,        // Simulated seconds per real second
+    paused: false,
+    mode: 'loop',           // 'one-way', 'round-trip' or 'loop'
+    headingResponse: 6      // How quickly airplanes turn onto a new heading (1/s)
+};
+
+/**
+ * Options for file exports
+ */
+const exportSettings = {
+    gpxTrackSpacingKm: 50      // Maximum distance between GPX track points
+};
+
+/**
+ * Bulk-loaded route network (city pairs from a CSV/JSON table)
+ * All arcs share one merged LineSegments geometry so thousands of routes cost a single draw call
+ */
+const routeNetwork = {
+    mesh: null,         // THREE.LineSegments holding every arc, a child of globe
+    pairs: [],          // City pairs as { from, to, record }
+    vertexRanges: [],   // [start, count] of each pair's vertices in the merged geometry
+    columns: [],        // Table columns available for coloring
+    colorColumn: ''     // Column the arcs are colored by, '' for a single color
+};
+const NETWORK_KM_PER_SEGMENT = 300; // Arc resolution for network routes, scaled by distance
+
+/**
+ * Live aircraft from a real-time feed (feed.js)
+ * Every aircraft is one instance of a shared InstancedMesh, positioned each frame
+ * from the store's interpolated prediction
+ */
+const liveTraffic = {
+    connection: null,   // Handle returned by AircraftFeed.connectFeed while connected
+    store: null,        // AircraftFeed store of tracked aircraft
+    mesh: null,         // THREE.InstancedMesh, a child of globe
+    capacity: 0         // Instances allocated in the mesh
+};
+const LIVE_DEFAULT_FEED_URL = 'ws://localhost:8081/ws';
+
+/**
+ * Playback of a recorded, timestamped flight track
+ * The aircraft is placed by interpolating the track at the playback clock,
+ * which advances with the shared animation clock multiplied by the chosen speed
+ */
+const trackPlayback = {
+    points: [],         // Track points { time, lat, lon, altitude }, densified along great circles
+    positions: [],      // Globe local position of every point
+    group: null,        // THREE.Group holding the airplane and both track lines, a child of globe
+    airplane: null,
+    traveledLine: null, // Track from the start to the aircraft
+    remainingLine: null,// Track from the aircraft to the end
+    splitIndex: -1,     // Segment the aircraft was drawn on last frame
+    currentTime: 0,     // Playback clock in epoch milliseconds
+    speed: 60,          // Track seconds per wall-clock second
+    playing: false
+};
+const TRACK_DENSIFY_KM = 100; // Longest gap between drawn track points, so lines follow the globe
 
 // ============================================================================
 // MAIN INITIALIZATION FUNCTION
@@ -118,7 +459,7 @@ function init() {
      * Aspect: matches window dimensions
      * Near/Far: 0.1 to 1000 units (defines visible range)
      */
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, CAMERA_ORBIT_NEAR, 1000);
     camera.position.set(0, 0, 5); // Position camera 5 units away from origin
 
     /**
@@ -176,12 +517,29 @@ function init() {
     // Add starfield background for space environment
     createStarField();
 
+    // Turn the globe to the current time and start the camera over the Americas as before
+    updateWorldClock(0);
+    setCameraPosition(globe.localToWorld(new THREE.Vector3(0, 0, 5)));
+
     // Set up all user interaction event listeners
     setupEventListeners();
 
     // Start the main animation loop
     animate();
 
+    // Rebuild a shared scene (routes, options, camera) if the URL carries one
+    restoreStateFromUrl();
+
+    // Use the tile source given as ?tiles=<url template>, otherwise the bundled tiles
+    const tileUrl = new URLSearchParams(window.location.search).get('tiles');
+    if (tileUrl) setTileSource({ url: tileUrl });
+    updateImageryPanel();
+
+    // Connect to a live aircraft feed given as ?feed=<url>
+    const feedUrl = new URLSearchParams(window.location.search).get('feed');
+    document.getElementById('feed-url').value = feedUrl || LIVE_DEFAULT_FEED_URL;
+    if (feedUrl) connectLiveTraffic(feedUrl);
+
     // ========================================================================
     // LOADING COMPLETION
     // ========================================================================
@@ -221,13 +579,14 @@ function createLighting() {
      * Shadows enabled for realistic depth perception
      */
     const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-    directionalLight.position.set(10, 10, 5); // Sun position in 3D space
+    directionalLight.position.set(10, 10, 5); // Placeholder, moved to the real sun by updateWorldClock
     directionalLight.castShadow = true;       // Enable shadow casting
     
     // Configure shadow quality and coverage
     directionalLight.shadow.mapSize.width = 2048;  // Shadow resolution (higher = better quality)
     directionalLight.shadow.mapSize.height = 2048;
     scene.add(directionalLight);
+    worldClock.sunLight = directionalLight;
 
     // Create visual representation of the sun at the light's position
     createSun(directionalLight.position);
@@ -356,7 +715,9 @@ function createSun(sunPosition) {
 /**
  * Create the main Earth globe with realistic textures and atmosphere
  * This is the centerpiece of the application - a detailed, interactive Earth
- * Includes texture loading with fallbacks and atmospheric effects
+ * The surface imagery comes from map tiles draped over the sphere (see
+ * TILED IMAGERY); the sphere itself only shows through beyond the tiles'
+ * latitude limit and before the first tile has loaded
  */
 function createGlobe() {
     /**
@@ -365,56 +726,41 @@ function createGlobe() {
      * Segments: 64x64 for smooth curvature (higher = smoother but slower)
      */
     const geometry = new THREE.SphereGeometry(GLOBE_RADIUS, 64, 64);
+    geometry.setAttribute('globeUv', geometry.attributes.uv); // Sphere UVs are already equirectangular
 
     /**
-     * Fallback Texture Generator
-     * Creates a procedural Earth-like texture if real textures fail to load
-     * Uses HTML5 Canvas to draw a simple blue ocean with green landmasses
+     * Base Texture Generator
+     * Plain ocean with polar ice, drawn with the HTML5 Canvas. Web Mercator
+     * tiles stop at about 85° N/S, so this is what shows at the poles.
      * 
-     * @returns {THREE.CanvasTexture} - Procedurally generated Earth texture
+     * @returns {THREE.CanvasTexture} - Equirectangular base texture
      */
-    function createFallbackTexture() {
-        // Create canvas for texture generation
+    function createBaseTexture() {
         const canvas = document.createElement('canvas');
         canvas.width = 512;   // Texture width in pixels
         canvas.height = 256;  // Texture height (2:1 ratio for sphere mapping)
         const ctx = canvas.getContext('2d');
 
-        /**
-         * Create ocean base using gradient
-         * Simulates the varying blue colors of Earth's oceans
-         */
-        const gradient = ctx.createLinearGradient(0, 0, 512, 256);
-        gradient.addColorStop(0, '#1e3c72');    // Deep ocean blue
-        gradient.addColorStop(0.5, '#2a5298');  // Medium ocean blue
-        gradient.addColorStop(1, '#1e3c72');    // Deep ocean blue
+        // Ocean matching the bundled tiles, with ice fading in toward both poles
+        const gradient = ctx.createLinearGradient(0, 0, 0, 256);
+        gradient.addColorStop(0, '#e8eef2');     // North pole
+        gradient.addColorStop(0.04, '#e8eef2');
+        gradient.addColorStop(0.08, '#16407a');  // Ocean
+        gradient.addColorStop(0.92, '#16407a');
+        gradient.addColorStop(0.96, '#e8eef2');
+        gradient.addColorStop(1, '#e8eef2');     // South pole
         ctx.fillStyle = gradient;
         ctx.fillRect(0, 0, 512, 256);
 
-        /**
-         * Add landmass shapes
-         * Random circular shapes in green to simulate continents and islands
-         */
-        ctx.fillStyle = '#228B22'; // Forest green for land
-        for (let i = 0; i < 50; i++) {
-            const x = Math.random() * 512;      // Random X position
-            const y = Math.random() * 256;      // Random Y position
-            const size = Math.random() * 30 + 10; // Random size (10-40 pixels)
-            ctx.beginPath();
-            ctx.arc(x, y, size, 0, Math.PI * 2);
-            ctx.fill();
-        }
-
         return new THREE.CanvasTexture(canvas);
     }
 
     /**
      * Globe Material - defines how the Earth surface appears
      * Uses Phong shading for realistic lighting interaction
-     * Initially uses fallback texture, will be replaced with real Earth texture
      */
     const material = new THREE.MeshPhongMaterial({
-        map: createFallbackTexture(),  // Start with procedural texture
+        map: createBaseTexture(),
         shininess: 100,                // Moderate shininess for ocean reflection
         transparent: true,             // Allow transparency effects
         opacity: 0.9                   // Slightly transparent for atmosphere blending
@@ -429,85 +775,138 @@ function createGlobe() {
     scene.add(globe);
 
     // ========================================================================
-    // REAL EARTH TEXTURE LOADING
+    // NIGHT LIGHTS
     // ========================================================================
-    
+
     /**
-     * Load high-quality real Earth textures from reliable sources
-     * Uses progressive fallback system - tries multiple sources until one works
-     * All sources are CORS-friendly to avoid browser security issues
+     * City lights are added as emission on the side facing away from the sun,
+     * faded in across a soft terminator. The globe and every imagery tile
+     * share one night-lights texture and sun direction.
      */
-    const textureLoader = new THREE.TextureLoader();
-    
+    worldClock.nightUniforms = {
+        nightMap: { value: createFallbackNightTexture() },
+        sunDirection: { value: new THREE.Vector3() }   // View space, set before each render
+    };
+    addNightLights(material);
+
+    // The shader works in view space, so the sun direction follows the camera
+    scene.onBeforeRender = (renderer, scene, camera) => {
+        worldClock.nightUniforms.sunDirection.value
+            .copy(worldClock.sunDirection)
+            .transformDirection(camera.matrixWorldInverse);
+    };
+
     /**
-     * Array of Earth texture sources in order of preference
-     * All URLs point to high-quality satellite imagery of Earth
-     * Sources chosen for reliability and CORS compatibility
+     * Night-lights texture sources in order of preference
      */
-    const earthTextureSources = [
-        // High quality Earth textures from CORS-friendly sources
-        'https://raw.githubusercontent.com/turban/webgl-earth/master/images/2_no_clouds_4k.jpg',  // 4K no clouds
-        'https://raw.githubusercontent.com/turban/webgl-earth/master/images/1_earth_8k.jpg',     // 8K with clouds
-        // Alternative sources from Three.js examples
-        'https://threejs.org/examples/textures/planets/earth_atmos_2048.jpg',  // Atmospheric view
-        'https://threejs.org/examples/textures/planets/earth_normal_2048.jpg'  // Normal map version
+    const textureLoader = new THREE.TextureLoader();
+    const nightTextureSources = [
+        'https://threejs.org/examples/textures/planets/earth_lights_2048.png',
+        'https://unpkg.com/three-globe/example/img/earth-night.jpg'
     ];
 
-    let textureIndex = 0; // Track which texture source we're currently trying
-    
+    let nightTextureIndex = 0;
+
     /**
-     * Recursive function to try loading textures from different sources
-     * If one source fails, automatically tries the next one
-     * Provides graceful degradation if all sources fail
+     * Try each night-lights source in turn, keeping the fallback if all fail
      */
-    function tryLoadTexture() {
-        // If we've exhausted all sources, stick with fallback texture
-        if (textureIndex >= earthTextureSources.length) {
-            // Using fallback Earth texture - all remote sources failed
-            return;
-        }
+    function tryLoadNightTexture() {
+        if (nightTextureIndex >= nightTextureSources.length) return;
 
-        /**
-         * Attempt to load texture from current source
-         * Three.js TextureLoader handles the HTTP request and image processing
-         */
         textureLoader.load(
-            earthTextureSources[textureIndex],
-            
-            /**
-             * Success callback - texture loaded successfully
-             * @param {THREE.Texture} texture - The loaded texture object
-             */
+            nightTextureSources[nightTextureIndex],
             (texture) => {
-                // Configure texture wrapping for proper sphere mapping
-                texture.wrapS = THREE.RepeatWrapping;  // Horizontal wrapping
-                texture.wrapT = THREE.RepeatWrapping;  // Vertical wrapping
-                
-                // Apply the new texture to the globe material
-                material.map = texture;
-                material.needsUpdate = true;  // Tell Three.js to update the material
+                worldClock.nightUniforms.nightMap.value = texture;
             },
-            
-            // Progress callback - not used (silent loading)
             undefined,
-            
-            /**
-             * Error callback - texture failed to load
-             * @param {Error} error - The error that occurred
-             */
-            (error) => {
-                // Move to next texture source and try again
-                textureIndex++;
-                tryLoadTexture(); // Recursive call to try next source
+            () => {
+                nightTextureIndex++;
+                tryLoadNightTexture();
             }
         );
     }
 
-    // Start the texture loading process
-    tryLoadTexture();
+    tryLoadNightTexture();
+
+    // Drape map tiles over the sphere
+    createTileLayer();
 
     // Add atmospheric glow effect around Earth
     createAtmosphere();
+
+    // Add the drifting cloud layer
+    createClouds();
+
+    // Borders, coastlines and place names
+    createMapOverlays();
+}
+
+/**
+ * Extend a Phong material with the night-lights shader
+ * The night map is sampled with the `globeUv` attribute (equirectangular
+ * texture coordinates of the whole globe), so meshes covering part of the
+ * globe with their own `map`, like imagery tiles, line up with it.
+ * 
+ * @param {THREE.MeshPhongMaterial} material - Material of a mesh with a `globeUv` attribute
+ */
+function addNightLights(material) {
+    // One shared function keeps a single compiled program for every material
+    material.onBeforeCompile = injectNightLights;
+}
+
+/**
+ * onBeforeCompile hook adding the night lights, and the flat map morph, to the Phong shaders
+ * 
+ * @param {Object} shader - Shader source and uniforms about to be compiled
+ */
+function injectNightLights(shader) {
+    Object.assign(shader.uniforms, worldClock.nightUniforms);
+    shader.vertexShader = shader.vertexShader
+        .replace('void main() {', 'attribute vec2 globeUv;\nvarying vec2 vGlobeUv;\nvoid main() {\n\tvGlobeUv = globeUv;');
+    shader.fragmentShader = shader.fragmentShader
+        .replace(
+            'void main() {',
+            'uniform sampler2D nightMap;\nuniform vec3 sunDirection;\nvarying vec2 vGlobeUv;\nvoid main() {'
+        )
+        .replace(
+            '#include <emissivemap_fragment>',
+            [
+                '#include <emissivemap_fragment>',
+                // 0 on the night side, 1 in daylight, blended over about 20 degrees around the terminator
+                'float daylight = smoothstep(-0.2, 0.15, dot(normal, sunDirection));',
+                'totalEmissiveRadiance += texture2D(nightMap, vGlobeUv).rgb * (1.0 - daylight) * 1.2;'
+            ].join('\n')
+        );
+    projectShaderToMap(shader, true);
+}
+
+/**
+ * Fallback night-lights texture
+ * Draws a glow at every airport in the offline database, which lands on the
+ * same cities a real night-lights image would light up
+ * 
+ * @returns {THREE.CanvasTexture} - Equirectangular night texture
+ */
+function createFallbackNightTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1024;
+    canvas.height = 512;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    Airports.list.forEach((airport) => {
+        const x = ((airport.lon + 180) / 360) * canvas.width;
+        const y = ((90 - airport.lat) / 180) * canvas.height;
+        const glow = ctx.createRadialGradient(x, y, 0, x, y, 4);
+        glow.addColorStop(0, 'rgba(255, 214, 140, 0.9)');
+        glow.addColorStop(1, 'rgba(255, 170, 80, 0)');
+        ctx.fillStyle = glow;
+        ctx.fillRect(x - 4, y - 4, 8, 8);
+    });
+
+    return new THREE.CanvasTexture(canvas);
 }
 
 // ============================================================================
@@ -515,684 +914,5568 @@ function createGlobe() {
 // ============================================================================
 
 /**
- * Create Earth's atmospheric glow effect
- * This adds a subtle blue glow around the planet to simulate the atmosphere
- * Uses a slightly larger sphere with back-side rendering for the glow effect
+ * Shaders shared by the atmosphere shells
+ * Both work in world space: the sun direction is worldClock.sunDirection and
+ * every shell is centered on the origin, so a fragment's position is also its
+ * outward normal. The colour goes from sky blue in daylight to a reddened
+ * sunset tint around the terminator, as Rayleigh scattering would.
+ */
+const ATMOSPHERE_VERTEX_SHADER = `
+    varying vec3 vWorldPosition;
+    void main() {
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+`;
+
+const ATMOSPHERE_COLOR_FUNCTION = `
+    uniform vec3 sunDirection;
+    uniform vec3 dayColor;
+    uniform vec3 twilightColor;
+    varying vec3 vWorldPosition;
+
+    // Light reaching the air above a point: 0 at night, 1 in full daylight
+    float daylight(vec3 normal) {
+        return smoothstep(-0.3, 0.25, dot(normal, sunDirection));
+    }
+
+    vec3 skyColor(vec3 normal) {
+        return mix(twilightColor, dayColor, smoothstep(-0.05, 0.45, dot(normal, sunDirection)));
+    }
+`;
+
+/**
+ * Halo beyond the planet's edge, drawn on the inside of the outer shell
+ * Brightest where the line of sight grazes the surface, where it crosses the
+ * most air, fading to nothing at the top of the atmosphere; looking toward
+ * the sun past the limb adds a forward-scattering glow
+ */
+const ATMOSPHERE_HALO_FRAGMENT_SHADER = ATMOSPHERE_COLOR_FUNCTION + `
+    uniform float limbCosine;
+    uniform float intensity;
+    void main() {
+        vec3 normal = normalize(vWorldPosition);
+        vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+        float depth = pow(clamp(-dot(viewDirection, normal) / limbCosine, 0.0, 1.0), 3.0);
+        float forward = pow(max(dot(-viewDirection, sunDirection), 0.0), 12.0);
+        float alpha = depth * (daylight(normal) + forward * 0.6) * intensity;
+        gl_FragColor = vec4(skyColor(normal), alpha);
+    }
+`;
+
+/**
+ * Fresnel rim over the disc of the planet itself, strongest toward the edge
+ */
+const ATMOSPHERE_RIM_FRAGMENT_SHADER = ATMOSPHERE_COLOR_FUNCTION + `
+    uniform float intensity;
+    void main() {
+        vec3 normal = normalize(vWorldPosition);
+        vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+        float fresnel = pow(1.0 - max(dot(viewDirection, normal), 0.0), 3.0);
+        gl_FragColor = vec4(skyColor(normal), fresnel * daylight(normal) * intensity);
+    }
+`;
+
+/**
+ * Create Earth's atmosphere
+ * Two additive shader shells respond to the sun: a halo around the planet's
+ * limb (a larger sphere rendered from the inside) and a Fresnel rim just
+ * above the surface. They are grouped so the panel can hide both at once.
  */
 function createAtmosphere() {
-    /**
-     * Atmosphere Geometry - slightly larger than Earth
-     * Radius: 110% of globe radius to create thin atmosphere layer
-     * Same detail level as Earth for consistent appearance
-     */
-    const atmosphereGeometry = new THREE.SphereGeometry(GLOBE_RADIUS * 1.1, 64, 64);
-    
-    /**
-     * Atmosphere Material - creates the blue glow effect
-     * BackSide rendering makes it glow when viewed from outside
-     * Cyan color matches the natural blue of Earth's atmosphere
-     */
-    const atmosphereMaterial = new THREE.MeshBasicMaterial({
-        color: 0x64ffda,        // Cyan blue - matches UI accent color
-        transparent: true,      // Must be transparent for glow effect
-        opacity: 0.1,          // Very subtle - 10% opacity
-        side: THREE.BackSide   // Render inside faces for glow effect
+    const uniforms = {
+        sunDirection: { value: worldClock.sunDirection },   // Shared vector, moved by updateWorldClock
+        dayColor: { value: new THREE.Color(0x5aa9ff) },
+        twilightColor: { value: new THREE.Color(0xff8a50) },
+        // Cosine between a grazing line of sight and the outer shell's normal where it leaves the shell
+        limbCosine: { value: Math.sqrt(1 - 1 / (ATMOSPHERE_SCALE * ATMOSPHERE_SCALE)) },
+        intensity: { value: 1 }
+    };
+
+    const shellMaterial = (fragmentShader, side, intensity) => new THREE.ShaderMaterial({
+        uniforms: { ...uniforms, intensity: { value: intensity } },
+        vertexShader: ATMOSPHERE_VERTEX_SHADER,
+        fragmentShader,
+        side,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
     });
-    
-    /**
-     * Create atmosphere mesh and add to scene
-     * This creates a subtle blue halo around Earth
-     */
-    const atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
-    scene.add(atmosphere);
+
+    const halo = new THREE.Mesh(
+        new THREE.SphereGeometry(GLOBE_RADIUS * ATMOSPHERE_SCALE, 64, 64),
+        shellMaterial(ATMOSPHERE_HALO_FRAGMENT_SHADER, THREE.BackSide, 1.2)
+    );
+    const rim = new THREE.Mesh(
+        new THREE.SphereGeometry(GLOBE_RADIUS * 1.004, 64, 64),
+        shellMaterial(ATMOSPHERE_RIM_FRAGMENT_SHADER, THREE.FrontSide, 0.8)
+    );
+
+    earthLayers.atmosphere = new THREE.Group();
+    earthLayers.atmosphere.add(halo, rim);
+    scene.add(earthLayers.atmosphere);
 }
 
-// ============================================================================
-// STARFIELD BACKGROUND
-// ============================================================================
+/**
+ * Create the cloud layer
+ * A semi-transparent sphere just above the surface (below the pins), a child
+ * of the globe so it turns with the Earth, drifting slowly on its own. Lit by
+ * the sun like the surface, so clouds go dark on the night side.
+ */
+function createClouds() {
+    const material = new THREE.MeshPhongMaterial({
+        map: createFallbackCloudTexture(),
+        transparent: true,
+        opacity: 0.8,
+        depthWrite: false   // Pins and arcs drawn later must not be hidden by the clouds
+    });
+
+    earthLayers.clouds = new THREE.Mesh(new THREE.SphereGeometry(GLOBE_RADIUS * 1.003, 64, 64), material);
+    globe.add(earthLayers.clouds);
+
+    // Real cloud cover (transparent PNG), keeping the fallback if it can't be loaded
+    new THREE.TextureLoader().load(CLOUD_TEXTURE_URL, (texture) => {
+        material.map = texture;
+        material.needsUpdate = true;
+    });
+}
 
 /**
- * Create a realistic starfield background for space environment
- * Generates thousands of randomly positioned stars to simulate deep space
- * Uses BufferGeometry for optimal performance with large numbers of points
+ * Fallback cloud texture
+ * Soft white streaks, denser in the stormy mid-latitudes and along the
+ * equator than over the subtropical highs
+ * 
+ * @returns {THREE.CanvasTexture} - Equirectangular texture with transparency
  */
-function createStarField() {
-    /**
-     * Star Geometry Setup
-     * BufferGeometry is more efficient than regular geometry for many points
-     * Each star is just a point in 3D space with position coordinates
-     */
-    const starGeometry = new THREE.BufferGeometry();
-    const starCount = 10000;  // Total number of stars to generate
-    
-    /**
-     * Position Array - stores XYZ coordinates for all stars
-     * Float32Array is memory-efficient for large datasets
-     * 3 values per star (x, y, z) = starCount * 3 total values
-     */
-    const positions = new Float32Array(starCount * 3);
+function createFallbackCloudTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1024;
+    canvas.height = 512;
+    const ctx = canvas.getContext('2d');
 
-    /**
-     * Generate random star positions
-     * Creates a cube of stars around the entire scene
-     * Range: -1000 to +1000 units in all directions
-     */
-    for (let i = 0; i < starCount * 3; i += 3) {
-        positions[i] = (Math.random() - 0.5) * 2000;     // X coordinate
-        positions[i + 1] = (Math.random() - 0.5) * 2000; // Y coordinate  
-        positions[i + 2] = (Math.random() - 0.5) * 2000; // Z coordinate
+    const bands = [-55, -40, -5, 5, 40, 55];   // Latitudes around which clouds gather
+    for (let i = 0; i < 400; i++) {
+        const lat = bands[i % bands.length] + (Math.random() - 0.5) * 25;
+        const x = Math.random() * canvas.width;
+        const y = ((90 - lat) / 180) * canvas.height;
+        const radius = 6 + Math.random() * 18;
+
+        // Stretched east-west like weather systems carried by the prevailing winds
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.scale(2.5, 1);
+        const puff = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+        puff.addColorStop(0, 'rgba(255, 255, 255, 0.35)');
+        puff.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        ctx.fillStyle = puff;
+        ctx.fillRect(-radius, -radius, radius * 2, radius * 2);
+        ctx.restore();
     }
 
-    /**
-     * Apply position data to geometry
-     * 'position' is a special attribute name that Three.js recognizes
-     * 3 indicates each position has 3 components (x, y, z)
-     */
-    starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return new THREE.CanvasTexture(canvas);
+}
 
-    /**
-     * Star Material - defines how stars appear
-     * PointsMaterial is specifically designed for point clouds
-     * White color with fixed size for consistent star appearance
-     */
-    const starMaterial = new THREE.PointsMaterial({
-        color: 0xffffff,        // Pure white stars
-        size: 2,               // Star size in pixels
-        sizeAttenuation: false // Stars stay same size regardless of distance
-    });
+/**
+ * Show or hide one of the optional Earth layers
+ * 
+ * @param {'atmosphere'|'clouds'} layer - Layer to toggle
+ * @param {boolean} visible - Whether to draw it
+ */
+function setEarthLayerVisible(layer, visible) {
+    earthLayers.shown[layer] = visible;
+    updateEarthLayerVisibility();
+}
 
-    /**
-     * Create star field and add to scene
-     * Points object renders each position as a small square point
-     */
-    const stars = new THREE.Points(starGeometry, starMaterial);
-    scene.add(stars);
+/**
+ * Draw the atmosphere and clouds that are switched on, only while on the globe
+ * Neither makes sense over the flat map
+ */
+function updateEarthLayerVisibility() {
+    Object.entries(earthLayers.shown).forEach(([layer, shown]) => {
+        if (earthLayers[layer]) earthLayers[layer].visible = shown && mapProjection.morph === 0;
+    });
 }
 
 // ============================================================================
-// EVENT HANDLING SYSTEM
+// MAP OVERLAYS
 // ============================================================================
 
 /**
- * Set up all user interaction event listeners
- * Handles mouse, touch, keyboard, and UI interactions
- * Provides comprehensive input support for all devices
+ * Create the border, coastline and label layers and load their data
+ * Each layer starts empty and fills in when its GeoJSON arrives; layers that
+ * can't be loaded stay empty and are reported in the Display panel
  */
-function setupEventListeners() {
-    // ========================================================================
-    // MOUSE INTERACTION EVENTS
-    // ========================================================================
+function createMapOverlays() {
+    mapOverlays.group = new THREE.Group();
+    mapOverlays.borders = createOverlayLines(0xffffff, 0.45);
+    mapOverlays.coastlines = createOverlayLines(0x9fd8ff, 0.6);
+    mapOverlays.countryLabels = new THREE.Group();
+    mapOverlays.cityLabels = new THREE.Group();
+    mapOverlays.group.add(mapOverlays.borders, mapOverlays.coastlines, mapOverlays.countryLabels, mapOverlays.cityLabels);
+    globe.add(mapOverlays.group);
+
+    const layerNames = {
+        borders: 'country borders',
+        coastlines: 'coastlines',
+        countryLabels: 'country names',
+        cityLabels: 'city names'
+    };
+    const failed = [];
+
+    const loads = Object.entries(OVERLAY_DATA_URLS).map(([layer, url]) => fetch(url)
+        .then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then((geojson) => {
+            if (mapOverlays[layer].isLineSegments) {
+                setOverlayLines(mapOverlays[layer], geojson);
+            } else {
+                addPlaceLabels(layer, geojson);
+            }
+        })
+        .catch((error) => {
+            console.warn(`Could not load ${url}:`, error);
+            failed.push(layerNames[layer]);
+        }));
+
+    Promise.all(loads).then(() => {
+        const status = document.getElementById('overlay-status');
+        status.textContent = failed.length > 0 ? `Couldn't load ${failed.join(', ')}` : '';
+        status.style.display = failed.length > 0 ? 'block' : 'none';
+    });
+}
+
+/**
+ * Create an empty line layer
+ * 
+ * @param {number} color - Line color
+ * @param {number} opacity - Line opacity
+ * @returns {THREE.LineSegments} - Layer to fill with setOverlayLines
+ */
+function createOverlayLines(color, opacity) {
+    const material = addMapProjection(new THREE.LineBasicMaterial({ color, transparent: true, opacity }));
+    const lines = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+    lines.renderOrder = 1;  // After the (transparent) globe, so its depth hides lines on the far side
+    return lines;
+}
+
+/**
+ * Fill a line layer with the (Multi)LineStrings of a GeoJSON FeatureCollection
+ * Long segments are split so the lines hug the globe; the lines follow
+ * straight lines in longitude and latitude like the source map data.
+ * 
+ * @param {THREE.LineSegments} lines - Layer from createOverlayLines
+ * @param {Object} geojson - FeatureCollection of LineString or MultiLineString features
+ */
+function setOverlayLines(lines, geojson) {
+    const radius = GLOBE_RADIUS * (1 + OVERLAY_LIFT);
+    const positions = [];
+
+    geojson.features.forEach((feature) => {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+        const parts = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+
+        parts.forEach((coordinates) => {
+            for (let i = 0; i < coordinates.length - 1; i++) {
+                const [lon1, lat1] = coordinates[i];
+                let [lon2, lat2] = coordinates[i + 1];
+                if (lon2 - lon1 > 180) lon2 -= 360;   // Cross the antimeridian the short way
+                if (lon2 - lon1 < -180) lon2 += 360;
+
+                const steps = Math.max(1, Math.ceil(Math.max(Math.abs(lon2 - lon1), Math.abs(lat2 - lat1)) / OVERLAY_STEP_DEGREES));
+                let previous = latLonToLocal(lat1, lon1, radius);
+                for (let step = 1; step <= steps; step++) {
+                    const next = latLonToLocal(lat1 + ((lat2 - lat1) * step) / steps, lon1 + ((lon2 - lon1) * step) / steps, radius);
+                    positions.push(previous.x, previous.y, previous.z, next.x, next.y, next.z);
+                    previous = next;
+                }
+            }
+        });
+    });
+
+    lines.geometry.dispose();
+    lines.geometry = new THREE.BufferGeometry();
+    lines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+}
+
+/**
+ * Add a name sprite for every point in a GeoJSON FeatureCollection
+ * Features carry `name` and `rank` properties; the rank picks how close the
+ * camera must be before the name is shown (LABEL_RANK_ALTITUDES)
+ * 
+ * @param {'countryLabels'|'cityLabels'} layer - Label layer
+ * @param {Object} geojson - FeatureCollection of Point features
+ */
+function addPlaceLabels(layer, geojson) {
+    const altitudes = LABEL_RANK_ALTITUDES[layer];
+
+    geojson.features.forEach((feature) => {
+        const { name, rank } = feature.properties || {};
+        if (!name || !feature.geometry || feature.geometry.type !== 'Point') return;
+
+        const [lon, lat] = feature.geometry.coordinates;
+        const sprite = createLabelSprite(name, layer === 'cityLabels');
+        sprite.userData.anchor = latLonToLocal(lat, lon, GLOBE_RADIUS * (1 + OVERLAY_LIFT));
+        projectToMap(sprite.userData.anchor, sprite.position);
+        sprite.userData.normal = latLonToLocal(lat, lon, 1);
+        sprite.userData.maxAltitude = altitudes[THREE.MathUtils.clamp((rank || altitudes.length) - 1, 0, altitudes.length - 1)];
+        mapOverlays[layer].add(sprite);
+    });
+
+    resizeMapLabels();
+}
+
+/**
+ * Draw a place name into a sprite
+ * Country names are spaced capitals centred on their point; city names sit
+ * to the right of a dot marking the city
+ * 
+ * @param {string} text - Name to show
+ * @param {boolean} isCity - Draw a city dot and anchor the sprite on it
+ * @returns {THREE.Sprite} - Label sprite, sized by resizeMapLabels
+ */
+function createLabelSprite(text, isCity) {
+    const pixelRatio = 2;   // Canvas pixels per screen pixel, for crisp text
+    const fontSize = LABEL_FONT_PIXELS * pixelRatio;
+    const font = isCity ? `500 ${fontSize}px sans-serif` : `600 ${fontSize}px sans-serif`;
+    const label = isCity ? text : text.toUpperCase();
+    const dotRadius = isCity ? 3 * pixelRatio : 0;
+    const padding = 4 * pixelRatio;
+
+    const canvas = document.createElement('canvas');
+    let ctx = canvas.getContext('2d');
+    ctx.font = font;
+    const textStart = isCity ? dotRadius * 2 + padding * 1.5 : padding;
+    canvas.width = Math.ceil(textStart + ctx.measureText(label).width + padding);
+    canvas.height = Math.ceil(fontSize * 1.6);
+
+    // Resizing the canvas resets the context
+    ctx = canvas.getContext('2d');
+    ctx.font = font;
+    ctx.textBaseline = 'middle';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = 3 * pixelRatio;
+    ctx.strokeStyle = 'rgba(0, 5, 17, 0.85)';
+    ctx.fillStyle = isCity ? '#ffffff' : '#d7e6f5';
+    ctx.strokeText(label, textStart, canvas.height / 2);
+    ctx.fillText(label, textStart, canvas.height / 2);
+
+    if (isCity) {
+        ctx.beginPath();
+        ctx.arc(padding + dotRadius, canvas.height / 2, dotRadius, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffd166';
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    const material = new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthTest: false,       // Hidden behind the globe by updateMapLabels instead, so the globe never clips a name
+        depthWrite: false,
+        sizeAttenuation: false  // Same size on screen at any zoom
+    });
+
+    const sprite = new THREE.Sprite(material);
+    sprite.renderOrder = 10;    // Over the clouds and atmosphere
+    sprite.visible = false;     // Until updateMapLabels places it
+    if (isCity) sprite.center.set((padding + dotRadius) / canvas.width, 0.5);
+    sprite.userData.width = canvas.width / pixelRatio;
+    sprite.userData.height = canvas.height / pixelRatio;
+    return sprite;
+}
+
+/**
+ * Size every label sprite to its pixel size at the current viewport height
+ */
+function resizeMapLabels() {
+    if (!mapOverlays.group) return;
+
+    // Sprites without size attenuation are measured in world units at unit distance
+    const unitsPerPixel = (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2))) / window.innerHeight;
+    [mapOverlays.countryLabels, mapOverlays.cityLabels].forEach((group) => {
+        group.children.forEach((sprite) => {
+            sprite.scale.set(sprite.userData.width * unitsPerPixel, sprite.userData.height * unitsPerPixel, 1);
+        });
+    });
+}
+
+/**
+ * Fade place names by zoom and hide those on the far side of the globe
+ * Each name fades in as the camera comes below its rank's altitude and fades
+ * out as it nears the horizon
+ */
+function updateMapLabels() {
+    if (!mapOverlays.group) return;
+
+    const eye = globe.worldToLocal(camera.position.clone());
+    const distance = eye.length();
+    // Over the flat map nothing is beyond the horizon, and height is measured from the map
+    const altitude = THREE.MathUtils.lerp(distance - GLOBE_RADIUS, camera.position.z, mapProjection.morph);
+    const horizon = Math.min(GLOBE_RADIUS / distance, 1);   // Cosine of the angle from the view axis to the horizon
+    eye.divideScalar(distance);
+
+    [mapOverlays.countryLabels, mapOverlays.cityLabels].forEach((group) => {
+        if (!group.visible) return;
+        group.children.forEach((sprite) => {
+            const zoomFade = THREE.MathUtils.clamp((sprite.userData.maxAltitude - altitude) * 2, 0, 1);
+            const horizonFade = THREE.MathUtils.lerp(
+                THREE.MathUtils.smoothstep(sprite.userData.normal.dot(eye), horizon, horizon + 0.15), 1, mapProjection.morph
+            );
+            const opacity = zoomFade * horizonFade;
+            sprite.visible = opacity > 0.01;
+            sprite.material.opacity = opacity;
+        });
+    });
+}
+
+/**
+ * Show or hide one of the map overlays
+ * 
+ * @param {'borders'|'coastlines'|'countryLabels'|'cityLabels'} layer - Layer to toggle
+ * @param {boolean} visible - Whether to draw it
+ */
+function setMapOverlayVisible(layer, visible) {
+    if (mapOverlays[layer]) mapOverlays[layer].visible = visible;
+}
+
+// ============================================================================
+// TILED IMAGERY
+// ============================================================================
+
+/**
+ * Create the group holding imagery tiles and the tile cache
+ * Evicted tiles free their texture and geometry right away
+ */
+function createTileLayer() {
+    tileImagery.group = new THREE.Group();
+    globe.add(tileImagery.group);
+
+    tileImagery.cache = TileImagery.createTileCache({
+        maxEntries: TILE_CACHE_SIZE,
+        onEvict: (key, entry) => disposeTileEntry(entry)
+    });
+}
+
+/**
+ * Choose, load and show the tiles for the current view
+ * Runs every TILE_UPDATE_INTERVAL; tiles still loading are stood in for by
+ * their nearest loaded ancestor, so the globe is never left uncovered
+ * 
+ * @param {number} delta - Seconds since the previous frame
+ */
+function updateTiles(delta) {
+    tileImagery.sinceUpdate += delta;
+    if (tileImagery.sinceUpdate < TILE_UPDATE_INTERVAL) return;
+    tileImagery.sinceUpdate = 0;
+
+    // Camera in globe coordinates, where the tiles live
+    const eye = globe.worldToLocal(camera.position.clone());
+    const distance = eye.length();
+    const horizon = Math.acos(Math.min(GLOBE_RADIUS / distance, 1));
+    const pixelsPerUnit = window.innerHeight / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+
+    const selected = mapProjection.morph === 1 ? selectMapTiles(pixelsPerUnit) : TileImagery.selectTiles({
+        maxZoom: tileImagery.maxZoom,
+        isVisible: (tile) => {
+            const extent = getTileExtent(tile);
+            return eye.angleTo(extent.center) - extent.radius < horizon;
+        },
+        shouldRefine: (tile) => {
+            const extent = getTileExtent(tile);
+            const nearest = Math.max(eye.distanceTo(extent.center) - extent.radius * GLOBE_RADIUS, 0.01);
+            return (extent.size / nearest) * pixelsPerUnit > TILE_SCREEN_SIZE;
+        }
+    });
+
+    // Draw each selected tile, or its closest loaded ancestor while it loads
+    const drawn = new Set();
+    const wanted = [];
+    selected.forEach((tile) => {
+        let entry = tileImagery.cache.get(TileImagery.tileKey(tile));
+        if (!entry) wanted.push(tile);
+
+        let ancestor = tile;
+        while (ancestor && (!entry || entry.status !== 'ready')) {
+            ancestor = TileImagery.tileParent(ancestor);
+            entry = ancestor && tileImagery.cache.get(TileImagery.tileKey(ancestor));
+            if (ancestor && !entry && ancestor.z <= OFFLINE_TILE_MAX_ZOOM) wanted.push(ancestor);
+        }
+        if (entry && entry.status === 'ready') drawn.add(TileImagery.tileKey(entry.tile));
+    });
+
+    tileImagery.group.children.forEach((mesh) => {
+        mesh.visible = drawn.has(mesh.userData.tileKey);
+    });
+    tileImagery.drawn = drawn;
+
+    // Request coarse tiles first so the view fills in from low to high detail
+    const queued = new Set();
+    tileImagery.queue = wanted
+        .filter((tile) => {
+            const key = TileImagery.tileKey(tile);
+            if (queued.has(key)) return false;
+            queued.add(key);
+            return true;
+        })
+        .sort((a, b) => a.z - b.z);
+    loadQueuedTiles();
+
+    tileImagery.cache.evict((key, entry) => drawn.has(key) || entry.status === 'loading' || entry.tile.z === 0);
+    updateImageryStatus(selected);
+}
+
+/**
+ * Size and position of a tile on the globe
+ * 
+ * @param {{z: number, x: number, y: number}} tile - Tile
+ * @returns {{center: THREE.Vector3, radius: number, size: number}} - Center on the globe surface,
+ *          angular radius in radians around it, and the tile's larger side in globe units
+ */
+function getTileExtent(tile) {
+    const bounds = TileImagery.tileBounds(tile);
+    const midLat = (bounds.north + bounds.south) / 2;
+    const midLon = (bounds.west + bounds.east) / 2;
+    const center = latLonToLocal(midLat, midLon);
+
+    let radius = 0;
+    [bounds.north, midLat, bounds.south].forEach((lat) => {
+        [bounds.west, midLon, bounds.east].forEach((lon) => {
+            radius = Math.max(radius, center.angleTo(latLonToLocal(lat, lon)));
+        });
+    });
+
+    const width = THREE.MathUtils.degToRad(bounds.east - bounds.west) * Math.cos(THREE.MathUtils.degToRad(midLat));
+    const height = THREE.MathUtils.degToRad(bounds.north - bounds.south);
+    return { center, radius, size: Math.max(width, height) * GLOBE_RADIUS };
+}
+
+/**
+ * Start downloads from the queue until TILE_MAX_REQUESTS are in flight
+ */
+function loadQueuedTiles() {
+    while (tileImagery.loading < TILE_MAX_REQUESTS && tileImagery.queue.length > 0) {
+        const tile = tileImagery.queue.shift();
+        const key = TileImagery.tileKey(tile);
+        if (tileImagery.cache.has(key)) continue;
+
+        const entry = { tile, status: 'loading', texture: null, mesh: null };
+        tileImagery.cache.set(key, entry);
+        tileImagery.loading++;
+        loadTileTexture(entry, getTileUrls(tile), () => {
+            tileImagery.loading--;
+            tileImagery.sinceUpdate = TILE_UPDATE_INTERVAL; // Show it on the next frame
+            loadQueuedTiles();
+        });
+    }
+}
+
+/**
+ * URLs to try for a tile: the configured source, then the bundled tile set
+ * 
+ * @param {{z: number, x: number, y: number}} tile - Tile
+ * @returns {string[]} - URLs in order of preference
+ */
+function getTileUrls(tile) {
+    const urls = [TileImagery.tileUrl(tileImagery.url, tile, { scheme: tileImagery.scheme })];
+    if (tile.z <= OFFLINE_TILE_MAX_ZOOM && tileImagery.url !== OFFLINE_TILE_URL) {
+        urls.push(TileImagery.tileUrl(OFFLINE_TILE_URL, tile));
+    }
+    return urls;
+}
+
+/**
+ * Load a tile's image from the first URL that works and build its mesh
+ * 
+ * @param {Object} entry - Cache entry, marked 'ready' or 'failed' when done
+ * @param {string[]} urls - URLs to try in turn
+ * @param {Function} onDone - Called once the tile has loaded or every URL has failed
+ */
+function loadTileTexture(entry, urls, onDone) {
+    new THREE.TextureLoader().load(
+        urls[0],
+        (texture) => {
+            if (entry.status === 'disposed') {
+                // Evicted or the source changed while downloading
+                texture.dispose();
+            } else {
+                entry.status = 'ready';
+                entry.texture = texture;
+                entry.mesh = createTileMesh(entry.tile, texture);
+                tileImagery.group.add(entry.mesh);
+            }
+            onDone();
+        },
+        undefined,
+        () => {
+            if (urls.length > 1 && entry.status !== 'disposed') {
+                loadTileTexture(entry, urls.slice(1), onDone);
+                return;
+            }
+            // Failed tiles stay cached so they aren't requested again; ancestors stand in
+            if (entry.status !== 'disposed') entry.status = 'failed';
+            onDone();
+        }
+    );
+}
+
+/**
+ * Build the curved patch of globe surface covered by a tile
+ * Rows are spaced evenly in Mercator y so the image maps without distortion;
+ * finer tiles sit slightly higher so they cover the coarser tiles beneath
+ * 
+ * @param {{z: number, x: number, y: number}} tile - Tile
+ * @param {THREE.Texture} texture - Tile image
+ * @returns {THREE.Mesh} - Tile mesh in globe coordinates
+ */
+function createTileMesh(tile, texture) {
+    const bounds = TileImagery.tileBounds(tile);
+    const segments = Math.max(4, 32 >> tile.z);
+    const radius = GLOBE_RADIUS * (1 + TILE_LIFT * (tile.z + 1));
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const globeUvs = [];
+    for (let row = 0; row <= segments; row++) {
+        const lat = TileImagery.tileYToLat(tile.y + row / segments, tile.z);
+        for (let column = 0; column <= segments; column++) {
+            const lon = bounds.west + ((bounds.east - bounds.west) * column) / segments;
+            const normal = latLonToLocal(lat, lon, 1);
+            positions.push(normal.x * radius, normal.y * radius, normal.z * radius);
+            normals.push(normal.x, normal.y, normal.z);
+            uvs.push(column / segments, 1 - row / segments);
+            globeUvs.push((lon + 180) / 360, (lat + 90) / 180);
+        }
+    }
+
+    // Two counterclockwise triangles per cell, seen from outside the globe
+    const indices = [];
+    for (let row = 0; row < segments; row++) {
+        for (let column = 0; column < segments; column++) {
+            const northWest = row * (segments + 1) + column;
+            const southWest = northWest + segments + 1;
+            indices.push(northWest, southWest, northWest + 1, northWest + 1, southWest, southWest + 1);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setAttribute('globeUv', new THREE.Float32BufferAttribute(globeUvs, 2));
+
+    const material = new THREE.MeshPhongMaterial({ map: texture, shininess: 100 });
+    addNightLights(material);
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.receiveShadow = true;
+    mesh.visible = false;   // Shown by updateTiles once it's wanted
+    mesh.userData.tileKey = TileImagery.tileKey(tile);
+    return mesh;
+}
+
+/**
+ * Free a tile's texture, geometry and material
+ * 
+ * @param {Object} entry - Cache entry
+ */
+function disposeTileEntry(entry) {
+    entry.status = 'disposed';
+    if (entry.mesh) {
+        tileImagery.group.remove(entry.mesh);
+        entry.mesh.geometry.dispose();
+        entry.mesh.material.dispose();
+    }
+    if (entry.texture) entry.texture.dispose();
+    entry.mesh = null;
+    entry.texture = null;
+}
+
+/**
+ * Switch to another tile source, dropping every cached tile
+ * 
+ * @param {Object} source - Tile source
+ * @param {string} source.url - URL template, e.g. "https://tile.openstreetmap.org/{z}/{x}/{y}.png" or "tiles/{z}/{x}/{y}.png"
+ * @param {string} [source.scheme='xyz'] - 'xyz' or 'tms'
+ * @param {number} [source.maxZoom=18] - Deepest zoom level the source provides
+ */
+function setTileSource(source) {
+    tileImagery.url = source.url;
+    tileImagery.scheme = source.scheme === 'tms' ? 'tms' : 'xyz';
+    tileImagery.maxZoom = Number.isInteger(source.maxZoom) ? THREE.MathUtils.clamp(source.maxZoom, 0, 22) : 18;
+    tileImagery.cache.clear();
+    tileImagery.queue = [];
+    tileImagery.sinceUpdate = Infinity;
+    updateImageryPanel();
+}
+
+/**
+ * Apply the tile source entered in the imagery panel
+ */
+function applyImageryPanel() {
+    const url = document.getElementById('tile-url').value.trim();
+    if (!/\{z\}/.test(url) || !/\{x\}/.test(url) || !/\{-?y\}/.test(url)) {
+        showImageryStatus('The tile URL needs {z}, {x} and {y} (or {-y}) placeholders.', true);
+        return;
+    }
+    setTileSource({
+        url,
+        scheme: document.getElementById('tile-scheme').value,
+        maxZoom: Number(document.getElementById('tile-max-zoom').value)
+    });
+}
+
+/**
+ * Go back to the bundled offline tiles
+ */
+function resetTileSource() {
+    setTileSource({ url: OFFLINE_TILE_URL, scheme: 'xyz', maxZoom: OFFLINE_TILE_MAX_ZOOM });
+}
+
+/**
+ * Show the current tile source in the imagery panel
+ */
+function updateImageryPanel() {
+    document.getElementById('tile-url').value = tileImagery.url;
+    document.getElementById('tile-scheme').value = tileImagery.scheme;
+    document.getElementById('tile-max-zoom').value = tileImagery.maxZoom;
+    document.getElementById('tile-reset').disabled = tileImagery.url === OFFLINE_TILE_URL;
+}
+
+/**
+ * Summarize what the tile layer is drawing
+ * 
+ * @param {Object[]} selected - Tiles chosen for the view
+ */
+function updateImageryStatus(selected) {
+    const zooms = selected.map((tile) => tile.z);
+    const failed = selected.filter((tile) => {
+        const entry = tileImagery.cache.get(TileImagery.tileKey(tile));
+        return entry && entry.status === 'failed';
+    }).length;
+
+    let message = `Zoom ${Math.min(...zooms)}–${Math.max(...zooms)}: ${tileImagery.drawn.size} tiles drawn, ${tileImagery.cache.size} cached`;
+    if (tileImagery.loading > 0) message += `, ${tileImagery.loading} loading`;
+    if (failed > 0) message += `\n${failed} tiles unavailable, showing lower detail`;
+    if (message !== tileImagery.status) showImageryStatus(message, failed > 0);
+}
+
+/**
+ * Show a message below the imagery settings
+ * 
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Style as an error
+ */
+function showImageryStatus(message, isError = false) {
+    const status = document.getElementById('tile-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    status.style.display = 'block';
+    tileImagery.status = message;
+}
+
+// ============================================================================
+// FLAT MAP
+// ============================================================================
+
+/**
+ * Vertex shader code moving a point of the globe onto the flat map
+ * mapPosition returns the point on the map in globe local coordinates, with
+ * the globe's turn undone so the map stays put; projectToMap is its
+ * JavaScript twin
+ */
+const MAP_PROJECTION_VERTEX_SHADER = `
+uniform float mapMorph;
+uniform float mapMercator;
+uniform float mapRotation;
+varying vec3 vMapSphere;
+varying float vMapLon;
+
+vec3 mapPosition(vec3 point, vec2 lonLat) {
+    float lat = clamp(lonLat.y, -${THREE.MathUtils.degToRad(MapProjection.MAX_LATITUDE).toFixed(6)}, ${THREE.MathUtils.degToRad(MapProjection.MAX_LATITUDE).toFixed(6)});
+    float y = mix(lonLat.y, log(tan(0.25 * PI + 0.5 * lat)), mapMercator);
+    vec3 mapped = vec3(lonLat.x, y, 0.0) * ${GLOBE_RADIUS.toFixed(1)};
+    mapped.z = length(point) - ${GLOBE_RADIUS.toFixed(1)};
+    float c = cos(mapRotation);
+    float s = sin(mapRotation);
+    return vec3(c * mapped.x - s * mapped.z, mapped.y, s * mapped.x + c * mapped.z);
+}
+`;
+
+/**
+ * Fragment shader code dropping primitives that wrap around the map's edge
+ * A line or triangle joining points either side of the antimeridian would
+ * stretch across the whole map; there the longitude of the interpolated
+ * sphere position disagrees with the interpolated map longitude, except for
+ * a sliver next to the edge
+ */
+const MAP_PROJECTION_FRAGMENT_SHADER = `
+uniform float mapMorph;
+varying vec3 vMapSphere;
+varying float vMapLon;
+`;
+const MAP_WRAP_DISCARD = [
+    'float mapLonError = atan(-vMapSphere.z, vMapSphere.x) - vMapLon;',
+    // Either side of ±180° is the same longitude on the sphere
+    'mapLonError -= 2.0 * PI * floor(mapLonError / (2.0 * PI) + 0.5);',
+    'if (mapMorph > 0.0 && abs(mapLonError) > 0.2) discard;'
+].join('\n\t');
+
+/**
+ * Let a line material on the globe morph into the flat map
+ *
+ * @param {THREE.Material} material - Material of lines in globe local coordinates
+ * @returns {THREE.Material} - The same material
+ */
+function addMapProjection(material) {
+    // Shared like injectNightLights, so materials of a kind still share a program
+    material.onBeforeCompile = injectMapProjection;
+    return material;
+}
+
+/**
+ * onBeforeCompile hook morphing lines into the flat map
+ *
+ * @param {Object} shader - Shader source and uniforms about to be compiled
+ */
+function injectMapProjection(shader) {
+    projectShaderToMap(shader, false);
+}
+
+/**
+ * Add the flat map morph to a shader
+ * Longitude and latitude are read from the `globeUv` attribute where the mesh
+ * has one, which is exact at the antimeridian and the poles, and otherwise
+ * worked out from the vertex position. Normals are left alone, so the map is
+ * lit like the globe and still shows day and night.
+ *
+ * @param {Object} shader - Shader source and uniforms about to be compiled
+ * @param {boolean} useGlobeUv - The shader declares the `globeUv` attribute (see injectNightLights)
+ */
+function projectShaderToMap(shader, useGlobeUv) {
+    Object.assign(shader.uniforms, mapProjection.uniforms);
+    const lonLat = useGlobeUv
+        ? 'vec2(globeUv.x * 2.0 - 1.0, globeUv.y - 0.5) * PI'
+        : 'vec2(atan(-transformed.z, transformed.x), asin(clamp(transformed.y / length(transformed), -1.0, 1.0)))';
+
+    shader.vertexShader = shader.vertexShader
+        .replace('void main() {', `${MAP_PROJECTION_VERTEX_SHADER}\nvoid main() {`)
+        .replace('#include <begin_vertex>', [
+            '#include <begin_vertex>',
+            `vec2 mapLonLat = ${lonLat};`,
+            'vMapSphere = transformed;',
+            'vMapLon = mapLonLat.x;',
+            'transformed = mix(transformed, mapPosition(transformed, mapLonLat), mapMorph);'
+        ].join('\n'));
+    shader.fragmentShader = shader.fragmentShader
+        .replace('void main() {', `${MAP_PROJECTION_FRAGMENT_SHADER}\nvoid main() {\n\t${MAP_WRAP_DISCARD}`);
+}
+
+/**
+ * Move a point of the globe as far towards the flat map as the globe is morphed
+ * For objects placed on the globe, whose own vertices aren't in globe
+ * coordinates; mirrors mapPosition in MAP_PROJECTION_VERTEX_SHADER
+ *
+ * @param {THREE.Vector3} point - Point in globe local coordinates, as on the sphere
+ * @param {THREE.Vector3} [target] - Vector to write the result into (may be `point`)
+ * @returns {THREE.Vector3} - Morphed point in globe local coordinates
+ */
+function projectToMap(point, target = new THREE.Vector3()) {
+    if (mapProjection.morph === 0) return target.copy(point);
+
+    const { lat, lon } = Geodesy.vectorToLatLon(point);
+    const mapped = MapProjection.project(lat, lon, mapProjection.mercator);
+    const flat = new THREE.Vector3(mapped.x * GLOBE_RADIUS, mapped.y * GLOBE_RADIUS, point.length() - GLOBE_RADIUS)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), -globe.rotation.y);
+    return target.copy(point).lerp(flat, mapProjection.morph);
+}
+
+/**
+ * Direction away from the surface at a point of the globe, turned as far
+ * towards the flat map's up as the globe is morphed
+ *
+ * @param {THREE.Vector3} point - Point in globe local coordinates, as on the sphere
+ * @returns {THREE.Vector3} - Unit vector in globe local coordinates
+ */
+function getMapUp(point) {
+    const normal = point.clone().normalize();
+    if (mapProjection.morph === 0) return normal;
+
+    const flatUp = new THREE.Vector3(0, 0, 1).applyAxisAngle(new THREE.Vector3(0, 1, 0), -globe.rotation.y);
+    const up = normal.lerp(flatUp, mapProjection.morph);
+    return up.lengthSq() > 1e-6 ? up.normalize() : flatUp;
+}
+
+/**
+ * Switch between the globe and the flat map projections
+ * The camera moves with the morph and ends up looking at the same place
+ *
+ * @param {string} mode - One of MAP_PROJECTIONS
+ * @param {Object} [options] - Switch options
+ * @param {boolean} [options.animate=true] - Morph over MAP_MORPH_SECONDS rather than jump
+ */
+function setMapProjection(mode, options = {}) {
+    if (!MAP_PROJECTIONS.includes(mode)) return;
+    document.getElementById('map-projection').value = mode;
+    if (mode === mapProjection.mode) return;
+
+    cancelCameraFlight();
+    if (cameraFollow.mode !== 'orbit') finishCameraReturn();
+
+    // A switch during a switch keeps the place the first one was heading for
+    const { transition } = mapProjection;
+    const center = transition ? transition.center : getMapViewCenter();
+    const height = transition ? transition.height : getMapViewHeight();
+    const mercator = { globe: mapProjection.mercator, equirectangular: 0, mercator: 1 }[mode];
+
+    mapProjection.mode = mode;
+    controls.enabled = false;
+    startMapTransition({
+        ...getMapCameraPose(center, height, mercator),
+        morph: mode === 'globe' ? 0 : 1,
+        mercator,
+        center,
+        height,
+        duration: options.animate === false ? 0 : MAP_MORPH_SECONDS
+    });
+    if (options.animate === false) updateMapProjection(0);
+}
+
+/**
+ * Location in the middle of the view
+ *
+ * @returns {{lat: number, lon: number}} - Location in degrees
+ */
+function getMapViewCenter() {
+    if (mapProjection.mode === 'globe') return Geodesy.vectorToLatLon(globe.worldToLocal(camera.position.clone()));
+    return MapProjection.unproject(
+        camera.position.x / GLOBE_RADIUS, camera.position.y / GLOBE_RADIUS, mapProjection.mercator
+    ) || { lat: 0, lon: 0 };
+}
+
+/**
+ * Height of the camera above the globe's surface or the flat map
+ *
+ * @returns {number} - Height in globe units
+ */
+function getMapViewHeight() {
+    return mapProjection.mode === 'globe' ? camera.position.length() - GLOBE_RADIUS : camera.position.z;
+}
+
+/**
+ * Camera position and aim looking straight down at a location in the current mode
+ *
+ * @param {{lat: number, lon: number}} location - Location in degrees
+ * @param {number} height - Height above the surface in globe units
+ * @param {number} mercator - Flat map projection to aim at (see mapProjection.mercator)
+ * @returns {{position: THREE.Vector3, look: THREE.Vector3}} - Camera position and aim in world coordinates
+ */
+function getMapCameraPose(location, height, mercator) {
+    if (mapProjection.mode === 'globe') {
+        globe.updateMatrixWorld();
+        const distance = THREE.MathUtils.clamp(height + GLOBE_RADIUS, controls.minDistance, controls.maxDistance);
+        return {
+            position: globe.localToWorld(latLonToLocal(location.lat, location.lon)).setLength(distance),
+            look: new THREE.Vector3()
+        };
+    }
+
+    const mapped = MapProjection.project(location.lat, location.lon, mercator);
+    const x = mapped.x * GLOBE_RADIUS;
+    const y = mapped.y * GLOBE_RADIUS;
+    return {
+        position: new THREE.Vector3(x, y, THREE.MathUtils.clamp(height, MAP_MIN_HEIGHT, MAP_MAX_HEIGHT)),
+        look: new THREE.Vector3(x, y, 0)
+    };
+}
+
+/**
+ * Start moving the camera, and morphing the globe, towards a new view
+ *
+ * @param {Object} target - Where the transition ends
+ * @param {THREE.Vector3} target.position - Camera position
+ * @param {THREE.Vector3} target.look - Point the camera looks at
+ * @param {number} target.morph - Final mapProjection.morph
+ * @param {number} target.mercator - Final mapProjection.mercator
+ * @param {{lat: number, lon: number}} target.center - Location in the middle of the final view
+ * @param {number} target.height - Final camera height above the surface
+ * @param {number} target.duration - Seconds, 0 to jump there on the next update
+ * @param {Function} [target.onComplete] - Called once the transition has finished
+ * @param {boolean} [target.pan=false] - Only moves the camera over the flat map, so the user can take over
+ */
+function startMapTransition(target) {
+    // Aim from wherever the camera is looking now, even mid-transition
+    const previous = mapProjection.transition;
+    let look = new THREE.Vector3(camera.position.x, camera.position.y, 0);
+    if (previous) look = previous.look.clone();
+    else if (mapProjection.morph === 0) look = new THREE.Vector3();
+
+    mapProjection.transition = {
+        center: target.center,
+        height: target.height,
+        duration: target.duration,
+        onComplete: target.onComplete || null,
+        pan: Boolean(target.pan),
+        elapsed: 0,
+        fromMorph: mapProjection.morph,
+        toMorph: target.morph,
+        fromMercator: mapProjection.mercator,
+        toMercator: target.mercator,
+        fromPosition: camera.position.clone(),
+        toPosition: target.position,
+        fromLook: look.clone(),
+        toLook: target.look,
+        look
+    };
+}
+
+/**
+ * Advance the morph and give the flat map's shaders and objects their state for this frame
+ *
+ * @param {number} delta - Seconds since the previous frame
+ * @returns {boolean} - True if a transition steered the camera (the orbit controls must not update)
+ */
+function updateMapProjection(delta) {
+    const { transition } = mapProjection;
+    if (transition) {
+        transition.elapsed += delta;
+        const t = transition.duration > 0 ? Math.min(transition.elapsed / transition.duration, 1) : 1;
+        const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // easeInOutCubic
+
+        mapProjection.morph = THREE.MathUtils.lerp(transition.fromMorph, transition.toMorph, ease);
+        mapProjection.mercator = THREE.MathUtils.lerp(transition.fromMercator, transition.toMercator, ease);
+
+        // Pans over the flat map go straight; to and from the globe the camera swings around it
+        if (transition.pan) {
+            camera.position.lerpVectors(transition.fromPosition, transition.toPosition, ease);
+        } else {
+            orbitLerp(transition.fromPosition, transition.toPosition, ease, camera.position);
+        }
+        transition.look.lerpVectors(transition.fromLook, transition.toLook, ease);
+        camera.lookAt(transition.look);
+
+        if (t >= 1) finishMapTransition();
+    }
+
+    mapProjection.uniforms.mapMorph.value = mapProjection.morph;
+    mapProjection.uniforms.mapMercator.value = mapProjection.mercator;
+    mapProjection.uniforms.mapRotation.value = globe.rotation.y;
+
+    updateEarthLayerVisibility();
+    updateMapCulling();
+    if (mapProjection.morph > 0 || transition) updateMapAnchors();
+    return Boolean(transition);
+}
+
+/**
+ * End a transition: hand the camera to the orbit controls on the globe, or
+ * leave it looking straight down at the flat map
+ */
+function finishMapTransition() {
+    const { onComplete } = mapProjection.transition;
+    mapProjection.transition = null;
+
+    if (mapProjection.mode === 'globe') {
+        controls.enabled = true;
+        setCameraPosition(camera.position);
+    } else {
+        clampMapCamera();
+    }
+
+    // Choose tiles for the new view right away
+    tileImagery.sinceUpdate = Infinity;
+    if (onComplete) onComplete();
+}
+
+/**
+ * Turn frustum culling off for everything on the globe while it is unrolled
+ * Bounding volumes are those on the sphere, so culling would drop objects
+ * that are on screen on the map; each object's own setting is restored on
+ * the globe
+ */
+function updateMapCulling() {
+    const unrolled = mapProjection.morph > 0;
+    if (!unrolled && !mapProjection.unrolled) return;
+
+    globe.traverse((object) => {
+        if (unrolled && object.userData.frustumCulled === undefined) {
+            object.userData.frustumCulled = object.frustumCulled;
+            object.frustumCulled = false;
+        } else if (!unrolled && object.userData.frustumCulled !== undefined) {
+            object.frustumCulled = object.userData.frustumCulled;
+            delete object.userData.frustumCulled;
+        }
+    });
+    mapProjection.unrolled = unrolled;
+}
+
+/**
+ * Move pins and place names to their spot on the morphed globe
+ * Airplanes are moved as they fly (see placeAirplane)
+ */
+function updateMapAnchors() {
+    routes.forEach((route) => route.pins.forEach(placePinMeshes));
+    [mapOverlays.countryLabels, mapOverlays.cityLabels].forEach((group) => {
+        if (!group) return;
+        group.children.forEach((sprite) => projectToMap(sprite.userData.anchor, sprite.position));
+    });
+}
+
+/**
+ * Choose the imagery tiles under the camera on the flat map
+ * Counterpart of the globe's horizon and distance tests in updateTiles
+ *
+ * @param {number} pixelsPerUnit - Screen pixels per globe unit at a distance of one unit
+ * @returns {Object[]} - Tiles to draw, coarsest first
+ */
+function selectMapTiles(pixelsPerUnit) {
+    const height = Math.max(camera.position.z, 0.01);
+    const halfHeight = height * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    const halfWidth = halfHeight * camera.aspect;
+
+    return TileImagery.selectTiles({
+        maxZoom: tileImagery.maxZoom,
+        isVisible: (tile) => {
+            const rect = getMapTileRect(tile);
+            return rect.west < camera.position.x + halfWidth && rect.east > camera.position.x - halfWidth
+                && rect.south < camera.position.y + halfHeight && rect.north > camera.position.y - halfHeight;
+        },
+        shouldRefine: (tile) => {
+            const rect = getMapTileRect(tile);
+            const size = Math.max(rect.east - rect.west, rect.north - rect.south);
+            return (size / height) * pixelsPerUnit > TILE_SCREEN_SIZE;
+        }
+    });
+}
+
+/**
+ * Rectangle covered by a tile on the flat map
+ *
+ * @param {{z: number, x: number, y: number}} tile - Tile
+ * @returns {{west: number, east: number, south: number, north: number}} - Edges in world units
+ */
+function getMapTileRect(tile) {
+    const bounds = TileImagery.tileBounds(tile);
+    const southWest = MapProjection.project(bounds.south, bounds.west, mapProjection.mercator);
+    const northEast = MapProjection.project(bounds.north, bounds.east, mapProjection.mercator);
+    return {
+        west: southWest.x * GLOBE_RADIUS,
+        east: northEast.x * GLOBE_RADIUS,
+        south: southWest.y * GLOBE_RADIUS,
+        north: northEast.y * GLOBE_RADIUS
+    };
+}
+
+/**
+ * Pan and zoom the flat map to center a location
+ * Takes the options of flyTo; distances from the globe center become heights above the map
+ *
+ * @param {{lat: number, lon: number}} location - Location in degrees
+ * @param {Object} [options] - Flight options, see flyTo
+ */
+function flyToOnMap(location, options = {}) {
+    const height = options.distance ? options.distance - GLOBE_RADIUS : camera.position.z;
+    const pose = getMapCameraPose(location, height, mapProjection.mercator);
+    const travelled = camera.position.distanceTo(pose.position);
+
+    startMapTransition({
+        ...pose,
+        morph: 1,
+        mercator: mapProjection.mercator,
+        center: location,
+        height,
+        duration: options.duration || THREE.MathUtils.clamp(0.6 + travelled * 0.1, 0.6, 2),
+        onComplete: options.onComplete,
+        pan: true
+    });
+}
+
+/**
+ * Keep the flat map's camera over the map and within its zoom limits
+ */
+function clampMapCamera() {
+    const halfWidth = Math.PI * GLOBE_RADIUS;
+    const halfHeight = (MapProjection.mapHeight(mapProjection.mercator) / 2) * GLOBE_RADIUS;
+    camera.position.set(
+        THREE.MathUtils.clamp(camera.position.x, -halfWidth, halfWidth),
+        THREE.MathUtils.clamp(camera.position.y, -halfHeight, halfHeight),
+        THREE.MathUtils.clamp(camera.position.z, MAP_MIN_HEIGHT, MAP_MAX_HEIGHT)
+    );
+    camera.lookAt(camera.position.x, camera.position.y, 0);
+}
+
+/**
+ * Whether the flat map is on screen and taking pan and zoom input
+ *
+ * @returns {boolean} - True once a flat projection has finished unrolling
+ */
+function isMapInteractive() {
+    const { transition } = mapProjection;
+    return mapProjection.mode !== 'globe' && (!transition || transition.pan);
+}
+
+/**
+ * Start panning (one pointer) or pinching (two) on the flat map
+ */
+function onMapPointerDown(event) {
+    if (!isMapInteractive() || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+    // Taking hold of the map stops a pan to a location (like cancelCameraFlight on the globe)
+    mapProjection.transition = null;
+    if (mapProjection.pointers.size === 0) mapProjection.panMoved = false;
+    mapProjection.pointers.set(event.pointerId, {
+        x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY
+    });
+    renderer.domElement.style.cursor = 'grabbing';
+}
+
+/**
+ * Drag the map with one pointer, or zoom with the spread of two
+ */
+function onMapPointerMove(event) {
+    const pointer = mapProjection.pointers.get(event.pointerId);
+    if (!pointer || !isMapInteractive()) return;
+
+    if (mapProjection.pointers.size === 1) {
+        panMap(event.clientX - pointer.x, event.clientY - pointer.y);
+    } else {
+        const [, other] = [...mapProjection.pointers].find(([id]) => id !== event.pointerId);
+        const before = Math.hypot(pointer.x - other.x, pointer.y - other.y);
+        const after = Math.hypot(event.clientX - other.x, event.clientY - other.y);
+        if (before > 0 && after > 0) {
+            zoomMap(before / after, (event.clientX + other.x) / 2, (event.clientY + other.y) / 2);
+        }
+    }
+
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    if (Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > 4) mapProjection.panMoved = true;
+}
+
+/**
+ * Finish a pan; the click that follows a real drag must not place a pin
+ */
+function onMapPointerUp(event) {
+    if (!mapProjection.pointers.delete(event.pointerId)) return;
+    if (mapProjection.pointers.size > 0) return;
+
+    renderer.domElement.style.cursor = 'grab';
+    if (mapProjection.panMoved) suppressNextClick = true;
+}
+
+/**
+ * Zoom the flat map with the mouse wheel, keeping the point under the cursor still
+ */
+function onMapWheel(event) {
+    if (!isMapInteractive()) return;
+    event.preventDefault();
+    mapProjection.transition = null;
+    zoomMap(event.deltaY > 0 ? 1.1 : 1 / 1.1, event.clientX, event.clientY);
+}
+
+/**
+ * Move the flat map's camera so the map follows the pointer
+ *
+ * @param {number} dx - Pointer movement in pixels to the right
+ * @param {number} dy - Pointer movement in pixels down
+ */
+function panMap(dx, dy) {
+    const unitsPerPixel = (2 * camera.position.z * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / window.innerHeight;
+    camera.position.x -= dx * unitsPerPixel;
+    camera.position.y += dy * unitsPerPixel;
+    clampMapCamera();
+}
+
+/**
+ * Raise or lower the flat map's camera around a point of the screen
+ *
+ * @param {number} scale - New height over the current height
+ * @param {number} clientX - X coordinate in pixels of the point that stays still
+ * @param {number} clientY - Y coordinate in pixels of the point that stays still
+ */
+function zoomMap(scale, clientX, clientY) {
+    const before = camera.position.z;
+    const after = THREE.MathUtils.clamp(before * scale, MAP_MIN_HEIGHT, MAP_MAX_HEIGHT);
+    const tangent = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+
+    // The world point under the pointer is offset from the view center in proportion to the height
+    const x = (clientX / window.innerWidth) * 2 - 1;
+    const y = -(clientY / window.innerHeight) * 2 + 1;
+    camera.position.x += x * tangent * camera.aspect * (before - after);
+    camera.position.y += y * tangent * (before - after);
+    camera.position.z = after;
+    clampMapCamera();
+}
+
+// ============================================================================
+// STARFIELD BACKGROUND
+// ============================================================================
+
+/**
+ * Create a realistic starfield background for space environment
+ * Generates thousands of randomly positioned stars to simulate deep space
+ * Uses BufferGeometry for optimal performance with large numbers of points
+ */
+function createStarField() {
+    /**
+     * Star Geometry Setup
+     * BufferGeometry is more efficient than regular geometry for many points
+     * Each star is just a point in 3D space with position coordinates
+     */
+    const starGeometry = new THREE.BufferGeometry();
+    const starCount = 10000;  // Total number of stars to generate
+    
+    /**
+     * Position Array - stores XYZ coordinates for all stars
+     * Float32Array is memory-efficient for large datasets
+     * 3 values per star (x, y, z) = starCount * 3 total values
+     */
+    const positions = new Float32Array(starCount * 3);
+
+    /**
+     * Generate random star positions
+     * Creates a cube of stars around the entire scene
+     * Range: -1000 to +1000 units in all directions
+     */
+    for (let i = 0; i < starCount * 3; i += 3) {
+        positions[i] = (Math.random() - 0.5) * 2000;     // X coordinate
+        positions[i + 1] = (Math.random() - 0.5) * 2000; // Y coordinate  
+        positions[i + 2] = (Math.random() - 0.5) * 2000; // Z coordinate
+    }
+
+    /**
+     * Apply position data to geometry
+     * 'position' is a special attribute name that Three.js recognizes
+     * 3 indicates each position has 3 components (x, y, z)
+     */
+    starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+    /**
+     * Star Material - defines how stars appear
+     * PointsMaterial is specifically designed for point clouds
+     * White color with fixed size for consistent star appearance
+     */
+    const starMaterial = new THREE.PointsMaterial({
+        color: 0xffffff,        // Pure white stars
+        size: 2,               // Star size in pixels
+        sizeAttenuation: false // Stars stay same size regardless of distance
+    });
+
+    /**
+     * Create star field and add to scene
+     * Points object renders each position as a small square point
+     */
+    const stars = new THREE.Points(starGeometry, starMaterial);
+    scene.add(stars);
+}
+
+// ============================================================================
+// EVENT HANDLING SYSTEM
+// ============================================================================
+
+/**
+ * Set up all user interaction event listeners
+ * Handles mouse, touch, keyboard, and UI interactions
+ * Provides comprehensive input support for all devices
+ */
+function setupEventListeners() {
+    // ========================================================================
+    // MOUSE INTERACTION EVENTS
+    // ========================================================================
+    
+    /**
+     * Mouse click handler for pin placement
+     * Detects clicks on globe surface and places location pins
+     */
+    renderer.domElement.addEventListener('click', onMouseClick);
+    
+    /**
+     * Mouse move handler for cursor feedback and the hover tooltip
+     * Changes cursor appearance when hovering over interactive areas
+     */
+    renderer.domElement.addEventListener('mousemove', onMouseMove);
+    renderer.domElement.addEventListener('mouseleave', () => showPickTooltip(null));
+    document.getElementById('pick-popup-close').addEventListener('click', closePickPopup);
+
+    /**
+     * Pin drag handlers - pointer events cover mouse, touch and pen
+     * Pointer down is captured on the container so a drag on a pin never reaches the orbit controls
+     */
+    document.getElementById('container').addEventListener('pointerdown', onPinPointerDown, true);
+    window.addEventListener('pointermove', onPinPointerMove);
+    window.addEventListener('pointerup', onPinPointerUp);
+    window.addEventListener('pointercancel', onPinPointerUp);
+
+    /**
+     * Flat map pan and zoom - the orbit controls are off while the map is shown
+     */
+    renderer.domElement.addEventListener('pointerdown', onMapPointerDown);
+    window.addEventListener('pointermove', onMapPointerMove);
+    window.addEventListener('pointerup', onMapPointerUp);
+    window.addEventListener('pointercancel', onMapPointerUp);
+    renderer.domElement.addEventListener('wheel', onMapWheel, { passive: false });
+
+    // ========================================================================
+    // TOUCH INTERACTION EVENTS
+    // ========================================================================
+    
+    /**
+     * Touch end handler for mobile pin placement
+     * Handles single-tap gestures on touch devices
+     */
+    renderer.domElement.addEventListener('touchend', onTouchEnd);
+
+    // ========================================================================
+    // UI CONTROL EVENTS
+    // ========================================================================
+    
+    /**
+     * Clear pins button - removes all pins and flight paths
+     */
+    document.getElementById('clear-pins').addEventListener('click', clearPins);
+
+    /**
+     * New route button - starts an empty route that receives the next pins
+     */
+    document.getElementById('new-route').addEventListener('click', addRouteFromPanel);
+
+    /**
+     * Undo/redo buttons and keyboard shortcuts
+     */
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+    window.addEventListener('keydown', onKeyDown);
+
+    /**
+     * Share link button and pasted links - the hash carries the whole scene
+     */
+    document.getElementById('share-link').addEventListener('click', copyShareLink);
+    window.addEventListener('hashchange', restoreStateFromUrl);
+
+    /**
+     * Import/export buttons and route files dropped anywhere on the page
+     */
+    document.getElementById('export-routes').addEventListener('click', exportRoutes);
+    document.getElementById('gpx-spacing').addEventListener('change', onTrackSpacingChange);
+    document.getElementById('import-file').addEventListener('click', () => {
+        document.getElementById('import-input').click();
+    });
+    document.getElementById('import-input').addEventListener('change', onImportInputChange);
+    window.addEventListener('dragover', onFileDragOver);
+    window.addEventListener('dragleave', onFileDragLeave);
+    window.addEventListener('drop', onFileDrop);
+
+    /**
+     * Route network loading, coloring and clearing
+     */
+    document.getElementById('load-network').addEventListener('click', () => {
+        document.getElementById('network-input').click();
+    });
+    document.getElementById('network-input').addEventListener('change', onNetworkInputChange);
+    document.getElementById('network-color').addEventListener('change', onNetworkColorChange);
+    document.getElementById('clear-network').addEventListener('click', clearNetwork);
+
+    /**
+     * Live traffic feed connect/disconnect
+     */
+    document.getElementById('feed-connect').addEventListener('click', toggleLiveTraffic);
+
+    /**
+     * Track playback: loading and the timeline bar
+     */
+    document.getElementById('load-track').addEventListener('click', () => {
+        document.getElementById('track-input').click();
+    });
+    document.getElementById('track-input').addEventListener('change', onTrackInputChange);
+    document.getElementById('timeline-play').addEventListener('click', togglePlayback);
+    document.getElementById('timeline-scrubber').addEventListener('input', onTimelineScrub);
+    document.getElementById('timeline-speed').addEventListener('change', (event) => {
+        trackPlayback.speed = Number(event.target.value);
+    });
+    document.getElementById('timeline-close').addEventListener('click', closeTrackPlayback);
+    
+    /**
+     * Rotation toggle button - starts/stops automatic globe rotation
+     */
+    document.getElementById('toggle-rotation').addEventListener('click', toggleRotation);
+
+    /**
+     * Cruise speed input - recalculates the estimated block time
+     */
+    document.getElementById('cruise-speed').addEventListener('change', onCruiseSpeedChange);
+    document.getElementById('path-mode').addEventListener('change', (event) => setPathMode(event.target.value));
+
+    /**
+     * Flight profile inputs - cruise level, climb rate, descent gradient and height exaggeration
+     */
+    ['profile-cruise-level', 'profile-climb-rate', 'profile-descent-angle', 'profile-exaggeration'].forEach((id) => {
+        document.getElementById(id).addEventListener('change', onProfileSettingChange);
+    });
+
+    /**
+     * Route airplane animation: pause/resume, time scale and flight mode
+     */
+    document.getElementById('flight-play').addEventListener('click', toggleFlightAnimation);
+    document.getElementById('flight-speed').addEventListener('change', (event) => {
+        flightAnimation.timeScale = Number(event.target.value);
+    });
+    document.getElementById('flight-mode').addEventListener('change', onFlightModeChange);
+
+    /**
+     * Camera mode buttons - free orbit or following the airplane (Escape returns to orbit)
+     */
+    document.querySelectorAll('[data-camera-mode]').forEach((button) => {
+        button.addEventListener('click', () => setCameraMode(button.dataset.cameraMode));
+    });
+
+    /**
+     * Camera fly-to actions; grabbing the globe cancels a flight in progress
+     */
+    document.getElementById('focus-departure').addEventListener('click', focusDeparture);
+    document.getElementById('focus-route').addEventListener('click', () => flyToRoute(activeRoute));
+    document.getElementById('goto-input').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') goToInputLocation();
+    });
+    document.getElementById('goto-btn').addEventListener('click', goToInputLocation);
+    renderer.domElement.addEventListener('pointerdown', () => cancelCameraFlight());
+
+    /**
+     * World clock: pick a date (UTC), change the clock speed or go back to real time
+     */
+    document.getElementById('clock-time').addEventListener('change', onClockTimeChange);
+    document.getElementById('clock-rate').addEventListener('change', onClockRateChange);
+    document.getElementById('clock-live').addEventListener('click', setClockLive);
+
+    /**
+     * Globe or flat map
+     */
+    document.getElementById('map-projection').addEventListener('change', (event) => {
+        setMapProjection(event.target.value);
+    });
+
+    /**
+     * Optional Earth layers
+     */
+    document.getElementById('show-atmosphere').addEventListener('change', (event) => {
+        setEarthLayerVisible('atmosphere', event.target.checked);
+    });
+    document.getElementById('show-clouds').addEventListener('change', (event) => {
+        setEarthLayerVisible('clouds', event.target.checked);
+    });
+
+    /**
+     * Map overlays
+     */
+    [['show-borders', 'borders'], ['show-coastlines', 'coastlines'],
+     ['show-country-labels', 'countryLabels'], ['show-city-labels', 'cityLabels']].forEach(([id, layer]) => {
+        document.getElementById(id).addEventListener('change', (event) => {
+            setMapOverlayVisible(layer, event.target.checked);
+        });
+    });
+
+    /**
+     * Tile imagery source
+     */
+    document.getElementById('tile-apply').addEventListener('click', applyImageryPanel);
+    document.getElementById('tile-url').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') applyImageryPanel();
+    });
+    document.getElementById('tile-reset').addEventListener('click', resetTileSource);
+
+    /**
+     * Airport search box and snap-to-airport toggle
+     */
+    document.getElementById('airport-search').addEventListener('input', onAirportSearchInput);
+    document.getElementById('airport-search').addEventListener('keydown', onAirportSearchKeyDown);
+    document.getElementById('snap-to-airports').addEventListener('change', (event) => {
+        airportSnap.enabled = event.target.checked;
+    });
+    
+    // ========================================================================
+    // MOBILE MENU EVENTS
+    // ========================================================================
+    
+    /**
+     * Mobile menu toggle - opens/closes hamburger menu on mobile devices
+     */
+    document.getElementById('menu-toggle').addEventListener('click', toggleMobileMenu);
+    
+    /**
+     * Close panel button - closes mobile menu
+     */
+    document.getElementById('close-panel').addEventListener('click', closeMobileMenu);
+    
+    /**
+     * Overlay click - closes mobile menu when clicking outside
+     */
+    document.getElementById('overlay').addEventListener('click', closeMobileMenu);
+
+    // ========================================================================
+    // WINDOW EVENTS
+    // ========================================================================
+    
+    /**
+     * Window resize handler - maintains proper aspect ratio and canvas size
+     */
+    window.addEventListener('resize', onWindowResize);
+}
+
+// ============================================================================
+// INPUT PROCESSING UTILITIES
+// ============================================================================
+
+/**
+ * Extract pointer position from mouse or touch events
+ * Provides unified handling for both mouse and touch input
+ * 
+ * @param {Event} event - Mouse or touch event object
+ * @returns {Object} - Object with x, y coordinates in pixels
+ */
+function getPointerPosition(event) {
+    // Handle touch events (mobile devices)
+    if (event.touches && event.touches.length > 0) {
+        return {
+            x: event.touches[0].clientX,
+            y: event.touches[0].clientY
+        };
+    }
+    
+    // Handle touch end events (when finger lifts)
+    if (event.changedTouches && event.changedTouches.length > 0) {
+        return {
+            x: event.changedTouches[0].clientX,
+            y: event.changedTouches[0].clientY
+        };
+    }
+    
+    // Handle mouse events (desktop)
+    return {
+        x: event.clientX,
+        y: event.clientY
+    };
+}
+
+/**
+ * Find the location on the globe, or on the flat map, under a screen point
+ * Nothing can be picked while the globe is part way through morphing
+ * 
+ * @param {number} clientX - X coordinate in pixels from left edge of viewport
+ * @param {number} clientY - Y coordinate in pixels from top edge of viewport
+ * @returns {{location: {lat: number, lon: number}, distance: number}|null} -
+ *          Location in degrees and its distance from the camera, or null if the pointer misses
+ */
+function pickGlobeLocation(clientX, clientY) {
+    // Normalized device coordinates (-1 to +1, Y up) for the raycaster
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+
+    if (mapProjection.morph === 0) {
+        const [hit] = raycaster.intersectObject(globe, false);
+        if (!hit) return null;
+
+        // Pins are children of the globe, so work in its rotating coordinates
+        const localPoint = globe.worldToLocal(hit.point.clone());
+        return { location: Geodesy.vectorToLatLon(localPoint), distance: hit.distance };
+    }
+
+    if (mapProjection.morph < 1 || mapProjection.transition) return null;
+
+    // The flat map lies in the world's XY plane
+    const point = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), new THREE.Vector3());
+    if (!point) return null;
+    const location = MapProjection.unproject(point.x / GLOBE_RADIUS, point.y / GLOBE_RADIUS, mapProjection.mercator);
+    return location && { location, distance: raycaster.ray.origin.distanceTo(point) };
+}
+
+/**
+ * Handle pin placement logic for both mouse and touch input
+ * Converts screen coordinates to 3D world coordinates and places pins
+ * 
+ * @param {number} clientX - X coordinate in pixels from left edge of viewport
+ * @param {number} clientY - Y coordinate in pixels from top edge of viewport
+ */
+function handlePinPlacement(clientX, clientY) {
+    /**
+     * Find the point of the globe (or flat map) under the pointer
+     * Every click on the Earth appends a new waypoint to the end of the itinerary
+     */
+    const picked = pickGlobeLocation(clientX, clientY);
+
+    if (picked) {
+        // Create and place the pin at the clicked latitude/longitude on the active route
+        const route = getActiveRoute();
+        editRoutePins(route, 'Add pin', () => {
+            addPin(snapToAirport(picked.location), route.pins.length, route);
+            
+            /**
+             * Rebuild the flight path whenever the itinerary has at least one leg
+             * Each consecutive pair of pins becomes a great circle leg
+             */
+            refreshFlightPath(route);
+        });
+    }
+}
+
+function onMouseClick(event) {
+    if (suppressNextClick) {
+        suppressNextClick = false;
+        return;
+    }
+    const pointer = getPointerPosition(event);
+    if (handleObjectClick(pointer.x, pointer.y)) return;
+    handlePinPlacement(pointer.x, pointer.y);
+}
+
+function onTouchEnd(event) {
+    // Only handle single touch for pin placement
+    if (event.changedTouches.length === 1) {
+        event.preventDefault();
+        if (suppressNextClick) {
+            suppressNextClick = false;
+            return;
+        }
+        const pointer = getPointerPosition(event);
+        if (handleObjectClick(pointer.x, pointer.y)) return;
+        handlePinPlacement(pointer.x, pointer.y);
+    }
+}
+
+function onMouseMove(event) {
+    // Dragging a pin or panning the flat map
+    if (pinDrag || mapProjection.pointers.size > 0) {
+        renderer.domElement.style.cursor = 'grabbing';
+        showPickTooltip(null);
+        return;
+    }
+
+    // Pins can be dragged; pins, aircraft and route lines all describe themselves in a tooltip
+    const pick = pickObject(event.clientX, event.clientY);
+    showPickTooltip(pick, event.clientX, event.clientY);
+    if (pick) {
+        renderer.domElement.style.cursor = pick.kind === 'pin' ? 'grab' : 'pointer';
+        return;
+    }
+
+    if (pickGlobeLocation(event.clientX, event.clientY)) {
+        renderer.domElement.style.cursor = 'pointer';
+    } else {
+        renderer.domElement.style.cursor = 'default';
+    }
+}
+
+// ============================================================================
+// PIN DRAGGING
+// ============================================================================
+
+/**
+ * Find the pin under a screen position
+ * Only pins of visible routes on the near side of the globe can be picked
+ * 
+ * @param {number} clientX - X coordinate in pixels from left edge of viewport
+ * @param {number} clientY - Y coordinate in pixels from top edge of viewport
+ * @returns {{route: Object, pin: Object}|null} - The picked pin and its route
+ */
+function pickPin(clientX, clientY) {
+    const meshes = [];
+    for (const route of routes) {
+        if (!route.visible) continue;
+        for (const pin of route.pins) {
+            meshes.push(pin.pinMesh, pin.glowMesh);
+        }
+    }
+    if (meshes.length === 0) return null;
+
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+
+    const [hit] = raycaster.intersectObjects(meshes, false);
+    if (!hit) return null;
+
+    // Ignore pins hidden behind the globe
+    const globeHit = pickGlobeLocation(clientX, clientY);
+    if (globeHit && globeHit.distance < hit.distance - PIN_HEIGHT * 5) return null;
+
+    const pin = hit.object.userData.pin;
+    return { route: pin.group.userData.route, pin };
+}
+
+/**
+ * Start dragging a pin if the pointer went down on one
+ * Registered in the capture phase on the container so it runs before the
+ * orbit controls see the event; orbiting is suspended for the whole drag
+ */
+function onPinPointerDown(event) {
+    // A drag that ended outside the canvas never produced its click, so start clean
+    suppressNextClick = false;
+    if (event.target !== renderer.domElement || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+    const picked = pickPin(event.clientX, event.clientY);
+    if (!picked) return;
+
+    event.stopPropagation();
+    event.preventDefault();
+
+    pinDrag = { ...picked, moved: false, before: snapshotPins(picked.route) };
+    controls.enabled = false;
+    showPickTooltip(null);
+    renderer.domElement.style.cursor = 'grabbing';
+}
+
+/**
+ * Move the dragged pin to the point of the globe under the pointer
+ * The route's arcs and airplane path are recomputed live
+ */
+function onPinPointerMove(event) {
+    if (!pinDrag) return;
+
+    const picked = pickGlobeLocation(event.clientX, event.clientY);
+    if (!picked) return;
+
+    setPinLocation(pinDrag.pin, picked.location);
+    updateFlightPathGeometry(pinDrag.route);
+    pinDrag.moved = true;
+}
+
+/**
+ * Finish a pin drag: snap to an airport if enabled, rebuild the route and restore orbiting
+ */
+function onPinPointerUp() {
+    if (!pinDrag) return;
+
+    const { route, pin, moved, before } = pinDrag;
+    pinDrag = null;
+    controls.enabled = cameraFollow.mode === 'orbit' && mapProjection.mode === 'globe';
+    renderer.domElement.style.cursor = 'grab';
+
+    // The click that follows pointerup must not place a new pin
+    suppressNextClick = true;
+
+    // A press that didn't move the pin is a click on it
+    if (!moved) openPickPopup({ kind: 'pin', route, pin });
+
+    if (moved) {
+        setPinLocation(pin, snapToAirport({ lat: pin.lat, lon: pin.lon }));
+        refreshFlightPath(route);
+        recordPinEdit(route, 'Move pin', before);
+    }
+}
+
+// ============================================================================
+// OBJECT PICKING
+// ============================================================================
+
+/**
+ * Find the pin, aircraft or route line under a screen position
+ * Pins come first as they sit on the ends of route lines, and aircraft
+ * before the lines they fly along
+ * 
+ * @param {number} clientX - X coordinate in pixels from left edge of viewport
+ * @param {number} clientY - Y coordinate in pixels from top edge of viewport
+ * @returns {Object|null} - Pick (see `picking`), or null if only the globe is there
+ */
+function pickObject(clientX, clientY) {
+    const pinPick = pickPin(clientX, clientY);
+    if (pinPick) return { kind: 'pin', ...pinPick };
+    return pickAircraft(clientX, clientY) || pickRouteLine(clientX, clientY);
+}
+
+/**
+ * Find the route airplane, live aircraft or playback aircraft under a screen position
+ * 
+ * @param {number} clientX - X coordinate in pixels from left edge of viewport
+ * @param {number} clientY - Y coordinate in pixels from top edge of viewport
+ * @returns {Object|null} - Pick of kind 'airplane', 'traffic' or 'playback'
+ */
+function pickAircraft(clientX, clientY) {
+    const candidates = routes.filter((route) => route.visible && route.airplane).map((route) => route.airplane);
+    if (trackPlayback.airplane) candidates.push(trackPlayback.airplane);
+    if (liveTraffic.mesh && liveTraffic.mesh.count > 0) candidates.push(liveTraffic.mesh);
+    if (candidates.length === 0) return null;
+
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+
+    const [hit] = raycaster.intersectObjects(candidates, true);
+    if (!hit) return null;
+
+    // Ignore aircraft hidden behind the globe
+    const globeHit = pickGlobeLocation(clientX, clientY);
+    if (globeHit && globeHit.distance < hit.distance - PIN_HEIGHT * 5) return null;
+
+    if (hit.object === liveTraffic.mesh) {
+        // Instances are laid out in the store's order (see updateLiveTraffic)
+        const entry = [...liveTraffic.store.aircraft.values()][hit.instanceId];
+        return entry ? { kind: 'traffic', icao24: entry.state.icao24 } : null;
+    }
+
+    // Airplanes are groups of meshes; climb up to the airplane itself
+    let airplane = hit.object;
+    while (airplane && !candidates.includes(airplane)) airplane = airplane.parent;
+    const route = routes.find((candidate) => candidate.airplane === airplane);
+    return route ? { kind: 'airplane', route } : { kind: 'playback' };
+}
+
+/**
+ * Find the route line passing closest to a screen position, within PICK_LINE_PIXELS
+ * Lines are one pixel wide, so they are matched on screen rather than by raycasting
+ * 
+ * @param {number} clientX - X coordinate in pixels from left edge of viewport
+ * @param {number} clientY - Y coordinate in pixels from top edge of viewport
+ * @returns {Object|null} - Pick of kind 'leg' with the route, leg index and the point of the line under the pointer
+ */
+function pickRouteLine(clientX, clientY) {
+    const pointer = new THREE.Vector2(clientX, clientY);
+    const toScreen = (local) => {
+        const world = globe.localToWorld(projectToMap(local));
+        const projected = world.clone().project(camera);
+        return {
+            local,
+            world,
+            screen: new THREE.Vector2((projected.x + 1) / 2 * window.innerWidth, (1 - projected.y) / 2 * window.innerHeight),
+            inFront: projected.z < 1
+        };
+    };
+
+    let best = null;
+    routes.forEach((route) => {
+        if (!route.visible || !route.flightPath) return;
+        route.flightPath.children.forEach((line) => {
+            const positions = line.geometry.getAttribute('position');
+            let previous = null;
+            for (let i = 0; i < positions.count; i++) {
+                const current = toScreen(new THREE.Vector3().fromBufferAttribute(positions, i));
+                // Skip segments behind the camera and, on the flat map, those wrapping around its edge
+                if (previous && previous.inFront && current.inFront && previous.world.distanceTo(current.world) < GLOBE_RADIUS) {
+                    const segment = current.screen.clone().sub(previous.screen);
+                    const t = segment.lengthSq() > 0
+                        ? THREE.MathUtils.clamp(pointer.clone().sub(previous.screen).dot(segment) / segment.lengthSq(), 0, 1)
+                        : 0;
+                    const pixels = previous.screen.clone().addScaledVector(segment, t).distanceTo(pointer);
+                    if (pixels <= PICK_LINE_PIXELS && (!best || pixels < best.pixels)) {
+                        best = {
+                            route,
+                            line,
+                            pixels,
+                            local: previous.local.clone().lerp(current.local, t),
+                            world: previous.world.clone().lerp(current.world, t)
+                        };
+                    }
+                }
+                previous = current;
+            }
+        });
+    });
+    if (!best) return null;
+
+    // Ignore lines hidden behind the globe
+    const globeHit = pickGlobeLocation(clientX, clientY);
+    if (globeHit && globeHit.distance < camera.position.distanceTo(best.world) - PIN_HEIGHT * 5) return null;
+
+    return {
+        kind: 'leg',
+        route: best.route,
+        leg: best.line.userData.leg,
+        comparison: best.line.userData.comparison,
+        point: best.local
+    };
+}
+
+/**
+ * Describe a pick for the tooltip and popup
+ * Read afresh every time, so moving aircraft and edited pins stay up to date
+ * 
+ * @param {Object} pick - Pick from pickObject
+ * @returns {{title: string, rows: string[][], location: {lat: number, lon: number}, anchor: THREE.Vector3}|null} -
+ *          Title, [label, value] detail rows, location and world position to point at, or null if the object is gone
+ */
+function describePick(pick) {
+    const { route } = pick;
+    if (route && (!routes.includes(route) || !route.visible)) return null;
+
+    if (pick.kind === 'pin') {
+        const index = route.pins.indexOf(pick.pin);
+        if (index === -1) return null;
+        const rows = [['Route', route.name], ['Role', PIN_ROLE_LABELS[getPinRole(index, route.pins.length)]]];
+        if (pick.pin.airport) rows.push(['Airport', `${pick.pin.airport.name} (${pick.pin.airport.iata})`]);
+        return {
+            title: getPinLabel(pick.pin, index),
+            rows,
+            location: pick.pin,
+            anchor: pick.pin.pinMesh.getWorldPosition(new THREE.Vector3())
+        };
+    }
+
+    if (pick.kind === 'leg') {
+        const from = route.pins[pick.leg];
+        const to = route.pins[pick.leg + 1];
+        if (!from || !to || !route.flightPath) return null;
+        const isRhumb = pick.comparison || getFlownPath() === 'rhumb';
+        const distanceKm = isRhumb ? Geodesy.rhumbDistance(from, to) : Geodesy.haversineDistance(from, to);
+        return {
+            title: `${route.name} · Leg ${pick.leg + 1}`,
+            rows: [
+                ['From', getPinLabel(from, pick.leg)],
+                ['To', getPinLabel(to, pick.leg + 1)],
+                ['Path', isRhumb ? 'Rhumb line' : 'Great circle'],
+                ['Distance', `${formatNumber(distanceKm)} km · ${formatNumber(distanceKm * KM_TO_NAUTICAL_MILES)} nm`],
+                ['Heading', isRhumb
+                    ? `${formatHeading(Geodesy.rhumbBearing(from, to))} constant`
+                    : `${formatHeading(Geodesy.initialBearing(from, to))} initial`]
+            ],
+            location: Geodesy.vectorToLatLon(pick.point),
+            anchor: globe.localToWorld(projectToMap(pick.point))
+        };
+    }
+
+    if (pick.kind === 'airplane') {
+        if (!route.airplane) return null;
+        const routeProfile = getRouteProfile(route);
+        const reading = getProfileReading(routeProfile, route.flight.distance);
+        return {
+            title: `${route.name} airplane`,
+            rows: [
+                ['Altitude', `${formatNumber(reading.altitudeFt)} ft`],
+                ['Flown', `${formatNumber(route.flight.distance)} of ${formatNumber(routeProfile.totalKm)} km`]
+            ],
+            location: Geodesy.vectorToLatLon(getPathPointAt(route, route.flight.distance)),
+            anchor: route.airplane.getWorldPosition(new THREE.Vector3())
+        };
+    }
+
+    if (pick.kind === 'traffic') {
+        const entry = liveTraffic.store && liveTraffic.store.aircraft.get(pick.icao24);
+        if (!entry) return null;
+        const { lat, lon, altitude, heading } = AircraftFeed.predictPosition(entry, Date.now());
+        const local = latLonToLocal(lat, lon, GLOBE_RADIUS + PIN_HEIGHT + altitude * ALTITUDE_SCALE);
+        return {
+            title: entry.state.callsign || pick.icao24.toUpperCase(),
+            rows: [
+                ['ICAO address', pick.icao24.toUpperCase()],
+                ['Altitude', entry.state.onGround ? 'On the ground' : `${formatNumber(altitude * METRES_TO_FEET)} ft`],
+                ['Speed', `${formatNumber(entry.state.velocity * METRES_PER_SECOND_TO_KNOTS)} kt`],
+                ['Heading', formatHeading(heading)]
+            ],
+            location: { lat, lon },
+            anchor: globe.localToWorld(projectToMap(local))
+        };
+    }
+
+    if (!trackPlayback.airplane) return null;
+    const sample = sampleTrack(trackPlayback.currentTime);
+    return {
+        title: 'Recorded track',
+        rows: [
+            ['Time', `${new Date(trackPlayback.currentTime).toISOString().replace('T', ' ').slice(0, 19)} UTC`],
+            ['Altitude', `${formatNumber(sample.altitude * METRES_TO_FEET)} ft`],
+            ['Heading', formatHeading(sample.heading)]
+        ],
+        location: sample,
+        anchor: trackPlayback.airplane.getWorldPosition(new THREE.Vector3())
+    };
+}
+
+/**
+ * Show the hover tooltip for a pick next to the pointer, or hide it
+ * 
+ * @param {Object|null} pick - Pick under the pointer
+ * @param {number} [clientX] - Pointer X coordinate in pixels
+ * @param {number} [clientY] - Pointer Y coordinate in pixels
+ */
+function showPickTooltip(pick, clientX, clientY) {
+    const tooltip = document.getElementById('pick-tooltip');
+    const description = pick && describePick(pick);
+    picking.hovered = description ? pick : null;
+    if (!description) {
+        tooltip.style.display = 'none';
+        return;
+    }
+
+    tooltip.innerHTML = '';
+    const title = document.createElement('strong');
+    title.textContent = description.title;
+    const coordinates = document.createElement('span');
+    coordinates.textContent = formatCoordinates(description.location);
+    tooltip.append(title, coordinates);
+
+    tooltip.style.display = 'flex';
+    tooltip.style.left = `${Math.min(clientX + 14, window.innerWidth - tooltip.offsetWidth - 8)}px`;
+    tooltip.style.top = `${Math.min(clientY + 14, window.innerHeight - tooltip.offsetHeight - 8)}px`;
+}
+
+/**
+ * Open the popup with the details of a pick and what can be done with it
+ * Pins can be renamed, deleted or made the departure or destination
+ * 
+ * @param {Object} pick - Pick from pickObject
+ */
+function openPickPopup(pick) {
+    const description = describePick(pick);
+    if (!description) return;
+
+    picking.popup = pick;
+    showPickTooltip(null);
+
+    const rows = document.getElementById('pick-popup-rows');
+    rows.innerHTML = '';
+    [...description.rows, ['Position', '']].forEach(([label]) => {
+        const row = document.createElement('div');
+        row.className = 'card-row';
+        row.innerHTML = '<span class="card-label"></span><span class="card-value"></span>';
+        row.querySelector('.card-label').textContent = label;
+        rows.appendChild(row);
+    });
+
+    const actions = document.getElementById('pick-popup-actions');
+    actions.innerHTML = '';
+    const addAction = (text, title, onClick, disabled = false) => {
+        const button = document.createElement('button');
+        button.className = 'icon-btn';
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', () => {
+            closePickPopup();
+            onClick();
+        });
+        actions.appendChild(button);
+    };
+
+    const { route } = pick;
+    if (pick.kind === 'pin') {
+        const { pin } = pick;
+        const index = route.pins.indexOf(pin);
+        const last = route.pins.length - 1;
+
+        const nameInput = document.createElement('input');
+        nameInput.className = 'search-input';
+        nameInput.value = pin.name || '';
+        nameInput.placeholder = getPinLabel({ ...pin, name: null }, index);
+        nameInput.title = 'Rename pin (leave empty for the default name)';
+        nameInput.addEventListener('change', () => renamePin(pin, nameInput.value, route));
+        nameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') nameInput.blur();
+        });
+        actions.appendChild(nameInput);
+
+        addAction('Set as departure', 'Move this pin to the start of the itinerary',
+            () => movePin(route.pins.indexOf(pin), 0, route), index === 0);
+        addAction('Set as destination', 'Move this pin to the end of the itinerary',
+            () => movePin(route.pins.indexOf(pin), route.pins.length - 1, route), index === last);
+        addAction('Delete', 'Remove this pin', () => removePin(route.pins.indexOf(pin), route));
+    } else if (pick.kind === 'leg') {
+        addAction('+ Stop', 'Insert a stop halfway along this leg', () => insertStop(pick.leg, route));
+    } else if (pick.kind === 'airplane') {
+        addAction('Chase', 'Follow this airplane with the chase camera', () => {
+            if (route !== activeRoute) selectRoute(route);
+            setCameraMode('chase');
+        });
+    }
+    actions.style.display = actions.children.length > 0 ? 'flex' : 'none';
+
+    document.getElementById('pick-popup').style.display = 'block';
+    updatePickPopup();
+}
+
+/**
+ * Close the popup
+ */
+function closePickPopup() {
+    picking.popup = null;
+    document.getElementById('pick-popup').style.display = 'none';
+}
+
+/**
+ * Refresh the open popup's details and keep it pointing at its object
+ * Called every frame; the popup is hidden while its object is behind the
+ * globe and closed once the object is gone
+ */
+function updatePickPopup() {
+    if (!picking.popup) return;
+
+    const description = describePick(picking.popup);
+    if (!description) {
+        closePickPopup();
+        return;
+    }
+
+    const popup = document.getElementById('pick-popup');
+    document.getElementById('pick-popup-title').textContent = description.title;
+    const values = popup.querySelectorAll('#pick-popup-rows .card-value');
+    [...description.rows, ['Position', formatCoordinates(description.location)]].forEach(([, value], i) => {
+        if (values[i] && values[i].textContent !== value) values[i].textContent = value;
+    });
+
+    // On the globe, hide the popup while the ray to its object passes through the Earth
+    const toAnchor = description.anchor.clone().sub(camera.position);
+    const anchorDistance = toAnchor.length();
+    const ray = new THREE.Ray(camera.position, toAnchor.divideScalar(anchorDistance));
+    const earthHit = mapProjection.morph === 0
+        && ray.intersectSphere(new THREE.Sphere(new THREE.Vector3(), GLOBE_RADIUS), new THREE.Vector3());
+    const hidden = earthHit && camera.position.distanceTo(earthHit) < anchorDistance - PIN_HEIGHT * 5;
+
+    const projected = description.anchor.clone().project(camera);
+    popup.style.visibility = hidden || projected.z > 1 ? 'hidden' : 'visible';
+    popup.style.left = `${(projected.x + 1) / 2 * window.innerWidth}px`;
+    popup.style.top = `${(1 - projected.y) / 2 * window.innerHeight}px`;
+}
+
+/**
+ * Open the popup of the aircraft or route line under a click, or close an open popup
+ * Pins open theirs when a press on them ends without dragging (see onPinPointerUp)
+ * 
+ * @param {number} clientX - X coordinate in pixels from left edge of viewport
+ * @param {number} clientY - Y coordinate in pixels from top edge of viewport
+ * @returns {boolean} - True if the click was used up and must not place a pin
+ */
+function handleObjectClick(clientX, clientY) {
+    const pick = pickObject(clientX, clientY);
+    if (pick) {
+        openPickPopup(pick);
+        return true;
+    }
+    if (picking.popup) {
+        closePickPopup();
+        return true;
+    }
+    return false;
+}
+
+// ============================================================================
+// ROUTE MANAGEMENT
+// ============================================================================
+
+/**
+ * Create a new, empty route and make it the active one
+ * Every route owns a group under the globe so it can be shown or hidden as a whole
+ * 
+ * @param {string} [name] - Display name, defaults to "Route N"
+ * @returns {Object} - The new route
+ */
+function createRoute(name) {
+    const id = nextRouteId++;
+    const group = new THREE.Group();
+    globe.add(group);
+
+    const route = {
+        id,
+        name: name || `Route ${id}`,
+        color: ROUTE_COLORS[(id - 1) % ROUTE_COLORS.length],
+        pins: [],
+        group,
+        flightPath: null,
+        pathPoints: [],   // Concatenated arc points of all legs, flown by the airplane
+        pathDistances: [],// Ground distance in km from the departure to every path point
+        flight: null,     // Airplane progress: { distance, direction, finished, snap }
+        airplane: null,
+        visible: true
+    };
+
+    routes.push(route);
+    selectRoute(route);
+    return route;
+}
+
+/**
+ * Get the route that currently receives new pins, creating one if none exists
+ * 
+ * @returns {Object} - The active route
+ */
+function getActiveRoute() {
+    return activeRoute || createRoute();
+}
+
+/**
+ * Make a route the active one and refresh the panel
+ * 
+ * @param {Object} route - Route to activate
+ */
+function selectRoute(route) {
+    activeRoute = route;
+    routes.forEach(updateRouteHighlight);
+    updatePinCounter();
+}
+
+/**
+ * Show or hide a route without touching its pins or path
+ * 
+ * @param {Object} route - Route to toggle
+ */
+function toggleRouteVisibility(route) {
+    route.visible = !route.visible;
+    route.group.visible = route.visible;
+    updateRouteList();
+}
+
+/**
+ * Delete a route with its pins, path and airplane (undoable)
+ * 
+ * @param {Object} route - Route to delete
+ */
+function deleteRoute(route) {
+    const index = routes.indexOf(route);
+    if (index === -1) return;
+
+    detachRoute(route);
+    recordCommand({
+        label: `Delete ${route.name}`,
+        undo: () => attachRoute(route, index),
+        redo: () => detachRoute(route)
+    });
+}
+
+/**
+ * Start a new empty route from the panel (undoable)
+ */
+function addRouteFromPanel() {
+    const previous = activeRoute;
+    const route = createRoute();
+    const index = routes.indexOf(route);
+
+    recordCommand({
+        label: `New ${route.name}`,
+        undo: () => {
+            detachRoute(route);
+            if (previous && routes.includes(previous)) selectRoute(previous);
+        },
+        redo: () => attachRoute(route, index)
+    });
+}
+
+/**
+ * Take a route off the globe and out of the route list, keeping the route object intact
+ * If the active route is detached, the most recent remaining route takes over
+ * 
+ * @param {Object} route - Route to detach
+ */
+function detachRoute(route) {
+    clearFlightPath(route);
+    globe.remove(route.group);
+    routes = routes.filter((candidate) => candidate !== route);
+
+    if (activeRoute === route) {
+        activeRoute = routes[routes.length - 1] || null;
+    }
+    selectRoute(activeRoute);
+}
+
+/**
+ * Put a previously detached route back on the globe and make it active
+ * 
+ * @param {Object} route - Route to attach
+ * @param {number} index - Position in the route list
+ */
+function attachRoute(route, index) {
+    globe.add(route.group);
+    routes.splice(Math.min(index, routes.length), 0, route);
+    createFlightPath(route);
+    selectRoute(route);
+}
+
+/**
+ * Dim the arcs of inactive routes so the selected one stands out
+ * 
+ * @param {Object} route - Route whose path opacity should be updated
+ */
+function updateRouteHighlight(route) {
+    if (!route.flightPath) return;
+    const opacity = route === activeRoute ? 0.8 : 0.35;
+    route.flightPath.children.forEach((line) => {
+        // Comparison lines stay fainter than the path the airplane flies
+        line.material.opacity = line.userData.comparison ? opacity * 0.7 : opacity;
+    });
+}
+
+/**
+ * Convert latitude/longitude to a THREE.Vector3 in globe local coordinates
+ * 
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} [radius=GLOBE_RADIUS] - Distance from the globe center
+ * @returns {THREE.Vector3} - Position in globe local coordinates
+ */
+function latLonToLocal(lat, lon, radius = GLOBE_RADIUS) {
+    return new THREE.Vector3().copy(Geodesy.latLonToVector(lat, lon, radius));
+}
+
+/**
+ * Create a pin at a latitude/longitude and insert it into a route's itinerary
+ * 
+ * @param {{lat: number, lon: number, airport?: Object, name?: string}} location - Pin location in degrees, optionally tagged with an airport and a name
+ * @param {number} [index] - Position in the itinerary, defaults to appending at the end
+ * @param {Object} [route=getActiveRoute()] - Route receiving the pin
+ */
+function addPin(location, index, route = getActiveRoute()) {
+    if (index === undefined) index = route.pins.length;
+
+    // Create pin geometry (colors are assigned by role in updatePinColors)
+    const pinGeometry = new THREE.ConeGeometry(0.02, 0.1, 8);
+    const pinMaterial = new THREE.MeshPhongMaterial();
+
+    const pin = new THREE.Mesh(pinGeometry, pinMaterial);
+    pin.castShadow = true;
+
+    // Add glow effect
+    const glowGeometry = new THREE.SphereGeometry(0.05, 16, 16);
+    const glowMaterial = new THREE.MeshBasicMaterial({
+        transparent: true,
+        opacity: 0.3
+    });
+    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+
+    // Group pin and glow
+    const pinGroup = new THREE.Group();
+    pinGroup.add(pin);
+    pinGroup.add(glow);
+
+    const pinRecord = {
+        group: pinGroup,
+        pinMesh: pin,
+        glowMesh: glow,
+        lat: 0,                                   // Latitude in degrees (source of truth)
+        lon: 0,                                   // Longitude in degrees (source of truth)
+        airport: null,                            // Airport record when placed on an airport
+        name: location.name || null,              // Name given by the user, shown instead of the airport or number
+        position: new THREE.Vector3(),            // Pin tip position in globe local coordinates
+        surfacePosition: new THREE.Vector3()      // Exact surface position in globe local coordinates
+    };
+    setPinLocation(pinRecord, location);
+
+    // Let raycasts against the meshes find their way back to the pin and route
+    pin.userData.pin = pinRecord;
+    glow.userData.pin = pinRecord;
+    pinGroup.userData.route = route;
+
+    // Add pin to the route group (a child of globe) so it rotates with the globe
+    route.group.add(pinGroup);
+    route.pins.splice(index, 0, pinRecord);
+
+    // Inserting a pin can change the role (and color) of its neighbours
+    updatePinColors(route);
+
+    // Add placement animation
+    pinGroup.scale.set(0, 0, 0);
+    const tween = new TWEEN.Tween(pinGroup.scale)
+        .to({ x: 1, y: 1, z: 1 }, 500)
+        .easing(TWEEN.Easing.Elastic.Out)
+        .start();
+}
+
+/**
+ * Move a pin to a new latitude/longitude
+ * Only the pin itself is updated; callers rebuild the flight path as needed
+ * 
+ * @param {Object} pin - Pin from a route's itinerary
+ * @param {{lat: number, lon: number, airport?: Object}} location - New location in degrees
+ */
+function setPinLocation(pin, location) {
+    pin.lat = location.lat;
+    pin.lon = Geodesy.normalizeLongitude(location.lon);
+    pin.airport = location.airport || null;
+
+    // Place the pin exactly on the globe surface, lifted by PIN_HEIGHT
+    pin.surfacePosition.copy(latLonToLocal(pin.lat, pin.lon));
+    pin.position.copy(latLonToLocal(pin.lat, pin.lon, GLOBE_RADIUS + PIN_HEIGHT));
+    placePinMeshes(pin);
+}
+
+/**
+ * Move a pin's meshes to its position on the globe, or on the flat map
+ * 
+ * @param {Object} pin - Pin record
+ */
+function placePinMeshes(pin) {
+    projectToMap(pin.position, pin.pinMesh.position);
+    pin.glowMesh.position.copy(pin.pinMesh.position);
+
+    // Make pin point away from the surface
+    pin.pinMesh.lookAt(pin.pinMesh.position.clone().add(getMapUp(pin.position)));
+}
+
+/**
+ * Remove the pin at the given itinerary index and rebuild the route
+ * 
+ * @param {number} index - Position of the pin in the itinerary
+ * @param {Object} [route=activeRoute] - Route owning the pin
+ */
+function removePin(index, route = activeRoute) {
+    if (!route || !route.pins[index]) return;
+
+    editRoutePins(route, 'Remove pin', () => {
+        const [removed] = route.pins.splice(index, 1);
+        route.group.remove(removed.group);
+        updatePinColors(route);
+        refreshFlightPath(route);
+    });
+}
+
+/**
+ * Insert an intermediate stop halfway along a leg
+ * The new pin lands on the great circle midpoint so the route shape is preserved
+ * 
+ * @param {number} legIndex - Index of the leg (leg i joins pins[i] and pins[i + 1])
+ * @param {Object} [route=activeRoute] - Route owning the leg
+ */
+function insertStop(legIndex, route = activeRoute) {
+    if (!route) return;
+    const from = route.pins[legIndex];
+    const to = route.pins[legIndex + 1];
+    if (!from || !to) return;
+
+    editRoutePins(route, 'Insert stop', () => {
+        addPin(Geodesy.midpoint(from, to), legIndex + 1, route);
+        refreshFlightPath(route);
+    });
+}
+
+/**
+ * Move a pin to another place in the itinerary, e.g. to make it the departure
+ * 
+ * @param {number} index - Current position of the pin in the itinerary
+ * @param {number} newIndex - Position to move it to
+ * @param {Object} [route=activeRoute] - Route owning the pin
+ */
+function movePin(index, newIndex, route = activeRoute) {
+    if (!route || !route.pins[index] || !route.pins[newIndex] || index === newIndex) return;
+
+    editRoutePins(route, 'Reorder pins', () => {
+        const [moved] = route.pins.splice(index, 1);
+        route.pins.splice(newIndex, 0, moved);
+        updatePinColors(route);
+        refreshFlightPath(route);
+    });
+}
+
+/**
+ * Give a pin a name of its own, or clear it with an empty name
+ * 
+ * @param {Object} pin - Pin to rename
+ * @param {string} name - New name
+ * @param {Object} [route=activeRoute] - Route owning the pin
+ */
+function renamePin(pin, name, route = activeRoute) {
+    if (!route || !route.pins.includes(pin)) return;
+
+    editRoutePins(route, 'Rename pin', () => {
+        pin.name = name.trim() || null;
+        updatePinCounter();
+    });
+}
+
+/**
+ * Get the role of a pin from its place in the itinerary
+ * 
+ * @param {number} index - Position of the pin in the itinerary
+ * @param {number} pinCount - Number of pins in the itinerary
+ * @returns {string} - 'departure', 'stopover' or 'destination'
+ */
+function getPinRole(index, pinCount) {
+    if (index === 0) return 'departure';
+    if (index === pinCount - 1) return 'destination';
+    return 'stopover';
+}
+
+/**
+ * Recolor all pins of a route according to their current role in the itinerary
+ * 
+ * @param {Object} route - Route whose pins should be recolored
+ */
+function updatePinColors(route) {
+    route.pins.forEach((pin, index) => {
+        const scheme = PIN_COLORS[getPinRole(index, route.pins.length)];
+        pin.pinMesh.material.color.setHex(scheme.color);
+        pin.pinMesh.material.emissive.setHex(scheme.emissive);
+        pin.glowMesh.material.color.setHex(scheme.color);
+    });
+}
+
+/**
+ * Calculate the arc points for every leg of a route
+ * 
+ * @param {Object} route - Route to calculate
+ * @param {'great-circle'|'rhumb'} [path=getFlownPath()] - Path to follow between pins
+ * @returns {{legs: THREE.Vector3[][], points: THREE.Vector3[]}} - Per-leg arcs and the concatenated path
+ */
+function calculateRouteArcs(route, path = getFlownPath()) {
+    const pins = route.pins;
+    const calculateArc = path === 'rhumb' ? calculateRhumbArc : calculateGreatCircleArc;
+    const legs = [];
+    const points = [];
+
+    for (let i = 0; i < pins.length - 1; i++) {
+        // Calculate the arc for this leg
+        const arcPoints = calculateArc(pins[i], pins[i + 1]);
+        legs.push(arcPoints);
+
+        // Skip the first point of every leg after the first, it duplicates the previous leg's end
+        points.push(...(i === 0 ? arcPoints : arcPoints.slice(1)));
+    }
+
+    return { legs, points };
+}
+
+/**
+ * Path the airplanes fly for the current path mode
+ * 
+ * @returns {'great-circle'|'rhumb'} - Flown path
+ */
+function getFlownPath() {
+    return routeSettings.pathMode === 'rhumb' ? 'rhumb' : 'great-circle';
+}
+
+/**
+ * Create the line material for one kind of path
+ * Great circles are solid and rhumb lines dashed, in any path mode
+ * 
+ * @param {number} color - Route color
+ * @param {'great-circle'|'rhumb'} path - Path drawn with the material
+ * @returns {THREE.LineBasicMaterial|THREE.LineDashedMaterial} - Line material
+ */
+function createPathMaterial(color, path) {
+    const options = { color, linewidth: 3, transparent: true, opacity: 0.8 };
+    return addMapProjection(path === 'rhumb'
+        ? new THREE.LineDashedMaterial({ ...options, dashSize: 0.03, gapSize: 0.02 })
+        : new THREE.LineBasicMaterial(options));
+}
+
+/**
+ * Build the flight path for a route's whole itinerary
+ * One arc is drawn per consecutive pair of pins, and the airplane flies the
+ * concatenated chain of legs. In the 'both' path mode the rhumb line of every
+ * leg is added after the flown legs as a comparison line.
+ * 
+ * @param {Object} route - Route to build the path for
+ */
+function createFlightPath(route) {
+    if (route.pins.length < 2) return;
+
+    // Add flight path to the route group so it rotates with the globe
+    route.flightPath = new THREE.Group();
+    route.group.add(route.flightPath);
+
+    const addLegs = (legs, path, comparison) => {
+        const material = createPathMaterial(route.color, path);
+        legs.forEach((arcPoints, leg) => {
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(arcPoints), material);
+            if (material.isLineDashedMaterial) line.computeLineDistances();
+            line.userData.comparison = comparison;
+            line.userData.leg = leg;    // Leg i joins pins[i] and pins[i + 1]
+            route.flightPath.add(line);
+        });
+    };
+
+    const { legs, points } = calculateRouteArcs(route);
+    addLegs(legs, getFlownPath(), false);
+    if (routeSettings.pathMode === 'both') {
+        addLegs(calculateRouteArcs(route, 'rhumb').legs, 'rhumb', true);
+    }
+    route.pathPoints = points;
+    route.pathDistances = measurePath(points);
+
+    updateRouteHighlight(route);
+
+    // Add the airplane that flies the path
+    createPathAnimation(route);
+}
+
+/**
+ * Recalculate a route's arcs in place, keeping the existing lines and airplane
+ * Used while dragging pins, where rebuilding the whole path every frame would
+ * restart the airplane; the leg count must not have changed
+ * 
+ * @param {Object} route - Route whose pins moved
+ */
+function updateFlightPathGeometry(route) {
+    if (!route.flightPath) return;
+
+    const { legs, points } = calculateRouteArcs(route);
+    const lines = routeSettings.pathMode === 'both'
+        ? [...legs, ...calculateRouteArcs(route, 'rhumb').legs]
+        : legs;
+    route.flightPath.children.forEach((line, i) => {
+        const attribute = line.geometry.getAttribute('position');
+        if (attribute.count === lines[i].length) {
+            // Same point count: update the existing buffer instead of allocating a new one
+            lines[i].forEach((point, j) => attribute.setXYZ(j, point.x, point.y, point.z));
+            attribute.needsUpdate = true;
+        } else {
+            line.geometry.setFromPoints(lines[i]);
+        }
+        if (line.material.isLineDashedMaterial) line.computeLineDistances();
+        line.geometry.computeBoundingSphere();
+    });
+
+    // The airplane keeps its distance flown, clamped to the new path length
+    route.pathPoints = points;
+    route.pathDistances = measurePath(points);
+    if (route.flight) {
+        route.flight.distance = Math.min(route.flight.distance, route.pathDistances[route.pathDistances.length - 1]);
+    }
+}
+
+/**
+ * Remove a route's flight path and animated airplane, leaving its pins in place
+ * 
+ * @param {Object} route - Route to clear the path of
+ */
+function clearFlightPath(route) {
+    // Remove flight path from the route group
+    if (route.flightPath) {
+        route.group.remove(route.flightPath);
+        route.flightPath.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        route.flightPath = null;
+    }
+
+    // Remove the airplane from the route group; it stops being animated with it
+    if (route.airplane) {
+        route.group.remove(route.airplane);
+        route.airplane = null;
+        route.flight = null;
+    }
+}
+
+/**
+ * Rebuild a route's flight path after its itinerary changed
+ * 
+ * @param {Object} [route=activeRoute] - Route to rebuild
+ */
+function refreshFlightPath(route = activeRoute) {
+    if (!route) return;
+    clearFlightPath(route);
+    createFlightPath(route);
+    updatePinCounter();
+}
+
+/**
+ * Calculate the 3D points of a flight arc between two locations
+ * Points follow the great circle on the ground and are lifted by the leg's
+ * flight profile (see liftArcPoints). The segment count grows with the
+ * route's length; antipodal routes take the path chosen by
+ * Geodesy.intermediatePoint.
+ * 
+ * @param {{lat: number, lon: number}} start - Departure location in degrees
+ * @param {{lat: number, lon: number}} end - Arrival location in degrees
+ * @param {number} [segments] - Number of segments along the arc, by default one per ARC_SEGMENT_DEGREES
+ * @returns {THREE.Vector3[]} - Arc points in globe local coordinates
+ */
+function calculateGreatCircleArc(start, end, segments) {
+    const count = segments || Geodesy.greatCircleSegmentCount(start, end, {
+        maxSegmentAngle: ARC_SEGMENT_DEGREES,
+        minSegments: ARC_MIN_SEGMENTS,
+        maxSegments: ARC_MAX_SEGMENTS
+    });
+    return liftArcPoints(
+        (fraction) => Geodesy.intermediatePoint(start, end, fraction),
+        Geodesy.haversineDistance(start, end),
+        count
+    );
+}
+
+/**
+ * Calculate the 3D points of a rhumb line arc between two locations
+ * Like calculateGreatCircleArc, but the ground track keeps one compass
+ * heading, so the segment count and profile follow the (longer) rhumb distance
+ * 
+ * @param {{lat: number, lon: number}} start - Departure location in degrees
+ * @param {{lat: number, lon: number}} end - Arrival location in degrees
+ * @returns {THREE.Vector3[]} - Arc points in globe local coordinates
+ */
+function calculateRhumbArc(start, end) {
+    const distance = Geodesy.rhumbDistance(start, end);
+    const count = THREE.MathUtils.clamp(
+        Math.ceil(Geodesy.toDegrees(distance / Geodesy.EARTH_RADIUS_KM) / ARC_SEGMENT_DEGREES),
+        ARC_MIN_SEGMENTS,
+        ARC_MAX_SEGMENTS
+    );
+    return liftArcPoints((fraction) => Geodesy.rhumbIntermediatePoint(start, end, fraction), distance, count);
+}
+
+/**
+ * Lift a leg's ground track to the altitudes of its flight profile
+ * The track is sampled evenly, plus at the top of climb and top of descent
+ * so the climb and descent keep their straight slopes between samples
+ * 
+ * @param {Function} pointAt - (fraction) => {lat, lon} along the ground track
+ * @param {number} distance - Length of the track in km
+ * @param {number} segments - Number of even segments
+ * @returns {THREE.Vector3[]} - Arc points in globe local coordinates
+ */
+function liftArcPoints(pointAt, distance, segments) {
+    const profile = FlightProfile.createProfile(distance, getProfileSettings());
+
+    const fractions = new Set();
+    for (let i = 0; i <= segments; i++) fractions.add(i / segments);
+    if (distance > 0) profile.breakpoints.forEach((breakpoint) => fractions.add(breakpoint / distance));
+
+    return [...fractions].sort((a, b) => a - b).map((fraction) => {
+        const point = pointAt(fraction);
+        const altitude = FlightProfile.altitudeAt(profile, fraction * distance);
+        return latLonToLocal(point.lat, point.lon, GLOBE_RADIUS + ARC_BASE_HEIGHT + getProfileHeight(altitude));
+    });
+}
+
+/**
+ * Flight profile settings for profile.js from the panel's values
+ * 
+ * @returns {{cruiseAltitudeFt: number, climbRateFpm: number, descentAngle: number}} - Settings
+ */
+function getProfileSettings() {
+    return {
+        cruiseAltitudeFt: flightProfile.cruiseFlightLevel * 100,
+        climbRateFpm: flightProfile.climbRateFpm,
+        descentAngle: flightProfile.descentAngle
+    };
+}
+
+/**
+ * Height above the arc's base at which an altitude is drawn
+ * 
+ * @param {number} feet - Altitude in feet
+ * @returns {number} - Height in globe units, exaggerated by flightProfile.exaggeration
+ */
+function getProfileHeight(feet) {
+    const unitsPerMetre = GLOBE_RADIUS / (Geodesy.EARTH_RADIUS_KM * 1000);
+    return FlightProfile.feetToMetres(feet) * unitsPerMetre * flightProfile.exaggeration;
+}
+
+/**
+ * Ground distance covered along a path, measured at every point
+ * Uses the angle between the points as seen from the globe center, so arc
+ * height doesn't count towards the distance
+ * 
+ * @param {THREE.Vector3[]} points - Path points in globe local coordinates
+ * @returns {number[]} - Cumulative distance in km, starting at 0
+ */
+function measurePath(points) {
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        distances.push(distances[i - 1] + points[i - 1].angleTo(points[i]) * Geodesy.EARTH_RADIUS_KM);
+    }
+    return distances;
+}
+
+/**
+ * Find the point of a route's path at a ground distance from the departure
+ * 
+ * @param {Object} route - Route with pathPoints and pathDistances
+ * @param {number} distance - Ground distance in km, clamped to the path
+ * @param {THREE.Vector3} [target] - Vector to write the result into
+ * @returns {THREE.Vector3} - Point in globe local coordinates
+ */
+function getPathPointAt(route, distance, target = new THREE.Vector3()) {
+    const { pathPoints: points, pathDistances: distances } = route;
+    const total = distances[distances.length - 1];
+    const clamped = THREE.MathUtils.clamp(distance, 0, total);
+
+    // Binary search for the segment containing the distance
+    let low = 0;
+    let high = distances.length - 2;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (distances[mid] <= clamped) low = mid;
+        else high = mid - 1;
+    }
+
+    const length = distances[low + 1] - distances[low];
+    const fraction = length > 0 ? (clamped - distances[low]) / length : 0;
+    return target.lerpVectors(points[low], points[low + 1], fraction);
+}
+
+/**
+ * Add an airplane to a route, parked at the departure
+ * Its motion is driven by updateFlightAnimations on the shared animation clock
+ * 
+ * @param {Object} route - Route with a built path
+ */
+function createPathAnimation(route) {
+    // Create airplane geometry in the route's livery color
+    const airplane = createAirplane(route.color);
+    
+    // Add airplane to the route group so it rotates with the globe
+    route.group.add(airplane);
+    route.airplane = airplane;
+    route.flight = { distance: 0, direction: 1, finished: false, snap: true };
+
+    placeAirplane(route, 0);
+}
+
+/**
+ * Advance every route airplane by one frame
+ * Airplanes cover their cruise ground speed times the time scale; at the end
+ * of the path they stop (one-way), turn back once (round-trip) or restart at
+ * the departure (loop)
+ * 
+ * @param {number} delta - Seconds since the previous frame
+ */
+function updateFlightAnimations(delta) {
+    const step = flightAnimation.paused
+        ? 0
+        : ((routeSettings.cruiseSpeedKnots * 1.852) / 3600) * flightAnimation.timeScale * delta;
+
+    for (const route of routes) {
+        const { flight } = route;
+        if (!flight || !route.airplane) continue;
+
+        const total = route.pathDistances[route.pathDistances.length - 1];
+        if (!flight.finished && total > 0) {
+            flight.distance += step * flight.direction;
+
+            if (flight.distance >= total) {
+                if (flightAnimation.mode === 'loop') {
+                    flight.distance %= total;
+                    flight.snap = true; // Restarting at the departure, don't swing the nose around
+                } else if (flightAnimation.mode === 'round-trip') {
+                    flight.distance = 2 * total - flight.distance;
+                    flight.direction = -1;
+                } else {
+                    flight.distance = total;
+                    flight.finished = true;
+                }
+            } else if (flight.distance <= 0 && flight.direction < 0) {
+                flight.distance = 0;
+                flight.direction = 1;
+                flight.finished = true;
+            }
+        }
+
+        placeAirplane(route, delta);
+    }
+}
+
+/**
+ * Position a route's airplane at its distance flown and turn it towards its heading
+ * The heading is taken from a point a little further along the path and
+ * approached smoothly, so the airplane doesn't snap at segment joints
+ * 
+ * @param {Object} route - Route with an airplane
+ * @param {number} delta - Seconds since the previous frame, 0 to snap to the heading
+ */
+function placeAirplane(route, delta) {
+    const { airplane, flight } = route;
+    const total = route.pathDistances[route.pathDistances.length - 1];
+    const pathPoint = getPathPointAt(route, flight.distance);
+    const position = projectToMap(pathPoint, airplane.position);
+
+    // Look ahead in the direction of travel; at the very end, look back and flip
+    const lookAhead = Math.max(total * 0.01, 20) * flight.direction;
+    let ahead = projectToMap(getPathPointAt(route, flight.distance + lookAhead));
+    let forward = ahead.sub(position);
+    if (forward.lengthSq() < 1e-12) {
+        ahead = projectToMap(getPathPointAt(route, flight.distance - lookAhead));
+        forward = position.clone().sub(ahead);
+    }
+    // On the flat map the point ahead jumps to the far side where the path crosses the edge
+    if (forward.lengthSq() < 1e-12 || forward.lengthSq() > GLOBE_RADIUS * GLOBE_RADIUS) return;
+
+    // Orientation basis: X forward, Y away from the Earth center (or the flat map), Z right
+    const up = getMapUp(pathPoint);
+    forward.normalize();
+    const right = new THREE.Vector3().crossVectors(forward, up).normalize();
+    const correctedUp = new THREE.Vector3().crossVectors(right, forward).normalize();
+    const target = new THREE.Quaternion().setFromRotationMatrix(
+        new THREE.Matrix4().makeBasis(forward, correctedUp, right)
+    );
+
+    if (flight.snap || delta === 0) {
+        airplane.quaternion.copy(target);
+        flight.snap = false;
+    } else {
+        airplane.quaternion.slerp(target, 1 - Math.exp(-flightAnimation.headingResponse * delta));
+    }
+}
+
+/**
+ * Pause or resume all route airplanes; resuming after every flight has
+ * finished starts them again from their departures
+ */
+function toggleFlightAnimation() {
+    const allFinished = routes.every((route) => !route.flight || route.flight.finished);
+    if (flightAnimation.paused || allFinished) {
+        flightAnimation.paused = false;
+        if (allFinished) restartFlights();
+    } else {
+        flightAnimation.paused = true;
+    }
+    updateFlightControls();
+}
+
+/**
+ * Send every route airplane back to its departure
+ */
+function restartFlights() {
+    routes.forEach((route) => {
+        if (!route.flight) return;
+        Object.assign(route.flight, { distance: 0, direction: 1, finished: false, snap: true });
+    });
+}
+
+/**
+ * Flight mode select handler - restarts the flights in the new mode
+ * 
+ * @param {Event} event - Change event from the mode select
+ */
+function onFlightModeChange(event) {
+    flightAnimation.mode = event.target.value;
+    restartFlights();
+    updateFlightControls();
+}
+
+/**
+ * Sync the pause/play button with the animation state
+ */
+function updateFlightControls() {
+    const button = document.getElementById('flight-play');
+    button.innerHTML = flightAnimation.paused
+        ? '<span class="btn-icon">▶️</span>Resume Flights'
+        : '<span class="btn-icon">⏸️</span>Pause Flights';
+}
+
+function createAirplane(liveryColor = 0x3498db) {
+    const airplane = new THREE.Group();
+    
+    // Main fuselage (oriented along X-axis for forward direction)
+    const fuselageGeometry = new THREE.CylinderGeometry(0.012, 0.008, 0.15, 12);
+    const fuselageMaterial = new THREE.MeshPhongMaterial({ 
+        color: 0xf8f8ff, // Off-white
+        shininess: 100
+    });
+    const fuselage = new THREE.Mesh(fuselageGeometry, fuselageMaterial);
+    fuselage.rotation.z = Math.PI / 2; // Rotate to align with X-axis (forward)
+    airplane.add(fuselage);
+    
+    // Nose cone (pointed forward along X-axis)
+    const noseGeometry = new THREE.ConeGeometry(0.012, 0.04, 8);
+    const noseMaterial = new THREE.MeshPhongMaterial({ 
+        color: 0xe6e6fa,
+        shininess: 120
+    });
+    const nose = new THREE.Mesh(noseGeometry, noseMaterial);
+    nose.rotation.z = -Math.PI / 2; // Point along positive X-axis
+    nose.position.set(0.095, 0, 0);
+    airplane.add(nose);
     
-    /**
-     * Mouse click handler for pin placement
-     * Detects clicks on globe surface and places location pins
-     */
-    renderer.domElement.addEventListener('click', onMouseClick);
+    // Main wings (swept back design, extending along Z-axis)
+    const wingGeometry = new THREE.BoxGeometry(0.025, 0.003, 0.08);
+    const wingMaterial = new THREE.MeshPhongMaterial({ 
+        color: 0xf0f0f0,
+        shininess: 90
+    });
     
-    /**
-     * Mouse move handler for cursor feedback
-     * Changes cursor appearance when hovering over interactive areas
-     */
-    renderer.domElement.addEventListener('mousemove', onMouseMove);
+    // Left wing (negative Z)
+    const leftWing = new THREE.Mesh(wingGeometry, wingMaterial);
+    leftWing.position.set(0.02, -0.002, -0.04);
+    leftWing.rotation.y = 0.2; // Swept back
+    airplane.add(leftWing);
+    
+    // Right wing (positive Z)
+    const rightWing = new THREE.Mesh(wingGeometry, wingMaterial);
+    rightWing.position.set(0.02, -0.002, 0.04);
+    rightWing.rotation.y = -0.2; // Swept back
+    airplane.add(rightWing);
+    
+    // Wing tips
+    const wingtipGeometry = new THREE.BoxGeometry(0.003, 0.008, 0.015);
+    const wingtipMaterial = new THREE.MeshPhongMaterial({ color: 0xff4444 });
+    
+    const leftWingtip = new THREE.Mesh(wingtipGeometry, wingtipMaterial);
+    leftWingtip.position.set(0.06, 0, -0.065);
+    airplane.add(leftWingtip);
+    
+    const rightWingtip = new THREE.Mesh(wingtipGeometry, wingtipMaterial);
+    rightWingtip.position.set(0.06, 0, 0.065);
+    airplane.add(rightWingtip);
+    
+    // Engines under wings
+    const engineGeometry = new THREE.CylinderGeometry(0.008, 0.008, 0.03, 8);
+    const engineMaterial = new THREE.MeshPhongMaterial({ 
+        color: 0x2c3e50,
+        shininess: 120
+    });
+    
+    // Left engine
+    const leftEngine = new THREE.Mesh(engineGeometry, engineMaterial);
+    leftEngine.rotation.z = Math.PI / 2; // Align with fuselage
+    leftEngine.position.set(0.03, -0.015, -0.03);
+    airplane.add(leftEngine);
+    
+    // Right engine
+    const rightEngine = new THREE.Mesh(engineGeometry, engineMaterial);
+    rightEngine.rotation.z = Math.PI / 2; // Align with fuselage
+    rightEngine.position.set(0.03, -0.015, 0.03);
+    airplane.add(rightEngine);
+    
+    // Engine intakes (front)
+    const intakeGeometry = new THREE.CylinderGeometry(0.009, 0.007, 0.008, 8);
+    const intakeMaterial = new THREE.MeshPhongMaterial({ color: 0x1a1a1a });
+    
+    const leftIntake = new THREE.Mesh(intakeGeometry, intakeMaterial);
+    leftIntake.rotation.z = Math.PI / 2;
+    leftIntake.position.set(0.049, -0.015, -0.03);
+    airplane.add(leftIntake);
+    
+    const rightIntake = new THREE.Mesh(intakeGeometry, intakeMaterial);
+    rightIntake.rotation.z = Math.PI / 2;
+    rightIntake.position.set(0.049, -0.015, 0.03);
+    airplane.add(rightIntake);
+    
+    // Horizontal stabilizer (tail wings, extending along Z-axis)
+    const hstabGeometry = new THREE.BoxGeometry(0.015, 0.002, 0.04);
+    const hstabMaterial = new THREE.MeshPhongMaterial({ 
+        color: 0xf0f0f0,
+        shininess: 90
+    });
+    const hstab = new THREE.Mesh(hstabGeometry, hstabMaterial);
+    hstab.position.set(-0.06, 0, 0);
+    airplane.add(hstab);
+    
+    // Vertical stabilizer (tail fin, extending along Y-axis)
+    const vstabGeometry = new THREE.BoxGeometry(0.025, 0.025, 0.003);
+    const vstabMaterial = new THREE.MeshPhongMaterial({ 
+        color: 0xe6e6fa,
+        shininess: 90
+    });
+    const vstab = new THREE.Mesh(vstabGeometry, vstabMaterial);
+    vstab.position.set(-0.06, 0.015, 0);
+    airplane.add(vstab);
+    
+    // Airline livery stripe
+    const stripeGeometry = new THREE.BoxGeometry(0.12, 0.005, 0.001);
+    const stripeMaterial = new THREE.MeshPhongMaterial({ 
+        color: liveryColor, // Route colored stripe
+        shininess: 100
+    });
+    const stripe = new THREE.Mesh(stripeGeometry, stripeMaterial);
+    stripe.position.set(0.01, 0.013, 0);
+    airplane.add(stripe);
+    
+    // Windows (small details)
+    const windowGeometry = new THREE.BoxGeometry(0.08, 0.003, 0.001);
+    const windowMaterial = new THREE.MeshPhongMaterial({ 
+        color: 0x87ceeb, // Sky blue for windows
+        transparent: true,
+        opacity: 0.7
+    });
+    
+    // Left side windows
+    const leftWindows = new THREE.Mesh(windowGeometry, windowMaterial);
+    leftWindows.position.set(0.02, 0.012, -0.012);
+    airplane.add(leftWindows);
+    
+    // Right side windows
+    const rightWindows = new THREE.Mesh(windowGeometry, windowMaterial);
+    rightWindows.position.set(0.02, 0.012, 0.012);
+    airplane.add(rightWindows);
+    
+    // Cockpit windows
+    const cockpitGeometry = new THREE.BoxGeometry(0.02, 0.008, 0.001);
+    const cockpitMaterial = new THREE.MeshPhongMaterial({ 
+        color: 0x191970, // Dark blue
+        transparent: true,
+        opacity: 0.8
+    });
+    const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
+    cockpit.position.set(0.08, 0.008, 0);
+    airplane.add(cockpit);
+    
+    // Scale the entire airplane to be more visible
+    airplane.scale.setScalar(1.8);
+    
+    return airplane;
+}
+
+/**
+ * Remove all pins and the flight path of the active route
+ * Other routes are left untouched
+ */
+function clearPins() {
+    if (!activeRoute || activeRoute.pins.length === 0) return;
+
+    const route = activeRoute;
+    editRoutePins(route, 'Clear pins', () => removeAllPins(route));
+}
+
+/**
+ * Remove every pin and the flight path of a route without recording history
+ * 
+ * @param {Object} route - Route to empty
+ */
+function removeAllPins(route) {
+    // Remove pins from the route group
+    for (const pin of route.pins) {
+        route.group.remove(pin.group);
+    }
+    route.pins = [];
+
+    clearFlightPath(route);
+    updatePinCounter();
+}
+
+// ============================================================================
+// UNDO / REDO HISTORY
+// ============================================================================
+
+/**
+ * Push a command onto the undo stack
+ * Recording a new command invalidates everything that could have been redone
+ * 
+ * @param {{label: string, undo: Function, redo: Function}} command - Already applied edit
+ */
+function recordCommand(command) {
+    editHistory.undoStack.push(command);
+    if (editHistory.undoStack.length > editHistory.limit) {
+        editHistory.undoStack.shift();
+    }
+    editHistory.redoStack = [];
+    updateHistoryButtons();
+}
+
+/**
+ * Undo the most recent edit
+ */
+function undo() {
+    const command = editHistory.undoStack.pop();
+    if (!command) return;
+
+    command.undo();
+    editHistory.redoStack.push(command);
+    updateHistoryButtons();
+}
+
+/**
+ * Redo the most recently undone edit
+ */
+function redo() {
+    const command = editHistory.redoStack.pop();
+    if (!command) return;
+
+    command.redo();
+    editHistory.undoStack.push(command);
+    updateHistoryButtons();
+}
+
+/**
+ * Capture the locations of a route's pins
+ * 
+ * @param {Object} route - Route to capture
+ * @returns {Array<{lat: number, lon: number, airport: Object}>} - Pin locations in itinerary order
+ */
+function snapshotPins(route) {
+    return route.pins.map(({ lat, lon, airport, name }) => ({ lat, lon, airport, name }));
+}
+
+/**
+ * Replace a route's pins with a captured set and make it the active route
+ * 
+ * @param {Object} route - Route to restore
+ * @param {Array<{lat: number, lon: number, airport: Object, name: string}>} snapshot - Pin locations from snapshotPins
+ */
+function restorePins(route, snapshot) {
+    removeAllPins(route);
+    snapshot.forEach((location) => addPin(location, undefined, route));
+    refreshFlightPath(route);
+    selectRoute(route);
+}
+
+/**
+ * Record a pin edit of a route given the pin locations from before the edit
+ * Nothing is recorded if the edit left the pins unchanged
+ * 
+ * @param {Object} route - Edited route
+ * @param {string} label - Description shown on the undo/redo buttons
+ * @param {Array} before - Snapshot taken before the edit
+ */
+function recordPinEdit(route, label, before) {
+    const after = snapshotPins(route);
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    recordCommand({
+        label,
+        undo: () => restorePins(route, before),
+        redo: () => restorePins(route, after)
+    });
+}
+
+/**
+ * Apply an edit to a route's pins and record it in the history
+ * 
+ * @param {Object} route - Route being edited
+ * @param {string} label - Description shown on the undo/redo buttons
+ * @param {Function} edit - Performs the edit
+ */
+function editRoutePins(route, label, edit) {
+    const before = snapshotPins(route);
+    edit();
+    recordPinEdit(route, label, before);
+}
+
+/**
+ * Enable or disable the undo/redo buttons and describe what they would do
+ */
+function updateHistoryButtons() {
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
+    const nextUndo = editHistory.undoStack[editHistory.undoStack.length - 1];
+    const nextRedo = editHistory.redoStack[editHistory.redoStack.length - 1];
+
+    undoButton.disabled = !nextUndo;
+    redoButton.disabled = !nextRedo;
+    undoButton.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoButton.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+/**
+ * Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo (Cmd on macOS)
+ * Text fields keep their native undo behaviour
+ */
+function onKeyDown(event) {
+    if (event.key === 'Escape' && picking.popup) {
+        closePickPopup();
+        return;
+    }
+    if (event.key === 'Escape' && cameraFollow.mode !== 'orbit') {
+        setCameraMode('orbit');
+        return;
+    }
+    if (!(event.ctrlKey || event.metaKey)) return;
+    if (event.target.matches && event.target.matches('input, textarea')) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+    }
+}
+
+function toggleMobileMenu() {
+    const menuToggle = document.getElementById('menu-toggle');
+    const panel = document.getElementById('ui-panel');
+    const overlay = document.getElementById('overlay');
+    
+    menuToggle.classList.toggle('active');
+    panel.classList.toggle('active');
+    overlay.classList.toggle('active');
+}
+
+function closeMobileMenu() {
+    const menuToggle = document.getElementById('menu-toggle');
+    const panel = document.getElementById('ui-panel');
+    const overlay = document.getElementById('overlay');
+    
+    menuToggle.classList.remove('active');
+    panel.classList.remove('active');
+    overlay.classList.remove('active');
+}
+
+function updatePinCounter() {
+    const counter = document.getElementById('pin-count');
+    const flightStatus = document.getElementById('flight-status');
+    const pins = activeRoute ? activeRoute.pins : [];
+    const legCount = Math.max(pins.length - 1, 0);
+    
+    counter.textContent = `${pins.length} ${pins.length === 1 ? 'Pin' : 'Pins'}`;
+    
+    if (legCount > 0) {
+        flightStatus.style.display = 'flex';
+        document.getElementById('leg-count').textContent = `${legCount} ${legCount === 1 ? 'Leg' : 'Legs'}`;
+    } else {
+        flightStatus.style.display = 'none';
+    }
+
+    updateLegList();
+    updateRouteList();
+    updateRouteCard();
+}
+
+/**
+ * Render the active route's itinerary in the UI panel
+ * Waypoints and the legs between them are interleaved, each waypoint can be
+ * removed and each leg can receive an intermediate stop
+ */
+function updateLegList() {
+    const section = document.getElementById('itinerary-section');
+    const list = document.getElementById('leg-list');
+    const route = activeRoute;
+    const pins = route ? route.pins : [];
+    
+    list.innerHTML = '';
+    section.style.display = pins.length > 0 ? 'block' : 'none';
+
+    pins.forEach((pin, index) => {
+        const role = getPinRole(index, pins.length);
+
+        const waypoint = document.createElement('li');
+        waypoint.className = `waypoint-item waypoint-${role}`;
+
+        const marker = document.createElement('span');
+        marker.className = 'waypoint-marker';
+
+        // Pin names come from users, share links and imported files, so never as markup
+        const label = document.createElement('span');
+        label.className = 'waypoint-label';
+        label.textContent = `${PIN_ROLE_LABELS[role]} · ${getPinLabel(pin, index)}`;
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'icon-btn';
+        removeButton.title = 'Remove this waypoint';
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', () => removePin(index, route));
+
+        waypoint.append(marker, label, removeButton);
+        list.appendChild(waypoint);
+
+        if (index < pins.length - 1) {
+            const leg = document.createElement('li');
+            leg.className = 'leg-item';
+            leg.innerHTML = `
+                <span class="leg-label">Leg ${index + 1} · ${formatNumber(Geodesy.haversineDistance(pin, pins[index + 1]))} km</span>
+                <button class="icon-btn" title="Insert a stop halfway along this leg">+ Stop</button>
+            `;
+            leg.querySelector('button').addEventListener('click', () => insertStop(index, route));
+            list.appendChild(leg);
+        }
+    });
+}
+
+/**
+ * Render the route manager list in the UI panel
+ * Each row selects its route on click and offers rename, visibility and delete controls
+ */
+function updateRouteList() {
+    const list = document.getElementById('route-list');
+    list.innerHTML = '';
+
+    routes.forEach((route) => {
+        const item = document.createElement('li');
+        item.className = 'route-item';
+        item.classList.toggle('active', route === activeRoute);
+        item.classList.toggle('hidden-route', !route.visible);
+
+        const swatch = document.createElement('span');
+        swatch.className = 'route-swatch';
+        swatch.style.background = `#${route.color.toString(16).padStart(6, '0')}`;
+
+        const nameInput = document.createElement('input');
+        nameInput.className = 'route-name';
+        nameInput.value = route.name;
+        nameInput.title = 'Rename route';
+        nameInput.addEventListener('change', () => {
+            route.name = nameInput.value.trim() || `Route ${route.id}`;
+            nameInput.value = route.name;
+        });
+
+        const stats = document.createElement('span');
+        stats.className = 'route-stats';
+        stats.textContent = `${route.pins.length} pins`;
+
+        const visibilityButton = document.createElement('button');
+        visibilityButton.className = 'icon-btn';
+        visibilityButton.title = route.visible ? 'Hide route' : 'Show route';
+        visibilityButton.textContent = route.visible ? '👁️' : '🚫';
+        visibilityButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            toggleRouteVisibility(route);
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'icon-btn';
+        deleteButton.title = 'Delete route';
+        deleteButton.textContent = '×';
+        deleteButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            deleteRoute(route);
+        });
+
+        item.append(swatch, nameInput, stats, visibilityButton, deleteButton);
+        item.addEventListener('click', () => {
+            if (route !== activeRoute) selectRoute(route);
+        });
+        list.appendChild(item);
+    });
+}
+
+// ============================================================================
+// AIRPORT SEARCH
+// ============================================================================
+
+/**
+ * Replace a clicked location with the nearest airport when snapping is enabled
+ * 
+ * @param {{lat: number, lon: number}} location - Clicked location in degrees
+ * @returns {{lat: number, lon: number, airport?: Object}} - The airport position, or the original location
+ */
+function snapToAirport(location) {
+    if (!airportSnap.enabled) return location;
+
+    const nearest = Airports.findNearest(location, airportSnap.radiusKm);
+    if (!nearest) return location;
+
+    const { airport } = nearest;
+    return { lat: airport.lat, lon: airport.lon, airport };
+}
+
+/**
+ * Append a pin at an airport's exact position to the active route
+ * 
+ * @param {Object} airport - Airport record from the Airports database
+ */
+function placeAirportPin(airport) {
+    const route = getActiveRoute();
+    editRoutePins(route, `Add ${airport.iata}`, () => {
+        addPin({ lat: airport.lat, lon: airport.lon, airport }, route.pins.length, route);
+        refreshFlightPath(route);
+    });
+}
+
+/**
+ * Get the display label of a pin: its own name, its airport code, or its place in the itinerary
+ * 
+ * @param {Object} pin - Pin from a route's itinerary
+ * @param {number} index - Position of the pin in the itinerary
+ * @returns {string} - Short label
+ */
+function getPinLabel(pin, index) {
+    if (pin.name) return pin.name;
+    return pin.airport ? `${pin.airport.iata} ${pin.airport.city}` : `Pin ${index + 1}`;
+}
+
+/**
+ * Update the airport result list as the user types
+ */
+function onAirportSearchInput(event) {
+    renderAirportResults(Airports.search(event.target.value));
+}
+
+/**
+ * Place the best match on Enter and clear the search on Escape
+ */
+function onAirportSearchKeyDown(event) {
+    if (event.key === 'Enter') {
+        const [best] = Airports.search(event.target.value, 1);
+        if (best) selectAirportResult(best);
+    } else if (event.key === 'Escape') {
+        event.target.value = '';
+        renderAirportResults([]);
+    }
+}
+
+/**
+ * Place a pin for a picked search result and reset the search box
+ * 
+ * @param {Object} airport - Picked airport
+ */
+function selectAirportResult(airport) {
+    placeAirportPin(airport);
+    document.getElementById('airport-search').value = '';
+    renderAirportResults([]);
+}
+
+/**
+ * Render airport search results below the search box
+ * 
+ * @param {Object[]} results - Airports to list
+ */
+function renderAirportResults(results) {
+    const list = document.getElementById('airport-results');
+    list.innerHTML = '';
+
+    results.forEach((airport) => {
+        const item = document.createElement('li');
+        item.className = 'airport-result';
+
+        const code = document.createElement('span');
+        code.className = 'airport-code';
+        code.textContent = airport.iata;
+
+        const details = document.createElement('span');
+        details.className = 'airport-details';
+        details.textContent = `${airport.name} · ${airport.city}, ${airport.country}`;
+
+        item.append(code, details);
+        item.title = `${airport.icao} · ${formatCoordinates(airport)}`;
+        item.addEventListener('click', () => selectAirportResult(airport));
+        list.appendChild(item);
+    });
+}
+
+// ============================================================================
+// SHAREABLE LINKS
+// ============================================================================
+
+/**
+ * Serialize the scene into URL hash parameters
+ * 
+ *   route  - one per route: "name~color~waypoints[~hidden]", waypoints separated by ";"
+ *            and each either an airport code or "lat,lon", then "=name" if the pin was renamed
+ *   active - index of the selected route
+ *   map    - flat map projection, "equirectangular" or "mercator", when not on the globe
+ *   cam    - camera position "x,y,z" relative to the globe (its length is the zoom distance),
+ *            or in world coordinates over the flat map
+ *   globe  - older links only: globe rotation in radians the camera position was recorded with
+ *   spin   - 1 when auto-rotation is on, 0 when paused
+ *   time   - simulated UTC time (ISO 8601) when the world clock isn't live
+ *   rate   - clock speed in simulated seconds per second, with time
+ *   speed  - cruise speed in knots used for block time estimates
+ *   snap   - 1 when clicks snap to nearby airports
+ * 
+ * @returns {string} - Hash string without the leading "#"
+ */
+function serializeState() {
+    const params = new URLSearchParams();
+
+    routes.forEach((route) => {
+        const waypoints = route.pins
+            .map((pin) => {
+                const place = pin.airport ? pin.airport.iata : `${pin.lat.toFixed(4)},${pin.lon.toFixed(4)}`;
+                return pin.name ? `${place}=${pin.name.replace(/[~;]/g, '-')}` : place;
+            })
+            .join(';');
+        const fields = [route.name.replace(/~/g, '-'), route.color.toString(16).padStart(6, '0'), waypoints];
+        if (!route.visible) fields.push('hidden');
+        params.append('route', fields.join('~'));
+    });
+
+    if (activeRoute) params.set('active', routes.indexOf(activeRoute));
+    // Stored in globe coordinates so the link shows the same place whatever the time;
+    // the flat map doesn't turn with the globe
+    if (mapProjection.mode !== 'globe') params.set('map', mapProjection.mode);
+    const cameraPosition = mapProjection.mode === 'globe'
+        ? camera.position.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), -globe.rotation.y)
+        : camera.position;
+    params.set('cam', cameraPosition.toArray().map((value) => value.toFixed(3)).join(','));
+    params.set('spin', isRotating ? '1' : '0');
+    if (!worldClock.live) {
+        params.set('time', new Date(worldClock.time).toISOString());
+        params.set('rate', worldClock.rate);
+    }
+    params.set('speed', routeSettings.cruiseSpeedKnots);
+    if (routeSettings.pathMode !== 'great-circle') params.set('path', routeSettings.pathMode);
+    const profile = [
+        flightProfile.cruiseFlightLevel, flightProfile.climbRateFpm, flightProfile.descentAngle, flightProfile.exaggeration
+    ].join(',');
+    if (profile !== '350,2000,3,25') params.set('profile', profile);
+    if (airportSnap.enabled) params.set('snap', '1');
+
+    return params.toString();
+}
+
+/**
+ * Parse a waypoint from a share link
+ * 
+ * @param {string} text - Airport code or "lat,lon", optionally followed by "=name"
+ * @returns {{lat: number, lon: number, airport?: Object, name?: string}|null} - Location, or null if invalid
+ */
+function parseWaypoint(text) {
+    const [place, ...nameParts] = text.split('=');
+    const name = nameParts.join('=').trim();
+    let location = null;
+
+    const airport = Airports.findByCode(place);
+    if (airport) {
+        location = { lat: airport.lat, lon: airport.lon, airport };
+    } else {
+        const [lat, lon] = place.split(',').map(Number);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90) return null;
+        location = { lat, lon };
+    }
+
+    if (name) location.name = name;
+    return location;
+}
+
+/**
+ * Rebuild the scene from the URL hash produced by serializeState
+ * Routes go through the same addPin/createFlightPath path as interactive edits;
+ * the undo history starts fresh for the loaded scene
+ */
+function restoreStateFromUrl() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (!params.has('route') && !params.has('cam')) return;
+
+    // Set before the routes are built so they follow the shared path mode
+    const pathMode = params.get('path') || 'great-circle';
+    if (ROUTE_PATH_MODES.includes(pathMode)) {
+        routeSettings.pathMode = pathMode;
+        document.getElementById('path-mode').value = pathMode;
+    }
+
+    // Cruise level, climb rate, descent gradient and exaggeration, validated like the inputs
+    const profile = (params.get('profile') || '').split(',');
+    const profileInputs = ['profile-cruise-level', 'profile-climb-rate', 'profile-descent-angle', 'profile-exaggeration'];
+    if (profile.length === profileInputs.length) {
+        profileInputs.forEach((id, i) => { document.getElementById(id).value = profile[i]; });
+        onProfileSettingChange();
+    }
+
+    // Replace whatever is on the globe with the shared routes
+    [...routes].forEach(detachRoute);
+    params.getAll('route').forEach((encoded) => {
+        const [name, color, waypoints = '', flag] = encoded.split('~');
+        const route = createRoute(name || undefined);
+
+        const parsedColor = parseInt(color, 16);
+        if (Number.isFinite(parsedColor)) route.color = parsedColor;
+
+        waypoints.split(';').filter(Boolean).map(parseWaypoint).forEach((location) => {
+            if (location) addPin(location, undefined, route);
+        });
+        refreshFlightPath(route);
+
+        if (flag === 'hidden') toggleRouteVisibility(route);
+    });
+
+    const active = routes[Number(params.get('active'))];
+    if (active) selectRoute(active);
+
+    const speed = Number(params.get('speed'));
+    if (Number.isFinite(speed) && speed > 0) {
+        routeSettings.cruiseSpeedKnots = speed;
+        document.getElementById('cruise-speed').value = speed;
+    }
+
+    airportSnap.enabled = params.get('snap') === '1';
+    document.getElementById('snap-to-airports').checked = airportSnap.enabled;
+
+    if (params.has('spin') && (params.get('spin') === '1') !== isRotating) {
+        toggleRotation();
+    }
+
+    const time = Date.parse(params.get('time'));
+    if (Number.isFinite(time)) {
+        const rate = Number(params.get('rate'));
+        setClockTime(time);
+        worldClock.rate = Number.isFinite(rate) ? rate : 0;
+        document.getElementById('clock-rate').value = String(worldClock.rate);
+        updateWorldClock(0);
+    }
+
+    setMapProjection(params.get('map') || 'globe', { animate: false });
+    const cameraPosition = (params.get('cam') || '').split(',').map(Number);
+    if (cameraPosition.length === 3 && cameraPosition.every(Number.isFinite) && mapProjection.mode !== 'globe') {
+        camera.position.fromArray(cameraPosition);
+        clampMapCamera();
+    } else if (cameraPosition.length === 3 && cameraPosition.every(Number.isFinite)) {
+        // Older links stored the camera in world coordinates along with the globe's rotation
+        const recordedRotation = Number(params.get('globe')) || 0;
+        setCameraPosition(new THREE.Vector3().fromArray(cameraPosition)
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), globe.rotation.y - recordedRotation));
+    }
+
+    editHistory.undoStack = [];
+    editHistory.redoStack = [];
+    updateHistoryButtons();
+    updatePinCounter();
+}
+
+/**
+ * Write the current scene into the address bar and copy the link to the clipboard
+ */
+function copyShareLink() {
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${serializeState()}`;
+
+    // replaceState doesn't fire hashchange, so the scene isn't rebuilt from its own link
+    window.history.replaceState(null, '', url);
+
+    const button = document.getElementById('share-link');
+    const showFeedback = (text) => {
+        button.innerHTML = `<span class="btn-icon">🔗</span>${text}`;
+        setTimeout(() => {
+            button.innerHTML = '<span class="btn-icon">🔗</span>Copy Share Link';
+        }, 2000);
+    };
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url).then(
+            () => showFeedback('Link Copied'),
+            () => showFeedback('Link in Address Bar')
+        );
+    } else {
+        showFeedback('Link in Address Bar');
+    }
+}
+
+/**
+ * Move the camera to a position while keeping it aimed at the globe
+ * Works with both the Three.js OrbitControls and the fallback controls,
+ * clamping the distance to the controls' zoom limits
+ * 
+ * @param {THREE.Vector3} position - New camera position in world coordinates
+ */
+function setCameraPosition(position) {
+    const distance = THREE.MathUtils.clamp(position.length(), controls.minDistance, controls.maxDistance);
+    camera.position.copy(position).setLength(distance);
+    camera.lookAt(0, 0, 0);
+
+    if (controls.spherical) {
+        // Fallback controls derive the camera position from their spherical coordinates
+        controls.spherical.radius = distance;
+        controls.spherical.theta = Math.atan2(camera.position.x, camera.position.z);
+        controls.spherical.phi = Math.acos(THREE.MathUtils.clamp(camera.position.y / distance, -1, 1));
+    }
+    controls.update();
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Export formats offered in the panel, keyed by the #export-format option values
+ */
+const EXPORT_FORMATS = {
+    geojson: {
+        extension: 'geojson',
+        type: 'application/geo+json',
+        build: (data) => JSON.stringify(RouteFormats.toGeoJSON(data), null, 2)
+    },
+    kml: {
+        extension: 'kml',
+        type: 'application/vnd.google-earth.kml+xml',
+        build: (data) => RouteFormats.toKML(data)
+    },
+    gpx: {
+        extension: 'gpx',
+        type: 'application/gpx+xml',
+        build: (data) => RouteFormats.toGPX(data, { trackSpacingKm: exportSettings.gpxTrackSpacingKm })
+    },
+    csv: {
+        extension: 'csv',
+        type: 'text/csv',
+        build: (data) => RouteFormats.toCSV(data)
+    }
+};
+
+/**
+ * Convert a route to the plain data exchanged with formats.js
+ * The track is the flown arc from calculateRouteArcs, with its drawn height
+ * turned back into the flight profile's true altitude in metres, and the path
+ * names the kind of line flown so the exports describe and densify the same one
+ * 
+ * @param {Object} route - Route to convert
+ * @returns {{name: string, color: string, waypoints: Object[], track: Object[], path: string}} - Route data
+ */
+function getRouteData(route) {
+    const metresPerUnit = (Geodesy.EARTH_RADIUS_KM * 1000) / GLOBE_RADIUS / flightProfile.exaggeration;
+
+    return {
+        name: route.name,
+        color: `#${new THREE.Color(route.color).getHexString()}`,
+        waypoints: route.pins.map((pin) => {
+            const waypoint = { lat: pin.lat, lon: pin.lon };
+            if (pin.airport) {
+                waypoint.name = pin.airport.name;
+                waypoint.iata = pin.airport.iata;
+            }
+            if (pin.name) waypoint.name = pin.name;
+            return waypoint;
+        }),
+        track: calculateRouteArcs(route).points.map((point) => ({
+            ...Geodesy.vectorToLatLon(point),
+            altitude: Math.max(point.length() - GLOBE_RADIUS - ARC_BASE_HEIGHT, 0) * metresPerUnit
+        })),
+        path: getFlownPath()
+    };
+}
+
+/**
+ * Offer text content to the user as a file download
+ * 
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download every route with pins in the format chosen in the panel
+ */
+function exportRoutes() {
+    const format = EXPORT_FORMATS[document.getElementById('export-format').value] || EXPORT_FORMATS.geojson;
+    const data = routes.filter((route) => route.pins.length > 0).map(getRouteData);
+    if (data.length === 0) {
+        showImportStatus('Nothing to export yet - place some pins first.', true);
+        return;
+    }
+
+    downloadFile(`flight-routes.${format.extension}`, format.build(data), format.type);
+    showImportStatus(`Exported ${data.length} route${data.length === 1 ? '' : 's'} as ${format.extension.toUpperCase()}.`);
+}
+
+/**
+ * GPX track spacing input handler
+ * 
+ * @param {Event} event - Change event from the spacing input
+ */
+function onTrackSpacingChange(event) {
+    const spacing = parseFloat(event.target.value);
+    if (Number.isFinite(spacing) && spacing > 0) {
+        exportSettings.gpxTrackSpacingKm = spacing;
+    } else {
+        event.target.value = exportSettings.gpxTrackSpacingKm;
+    }
+}
+
+/**
+ * Read a route file chosen by the user or dropped on the page
+ * GPX files are played back as tracks, CSV files and JSON arrays are loaded as a
+ * route network, other files as GeoJSON routes
+ * 
+ * @param {File} file - File to import
+ */
+function importFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        // Tables of city pairs go to the network layer, everything else is GeoJSON
+        if (/\.gpx$/i.test(file.name)) {
+            loadTrackFromText(reader.result, file.name);
+        } else if (/\.(csv|tsv|txt)$/i.test(file.name) || reader.result.trim().startsWith('[')) {
+            loadNetworkFromText(reader.result, file.name);
+        } else {
+            importRoutesFromText(reader.result, file.name);
+        }
+    };
+    reader.onerror = () => showImportStatus(`Could not read ${file.name}.`, true);
+    reader.readAsText(file);
+}
+
+/**
+ * Add the routes described by a GeoJSON document to the globe (undoable as one step)
+ * Nothing is added if the file contains any invalid geometry
+ * 
+ * @param {string} text - GeoJSON text
+ * @param {string} filename - Source file name, used in status messages
+ */
+function importRoutesFromText(text, filename) {
+    const { routes: imported, errors, warnings } = RouteFormats.fromGeoJSON(text);
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? `\n…and ${errors.length - 3} more` : '';
+        showImportStatus(`Could not import ${filename}:\n${errors.slice(0, 3).join('\n')}${more}`, true);
+        return;
+    }
+
+    const previous = activeRoute;
+    const created = imported.map((data) => {
+        const route = createRoute(data.name);
+        if (/^#[0-9a-f]{6}$/i.test(data.color || '')) route.color = parseInt(data.color.slice(1), 16);
+
+        data.waypoints.forEach((waypoint) => {
+            const airport = waypoint.iata ? Airports.findByCode(waypoint.iata) : null;
+            const location = airport && Geodesy.haversineDistance(airport, waypoint) < 5
+                ? { lat: airport.lat, lon: airport.lon, airport }
+                : { lat: waypoint.lat, lon: waypoint.lon };
+            // Airport waypoints are exported with the airport's name unless the pin was renamed
+            if (waypoint.name && (!location.airport || waypoint.name !== location.airport.name)) location.name = waypoint.name;
+            addPin(location, undefined, route);
+        });
+        refreshFlightPath(route);
+        return route;
+    });
+
+    const indices = created.map((route) => routes.indexOf(route));
+    recordCommand({
+        label: `Import ${filename}`,
+        undo: () => {
+            created.forEach(detachRoute);
+            if (previous && routes.includes(previous)) selectRoute(previous);
+        },
+        redo: () => created.forEach((route, i) => attachRoute(route, indices[i]))
+    });
+
+    const pinCount = created.reduce((sum, route) => sum + route.pins.length, 0);
+    const notes = warnings.length > 0 ? `\n${warnings.length} feature${warnings.length === 1 ? '' : 's'} skipped.` : '';
+    showImportStatus(`Imported ${created.length} route${created.length === 1 ? '' : 's'} with ${pinCount} pins from ${filename}.${notes}`);
+}
+
+/**
+ * Show the outcome of an import or export below the buttons
+ * 
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Style the message as an error
+ */
+function showImportStatus(message, isError = false) {
+    const status = document.getElementById('import-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    status.style.display = 'block';
+}
+
+/**
+ * File input change handler
+ * 
+ * @param {Event} event - Change event from the hidden file input
+ */
+function onImportInputChange(event) {
+    const [file] = event.target.files;
+    if (file) importFile(file);
+    // Allow importing the same file again
+    event.target.value = '';
+}
+
+/**
+ * Accept files dragged over the page and highlight the globe as a drop target
+ * 
+ * @param {DragEvent} event - Drag event
+ */
+function onFileDragOver(event) {
+    if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('drop-target');
+}
+
+/**
+ * Remove the drop target highlight once the drag leaves the window
+ * 
+ * @param {DragEvent} event - Drag event
+ */
+function onFileDragLeave(event) {
+    if (event.relatedTarget === null) document.body.classList.remove('drop-target');
+}
+
+/**
+ * Import a route file dropped on the page
+ * 
+ * @param {DragEvent} event - Drop event
+ */
+function onFileDrop(event) {
+    document.body.classList.remove('drop-target');
+    if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+    event.preventDefault();
+    importFile(event.dataTransfer.files[0]);
+}
+
+// ============================================================================
+// ROUTE NETWORK
+// ============================================================================
+
+/**
+ * Replace the route network with the city pairs in a CSV or JSON table
+ * Rows that can't be placed are skipped and counted in the status message
+ * 
+ * @param {string} text - CSV or JSON text
+ * @param {string} filename - Source file name, used in status messages
+ */
+function loadNetworkFromText(text, filename) {
+    const { pairs, columns, errors, warnings } = RouteFormats.fromRouteTable(text, {
+        resolveCode: Airports.findByCode
+    });
+    if (errors.length > 0) {
+        showNetworkStatus(`Could not load ${filename}:\n${errors.join('\n')}`, true);
+        return;
+    }
+
+    routeNetwork.pairs = pairs;
+    routeNetwork.columns = columns;
+    if (!columns.includes(routeNetwork.colorColumn)) routeNetwork.colorColumn = '';
+    buildNetworkMesh();
+    updateNetworkPanel();
+
+    const notes = warnings.length > 0 ? `\n${warnings.join('\n')}` : '';
+    showNetworkStatus(`Loaded ${pairs.length} route${pairs.length === 1 ? '' : 's'} from ${filename}.${notes}`, warnings.length > 0);
+}
+
+/**
+ * Build the merged arc geometry for every pair in the network
+ * Each arc is split into segments proportional to its length and written as
+ * independent line segments, so one LineSegments object draws the whole network
+ */
+function buildNetworkMesh() {
+    clearNetworkMesh();
+    if (routeNetwork.pairs.length === 0) return;
+
+    const arcs = routeNetwork.pairs.map(({ from, to }) => {
+        const segments = THREE.MathUtils.clamp(
+            Math.ceil(Geodesy.haversineDistance(from, to) / NETWORK_KM_PER_SEGMENT), 2, ARC_MAX_SEGMENTS
+        );
+        return calculateGreatCircleArc(from, to, segments);
+    });
+
+    const vertexCount = arcs.reduce((sum, arc) => sum + (arc.length - 1) * 2, 0);
+    const positions = new Float32Array(vertexCount * 3);
+    routeNetwork.vertexRanges = [];
+
+    let vertex = 0;
+    for (const arc of arcs) {
+        const start = vertex;
+        for (let i = 0; i < arc.length - 1; i++) {
+            arc[i].toArray(positions, vertex * 3);
+            arc[i + 1].toArray(positions, vertex * 3 + 3);
+            vertex += 2;
+        }
+        routeNetwork.vertexRanges.push([start, vertex - start]);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+
+    const material = addMapProjection(new THREE.LineBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.55,
+        depthWrite: false
+    }));
+
+    // Add the network to the globe so it rotates with it; it's never picked by clicks
+    routeNetwork.mesh = new THREE.LineSegments(geometry, material);
+    globe.add(routeNetwork.mesh);
+    colorNetwork();
+}
+
+/**
+ * Remove the network arcs from the globe and free their GPU buffers
+ */
+function clearNetworkMesh() {
+    if (!routeNetwork.mesh) return;
+    globe.remove(routeNetwork.mesh);
+    routeNetwork.mesh.geometry.dispose();
+    routeNetwork.mesh.material.dispose();
+    routeNetwork.mesh = null;
+}
+
+/**
+ * Work out the color of every network pair from the selected column
+ * Numeric columns map to a blue-to-red gradient, any other column assigns
+ * route colors to its distinct values in order of frequency
+ * 
+ * @returns {{colors: THREE.Color[], legend: Array<{label: string, color: THREE.Color}>}} - Per-pair colors and legend entries
+ */
+function getNetworkColors() {
+    const { pairs, colorColumn } = routeNetwork;
+    if (!colorColumn) {
+        const color = new THREE.Color(ROUTE_COLORS[0]);
+        return { colors: pairs.map(() => color), legend: [] };
+    }
+
+    const values = pairs.map((pair) => String(pair.record[colorColumn] ?? '').trim());
+    const numbers = values.map((value) => (value === '' ? NaN : Number(value.replace(/,/g, ''))));
+
+    if (numbers.every(Number.isFinite)) {
+        const min = Math.min(...numbers);
+        const max = Math.max(...numbers);
+        const low = new THREE.Color(0x4fc3f7);
+        const high = new THREE.Color(0xff5252);
+        const colors = numbers.map((value) => low.clone().lerpHSL(high, max > min ? (value - min) / (max - min) : 0));
+        return {
+            colors,
+            legend: [
+                { label: `Min ${min.toLocaleString('en-US')}`, color: low },
+                { label: `Max ${max.toLocaleString('en-US')}`, color: high }
+            ]
+        };
+    }
+
+    const counts = new Map();
+    values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    const palette = new Map();
+    [...counts.keys()]
+        .sort((a, b) => counts.get(b) - counts.get(a))
+        .forEach((value, i) => palette.set(value, new THREE.Color(ROUTE_COLORS[i % ROUTE_COLORS.length])));
+
+    return {
+        colors: values.map((value) => palette.get(value)),
+        legend: [...palette].map(([value, color]) => ({ label: value || '(blank)', color }))
+    };
+}
+
+/**
+ * Write the per-pair colors into the network's color attribute
+ * Only the color buffer is re-uploaded, the arc positions stay on the GPU
+ */
+function colorNetwork() {
+    if (!routeNetwork.mesh) return;
 
-    // ========================================================================
-    // TOUCH INTERACTION EVENTS
-    // ========================================================================
-    
-    /**
-     * Touch end handler for mobile pin placement
-     * Handles single-tap gestures on touch devices
-     */
-    renderer.domElement.addEventListener('touchend', onTouchEnd);
+    const { colors, legend } = getNetworkColors();
+    const attribute = routeNetwork.mesh.geometry.getAttribute('color');
+    routeNetwork.vertexRanges.forEach(([start, count], i) => {
+        for (let vertex = start; vertex < start + count; vertex++) {
+            colors[i].toArray(attribute.array, vertex * 3);
+        }
+    });
+    attribute.needsUpdate = true;
+
+    renderNetworkLegend(legend);
+}
+
+/**
+ * Show which color stands for which value of the color column
+ * 
+ * @param {Array<{label: string, color: THREE.Color}>} legend - Legend entries
+ */
+function renderNetworkLegend(legend) {
+    const list = document.getElementById('network-legend');
+    list.innerHTML = '';
+
+    const shown = legend.slice(0, ROUTE_COLORS.length);
+    shown.forEach(({ label, color }) => {
+        const item = document.createElement('li');
+        item.className = 'legend-item';
+
+        const swatch = document.createElement('span');
+        swatch.className = 'route-swatch';
+        swatch.style.background = `#${color.getHexString()}`;
+
+        const text = document.createElement('span');
+        text.textContent = label;
+
+        item.appendChild(swatch);
+        item.appendChild(text);
+        list.appendChild(item);
+    });
+
+    if (legend.length > shown.length) {
+        const item = document.createElement('li');
+        item.className = 'legend-item';
+        item.textContent = `+${legend.length - shown.length} more (colors repeat)`;
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Sync the network section of the panel with the loaded table
+ */
+function updateNetworkPanel() {
+    const hasNetwork = routeNetwork.pairs.length > 0;
+    document.getElementById('network-options').style.display = hasNetwork ? 'block' : 'none';
+
+    const select = document.getElementById('network-color');
+    select.innerHTML = '';
+    ['', ...routeNetwork.columns].forEach((column) => {
+        const option = document.createElement('option');
+        option.value = column;
+        option.textContent = column || 'Single color';
+        select.appendChild(option);
+    });
+    select.value = routeNetwork.colorColumn;
+}
+
+/**
+ * Color-by column select handler
+ * 
+ * @param {Event} event - Change event from the column select
+ */
+function onNetworkColorChange(event) {
+    routeNetwork.colorColumn = event.target.value;
+    colorNetwork();
+}
+
+/**
+ * Network file input change handler
+ * 
+ * @param {Event} event - Change event from the hidden file input
+ */
+function onNetworkInputChange(event) {
+    const [file] = event.target.files;
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = () => loadNetworkFromText(reader.result, file.name);
+        reader.onerror = () => showNetworkStatus(`Could not read ${file.name}.`, true);
+        reader.readAsText(file);
+    }
+    event.target.value = '';
+}
+
+/**
+ * Remove the whole route network
+ */
+function clearNetwork() {
+    clearNetworkMesh();
+    routeNetwork.pairs = [];
+    routeNetwork.vertexRanges = [];
+    routeNetwork.columns = [];
+    updateNetworkPanel();
+    renderNetworkLegend([]);
+    document.getElementById('network-status').style.display = 'none';
+}
+
+/**
+ * Show the outcome of a network load
+ * 
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Style the message as an error
+ */
+function showNetworkStatus(message, isError = false) {
+    const status = document.getElementById('network-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    status.style.display = 'block';
+}
+
+// ============================================================================
+// LIVE TRAFFIC
+// ============================================================================
+
+/**
+ * Connect to or disconnect from the feed URL in the panel
+ */
+function toggleLiveTraffic() {
+    if (liveTraffic.connection) {
+        disconnectLiveTraffic();
+    } else {
+        connectLiveTraffic(document.getElementById('feed-url').value.trim());
+    }
+}
+
+/**
+ * Start receiving aircraft from a feed
+ * 
+ * @param {string} url - WebSocket (ws://, wss://) or HTTP polling URL
+ */
+function connectLiveTraffic(url) {
+    if (!url) {
+        setLiveTrafficStatus('Enter a feed URL first.', true);
+        return;
+    }
+
+    disconnectLiveTraffic();
+    liveTraffic.store = AircraftFeed.createAircraftStore();
+    liveTraffic.connection = AircraftFeed.connectFeed(url, {
+        onStates: (states, receivedAt) => liveTraffic.store.ingest(states, receivedAt),
+        onStatus: (status, detail) => {
+            if (status === 'live') {
+                setLiveTrafficStatus(`Live · ${liveTraffic.store.aircraft.size} aircraft`);
+            } else if (status === 'connecting') {
+                setLiveTrafficStatus('Connecting…');
+            } else if (status === 'retrying' || status === 'error') {
+                setLiveTrafficStatus(detail, true);
+            }
+        }
+    });
+
+    const button = document.getElementById('feed-connect');
+    button.textContent = 'Disconnect';
+    button.classList.add('active');
+}
+
+/**
+ * Close the feed connection and remove every live aircraft
+ */
+function disconnectLiveTraffic() {
+    if (!liveTraffic.connection) return;
+
+    liveTraffic.connection.stop();
+    liveTraffic.connection = null;
+    liveTraffic.store = null;
+    if (liveTraffic.mesh) liveTraffic.mesh.count = 0;
+
+    const button = document.getElementById('feed-connect');
+    button.textContent = 'Connect';
+    button.classList.remove('active');
+    document.getElementById('feed-status').style.display = 'none';
+}
+
+/**
+ * Make sure the instanced aircraft mesh can hold a number of aircraft
+ * The mesh is rebuilt with double the capacity when it runs out
+ * 
+ * @param {number} count - Aircraft to hold
+ */
+function ensureLiveTrafficCapacity(count) {
+    if (liveTraffic.mesh && count <= liveTraffic.capacity) return;
+
+    if (liveTraffic.mesh) {
+        globe.remove(liveTraffic.mesh);
+        liveTraffic.mesh.geometry.dispose();
+        liveTraffic.mesh.material.dispose();
+        liveTraffic.mesh.dispose();
+    }
+
+    // A flattened four-sided cone reads as an arrowhead pointing along +X, the airplane's forward axis
+    const geometry = new THREE.ConeGeometry(0.01, 0.035, 4);
+    geometry.rotateZ(-Math.PI / 2);
+    geometry.scale(1, 0.35, 1);
+    const material = new THREE.MeshPhongMaterial({ color: 0xffffff, emissive: 0x222222 });
+
+    liveTraffic.capacity = Math.max(256, liveTraffic.capacity * 2, count);
+    liveTraffic.mesh = new THREE.InstancedMesh(geometry, material, liveTraffic.capacity);
+    liveTraffic.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    liveTraffic.mesh.frustumCulled = false; // Instances move, the base geometry's bounds don't cover them
+    liveTraffic.mesh.count = 0;
+
+    // Add the aircraft to the globe so they rotate with it
+    globe.add(liveTraffic.mesh);
+}
+
+/**
+ * Place every live aircraft at its predicted position for this frame
+ * Aircraft the feed stopped reporting are dropped here once they go stale
+ * 
+ * @param {number} now - Current time in milliseconds
+ */
+function updateLiveTraffic(now) {
+    if (!liveTraffic.store) return;
+
+    liveTraffic.store.prune(now);
+    const { aircraft } = liveTraffic.store;
+    ensureLiveTrafficCapacity(aircraft.size);
+
+    const matrix = new THREE.Matrix4();
+    const airborneColor = new THREE.Color(0xffd166);
+    const groundColor = new THREE.Color(0x9e9e9e);
+
+    let index = 0;
+    for (const entry of aircraft.values()) {
+        const { lat, lon, altitude, heading } = AircraftFeed.predictPosition(entry, now);
+        const position = projectToMap(latLonToLocal(lat, lon, GLOBE_RADIUS + PIN_HEIGHT + altitude * ALTITUDE_SCALE));
+
+        orientAlongHeading(matrix, lat, lon, heading).setPosition(position);
+        liveTraffic.mesh.setMatrixAt(index, matrix);
+        liveTraffic.mesh.setColorAt(index, entry.state.onGround ? groundColor : airborneColor);
+        index++;
+    }
+
+    liveTraffic.mesh.count = index;
+    liveTraffic.mesh.instanceMatrix.needsUpdate = true;
+    if (liveTraffic.mesh.instanceColor) liveTraffic.mesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * Rotation that points an aircraft along a compass heading at a location
+ * Uses the same basis as the route airplane: X forward, Y up (away from the
+ * globe center), Z to the right
+ * 
+ * @param {THREE.Matrix4} matrix - Matrix to write the rotation into
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} heading - Heading in degrees clockwise from north
+ * @returns {THREE.Matrix4} - The matrix, for chaining
+ */
+function orientAlongHeading(matrix, lat, lon, heading) {
+    const phi = THREE.MathUtils.degToRad(lat);
+    const lambda = THREE.MathUtils.degToRad(lon);
+    const theta = THREE.MathUtils.degToRad(heading);
+
+    // Local north/east tangents (derivatives of latLonToVector) and the surface normal
+    const up = latLonToLocal(lat, lon, 1);
+    const north = new THREE.Vector3(-Math.sin(phi) * Math.cos(lambda), Math.cos(phi), Math.sin(phi) * Math.sin(lambda));
+    const east = new THREE.Vector3(-Math.sin(lambda), 0, -Math.cos(lambda));
+    const forward = north.multiplyScalar(Math.cos(theta)).addScaledVector(east, Math.sin(theta));
+
+    if (mapProjection.morph > 0) {
+        // On the flat map east is +X and north +Y; the equirectangular map stretches east-west
+        const stretch = 1 / Math.max(Math.cos(phi), 0.01);
+        const flatForward = new THREE.Vector3(
+            Math.sin(theta) * stretch, Math.cos(theta) * THREE.MathUtils.lerp(1, stretch, mapProjection.mercator), 0
+        ).normalize().applyAxisAngle(new THREE.Vector3(0, 1, 0), -globe.rotation.y);
+        up.copy(getMapUp(up));
+        forward.lerp(flatForward, mapProjection.morph);
+        forward.crossVectors(up, forward.cross(up)).normalize();
+    }
+    const right = new THREE.Vector3().crossVectors(forward, up);
+
+    return matrix.makeBasis(forward, up, right);
+}
+
+/**
+ * Show the feed state below the URL field
+ * 
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Style the message as an error
+ */
+function setLiveTrafficStatus(message, isError = false) {
+    const status = document.getElementById('feed-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    status.style.display = 'block';
+}
+
+// ============================================================================
+// TRACK PLAYBACK
+// ============================================================================
+
+/**
+ * Replace the playback track with a recorded track from a file
+ * 
+ * @param {string} text - GPX, CSV or JSON track
+ * @param {string} filename - Source file name, used in status messages
+ */
+function loadTrackFromText(text, filename) {
+    const { points, errors, warnings } = RouteFormats.fromTrack(text);
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? `\n…and ${errors.length - 3} more` : '';
+        showTrackStatus(`Could not load ${filename}:\n${errors.slice(0, 3).join('\n')}${more}`, true);
+        return;
+    }
+
+    closeTrackPlayback();
+    trackPlayback.points = densifyTrack(points);
+    trackPlayback.positions = trackPlayback.points.map(getTrackPosition);
+    trackPlayback.currentTime = points[0].time;
+    trackPlayback.splitIndex = -1;
+    buildTrackObjects();
+
+    const scrubber = document.getElementById('timeline-scrubber');
+    scrubber.max = Math.round((points[points.length - 1].time - points[0].time) / 1000);
+    scrubber.value = 0;
+    document.getElementById('timeline').style.display = 'flex';
+
+    const duration = formatDuration((points[points.length - 1].time - points[0].time) / 60000);
+    const notes = warnings.length > 0 ? `\n${warnings.join('\n')}` : '';
+    showTrackStatus(`Loaded ${points.length} points (${duration}) from ${filename}.${notes}`);
+
+    updateTrackPlayback(0);
+    setPlaybackPlaying(true);
+}
+
+/**
+ * Insert interpolated points wherever consecutive track points are far apart
+ * so the drawn track follows the globe instead of cutting through it
+ * 
+ * @param {Object[]} points - Track points sorted by time
+ * @returns {Object[]} - Densified track points
+ */
+function densifyTrack(points) {
+    const dense = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        const steps = Math.ceil(Geodesy.haversineDistance(from, to) / TRACK_DENSIFY_KM);
+        for (let step = 1; step < steps; step++) {
+            const fraction = step / steps;
+            dense.push({
+                ...Geodesy.intermediatePoint(from, to, fraction),
+                time: from.time + (to.time - from.time) * fraction,
+                altitude: from.altitude + (to.altitude - from.altitude) * fraction
+            });
+        }
+        dense.push(to);
+    }
+    return dense;
+}
+
+/**
+ * Globe local position of a track point, raised by its altitude
+ * 
+ * @param {{lat: number, lon: number, altitude: number}} point - Track point
+ * @returns {THREE.Vector3} - Position in globe local coordinates
+ */
+function getTrackPosition(point) {
+    return latLonToLocal(point.lat, point.lon, GLOBE_RADIUS + PIN_HEIGHT + point.altitude * ALTITUDE_SCALE);
+}
+
+/**
+ * Create the airplane and the traveled/remaining track lines
+ * Each line owns a copy of the track positions plus one spare slot that is
+ * overwritten with the aircraft position, so the lines meet exactly at the airplane
+ */
+function buildTrackObjects() {
+    const count = trackPlayback.positions.length;
+    const createLine = (material) => {
+        const array = new Float32Array((count + 1) * 3);
+        trackPlayback.positions.forEach((position, i) => position.toArray(array, i * 3));
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(array, 3).setUsage(THREE.DynamicDrawUsage));
+        const line = new THREE.Line(geometry, material);
+        line.frustumCulled = false;
+        return line;
+    };
+
+    // Add the playback objects to the globe so they rotate with it
+    trackPlayback.group = new THREE.Group();
+    globe.add(trackPlayback.group);
+
+    trackPlayback.traveledLine = createLine(addMapProjection(new THREE.LineBasicMaterial({ color: 0xffd166 })));
+    trackPlayback.remainingLine = createLine(addMapProjection(new THREE.LineDashedMaterial({
+        color: 0xffffff,
+        dashSize: 0.02,
+        gapSize: 0.015,
+        transparent: true,
+        opacity: 0.4
+    })));
+    trackPlayback.remainingLine.computeLineDistances();
+
+    trackPlayback.airplane = createAirplane(0xffd166);
+    trackPlayback.group.add(trackPlayback.traveledLine, trackPlayback.remainingLine, trackPlayback.airplane);
+}
+
+/**
+ * Interpolate the track at a moment in time
+ * 
+ * @param {number} time - Epoch milliseconds, clamped to the track's time span
+ * @returns {{index: number, lat: number, lon: number, altitude: number, heading: number}} - Position on segment `index`
+ */
+function sampleTrack(time) {
+    const { points } = trackPlayback;
+
+    // Binary search for the segment [index, index + 1] containing the time
+    let low = 0;
+    let high = points.length - 2;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (points[mid].time <= time) low = mid;
+        else high = mid - 1;
+    }
+
+    const from = points[low];
+    const to = points[low + 1];
+    const fraction = THREE.MathUtils.clamp((time - from.time) / (to.time - from.time), 0, 1);
+    const position = Geodesy.intermediatePoint(from, to, fraction);
+
+    // Stationary segments keep the heading of the last segment that moved
+    let heading = 0;
+    for (let i = low; i >= 0; i--) {
+        if (Geodesy.haversineDistance(points[i], points[i + 1]) > 0.01) {
+            heading = Geodesy.initialBearing(points[i], points[i + 1]);
+            break;
+        }
+    }
+
+    return {
+        index: low,
+        lat: position.lat,
+        lon: position.lon,
+        altitude: from.altitude + (to.altitude - from.altitude) * fraction,
+        heading
+    };
+}
+
+/**
+ * Advance the playback clock and redraw the aircraft and the traveled track
+ * 
+ * @param {number} delta - Seconds since the previous frame
+ */
+function updateTrackPlayback(delta) {
+    if (!trackPlayback.group) return;
+
+    const { points, positions } = trackPlayback;
+    const startTime = points[0].time;
+    const endTime = points[points.length - 1].time;
+
+    if (trackPlayback.playing) {
+        trackPlayback.currentTime += delta * 1000 * trackPlayback.speed;
+        if (trackPlayback.currentTime >= endTime) {
+            trackPlayback.currentTime = endTime;
+            setPlaybackPlaying(false);
+        }
+    }
+
+    const sample = sampleTrack(trackPlayback.currentTime);
+    const position = getTrackPosition(sample);
+    projectToMap(position, trackPlayback.airplane.position);
+    trackPlayback.airplane.quaternion.setFromRotationMatrix(
+        orientAlongHeading(new THREE.Matrix4(), sample.lat, sample.lon, sample.heading)
+    );
+
+    // Put the spare slot of each line at the aircraft: after the traveled points,
+    // before the remaining ones. First restore the slot used last frame.
+    const traveled = trackPlayback.traveledLine.geometry.getAttribute('position');
+    const remaining = trackPlayback.remainingLine.geometry.getAttribute('position');
+    const previous = trackPlayback.splitIndex;
+    if (previous >= 0 && previous !== sample.index) {
+        if (positions[previous + 1]) positions[previous + 1].toArray(traveled.array, (previous + 1) * 3);
+        positions[previous].toArray(remaining.array, previous * 3);
+    }
+    position.toArray(traveled.array, (sample.index + 1) * 3);
+    position.toArray(remaining.array, sample.index * 3);
+    trackPlayback.splitIndex = sample.index;
+
+    trackPlayback.traveledLine.geometry.setDrawRange(0, sample.index + 2);
+    trackPlayback.remainingLine.geometry.setDrawRange(sample.index, positions.length - sample.index);
+    traveled.needsUpdate = true;
+    remaining.needsUpdate = true;
+
+    // Keep the timeline in step unless the user is dragging it
+    const scrubber = document.getElementById('timeline-scrubber');
+    if (document.activeElement !== scrubber) {
+        scrubber.value = Math.round((trackPlayback.currentTime - startTime) / 1000);
+    }
+    const elapsed = formatDuration((trackPlayback.currentTime - startTime) / 60000);
+    const total = formatDuration((endTime - startTime) / 60000);
+    const clock = new Date(trackPlayback.currentTime).toISOString().replace('T', ' ').slice(0, 19);
+    document.getElementById('timeline-time').textContent = `${clock} UTC · ${elapsed} / ${total}`;
+}
+
+/**
+ * Start or pause playback; playing from the end restarts at the beginning
+ */
+function togglePlayback() {
+    if (!trackPlayback.group) return;
+    if (!trackPlayback.playing && trackPlayback.currentTime >= trackPlayback.points[trackPlayback.points.length - 1].time) {
+        trackPlayback.currentTime = trackPlayback.points[0].time;
+    }
+    setPlaybackPlaying(!trackPlayback.playing);
+}
+
+/**
+ * Set the playing state and update the play button
+ * 
+ * @param {boolean} playing - Whether the playback clock should run
+ */
+function setPlaybackPlaying(playing) {
+    trackPlayback.playing = playing;
+
+    const button = document.getElementById('timeline-play');
+    button.textContent = playing ? '⏸' : '▶';
+    button.title = playing ? 'Pause' : 'Play';
+}
+
+/**
+ * Timeline scrubber handler - jumps the playback clock
+ * 
+ * @param {Event} event - Input event from the range slider
+ */
+function onTimelineScrub(event) {
+    if (!trackPlayback.group) return;
+    trackPlayback.currentTime = trackPlayback.points[0].time + Number(event.target.value) * 1000;
+}
+
+/**
+ * Remove the playback track and hide the timeline
+ */
+function closeTrackPlayback() {
+    if (trackPlayback.group) {
+        globe.remove(trackPlayback.group);
+        trackPlayback.traveledLine.geometry.dispose();
+        trackPlayback.remainingLine.geometry.dispose();
+    }
+    Object.assign(trackPlayback, {
+        points: [],
+        positions: [],
+        group: null,
+        airplane: null,
+        traveledLine: null,
+        remainingLine: null,
+        splitIndex: -1
+    });
+    setPlaybackPlaying(false);
+    document.getElementById('timeline').style.display = 'none';
+}
+
+/**
+ * Track file input change handler
+ * 
+ * @param {Event} event - Change event from the hidden file input
+ */
+function onTrackInputChange(event) {
+    const [file] = event.target.files;
+    if (file) {
+        const reader = new FileReader();
+        reader.onload = () => loadTrackFromText(reader.result, file.name);
+        reader.onerror = () => showTrackStatus(`Could not read ${file.name}.`, true);
+        reader.readAsText(file);
+    }
+    event.target.value = '';
+}
+
+/**
+ * Show the outcome of a track load
+ * 
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Style the message as an error
+ */
+function showTrackStatus(message, isError = false) {
+    const status = document.getElementById('track-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    status.style.display = 'block';
+}
+
+// ============================================================================
+// FLIGHT PROFILE
+// ============================================================================
+
+/**
+ * Apply the flight profile inputs and rebuild every path with the new altitudes
+ * Invalid values are reset to the current settings
+ */
+function onProfileSettingChange() {
+    const inputs = {
+        cruiseFlightLevel: document.getElementById('profile-cruise-level'),
+        climbRateFpm: document.getElementById('profile-climb-rate'),
+        descentAngle: document.getElementById('profile-descent-angle'),
+        exaggeration: document.getElementById('profile-exaggeration')
+    };
+
+    Object.entries(inputs).forEach(([setting, input]) => {
+        const value = Number(input.value);
+        const min = Number(input.min) || 0;
+        const max = Number(input.max) || Infinity;
+        if (Number.isFinite(value) && value > 0 && value >= min && value <= max) {
+            flightProfile[setting] = value;
+        }
+        input.value = flightProfile[setting];
+    });
+
+    applyFlightProfile();
+}
+
+/**
+ * Lift every route and network arc to the current flight profile
+ * Routes keep their lines and airplanes, so flights carry on where they are
+ */
+function applyFlightProfile() {
+    routes.forEach(updateFlightPathGeometry);
+    if (routeNetwork.pairs.length > 0) buildNetworkMesh();
+    flightProfile.chartKey = '';
+}
+
+/**
+ * Flight profile of every leg of a route along the flown path
+ * 
+ * @param {Object} route - Route to profile
+ * @returns {{legs: Object[], totalKm: number}} - Legs with their start distance and profile, and the route length
+ */
+function getRouteProfile(route) {
+    const settings = getProfileSettings();
+    const legs = [];
+    let totalKm = 0;
+
+    for (let i = 0; i < route.pins.length - 1; i++) {
+        const distance = getFlownPath() === 'rhumb'
+            ? Geodesy.rhumbDistance(route.pins[i], route.pins[i + 1])
+            : Geodesy.haversineDistance(route.pins[i], route.pins[i + 1]);
+        legs.push({ startKm: totalKm, profile: FlightProfile.createProfile(distance, settings) });
+        totalKm += distance;
+    }
+
+    return { legs, totalKm };
+}
+
+/**
+ * Altitude and phase of flight at a distance along a route
+ * 
+ * @param {{legs: Object[], totalKm: number}} routeProfile - Profile from getRouteProfile
+ * @param {number} distanceKm - Ground distance from the first pin
+ * @returns {{altitudeFt: number, phase: string}} - Altitude in feet and 'climb', 'cruise' or 'descent'
+ */
+function getProfileReading(routeProfile, distanceKm) {
+    const leg = [...routeProfile.legs].reverse().find((candidate) => candidate.startKm <= distanceKm)
+        || routeProfile.legs[0];
+    const along = distanceKm - leg.startKm;
+    return {
+        altitudeFt: FlightProfile.altitudeAt(leg.profile, along),
+        phase: FlightProfile.phaseAt(leg.profile, along)
+    };
+}
+
+/**
+ * Redraw the altitude chart of the active route when anything it shows changed
+ * Called every frame; the marker follows the route's airplane
+ */
+function updateProfileChart() {
+    const route = activeRoute;
+    const hasPath = Boolean(route && route.pins.length >= 2 && route.pathDistances);
+    const pathKm = hasPath ? route.pathDistances[route.pathDistances.length - 1] : 0;
+    const progress = hasPath && route.flight && pathKm > 0 ? route.flight.distance / pathKm : 0;
+
+    const key = hasPath
+        ? [
+            routes.indexOf(route), route.color, route.pins.map((pin) => `${pin.lat},${pin.lon}`).join(';'),
+            routeSettings.pathMode, Object.values(getProfileSettings()).join(','), progress.toFixed(3)
+        ].join('|')
+        : 'none';
+    if (key === flightProfile.chartKey) return;
+    flightProfile.chartKey = key;
+
+    const canvas = document.getElementById('profile-chart');
+    const status = document.getElementById('profile-status');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    if (!hasPath) {
+        status.textContent = 'Add two or more pins to see the route\'s altitude profile.';
+        status.style.display = 'block';
+        return;
+    }
+
+    const routeProfile = getRouteProfile(route);
+    const cruiseFt = flightProfile.cruiseFlightLevel * 100;
+    const left = 52;
+    const right = canvas.width - 12;
+    const top = 18;
+    const bottom = canvas.height - 16;
+    const x = (km) => left + (km / routeProfile.totalKm) * (right - left);
+    const y = (feet) => bottom - (feet / (cruiseFt * 1.2)) * (bottom - top);
+    const color = `#${route.color.toString(16).padStart(6, '0')}`;
+
+    // Cruise level guide
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.moveTo(left, y(cruiseFt));
+    ctx.lineTo(right, y(cruiseFt));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '20px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`FL${flightProfile.cruiseFlightLevel}`, 4, y(cruiseFt));
+
+    // Profile through each leg's phase changes
+    ctx.beginPath();
+    ctx.moveTo(x(0), y(0));
+    routeProfile.legs.forEach(({ startKm, profile }) => {
+        profile.breakpoints.forEach((breakpoint) => {
+            ctx.lineTo(x(startKm + breakpoint), y(FlightProfile.altitudeAt(profile, breakpoint)));
+        });
+    });
+    ctx.lineTo(x(routeProfile.totalKm), y(0));
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.globalAlpha = 0.25;
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+
+    // Ground line with a tick at every stopover
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, bottom);
+    ctx.lineTo(right, bottom);
+    routeProfile.legs.slice(1).forEach(({ startKm }) => {
+        ctx.moveTo(x(startKm), bottom);
+        ctx.lineTo(x(startKm), bottom + 8);
+    });
+    ctx.stroke();
 
-    // ========================================================================
-    // UI CONTROL EVENTS
-    // ========================================================================
-    
-    /**
-     * Clear pins button - removes all pins and flight paths
-     */
-    document.getElementById('clear-pins').addEventListener('click', clearPins);
-    
-    /**
-     * Rotation toggle button - starts/stops automatic globe rotation
-     */
-    document.getElementById('toggle-rotation').addEventListener('click', toggleRotation);
-    
-    // ========================================================================
-    // MOBILE MENU EVENTS
-    // ========================================================================
-    
-    /**
-     * Mobile menu toggle - opens/closes hamburger menu on mobile devices
-     */
-    document.getElementById('menu-toggle').addEventListener('click', toggleMobileMenu);
-    
-    /**
-     * Close panel button - closes mobile menu
-     */
-    document.getElementById('close-panel').addEventListener('click', closeMobileMenu);
-    
-    /**
-     * Overlay click - closes mobile menu when clicking outside
-     */
-    document.getElementById('overlay').addEventListener('click', closeMobileMenu);
+    // Airplane position
+    const distanceKm = progress * routeProfile.totalKm;
+    const reading = getProfileReading(routeProfile, distanceKm);
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(x(distanceKm), y(reading.altitudeFt), 6, 0, Math.PI * 2);
+    ctx.fill();
 
-    // ========================================================================
-    // WINDOW EVENTS
-    // ========================================================================
-    
-    /**
-     * Window resize handler - maintains proper aspect ratio and canvas size
-     */
-    window.addEventListener('resize', onWindowResize);
+    const phases = { climb: 'climbing', cruise: 'cruising', descent: 'descending' };
+    const phase = reading.altitudeFt > 0 ? ` (${phases[reading.phase]})` : '';
+    status.textContent = `Now ${formatNumber(reading.altitudeFt)} ft${phase} · `
+        + `${formatNumber(distanceKm)} of ${formatNumber(routeProfile.totalKm)} km`;
+    status.style.display = 'block';
 }
 
 // ============================================================================
-// INPUT PROCESSING UTILITIES
+// CAMERA MODES
 // ============================================================================
 
 /**
- * Extract pointer position from mouse or touch events
- * Provides unified handling for both mouse and touch input
+ * The airplane followed by the camera modes: the active route's airplane,
+ * or the playback aircraft when no route is flying
  * 
- * @param {Event} event - Mouse or touch event object
- * @returns {Object} - Object with x, y coordinates in pixels
+ * @returns {THREE.Object3D|null} - Airplane to follow
  */
-function getPointerPosition(event) {
-    // Handle touch events (mobile devices)
-    if (event.touches && event.touches.length > 0) {
-        return {
-            x: event.touches[0].clientX,
-            y: event.touches[0].clientY
-        };
+function getFollowTarget() {
+    if (activeRoute && activeRoute.airplane && activeRoute.visible) return activeRoute.airplane;
+    return trackPlayback.airplane;
+}
+
+/**
+ * Switch the camera mode
+ * Follow modes take the camera away from the orbit controls; switching to
+ * 'orbit' eases the camera back out to an orbit position first
+ * 
+ * @param {string} mode - 'orbit', 'chase', 'cockpit' or 'frame'
+ */
+function setCameraMode(mode) {
+    if (mode === 'orbit') {
+        if (cameraFollow.mode !== 'orbit') {
+            cameraFollow.mode = 'returning';
+            cameraFollow.blend = 0;
+        }
+        updateCameraModeButtons();
+        return;
     }
-    
-    // Handle touch end events (when finger lifts)
-    if (event.changedTouches && event.changedTouches.length > 0) {
-        return {
-            x: event.changedTouches[0].clientX,
-            y: event.changedTouches[0].clientY
-        };
+
+    if (mapProjection.mode !== 'globe') {
+        const status = document.getElementById('camera-status');
+        status.textContent = 'Follow modes are only available on the globe.';
+        status.style.display = 'block';
+        return;
     }
-    
-    // Handle mouse events (desktop)
-    return {
-        x: event.clientX,
-        y: event.clientY
-    };
+
+    if (!getFollowTarget()) {
+        const status = document.getElementById('camera-status');
+        status.textContent = 'Place at least two pins (or play a track) to follow an airplane.';
+        status.style.display = 'block';
+        return;
+    }
+    document.getElementById('camera-status').style.display = 'none';
+    cancelCameraFlight();
+
+    if (cameraFollow.mode === 'orbit') {
+        // Free orbit always looks at the globe center
+        cameraFollow.lookTarget.set(0, 0, 0);
+        controls.enabled = false;
+        camera.near = CAMERA_FOLLOW_NEAR;
+        camera.updateProjectionMatrix();
+    }
+    cameraFollow.mode = mode;
+    cameraFollow.blend = 0;
+    updateCameraModeButtons();
 }
 
 /**
- * Handle pin placement logic for both mouse and touch input
- * Converts screen coordinates to 3D world coordinates and places pins
+ * Interpolate between two points around the globe center
+ * Direction is slerped and distance lerped, so the path curves around the
+ * globe instead of cutting through it
  * 
- * @param {number} clientX - X coordinate in pixels from left edge of viewport
- * @param {number} clientY - Y coordinate in pixels from top edge of viewport
+ * @param {THREE.Vector3} from - Start point
+ * @param {THREE.Vector3} to - End point
+ * @param {number} t - Fraction from 0 to 1
+ * @param {THREE.Vector3} [target] - Vector to write the result into
+ * @returns {THREE.Vector3} - Interpolated point
  */
-function handlePinPlacement(clientX, clientY) {
-    /**
-     * Convert screen coordinates to normalized device coordinates (NDC)
-     * NDC range from -1 to +1 in both X and Y directions
-     * This is required for raycasting calculations
-     */
-    mouse.x = (clientX / window.innerWidth) * 2 - 1;   // Convert to -1 to +1 range
-    mouse.y = -(clientY / window.innerHeight) * 2 + 1; // Convert and flip Y (screen Y is inverted)
+function orbitLerp(from, to, t, target = new THREE.Vector3()) {
+    const fromLength = from.length();
+    const toLength = to.length();
+    if (fromLength < 1e-9 || toLength < 1e-9) return target.lerpVectors(from, to, t);
 
-    /**
-     * Raycasting - find intersection between mouse ray and 3D objects
-     * Creates a ray from camera through the mouse position into 3D space
-     * Tests intersection with globe surface
-     */
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObject(globe);
+    const fromDirection = from.clone().divideScalar(fromLength);
+    const toDirection = to.clone().divideScalar(toLength);
+    const rotation = new THREE.Quaternion().setFromUnitVectors(fromDirection, toDirection);
+    const partial = new THREE.Quaternion().slerp(rotation, t);
 
-    /**
-     * Process intersection results
-     * Only place pin if we hit the globe and haven't reached the 2-pin limit
-     */
-    if (intersects.length > 0 && pins.length < 2) {
-        /**
-         * Get the 3D world position where the ray hit the globe
-         * This is the exact point on Earth's surface that was clicked
-         */
-        const worldPoint = intersects[0].point;
-        
-        /**
-         * Transform world coordinates to globe local coordinates
-         * Since pins are children of globe, we need to account for globe's rotation
-         * This ensures pins stay attached to the correct Earth location
-         */
-        const globeInverse = new THREE.Matrix4().copy(globe.matrixWorld).invert();
-        const localPoint = worldPoint.clone().applyMatrix4(globeInverse);
-        
-        // Create and place the pin at the calculated position
-        addPin(localPoint);
-        
-        // Update UI to show current pin count
-        updatePinCounter();
+    return target.copy(fromDirection).applyQuaternion(partial).multiplyScalar(THREE.MathUtils.lerp(fromLength, toLength, t));
+}
+
+/**
+ * Steer the camera for the current follow mode
+ * During a transition the camera eases towards the mode's viewpoint; once
+ * the transition is over it is locked to the viewpoint so a fast airplane
+ * doesn't leave it behind
+ * 
+ * @param {number} delta - Seconds since the previous frame
+ * @returns {boolean} - True if the camera was steered (the orbit controls must not update)
+ */
+function updateCameraFollow(delta) {
+    if (cameraFollow.mode === 'orbit') return false;
+
+    cameraFollow.blend = Math.min(1, cameraFollow.blend + delta / cameraFollow.transitionSeconds);
+    const ease = cameraFollow.blend >= 1 ? 1 : 1 - Math.exp(-cameraFollow.response * delta);
+
+    const desiredPosition = new THREE.Vector3();
+    const desiredLook = new THREE.Vector3();
+    const desiredUp = new THREE.Vector3(0, 1, 0);
+
+    if (cameraFollow.mode === 'returning') {
+        // Back out to a valid orbit distance along the current view direction
+        const distance = THREE.MathUtils.clamp(camera.position.length(), controls.minDistance, controls.maxDistance);
+        desiredPosition.copy(camera.position).setLength(distance);
+    } else {
+        const airplane = getFollowTarget();
+        if (!airplane) {
+            setCameraMode('orbit');
+            return true;
+        }
 
-        /**
-         * Create flight path when we have exactly 2 pins
-         * This automatically generates the great circle route
-         */
-        if (pins.length === 2) {
-            createFlightPath();
+        airplane.updateWorldMatrix(true, false);
+        const position = new THREE.Vector3().setFromMatrixPosition(airplane.matrixWorld);
+        const forward = new THREE.Vector3(1, 0, 0).applyQuaternion(airplane.getWorldQuaternion(new THREE.Quaternion()));
+        const up = position.clone().normalize();
+
+        if (cameraFollow.mode === 'chase') {
+            desiredPosition.copy(position).addScaledVector(forward, -0.35).addScaledVector(up, 0.12);
+            desiredLook.copy(position).addScaledVector(forward, 0.15);
+            desiredUp.copy(up);
+        } else if (cameraFollow.mode === 'cockpit') {
+            desiredPosition.copy(position).addScaledVector(forward, 0.09).addScaledVector(up, 0.012);
+            desiredLook.copy(position).addScaledVector(forward, 1).addScaledVector(up, -0.08);
+            desiredUp.copy(up);
+        } else {
+            // Keep in frame: stay at the current zoom, directly above the airplane
+            const distance = THREE.MathUtils.clamp(camera.position.length(), controls.minDistance, controls.maxDistance);
+            desiredPosition.copy(position).setLength(distance);
         }
     }
+
+    orbitLerp(camera.position, desiredPosition, ease, camera.position);
+    cameraFollow.lookTarget.lerp(desiredLook, ease);
+    camera.up.lerp(desiredUp, ease).normalize();
+    camera.lookAt(cameraFollow.lookTarget);
+
+    if (cameraFollow.mode === 'returning' &&
+        camera.position.distanceTo(desiredPosition) < 0.01 && cameraFollow.lookTarget.length() < 0.01) {
+        finishCameraReturn();
+    }
+    return true;
 }
 
-function onMouseClick(event) {
-    const pointer = getPointerPosition(event);
-    handlePinPlacement(pointer.x, pointer.y);
+/**
+ * Hand the camera back to the orbit controls
+ */
+function finishCameraReturn() {
+    cameraFollow.mode = 'orbit';
+    camera.up.set(0, 1, 0);
+    camera.near = CAMERA_ORBIT_NEAR;
+    camera.updateProjectionMatrix();
+    controls.enabled = true;
+    setCameraPosition(camera.position);
+    updateCameraModeButtons();
 }
 
-function onTouchEnd(event) {
-    // Only handle single touch for pin placement
-    if (event.changedTouches.length === 1) {
-        event.preventDefault();
-        const pointer = getPointerPosition(event);
-        handlePinPlacement(pointer.x, pointer.y);
+/**
+ * Highlight the button of the current camera mode
+ */
+function updateCameraModeButtons() {
+    const mode = cameraFollow.mode === 'returning' ? 'orbit' : cameraFollow.mode;
+    document.querySelectorAll('[data-camera-mode]').forEach((button) => {
+        button.classList.toggle('active', button.dataset.cameraMode === mode);
+    });
+}
+
+// ============================================================================
+// CAMERA FLY-TO
+// ============================================================================
+
+/**
+ * Fly the camera to look straight down at a location
+ * The camera travels along a great circle around the globe, pulling back
+ * mid-flight in proportion to the distance covered. Auto-rotation is paused
+ * for the flight (so it doesn't pull the camera away) and resumed on arrival. Works
+ * with the Three.js OrbitControls and the fallback controls alike. On the flat
+ * map the camera pans there instead (see flyToOnMap).
+ * 
+ * @param {{lat: number, lon: number}} location - Location in degrees
+ * @param {Object} [options] - Flight options
+ * @param {number} [options.distance] - Final camera distance from the globe center, defaults to the current zoom
+ * @param {number} [options.duration] - Flight time in seconds, defaults to a time based on the distance covered
+ * @param {Function} [options.onComplete] - Called on arrival (not when cancelled)
+ */
+function flyTo(location, options = {}) {
+    if (mapProjection.mode !== 'globe') {
+        flyToOnMap(location, options);
+        return;
     }
+
+    cancelCameraFlight();
+    if (cameraFollow.mode !== 'orbit') finishCameraReturn();
+
+    // The location is fixed to the globe, which keeps turning with the world clock,
+    // so the final camera position is recomputed every frame
+    globe.updateMatrixWorld();
+    cameraFlight.target.copy(latLonToLocal(location.lat, location.lon));
+    const surface = globe.localToWorld(cameraFlight.target.clone());
+    const distance = THREE.MathUtils.clamp(
+        options.distance || camera.position.length(), controls.minDistance, controls.maxDistance
+    );
+    const angle = camera.position.angleTo(surface);
+
+    cameraFlight.from.copy(camera.position);
+    cameraFlight.to.copy(surface).setLength(distance);
+    cameraFlight.distance = distance;
+    cameraFlight.lift = Math.min(angle / Math.PI, 1) * (controls.maxDistance - Math.max(distance, camera.position.length())) * 0.6;
+    cameraFlight.elapsed = 0;
+    cameraFlight.duration = options.duration || THREE.MathUtils.clamp(0.8 + angle * 0.6, 0.8, 2.5);
+    cameraFlight.onComplete = options.onComplete || null;
+    cameraFlight.resumeRotation = isRotating;
+    cameraFlight.active = true;
+
+    if (isRotating) toggleRotation();
+    controls.enabled = false;
 }
 
-function onMouseMove(event) {
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+/**
+ * Fly the camera to a pin, zooming in close
+ * 
+ * @param {Object} pin - Pin from a route's itinerary
+ */
+function flyToPin(pin) {
+    flyTo(pin, { distance: controls.minDistance });
+}
 
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObject(globe);
+/**
+ * Fly the camera to frame a whole route
+ * Aims at the middle of the route's pins and backs off far enough to see the
+ * pin furthest from it
+ * 
+ * @param {Object} route - Route to show
+ */
+function flyToRoute(route) {
+    if (!route || route.pins.length === 0) {
+        showNavigationStatus('Place some pins first.');
+        return;
+    }
+    if (route.pins.length === 1) {
+        flyToPin(route.pins[0]);
+        return;
+    }
 
-    if (intersects.length > 0 && pins.length < 2) {
-        renderer.domElement.style.cursor = 'pointer';
-    } else {
-        renderer.domElement.style.cursor = 'default';
+    const center = new THREE.Vector3();
+    route.pins.forEach((pin) => center.add(latLonToLocal(pin.lat, pin.lon, 1)));
+    if (center.lengthSq() < 1e-9) center.copy(latLonToLocal(route.pins[0].lat, route.pins[0].lon, 1));
+
+    const spread = Math.max(...route.pins.map((pin) => center.angleTo(latLonToLocal(pin.lat, pin.lon, 1))));
+    flyTo(Geodesy.vectorToLatLon(center), { distance: GLOBE_RADIUS * (1.2 + spread * 2) });
+}
+
+/**
+ * Fly to the departure of the active route
+ */
+function focusDeparture() {
+    if (!activeRoute || activeRoute.pins.length === 0) {
+        showNavigationStatus('Place some pins first.');
+        return;
     }
+    flyToPin(activeRoute.pins[0]);
 }
 
-function addPin(position) {
-    // Ensure the position is exactly on the globe surface
-    const surfacePosition = position.clone().normalize().multiplyScalar(GLOBE_RADIUS);
-    const pinPosition = surfacePosition.clone().normalize().multiplyScalar(GLOBE_RADIUS + PIN_HEIGHT);
+/**
+ * Fly to the airport code or "lat, lon" typed into the go-to field
+ */
+function goToInputLocation() {
+    const input = document.getElementById('goto-input');
+    const location = parseWaypoint(input.value.trim());
+    if (!location) {
+        showNavigationStatus('Enter an airport code or "lat, lon", e.g. 48.86, 2.35');
+        return;
+    }
+    document.getElementById('navigation-status').style.display = 'none';
+    flyTo(location, { distance: controls.minDistance + 1 });
+}
 
-    // Create pin geometry
-    const pinGeometry = new THREE.ConeGeometry(0.02, 0.1, 8);
-    const pinMaterial = new THREE.MeshPhongMaterial({
-        color: pins.length === 0 ? 0xff4444 : 0x44ff44,
-        emissive: pins.length === 0 ? 0x220000 : 0x002200
-    });
+/**
+ * Move the camera along the current flight
+ * 
+ * @param {number} delta - Seconds since the previous frame
+ * @returns {boolean} - True if a flight steered the camera this frame
+ */
+function updateCameraFlight(delta) {
+    if (!cameraFlight.active) return false;
 
-    const pin = new THREE.Mesh(pinGeometry, pinMaterial);
-    pin.position.copy(pinPosition);
-    
-    // Make pin point outward from globe center
-    pin.lookAt(pinPosition.clone().multiplyScalar(2));
-    pin.castShadow = true;
+    cameraFlight.elapsed += delta;
+    const t = Math.min(cameraFlight.elapsed / cameraFlight.duration, 1);
+    const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // easeInOutCubic
 
-    // Add glow effect
-    const glowGeometry = new THREE.SphereGeometry(0.05, 16, 16);
-    const glowMaterial = new THREE.MeshBasicMaterial({
-        color: pins.length === 0 ? 0xff4444 : 0x44ff44,
-        transparent: true,
-        opacity: 0.3
-    });
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    glow.position.copy(pinPosition);
+    cameraFlight.to.copy(cameraFlight.target).applyMatrix4(globe.matrixWorld).setLength(cameraFlight.distance);
+    orbitLerp(cameraFlight.from, cameraFlight.to, ease, camera.position);
+    camera.position.setLength(camera.position.length() + cameraFlight.lift * Math.sin(Math.PI * ease));
+    camera.lookAt(0, 0, 0);
 
-    // Group pin and glow
-    const pinGroup = new THREE.Group();
-    pinGroup.add(pin);
-    pinGroup.add(glow);
+    if (t >= 1) {
+        const onComplete = cameraFlight.onComplete;
+        endCameraFlight();
+        if (onComplete) onComplete();
+    }
+    return true;
+}
 
-    // Add pin to globe instead of scene so it rotates with the globe
-    globe.add(pinGroup);
-    pins.push({
-        group: pinGroup,
-        position: pinPosition.clone(),
-        surfacePosition: surfacePosition.clone(), // Store the exact surface position
-        originalPosition: surfacePosition.clone().normalize() // Normalized for flight path calculation
-    });
+/**
+ * Stop a flight where it is and hand the camera back to the controls
+ */
+function cancelCameraFlight() {
+    if (cameraFlight.active) endCameraFlight();
+}
 
-    // Add placement animation
-    pinGroup.scale.set(0, 0, 0);
-    const tween = new TWEEN.Tween(pinGroup.scale)
-        .to({ x: 1, y: 1, z: 1 }, 500)
-        .easing(TWEEN.Easing.Elastic.Out)
-        .start();
+/**
+ * Finish a flight: sync the controls with the camera and resume auto-rotation if it was on
+ */
+function endCameraFlight() {
+    cameraFlight.active = false;
+    cameraFlight.onComplete = null;
+    controls.enabled = true;
+    setCameraPosition(camera.position);
+    if (cameraFlight.resumeRotation && !isRotating) toggleRotation();
 }
 
-function createFlightPath() {
-    if (pins.length !== 2) return;
+/**
+ * Show a hint below the navigation actions
+ * 
+ * @param {string} message - Text to show
+ */
+function showNavigationStatus(message) {
+    const status = document.getElementById('navigation-status');
+    status.textContent = message;
+    status.style.display = 'block';
+}
+
+// ============================================================================
+// WORLD CLOCK
+// ============================================================================
+
+/**
+ * Advance the simulated time and place the globe and sun for it
+ * The globe turns to Greenwich sidereal time and the sun moves to its right
+ * ascension and declination, in a scene whose +X axis points at the vernal
+ * equinox and +Y at the celestial north pole
+ * 
+ * @param {number} delta - Seconds since the previous frame
+ */
+function updateWorldClock(delta) {
+    if (worldClock.live) {
+        worldClock.time = Date.now();
+    } else {
+        worldClock.time += delta * 1000 * worldClock.rate;
+    }
 
-    const start = pins[0].originalPosition;
-    const end = pins[1].originalPosition;
+    globe.rotation.y = THREE.MathUtils.degToRad(Astronomy.greenwichSiderealTime(worldClock.time));
+    globe.updateMatrixWorld(); // Everything placed later this frame reads the new orientation
 
-    // Calculate the great circle arc
-    const arcPoints = calculateGreatCircleArc(start, end, ARC_SEGMENTS);
+    const sun = Astronomy.sunPosition(worldClock.time);
+    worldClock.sunDirection.copy(Geodesy.latLonToVector(sun.declination, sun.rightAscension));
+    if (worldClock.sunLight) {
+        worldClock.sunLight.position.copy(worldClock.sunDirection).multiplyScalar(SUN_DISTANCE);
+    }
+    if (window.sunGroup) {
+        window.sunGroup.position.copy(worldClock.sunDirection).multiplyScalar(SUN_DISTANCE);
+    }
 
-    // Create the arc geometry
-    const arcGeometry = new THREE.BufferGeometry().setFromPoints(arcPoints);
-    const arcMaterial = new THREE.LineBasicMaterial({
-        color: 0x64ffda,
-        linewidth: 3,
-        transparent: true,
-        opacity: 0.8
-    });
+    // The panel shows minutes, so it only needs redrawing when the minute changes
+    const minute = Math.floor(worldClock.time / 60000);
+    if (minute !== worldClock.displayedMinute) {
+        worldClock.displayedMinute = minute;
+        updateClockPanel();
+    }
+}
+
+/**
+ * Show the simulated time and the subsolar point in the clock panel
+ */
+function updateClockPanel() {
+    const input = document.getElementById('clock-time');
+    // Don't overwrite a date the user is typing
+    if (document.activeElement !== input) {
+        input.value = new Date(worldClock.time).toISOString().slice(0, 16);
+    }
 
-    flightPath = new THREE.Line(arcGeometry, arcMaterial);
-    // Add flight path to globe instead of scene so it rotates with the globe
-    globe.add(flightPath);
+    const subsolar = Astronomy.subsolarPoint(worldClock.time);
+    const time = new Date(worldClock.time).toISOString().slice(0, 16).replace('T', ' ');
+    let state = 'Live';
+    if (!worldClock.live) state = worldClock.rate === 0 ? 'Paused' : `Running at ${worldClock.rate}×`;
 
-    // Add animated particles along the path
-    createPathAnimation(arcPoints);
+    document.getElementById('clock-status').textContent =
+        `${state}: ${time} UTC\nSun overhead at ${formatCoordinates(subsolar)}`;
+    document.getElementById('clock-live').disabled = worldClock.live;
+}
+
+/**
+ * Leave real time and run the clock from a chosen date
+ * 
+ * @param {number} time - UTC time in epoch milliseconds
+ */
+function setClockTime(time) {
+    worldClock.live = false;
+    worldClock.time = time;
+    worldClock.displayedMinute = -1;
+}
+
+/**
+ * Follow the real time again
+ */
+function setClockLive() {
+    worldClock.live = true;
+    worldClock.rate = 1;
+    worldClock.displayedMinute = -1;
+    document.getElementById('clock-rate').value = '1';
+}
+
+/**
+ * Handle a date picked in the clock panel (interpreted as UTC)
+ * 
+ * @param {Event} event - Change event from the datetime input
+ */
+function onClockTimeChange(event) {
+    const time = Date.parse(`${event.target.value}:00Z`);
+    if (Number.isFinite(time)) setClockTime(time);
+}
+
+/**
+ * Handle a new clock speed; any speed but real time leaves live mode
+ * 
+ * @param {Event} event - Change event from the clock speed select
+ */
+function onClockRateChange(event) {
+    const rate = Number(event.target.value);
+    worldClock.rate = rate;
+    if (worldClock.live && rate !== 1) setClockTime(worldClock.time);
+    worldClock.displayedMinute = -1;
+}
+
+// ============================================================================
+// ROUTE INFO CARD
+// ============================================================================
+
+/**
+ * Calculate summary figures for a route's itinerary
+ * 
+ * @param {Object} route - Route to measure
+ * @returns {Object|null} - Distance, heading and time figures, or null without a complete leg
+ */
+function getRouteStats(route) {
+    if (!route || route.pins.length < 2) return null;
+
+    const pins = route.pins;
+    let greatCircleKm = 0;
+    let rhumbKm = 0;
+    for (let i = 0; i < pins.length - 1; i++) {
+        greatCircleKm += Geodesy.haversineDistance(pins[i], pins[i + 1]);
+        rhumbKm += Geodesy.rhumbDistance(pins[i], pins[i + 1]);
+    }
+
+    // Distance and time are for the path the airplane flies
+    const isRhumb = getFlownPath() === 'rhumb';
+    const distanceKm = isRhumb ? rhumbKm : greatCircleKm;
+    const legCount = pins.length - 1;
+    const cruiseHours = (distanceKm * KM_TO_NAUTICAL_MILES) / routeSettings.cruiseSpeedKnots;
+
+    return {
+        from: pins[0],
+        to: pins[pins.length - 1],
+        distanceKm,
+        greatCircleKm,
+        rhumbKm,
+        initialHeading: Geodesy.initialBearing(pins[0], pins[1]),
+        rhumbHeading: Geodesy.rhumbBearing(pins[0], pins[1]),
+        isRhumb,
+        blockMinutes: cruiseHours * 60 + legCount * routeSettings.blockAllowanceMinutes
+    };
 }
 
-function calculateGreatCircleArc(start, end, segments) {
-    const points = [];
-    const angle = start.angleTo(end);
+/**
+ * Refresh the route info card for the active route
+ * Hidden until the route has at least one complete leg
+ */
+function updateRouteCard() {
+    const card = document.getElementById('route-card');
+    const stats = getRouteStats(activeRoute);
 
-    for (let i = 0; i <= segments; i++) {
-        const t = i / segments;
-        
-        // Spherical linear interpolation (slerp)
-        let point;
-        if (angle === 0) {
-            // Handle case where start and end are the same
-            point = start.clone();
-        } else {
-            point = new THREE.Vector3()
-                .addVectors(
-                    start.clone().multiplyScalar(Math.sin((1 - t) * angle)),
-                    end.clone().multiplyScalar(Math.sin(t * angle))
-                )
-                .divideScalar(Math.sin(angle))
-                .normalize();
-        }
-        
-        // Create arc height - starts and ends at surface level, peaks in middle
-        const arcHeight = Math.sin(t * Math.PI) * 0.2; // Reduced height for more realistic arc
-        const finalPoint = point.multiplyScalar(GLOBE_RADIUS + 0.02 + arcHeight); // Start closer to surface
-        
-        points.push(finalPoint);
+    if (!stats) {
+        card.style.display = 'none';
+        return;
     }
 
-    return points;
-}
-
-function createPathAnimation(arcPoints) {
-    // Create airplane geometry
-    const airplane = createAirplane();
-    
-    // Add airplane to globe instead of scene so it rotates with the globe
-    globe.add(airplane);
-    animatedParticle = airplane; // Store reference for cleanup
+    card.style.display = 'block';
+    document.getElementById('route-from').textContent = formatPinLocation(stats.from);
+    document.getElementById('route-to').textContent = formatPinLocation(stats.to);
+    document.getElementById('route-distance').textContent = [
+        `${formatNumber(stats.distanceKm)} km`,
+        `${formatNumber(stats.distanceKm * KM_TO_MILES)} mi`,
+        `${formatNumber(stats.distanceKm * KM_TO_NAUTICAL_MILES)} nm`
+    ].join(' · ');
+    // Great circles start on their initial heading; rhumb lines hold one heading per leg
+    document.getElementById('route-heading').textContent = stats.isRhumb
+        ? `${formatHeading(stats.rhumbHeading)} constant`
+        : `${formatHeading(stats.initialHeading)} initial`;
+    document.getElementById('route-time').textContent = formatDuration(stats.blockMinutes);
 
-    // Animation variables for smooth movement
-    let pathIndex = 0;
-    let progress = 0;
-    const speed = 0.32; // Controls how fast the airplane moves along the path
-    let isAnimating = true;
-    
-    function animateAirplane() {
-        if (!animatedParticle || !isAnimating) return;
-        
-        if (pathIndex < arcPoints.length - 1) {
-            const currentPoint = arcPoints[pathIndex];
-            const nextPoint = arcPoints[pathIndex + 1];
-            
-            // Smooth interpolation between points
-            const interpolatedPosition = new THREE.Vector3().lerpVectors(currentPoint, nextPoint, progress);
-            animatedParticle.position.copy(interpolatedPosition);
-            
-            // Calculate direction for orientation
-            const direction = new THREE.Vector3().subVectors(nextPoint, currentPoint).normalize();
-            
-            // Create a proper orientation matrix for the airplane
-            const up = interpolatedPosition.clone().normalize(); // Point away from Earth center
-            const forward = direction;
-            const right = new THREE.Vector3().crossVectors(forward, up).normalize();
-            const correctedUp = new THREE.Vector3().crossVectors(right, forward).normalize();
-            
-            // Apply the orientation to the airplane
-            const matrix = new THREE.Matrix4();
-            matrix.makeBasis(forward, correctedUp, right);
-            animatedParticle.setRotationFromMatrix(matrix);
-            
-            // Update progress
-            progress += speed;
-            
-            if (progress >= 1) {
-                progress = 0;
-                pathIndex++;
-            }
-        } else {
-            // Reset to beginning immediately (no delay)
-            pathIndex = 0;
-            progress = 0;
-        }
-        
-        // Continue animation
-        requestAnimationFrame(animateAirplane);
+    // Comparison rows for the 'both' path mode
+    const comparing = routeSettings.pathMode === 'both';
+    document.getElementById('route-rhumb-row').style.display = comparing ? 'flex' : 'none';
+    document.getElementById('route-difference-row').style.display = comparing ? 'flex' : 'none';
+    if (comparing) {
+        const extraKm = stats.rhumbKm - stats.greatCircleKm;
+        const extraPercent = stats.greatCircleKm > 0 ? (extraKm / stats.greatCircleKm) * 100 : 0;
+        document.getElementById('route-rhumb').textContent =
+            `${formatNumber(stats.rhumbKm)} km · ${formatHeading(stats.rhumbHeading)} constant`;
+        document.getElementById('route-difference').textContent =
+            `+${formatNumber(extraKm)} km (+${extraPercent.toFixed(1)}%) by rhumb line`;
     }
-    
-    // Start the animation
-    animateAirplane();
-    
-    // Store cleanup function
-    animatedParticle.stopAnimation = () => {
-        isAnimating = false;
-    };
 }
 
-function createAirplane() {
-    const airplane = new THREE.Group();
-    
-    // Main fuselage (oriented along X-axis for forward direction)
-    const fuselageGeometry = new THREE.CylinderGeometry(0.012, 0.008, 0.15, 12);
-    const fuselageMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0xf8f8ff, // Off-white
-        shininess: 100
-    });
-    const fuselage = new THREE.Mesh(fuselageGeometry, fuselageMaterial);
-    fuselage.rotation.z = Math.PI / 2; // Rotate to align with X-axis (forward)
-    airplane.add(fuselage);
-    
-    // Nose cone (pointed forward along X-axis)
-    const noseGeometry = new THREE.ConeGeometry(0.012, 0.04, 8);
-    const noseMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0xe6e6fa,
-        shininess: 120
-    });
-    const nose = new THREE.Mesh(noseGeometry, noseMaterial);
-    nose.rotation.z = -Math.PI / 2; // Point along positive X-axis
-    nose.position.set(0.095, 0, 0);
-    airplane.add(nose);
-    
-    // Main wings (swept back design, extending along Z-axis)
-    const wingGeometry = new THREE.BoxGeometry(0.025, 0.003, 0.08);
-    const wingMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0xf0f0f0,
-        shininess: 90
-    });
-    
-    // Left wing (negative Z)
-    const leftWing = new THREE.Mesh(wingGeometry, wingMaterial);
-    leftWing.position.set(0.02, -0.002, -0.04);
-    leftWing.rotation.y = 0.2; // Swept back
-    airplane.add(leftWing);
-    
-    // Right wing (positive Z)
-    const rightWing = new THREE.Mesh(wingGeometry, wingMaterial);
-    rightWing.position.set(0.02, -0.002, 0.04);
-    rightWing.rotation.y = -0.2; // Swept back
-    airplane.add(rightWing);
-    
-    // Wing tips
-    const wingtipGeometry = new THREE.BoxGeometry(0.003, 0.008, 0.015);
-    const wingtipMaterial = new THREE.MeshPhongMaterial({ color: 0xff4444 });
-    
-    const leftWingtip = new THREE.Mesh(wingtipGeometry, wingtipMaterial);
-    leftWingtip.position.set(0.06, 0, -0.065);
-    airplane.add(leftWingtip);
-    
-    const rightWingtip = new THREE.Mesh(wingtipGeometry, wingtipMaterial);
-    rightWingtip.position.set(0.06, 0, 0.065);
-    airplane.add(rightWingtip);
-    
-    // Engines under wings
-    const engineGeometry = new THREE.CylinderGeometry(0.008, 0.008, 0.03, 8);
-    const engineMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0x2c3e50,
-        shininess: 120
-    });
-    
-    // Left engine
-    const leftEngine = new THREE.Mesh(engineGeometry, engineMaterial);
-    leftEngine.rotation.z = Math.PI / 2; // Align with fuselage
-    leftEngine.position.set(0.03, -0.015, -0.03);
-    airplane.add(leftEngine);
-    
-    // Right engine
-    const rightEngine = new THREE.Mesh(engineGeometry, engineMaterial);
-    rightEngine.rotation.z = Math.PI / 2; // Align with fuselage
-    rightEngine.position.set(0.03, -0.015, 0.03);
-    airplane.add(rightEngine);
-    
-    // Engine intakes (front)
-    const intakeGeometry = new THREE.CylinderGeometry(0.009, 0.007, 0.008, 8);
-    const intakeMaterial = new THREE.MeshPhongMaterial({ color: 0x1a1a1a });
-    
-    const leftIntake = new THREE.Mesh(intakeGeometry, intakeMaterial);
-    leftIntake.rotation.z = Math.PI / 2;
-    leftIntake.position.set(0.049, -0.015, -0.03);
-    airplane.add(leftIntake);
-    
-    const rightIntake = new THREE.Mesh(intakeGeometry, intakeMaterial);
-    rightIntake.rotation.z = Math.PI / 2;
-    rightIntake.position.set(0.049, -0.015, 0.03);
-    airplane.add(rightIntake);
-    
-    // Horizontal stabilizer (tail wings, extending along Z-axis)
-    const hstabGeometry = new THREE.BoxGeometry(0.015, 0.002, 0.04);
-    const hstabMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0xf0f0f0,
-        shininess: 90
-    });
-    const hstab = new THREE.Mesh(hstabGeometry, hstabMaterial);
-    hstab.position.set(-0.06, 0, 0);
-    airplane.add(hstab);
-    
-    // Vertical stabilizer (tail fin, extending along Y-axis)
-    const vstabGeometry = new THREE.BoxGeometry(0.025, 0.025, 0.003);
-    const vstabMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0xe6e6fa,
-        shininess: 90
-    });
-    const vstab = new THREE.Mesh(vstabGeometry, vstabMaterial);
-    vstab.position.set(-0.06, 0.015, 0);
-    airplane.add(vstab);
-    
-    // Airline livery stripe
-    const stripeGeometry = new THREE.BoxGeometry(0.12, 0.005, 0.001);
-    const stripeMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0x3498db, // Blue stripe
-        shininess: 100
-    });
-    const stripe = new THREE.Mesh(stripeGeometry, stripeMaterial);
-    stripe.position.set(0.01, 0.013, 0);
-    airplane.add(stripe);
-    
-    // Windows (small details)
-    const windowGeometry = new THREE.BoxGeometry(0.08, 0.003, 0.001);
-    const windowMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0x87ceeb, // Sky blue for windows
-        transparent: true,
-        opacity: 0.7
-    });
-    
-    // Left side windows
-    const leftWindows = new THREE.Mesh(windowGeometry, windowMaterial);
-    leftWindows.position.set(0.02, 0.012, -0.012);
-    airplane.add(leftWindows);
-    
-    // Right side windows
-    const rightWindows = new THREE.Mesh(windowGeometry, windowMaterial);
-    rightWindows.position.set(0.02, 0.012, 0.012);
-    airplane.add(rightWindows);
-    
-    // Cockpit windows
-    const cockpitGeometry = new THREE.BoxGeometry(0.02, 0.008, 0.001);
-    const cockpitMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0x191970, // Dark blue
-        transparent: true,
-        opacity: 0.8
-    });
-    const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
-    cockpit.position.set(0.08, 0.008, 0);
-    airplane.add(cockpit);
-    
-    // Scale the entire airplane to be more visible
-    airplane.scale.setScalar(1.8);
-    
-    return airplane;
+/**
+ * Switch the path routes follow between pins and rebuild every route
+ * 
+ * @param {string} mode - One of ROUTE_PATH_MODES
+ */
+function setPathMode(mode) {
+    if (!ROUTE_PATH_MODES.includes(mode)) return;
+    routeSettings.pathMode = mode;
+    document.getElementById('path-mode').value = mode;
+    routes.forEach((route) => refreshFlightPath(route));
+    updateRouteCard();
 }
 
-function clearPins() {
-    // Remove pins from globe
-    for (const pin of pins) {
-        globe.remove(pin.group);
+/**
+ * Apply a new cruise speed from the route card input
+ * Invalid values are reset to the current setting
+ */
+function onCruiseSpeedChange(event) {
+    const speed = Number(event.target.value);
+    if (Number.isFinite(speed) && speed > 0) {
+        routeSettings.cruiseSpeedKnots = speed;
     }
-    pins = [];
+    event.target.value = routeSettings.cruiseSpeedKnots;
+    updateRouteCard();
+}
 
-    // Remove flight path from globe
-    if (flightPath) {
-        globe.remove(flightPath);
-        flightPath = null;
-    }
+/**
+ * Format a location as degrees with hemisphere letters, e.g. "51.4700° N, 0.4543° W"
+ * 
+ * @param {{lat: number, lon: number}} location - Location in degrees
+ * @returns {string} - Human readable coordinates
+ */
+function formatCoordinates(location) {
+    const lat = `${Math.abs(location.lat).toFixed(4)}° ${location.lat >= 0 ? 'N' : 'S'}`;
+    const lon = `${Math.abs(location.lon).toFixed(4)}° ${location.lon >= 0 ? 'E' : 'W'}`;
+    return `${lat}, ${lon}`;
+}
 
-    // Stop and remove animated airplane from globe
-    if (animatedParticle) {
-        if (animatedParticle.stopAnimation) {
-            animatedParticle.stopAnimation();
-        }
-        globe.remove(animatedParticle);
-        animatedParticle = null;
-    }
+/**
+ * Format a pin's location for the route card, prefixed with its airport code if it has one
+ * 
+ * @param {Object} pin - Pin from a route's itinerary
+ * @returns {string} - Human readable location
+ */
+function formatPinLocation(pin) {
+    const coordinates = formatCoordinates(pin);
+    return pin.airport ? `${pin.airport.iata} · ${coordinates}` : coordinates;
+}
 
-    updatePinCounter();
+/**
+ * Format a number with thousands separators and no decimals
+ * 
+ * @param {number} value - Number to format
+ * @returns {string} - Formatted number
+ */
+function formatNumber(value) {
+    return Math.round(value).toLocaleString('en-US');
 }
 
-function toggleMobileMenu() {
-    const menuToggle = document.getElementById('menu-toggle');
-    const panel = document.getElementById('ui-panel');
-    const overlay = document.getElementById('overlay');
-    
-    menuToggle.classList.toggle('active');
-    panel.classList.toggle('active');
-    overlay.classList.toggle('active');
+/**
+ * Format a duration in minutes as hours and minutes, e.g. "7h 25m"
+ * 
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - Formatted duration
+ */
+function formatDuration(minutes) {
+    const total = Math.round(minutes);
+    return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`;
 }
 
-function closeMobileMenu() {
-    const menuToggle = document.getElementById('menu-toggle');
-    const panel = document.getElementById('ui-panel');
-    const overlay = document.getElementById('overlay');
-    
-    menuToggle.classList.remove('active');
-    panel.classList.remove('active');
-    overlay.classList.remove('active');
+/**
+ * Format a bearing as whole degrees with its compass point, e.g. "288° WNW"
+ * 
+ * @param {number} bearing - Bearing in degrees
+ * @returns {string} - Formatted heading
+ */
+function formatHeading(bearing) {
+    return `${Math.round(bearing) % 360}° ${getCompassPoint(bearing)}`;
 }
 
-function updatePinCounter() {
-    const counter = document.getElementById('pin-count');
-    const flightStatus = document.getElementById('flight-status');
-    
-    counter.textContent = `${pins.length}/2 Pins`;
-    
-    if (pins.length === 2) {
-        flightStatus.style.display = 'flex';
-    } else {
-        flightStatus.style.display = 'none';
-    }
+/**
+ * Get the 16-point compass abbreviation for a bearing
+ * 
+ * @param {number} bearing - Bearing in degrees
+ * @returns {string} - Compass point, e.g. "WNW"
+ */
+function getCompassPoint(bearing) {
+    const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return points[Math.round(Geodesy.normalizeBearing(bearing) / 22.5) % 16];
 }
 
 function toggleRotation() {
@@ -1207,20 +6490,57 @@ function toggleRotation() {
     }
 }
 
+/**
+ * Orbit the camera around the globe's axis
+ * Auto-rotation moves the camera rather than the globe, whose orientation
+ * belongs to the world clock
+ * 
+ * @param {number} angle - Angle in radians, positive counterclockwise seen from the north
+ */
+function orbitCamera(angle) {
+    if (controls.spherical) {
+        // Fallback controls derive the camera position from their spherical coordinates
+        controls.spherical.theta += angle;
+    } else {
+        camera.position.applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+    }
+}
+
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    resizeMapLabels();
 }
 
 function animate() {
     requestAnimationFrame(animate);
 
-    // Auto-rotate globe
-    if (isRotating) {
-        globe.rotation.y += 0.005;
+    // Seconds since the previous frame, shared by every time-based animation
+    const delta = Math.min(animationClock.getDelta(), MAX_FRAME_DELTA);
+
+    // Turn the globe and move the sun to the simulated time
+    updateWorldClock(delta);
+
+    // Morph between the globe and the flat map, and keep things on the globe placed on it
+    const mapSteering = updateMapProjection(delta);
+
+    // Drift the clouds over the ground
+    if (earthLayers.clouds && earthLayers.clouds.visible) {
+        earthLayers.clouds.rotation.y += earthLayers.cloudDriftSpeed * delta;
+    }
+
+    // Auto-rotate (held still while a pin is dragged so it stays under the pointer)
+    if (isRotating && !pinDrag && cameraFollow.mode === 'orbit' && mapProjection.mode === 'globe' && !mapSteering) {
+        orbitCamera(-GLOBE_ROTATION_SPEED * delta);
     }
 
+    // Fly route airplanes along their paths
+    updateFlightAnimations(delta);
+
+    // Move the altitude chart's marker with the active route's airplane
+    updateProfileChart();
+
     // Animate sun corona (if sun exists)
     if (window.sunCorona) {
         window.sunCorona.rotation.x += 0.01;
@@ -1232,8 +6552,25 @@ function animate() {
         window.sunCorona.material.opacity = 0.15 + Math.sin(time) * 0.1;
     }
 
-    // Update controls
-    controls.update();
+    // Move live aircraft to their interpolated positions
+    updateLiveTraffic(Date.now());
+
+    // Advance recorded track playback
+    updateTrackPlayback(delta);
+
+    // Update controls, unless a camera flight, follow mode or the flat map is steering the camera
+    if (!mapSteering && mapProjection.mode === 'globe' && !updateCameraFlight(delta) && !updateCameraFollow(delta)) {
+        controls.update();
+    }
+
+    // Load and show map tiles for where the camera ended up
+    updateTiles(delta);
+
+    // Fade place names for the new camera position
+    updateMapLabels();
+
+    // Keep the open popup next to its pin, route line or aircraft
+    updatePickPopup();
 
     // Update TWEEN animations
     if (typeof TWEEN !== 'undefined') {
@@ -1319,6 +6656,7 @@ const TWEEN = {
 // Simple fallback OrbitControls implementation
 function createFallbackOrbitControls(camera, domElement) {
     const controls = {
+        enabled: true,
         enableDamping: true,
         dampingFactor: 0.1,
         enableZoom: true,
@@ -1357,6 +6695,7 @@ function createFallbackOrbitControls(camera, domElement) {
     
     // Mouse event handlers
     domElement.addEventListener('mousedown', (event) => {
+        if (!controls.enabled) return;
         controls.isMouseDown = true;
         controls.mouseX = event.clientX;
         controls.mouseY = event.clientY;
@@ -1374,7 +6713,7 @@ function createFallbackOrbitControls(camera, domElement) {
     });
     
     domElement.addEventListener('mousemove', (event) => {
-        if (!controls.isMouseDown) return;
+        if (!controls.isMouseDown || !controls.enabled) return;
         
         const deltaX = event.clientX - controls.mouseX;
         const deltaY = event.clientY - controls.mouseY;
@@ -1393,6 +6732,7 @@ function createFallbackOrbitControls(camera, domElement) {
     // Touch event handlers for mobile
     domElement.addEventListener('touchstart', (event) => {
         event.preventDefault();
+        if (!controls.enabled) return;
         
         if (event.touches.length === 1) {
             // Single touch - rotation
@@ -1419,6 +6759,7 @@ function createFallbackOrbitControls(camera, domElement) {
     
     domElement.addEventListener('touchmove', (event) => {
         event.preventDefault();
+        if (!controls.enabled) return;
         
         if (event.touches.length === 1 && controls.isTouching) {
             // Single touch - rotation
@@ -1460,6 +6801,7 @@ function createFallbackOrbitControls(camera, domElement) {
     // Zoom handling (mouse wheel)
     domElement.addEventListener('wheel', (event) => {
         event.preventDefault();
+        if (!controls.enabled) return;
         const scale = event.deltaY > 0 ? 1.02 : 0.98; // Further reduced from 1.05/0.95 to 1.02/0.98
         controls.spherical.radius *= scale;
         
@@ -0,0 +1,122 @@
+/**
+ * Vertical flight profile for the 3D Globe Flight Tracker
+ *
+ * Models the altitude of a flight along one leg: a climb at a constant rate
+ * to the cruise altitude, level cruise, and a descent on a constant glide
+ * path gradient down to the arrival. Legs too short to reach the cruise
+ * altitude climb until they meet the descent path and go straight down again.
+ *
+ * Loaded as a plain script in the browser (exposed as `window.FlightProfile`)
+ * and as a CommonJS module in Node.
+ *
+ * Distances along the leg are in kilometres; altitudes are in feet, as in
+ * aviation.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FlightProfile = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const KM_PER_NAUTICAL_MILE = 1.852;
+    const FEET_PER_NAUTICAL_MILE = 6076.12;
+    const METRES_PER_FOOT = 0.3048;
+
+    /**
+     * Profile settings used for anything not passed to createProfile
+     */
+    const DEFAULT_SETTINGS = {
+        cruiseAltitudeFt: 35000,    // FL350
+        climbRateFpm: 2000,         // Average rate of climb in feet per minute
+        climbSpeedKnots: 300,       // Average ground speed while climbing
+        descentAngle: 3             // Descent path gradient in degrees (3° is about 318 ft per nm)
+    };
+
+    /**
+     * Work out the climb, cruise and descent of one leg
+     *
+     * @param {number} distanceKm - Ground distance of the leg
+     * @param {Object} [settings] - Overrides for DEFAULT_SETTINGS
+     * @param {number} [settings.cruiseAltitudeFt] - Cruise altitude in feet
+     * @param {number} [settings.climbRateFpm] - Rate of climb in feet per minute
+     * @param {number} [settings.climbSpeedKnots] - Ground speed while climbing
+     * @param {number} [settings.descentAngle] - Descent gradient in degrees
+     * @returns {{distanceKm: number, climbKm: number, cruiseKm: number, descentKm: number, topAltitudeFt: number, breakpoints: number[]}} -
+     *     Phase lengths, the highest altitude reached and the distances where the phases change
+     */
+    function createProfile(distanceKm, settings = {}) {
+        const { cruiseAltitudeFt, climbRateFpm, climbSpeedKnots, descentAngle } = { ...DEFAULT_SETTINGS, ...settings };
+        const distance = Math.max(distanceKm, 0);
+
+        const climbHours = cruiseAltitudeFt / climbRateFpm / 60;
+        let climbKm = climbHours * climbSpeedKnots * KM_PER_NAUTICAL_MILE;
+        let descentKm = (cruiseAltitudeFt / Math.tan(descentAngle * Math.PI / 180) / FEET_PER_NAUTICAL_MILE) * KM_PER_NAUTICAL_MILE;
+        let topAltitudeFt = cruiseAltitudeFt;
+
+        // Too short to reach cruise: the climb and descent lines meet lower down
+        if (climbKm + descentKm > distance) {
+            const scale = climbKm + descentKm > 0 ? distance / (climbKm + descentKm) : 0;
+            climbKm *= scale;
+            descentKm *= scale;
+            topAltitudeFt *= scale;
+        }
+
+        return {
+            distanceKm: distance,
+            climbKm,
+            cruiseKm: distance - climbKm - descentKm,
+            descentKm,
+            topAltitudeFt,
+            breakpoints: [0, climbKm, distance - descentKm, distance]
+        };
+    }
+
+    /**
+     * Altitude at a distance along a leg
+     *
+     * @param {Object} profile - Profile from createProfile
+     * @param {number} distanceKm - Ground distance from the departure
+     * @returns {number} - Altitude in feet
+     */
+    function altitudeAt(profile, distanceKm) {
+        const { distanceKm: total, climbKm, descentKm, topAltitudeFt } = profile;
+        if (distanceKm <= 0 || distanceKm >= total) return 0;
+        if (distanceKm < climbKm) return topAltitudeFt * (distanceKm / climbKm);
+        if (distanceKm > total - descentKm) return topAltitudeFt * ((total - distanceKm) / descentKm);
+        return topAltitudeFt;
+    }
+
+    /**
+     * Phase of flight at a distance along a leg
+     *
+     * @param {Object} profile - Profile from createProfile
+     * @param {number} distanceKm - Ground distance from the departure
+     * @returns {'climb'|'cruise'|'descent'} - Phase
+     */
+    function phaseAt(profile, distanceKm) {
+        if (distanceKm < profile.climbKm) return 'climb';
+        if (distanceKm > profile.distanceKm - profile.descentKm) return 'descent';
+        return 'cruise';
+    }
+
+    /**
+     * Convert feet to metres
+     *
+     * @param {number} feet - Altitude in feet
+     * @returns {number} - Altitude in metres
+     */
+    function feetToMetres(feet) {
+        return feet * METRES_PER_FOOT;
+    }
+
+    return {
+        DEFAULT_SETTINGS,
+        createProfile,
+        altitudeAt,
+        phaseAt,
+        feetToMetres
+    };
+});
@@ -0,0 +1,97 @@
+/**
+ * Flat map projections for the 3D Globe Flight Tracker
+ *
+ * Equirectangular (plate carrée) and Web Mercator projections of latitude and
+ * longitude onto a plane, and back. The flat map view morphs the globe into
+ * one of these; globe.js scales the results by the globe radius, so the map
+ * is as wide at the equator as the globe is round.
+ *
+ * Map coordinates are in radians: x is the longitude (-π at 180° W to π at
+ * 180° E) and y grows northwards from 0 at the equator. The two projections
+ * can be blended with a `mercator` factor from 0 (equirectangular) to 1
+ * (Mercator) so one can be animated into the other.
+ *
+ * Loaded as a plain script in the browser (exposed as `window.MapProjection`)
+ * and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MapProjection = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Latitude where the Mercator map is cut off, in degrees (as in Web Mercator tiles)
+     */
+    const MAX_LATITUDE = 85.0511287798066;
+
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const toDegrees = (radians) => radians * 180 / Math.PI;
+
+    /**
+     * Mercator y of a latitude, clamped to MAX_LATITUDE
+     *
+     * @param {number} lat - Latitude in degrees
+     * @returns {number} - y in radians, ±π at the cut-off
+     */
+    function mercatorY(lat) {
+        const phi = toRadians(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)));
+        return Math.log(Math.tan(Math.PI / 4 + phi / 2));
+    }
+
+    /**
+     * Project a location onto the map
+     *
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees (-180 to 180)
+     * @param {number} [mercator=0] - 0 for equirectangular, 1 for Mercator, or a blend of the two
+     * @returns {{x: number, y: number}} - Map coordinates in radians
+     */
+    function project(lat, lon, mercator = 0) {
+        const y = toRadians(lat);
+        return {
+            x: toRadians(lon),
+            y: mercator === 0 ? y : y + (mercatorY(lat) - y) * mercator
+        };
+    }
+
+    /**
+     * Location at a point of the map
+     * Only the pure projections can be inverted, so `mercator` is rounded to 0 or 1
+     *
+     * @param {number} x - Map x in radians
+     * @param {number} y - Map y in radians
+     * @param {number} [mercator=0] - 0 for equirectangular, 1 for Mercator
+     * @returns {{lat: number, lon: number}|null} - Location in degrees, or null off the map
+     */
+    function unproject(x, y, mercator = 0) {
+        const maxY = mapHeight(mercator) / 2;
+        if (Math.abs(x) > Math.PI || Math.abs(y) > maxY) return null;
+
+        const lat = mercator >= 0.5
+            ? toDegrees(2 * Math.atan(Math.exp(y)) - Math.PI / 2)
+            : toDegrees(y);
+        return { lat, lon: toDegrees(x) };
+    }
+
+    /**
+     * Height of the whole map (its width is always 2π)
+     *
+     * @param {number} [mercator=0] - 0 for equirectangular, 1 for Mercator, or a blend of the two
+     * @returns {number} - Height in radians: π for equirectangular, 2π for Mercator
+     */
+    function mapHeight(mercator = 0) {
+        return 2 * project(90, 0, mercator).y;
+    }
+
+    return {
+        MAX_LATITUDE,
+        mercatorY,
+        project,
+        unproject,
+        mapHeight
+    };
+});
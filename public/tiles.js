@@ -0,0 +1,293 @@
+/**
+ * Tiled imagery helpers for the 3D Globe Flight Tracker
+ *
+ * Web Mercator tile math for XYZ ("slippy map") and TMS tile sets, tile URL
+ * templates, quadtree tile selection for level of detail and an LRU tile
+ * cache. Nothing here touches WebGL; globe.js turns the selected tiles into
+ * meshes.
+ *
+ * Tiles are `{ z, x, y }` objects in XYZ numbering (y = 0 at the north edge);
+ * TMS sources count y from the south and are converted when building URLs.
+ *
+ * Loaded as a plain script in the browser (exposed as `window.TileImagery`)
+ * and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TileImagery = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Latitude where the Web Mercator square ends, in degrees
+     */
+    const MAX_LATITUDE = 85.0511287798066;
+
+    /**
+     * Subdomains substituted for {s} in tile URLs
+     */
+    const DEFAULT_SUBDOMAINS = ['a', 'b', 'c'];
+
+    // ========================================================================
+    // TILE COORDINATES
+    // ========================================================================
+
+    /**
+     * Fractional tile column of a longitude
+     *
+     * @param {number} lon - Longitude in degrees
+     * @param {number} z - Zoom level
+     * @returns {number} - Column, 0 at 180° W
+     */
+    function lonToTileX(lon, z) {
+        return ((lon + 180) / 360) * Math.pow(2, z);
+    }
+
+    /**
+     * Fractional tile row of a latitude (clamped to the Mercator limits)
+     *
+     * @param {number} lat - Latitude in degrees
+     * @param {number} z - Zoom level
+     * @returns {number} - Row, 0 at the north edge
+     */
+    function latToTileY(lat, z) {
+        const phi = (Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI) / 180;
+        return ((1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2) * Math.pow(2, z);
+    }
+
+    /**
+     * Longitude of a (fractional) tile column
+     *
+     * @param {number} x - Column
+     * @param {number} z - Zoom level
+     * @returns {number} - Longitude in degrees
+     */
+    function tileXToLon(x, z) {
+        return (x / Math.pow(2, z)) * 360 - 180;
+    }
+
+    /**
+     * Latitude of a (fractional) tile row
+     *
+     * @param {number} y - Row
+     * @param {number} z - Zoom level
+     * @returns {number} - Latitude in degrees
+     */
+    function tileYToLat(y, z) {
+        const n = Math.PI * (1 - (2 * y) / Math.pow(2, z));
+        return (Math.atan(Math.sinh(n)) * 180) / Math.PI;
+    }
+
+    /**
+     * Geographic extent of a tile
+     *
+     * @param {{z: number, x: number, y: number}} tile - Tile
+     * @returns {{west: number, east: number, north: number, south: number}} - Bounds in degrees
+     */
+    function tileBounds(tile) {
+        return {
+            west: tileXToLon(tile.x, tile.z),
+            east: tileXToLon(tile.x + 1, tile.z),
+            north: tileYToLat(tile.y, tile.z),
+            south: tileYToLat(tile.y + 1, tile.z)
+        };
+    }
+
+    /**
+     * Cache key of a tile
+     *
+     * @param {{z: number, x: number, y: number}} tile - Tile
+     * @returns {string} - "z/x/y"
+     */
+    function tileKey(tile) {
+        return `${tile.z}/${tile.x}/${tile.y}`;
+    }
+
+    /**
+     * The tile one level up that contains a tile
+     *
+     * @param {{z: number, x: number, y: number}} tile - Tile
+     * @returns {{z: number, x: number, y: number}|null} - Parent, or null at zoom 0
+     */
+    function tileParent(tile) {
+        if (tile.z === 0) return null;
+        return { z: tile.z - 1, x: Math.floor(tile.x / 2), y: Math.floor(tile.y / 2) };
+    }
+
+    /**
+     * The four tiles one level down that make up a tile
+     *
+     * @param {{z: number, x: number, y: number}} tile - Tile
+     * @returns {Object[]} - Children in row order (NW, NE, SW, SE)
+     */
+    function tileChildren(tile) {
+        const z = tile.z + 1;
+        const x = tile.x * 2;
+        const y = tile.y * 2;
+        return [{ z, x, y }, { z, x: x + 1, y }, { z, x, y: y + 1 }, { z, x: x + 1, y: y + 1 }];
+    }
+
+    // ========================================================================
+    // TILE SOURCES
+    // ========================================================================
+
+    /**
+     * Build the URL of a tile from a template
+     * Supports {z}, {x}, {y}, {-y} (row counted from the south) and {s}
+     * (a subdomain chosen from the tile position so each tile keeps one URL)
+     *
+     * @param {string} template - e.g. "tiles/{z}/{x}/{y}.png" or "https://{s}.example.com/{z}/{x}/{y}.jpg"
+     * @param {{z: number, x: number, y: number}} tile - Tile in XYZ numbering
+     * @param {Object} [options] - Source options
+     * @param {string} [options.scheme='xyz'] - 'tms' when {y} counts rows from the south
+     * @param {string[]} [options.subdomains] - Values for {s}
+     * @returns {string} - Tile URL
+     */
+    function tileUrl(template, tile, options = {}) {
+        const flippedY = Math.pow(2, tile.z) - 1 - tile.y;
+        const y = options.scheme === 'tms' ? flippedY : tile.y;
+        const subdomains = options.subdomains || DEFAULT_SUBDOMAINS;
+
+        return template
+            .replace(/\{z\}/g, tile.z)
+            .replace(/\{x\}/g, tile.x)
+            .replace(/\{-y\}/g, flippedY)
+            .replace(/\{y\}/g, y)
+            .replace(/\{s\}/g, subdomains[Math.abs(tile.x + tile.y) % subdomains.length]);
+    }
+
+    // ========================================================================
+    // LEVEL OF DETAIL
+    // ========================================================================
+
+    /**
+     * Choose the tiles to draw by walking the tile quadtree from zoom 0
+     * A visible tile is split into its children while it is too coarse for
+     * the view, so detail is highest nearest the camera.
+     *
+     * @param {Object} options - Selection callbacks and limits
+     * @param {Function} options.isVisible - (tile) => whether any of the tile can be seen
+     * @param {Function} options.shouldRefine - (tile) => whether the tile is too coarse where it is
+     * @param {number} options.maxZoom - Deepest zoom level available
+     * @param {number} [options.maxTiles=300] - Stop refining once this many tiles are selected
+     * @returns {Object[]} - Tiles to draw, coarsest first
+     */
+    function selectTiles(options) {
+        const maxTiles = options.maxTiles || 300;
+        const selected = [];
+        let level = [{ z: 0, x: 0, y: 0 }].filter(options.isVisible);
+
+        // Breadth-first, so running out of budget leaves an even level of detail
+        while (level.length > 0) {
+            const next = [];
+            level.forEach((tile) => {
+                const refine = tile.z < options.maxZoom
+                    && selected.length + next.length + level.length < maxTiles
+                    && options.shouldRefine(tile);
+                if (refine) {
+                    next.push(...tileChildren(tile).filter(options.isVisible));
+                } else {
+                    selected.push(tile);
+                }
+            });
+            level = next;
+        }
+
+        return selected;
+    }
+
+    // ========================================================================
+    // TILE CACHE
+    // ========================================================================
+
+    /**
+     * Create a least-recently-used cache for loaded tiles
+     *
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.maxEntries=256] - Entries kept before the oldest are evicted
+     * @param {Function} [options.onEvict] - Receives (key, value) for every evicted entry, to free GPU memory
+     * @returns {Object} - Cache with `get`, `set`, `has`, `delete`, `evict`, `clear` and `size`
+     */
+    function createTileCache(options = {}) {
+        const maxEntries = options.maxEntries > 0 ? options.maxEntries : 256;
+        const onEvict = options.onEvict || (() => {});
+        const entries = new Map(); // Insertion order doubles as recency order
+
+        return {
+            /**
+             * Look up an entry and mark it as recently used
+             */
+            get(key) {
+                if (!entries.has(key)) return undefined;
+                const value = entries.get(key);
+                entries.delete(key);
+                entries.set(key, value);
+                return value;
+            },
+
+            set(key, value) {
+                entries.delete(key);
+                entries.set(key, value);
+            },
+
+            has(key) {
+                return entries.has(key);
+            },
+
+            delete(key) {
+                if (!entries.has(key)) return false;
+                const value = entries.get(key);
+                entries.delete(key);
+                onEvict(key, value);
+                return true;
+            },
+
+            /**
+             * Drop the least recently used entries until the cache fits its limit
+             *
+             * @param {Function} [isPinned] - (key, value) => true for entries that must stay, e.g. tiles on screen
+             * @returns {number} - Number of entries evicted
+             */
+            evict(isPinned = () => false) {
+                let evicted = 0;
+                for (const [key, value] of entries) {
+                    if (entries.size <= maxEntries) break;
+                    if (isPinned(key, value)) continue;
+                    entries.delete(key);
+                    onEvict(key, value);
+                    evicted++;
+                }
+                return evicted;
+            },
+
+            clear() {
+                [...entries].forEach(([key, value]) => {
+                    entries.delete(key);
+                    onEvict(key, value);
+                });
+            },
+
+            get size() {
+                return entries.size;
+            }
+        };
+    }
+
+    return {
+        MAX_LATITUDE,
+        lonToTileX,
+        latToTileY,
+        tileXToLon,
+        tileYToLat,
+        tileBounds,
+        tileKey,
+        tileParent,
+        tileChildren,
+        tileUrl,
+        selectTiles,
+        createTileCache
+    };
+});
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Render the bundled offline tile set
+ *
+ * Draws the Natural Earth land polygons in public/data/ne_110m_land.geojson
+ * as Web Mercator XYZ tiles (public/tiles/{z}/{x}/{y}.png) for the low zoom
+ * levels, so the globe shows real coastlines without any network access.
+ * Land is tinted by latitude (ice, tundra, forest, desert, tropics) over a
+ * flat ocean; edges are antialiased by supersampling.
+ *
+ * Usage: node scripts/build-offline-tiles.js [--max-zoom 3]
+ *
+ * Uses only Node's standard library (PNGs are encoded with zlib).
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const TileImagery = require('../public/tiles.js');
+
+const options = {
+    'max-zoom': 3
+};
+process.argv.slice(2).forEach((arg, i, args) => {
+    const key = arg.replace(/^--/, '');
+    if (key in options && args[i + 1] !== undefined) options[key] = Number(args[i + 1]);
+});
+
+const TILE_SIZE = 256;
+const SUPERSAMPLE = 3;  // Samples per pixel along each axis
+const LAND_FILE = path.join(__dirname, '..', 'public', 'data', 'ne_110m_land.geojson');
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'tiles');
+
+const OCEAN = [22, 64, 122];
+
+/**
+ * Land colour bands by absolute latitude, interpolated between entries
+ */
+const LAND_COLORS = [
+    [0, [58, 112, 52]],     // Tropical forest
+    [12, [84, 124, 60]],
+    [22, [186, 160, 108]],  // Subtropical desert
+    [32, [170, 150, 100]],
+    [42, [82, 118, 62]],    // Temperate
+    [58, [98, 116, 82]],    // Boreal and tundra
+    [66, [150, 156, 146]],
+    [72, [232, 238, 242]]   // Ice
+];
+
+// ============================================================================
+// RASTERIZATION
+// ============================================================================
+
+/**
+ * Land colour at a latitude
+ *
+ * @param {number} lat - Latitude in degrees
+ * @returns {number[]} - RGB
+ */
+function landColor(lat) {
+    const a = Math.abs(lat);
+    for (let i = 1; i < LAND_COLORS.length; i++) {
+        const [upper, to] = LAND_COLORS[i];
+        if (a <= upper) {
+            const [lower, from] = LAND_COLORS[i - 1];
+            const t = (a - lower) / (upper - lower);
+            return from.map((value, channel) => value + (to[channel] - value) * t);
+        }
+    }
+    return LAND_COLORS[LAND_COLORS.length - 1][1];
+}
+
+/**
+ * Make a ring's longitudes continuous across the antimeridian
+ * Rings that go all the way around a pole (Antarctica) can't close without
+ * wrapping, so they are closed along the pole instead
+ *
+ * @param {number[][]} ring - [lon, lat] positions
+ * @returns {number[][]} - Positions with longitudes possibly outside -180..180
+ */
+function unwrapRing(ring) {
+    const unwrapped = [];
+    let offset = 0;
+    ring.forEach(([lon, lat], i) => {
+        let shifted = lon + offset;
+        if (i > 0) {
+            const previous = unwrapped[i - 1][0];
+            while (shifted - previous > 180) { shifted -= 360; offset -= 360; }
+            while (shifted - previous < -180) { shifted += 360; offset += 360; }
+        }
+        unwrapped.push([shifted, lat]);
+    });
+
+    const first = unwrapped[0];
+    const last = unwrapped[unwrapped.length - 1];
+    if (Math.abs(last[0] - first[0]) > 180) {
+        const pole = first[1] < 0 ? -90 : 90;
+        unwrapped.push([last[0], pole], [first[0], pole], first);
+    }
+    return unwrapped;
+}
+
+/**
+ * Project every land ring to fractional tile coordinates at a zoom level,
+ * as a flat list of edges [x1, y1, x2, y2]
+ *
+ * @param {Object} land - GeoJSON FeatureCollection of (Multi)Polygons
+ * @param {number} z - Zoom level
+ * @returns {number[][]} - Edges; x may fall outside the map where rings cross the antimeridian
+ */
+function projectEdges(land, z) {
+    const edges = [];
+    land.features.forEach((feature) => {
+        const polygons = feature.geometry.type === 'Polygon'
+            ? [feature.geometry.coordinates]
+            : feature.geometry.coordinates;
+        polygons.forEach((rings) => rings.forEach((ring) => {
+            const points = unwrapRing(ring);
+            for (let i = 0; i < points.length - 1; i++) {
+                const [lon1, lat1] = points[i];
+                const [lon2, lat2] = points[i + 1];
+                edges.push([
+                    TileImagery.lonToTileX(lon1, z), TileImagery.latToTileY(lat1, z),
+                    TileImagery.lonToTileX(lon2, z), TileImagery.latToTileY(lat2, z)
+                ]);
+            }
+        }));
+    });
+    return edges;
+}
+
+/**
+ * Render one tile as RGB pixels with an even-odd scanline fill
+ *
+ * @param {{z: number, x: number, y: number}} tile - Tile
+ * @param {number[][]} edges - Land edges in tile coordinates at the tile's zoom
+ * @returns {Buffer} - TILE_SIZE² RGB pixels
+ */
+function renderTile(tile, edges) {
+    const samples = TILE_SIZE * SUPERSAMPLE;
+    const worldSize = Math.pow(2, tile.z);
+    const coverage = new Float32Array(TILE_SIZE * TILE_SIZE);
+    const rowEdges = edges.filter((edge) => Math.max(edge[1], edge[3]) >= tile.y && Math.min(edge[1], edge[3]) <= tile.y + 1);
+
+    for (let row = 0; row < samples; row++) {
+        const y = tile.y + (row + 0.5) / samples;
+        const crossings = [];
+        rowEdges.forEach(([x1, y1, x2, y2]) => {
+            if ((y1 <= y) === (y2 <= y)) return;
+            const x = x1 + ((y - y1) / (y2 - y1)) * (x2 - x1);
+            // Copies one world to either side fill in land that was unwrapped past the antimeridian
+            crossings.push(x - worldSize, x, x + worldSize);
+        });
+        crossings.sort((a, b) => a - b);
+
+        const pixelRow = Math.floor(row / SUPERSAMPLE) * TILE_SIZE;
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            const start = Math.max(0, Math.ceil((crossings[i] - tile.x) * samples - 0.5));
+            const end = Math.min(samples - 1, Math.floor((crossings[i + 1] - tile.x) * samples - 0.5));
+            for (let column = start; column <= end; column++) {
+                coverage[pixelRow + Math.floor(column / SUPERSAMPLE)] += 1 / (SUPERSAMPLE * SUPERSAMPLE);
+            }
+        }
+    }
+
+    const pixels = Buffer.alloc(TILE_SIZE * TILE_SIZE * 3);
+    for (let py = 0; py < TILE_SIZE; py++) {
+        const land = landColor(TileImagery.tileYToLat(tile.y + (py + 0.5) / TILE_SIZE, tile.z));
+        for (let px = 0; px < TILE_SIZE; px++) {
+            const index = py * TILE_SIZE + px;
+            const cover = Math.min(coverage[index], 1);
+            for (let channel = 0; channel < 3; channel++) {
+                pixels[index * 3 + channel] = Math.round(OCEAN[channel] + (land[channel] - OCEAN[channel]) * cover);
+            }
+        }
+    }
+    return pixels;
+}
+
+// ============================================================================
+// PNG ENCODING
+// ============================================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGB pixels as a PNG file
+ *
+ * @param {Buffer} pixels - Width × height RGB pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Buffer} - PNG file
+ */
+function encodePng(pixels, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // Bit depth
+    header[9] = 2;  // Truecolor RGB
+
+    // Every scanline is prefixed with filter type 0 (none)
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const land = JSON.parse(fs.readFileSync(LAND_FILE, 'utf8'));
+let count = 0;
+let bytes = 0;
+
+for (let z = 0; z <= options['max-zoom']; z++) {
+    const edges = projectEdges(land, z);
+    const size = Math.pow(2, z);
+    for (let x = 0; x < size; x++) {
+        fs.mkdirSync(path.join(OUTPUT_DIR, String(z), String(x)), { recursive: true });
+        for (let y = 0; y < size; y++) {
+            const png = encodePng(renderTile({ z, x, y }, edges), TILE_SIZE, TILE_SIZE);
+            fs.writeFileSync(path.join(OUTPUT_DIR, String(z), String(x), `${y}.png`), png);
+            count++;
+            bytes += png.length;
+        }
+    }
+}
+
+console.log(`Wrote ${count} tiles (${Math.round(bytes / 1024)} KB) to ${path.relative(process.cwd(), OUTPUT_DIR)}`);
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Mock live aircraft feed for local development
+ *
+ * Simulates aircraft flying great circles between random airports from the
+ * bundled airport database and serves them in OpenSky Network format:
+ *
+ *   GET http://localhost:8081/states/all   - one snapshot (for polling)
+ *   ws://localhost:8081/ws                 - a snapshot pushed every second
+ *
+ * Aircraft take off, climb, cruise, descend and disappear on arrival, when a
+ * new flight with a new icao24 takes their place, so clients see aircraft
+ * being added, updated and going stale.
+ *
+ * Usage: node scripts/mock-feed-server.js [--port 8081] [--aircraft 150] [--interval 1000]
+ *
+ * Uses only Node's standard library; the WebSocket support covers just what
+ * the feed needs (handshake, unfragmented text frames out, close/ping in).
+ */
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const Geodesy = require('../public/geodesy.js');
+const Airports = require('../public/airports.js');
+
+const options = {
+    port: 8081,
+    aircraft: 150,
+    interval: 1000
+};
+process.argv.slice(2).forEach((arg, i, args) => {
+    const key = arg.replace(/^--/, '');
+    if (key in options && args[i + 1] !== undefined) options[key] = Number(args[i + 1]);
+});
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CRUISE_ALTITUDE_M = 11000;
+const CLIMB_KM = 250;           // Distance over which aircraft climb to and descend from cruise
+const MIN_FLIGHT_KM = 400;
+
+// ============================================================================
+// FLIGHT SIMULATION
+// ============================================================================
+
+const airlines = ['BAW', 'DLH', 'AFR', 'UAL', 'DAL', 'AAL', 'QFA', 'SIA', 'UAE', 'KLM', 'ANA', 'CPA'];
+
+/**
+ * Start a new flight between two random airports
+ *
+ * @param {number} now - Current time in milliseconds
+ * @param {number} [progressKm=0] - Distance already flown, used to spread out the initial flights
+ * @returns {Object} - Flight
+ */
+function createFlight(now, progressKm = 0) {
+    let from;
+    let to;
+    let distance = 0;
+    do {
+        from = Airports.list[Math.floor(Math.random() * Airports.list.length)];
+        to = Airports.list[Math.floor(Math.random() * Airports.list.length)];
+        distance = Geodesy.haversineDistance(from, to);
+    } while (distance < MIN_FLIGHT_KM);
+
+    const airline = airlines[Math.floor(Math.random() * airlines.length)];
+    const speed = 220 + Math.random() * 40;               // Ground speed in m/s
+    return {
+        icao24: crypto.randomBytes(3).toString('hex'),
+        callsign: `${airline}${Math.floor(10 + Math.random() * 9000)}`,
+        from,
+        to,
+        distance,
+        speed,
+        departedAt: now - (progressKm * 1e6) / speed
+    };
+}
+
+/**
+ * Current OpenSky state vector of a flight, or null once it has arrived
+ *
+ * @param {Object} flight - Flight
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array|null} - State vector
+ */
+function flightState(flight, now) {
+    const flown = (flight.speed * (now - flight.departedAt)) / 1e6;
+    if (flown >= flight.distance) return null;
+
+    const position = Geodesy.intermediatePoint(flight.from, flight.to, flown / flight.distance);
+    const remaining = flight.distance - flown;
+    const altitude = CRUISE_ALTITUDE_M * Math.min(1, flown / CLIMB_KM, remaining / CLIMB_KM);
+    const seconds = Math.floor(now / 1000);
+
+    return [
+        flight.icao24,
+        flight.callsign.padEnd(8),
+        'Mockland',
+        seconds,
+        seconds,
+        Number(position.lon.toFixed(4)),
+        Number(position.lat.toFixed(4)),
+        Math.round(altitude),
+        false,
+        Number(flight.speed.toFixed(1)),
+        Number(Geodesy.initialBearing(position, flight.to).toFixed(1)),
+        0,
+        null,
+        Math.round(altitude),
+        null,
+        false,
+        0
+    ];
+}
+
+let flights = [];
+
+/**
+ * Advance the simulation and return an OpenSky /states/all response body
+ *
+ * @returns {{time: number, states: Array[]}} - Snapshot
+ */
+function snapshot() {
+    const now = Date.now();
+    const states = [];
+
+    flights = flights.map((flight) => {
+        let state = flightState(flight, now);
+        if (!state) {
+            flight = createFlight(now);
+            state = flightState(flight, now);
+        }
+        states.push(state);
+        return flight;
+    });
+
+    return { time: Math.floor(now / 1000), states };
+}
+
+const start = Date.now();
+for (let i = 0; i < options.aircraft; i++) {
+    flights.push(createFlight(start, Math.random() * 3000));
+}
+
+// ============================================================================
+// HTTP AND WEBSOCKET SERVER
+// ============================================================================
+
+/**
+ * Encode a text WebSocket frame (server frames are never masked)
+ *
+ * @param {string} text - Message
+ * @returns {Buffer} - Frame
+ */
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+const sockets = new Set();
+
+const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (request.method === 'GET' && (pathname === '/states/all' || pathname === '/api/states/all')) {
+        response.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-store'
+        });
+        response.end(JSON.stringify(snapshot()));
+        return;
+    }
+    response.writeHead(404, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+    response.end('Try GET /states/all or a WebSocket on /ws\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || request.headers.upgrade.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    sockets.add(socket);
+    socket.write(encodeFrame(JSON.stringify(snapshot())));
+
+    socket.on('data', (data) => {
+        const opcode = data[0] & 0x0f;
+        if (opcode === 0x8) {
+            // Close: echo an empty close frame and hang up
+            socket.end(Buffer.from([0x88, 0]));
+        } else if (opcode === 0x9) {
+            // Ping: answer with an empty pong
+            socket.write(Buffer.from([0x8a, 0]));
+        }
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+});
+
+setInterval(() => {
+    if (sockets.size === 0) return;
+    const frame = encodeFrame(JSON.stringify(snapshot()));
+    sockets.forEach((socket) => socket.write(frame));
+}, options.interval);
+
+server.listen(options.port, () => {
+    console.log(`Mock aircraft feed with ${options.aircraft} aircraft`);
+    console.log(`  Polling:   http://localhost:${options.port}/states/all`);
+    console.log(`  WebSocket: ws://localhost:${options.port}/ws`);
+});
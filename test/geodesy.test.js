@@ -0,0 +1,189 @@
+/**
+ * Tests for the geodesy module
+ *
+ * Run with `npm test` (node --test).
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Geodesy = require('../public/geodesy.js');
+
+const LONDON = { lat: 51.4700, lon: -0.4543 };     // Heathrow
+const NEW_YORK = { lat: 40.6413, lon: -73.7781 };  // JFK
+const SINGAPORE = { lat: 1.3644, lon: 103.9915 };  // Changi
+const MADRID = { lat: 40.4168, lon: -3.7038 };
+const MADRID_ANTIPODE = { lat: -40.4168, lon: 176.2962 };  // In the sea off Wellington
+const WELLINGTON = { lat: -41.2865, lon: 174.7762 };
+
+/**
+ * Angle between two positions in degrees
+ */
+function degreesApart(from, to) {
+    return Geodesy.toDegrees(Geodesy.angularDistance(from, to));
+}
+
+function assertFinitePoints(points) {
+    points.forEach((point, i) => {
+        assert.ok(Number.isFinite(point.lat) && Number.isFinite(point.lon), `point ${i} is ${JSON.stringify(point)}`);
+    });
+}
+
+function assertCloseTo(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('lat/lon converts to globe vectors and back', () => {
+    const east = Geodesy.latLonToVector(0, 0);
+    assertCloseTo(east.x, 1, 1e-12, 'x at 0°, 0°');
+    assertCloseTo(east.y, 0, 1e-12, 'y at 0°, 0°');
+    assertCloseTo(east.z, 0, 1e-12, 'z at 0°, 0°');
+
+    const north = Geodesy.latLonToVector(90, 0, 2);
+    assertCloseTo(north.y, 2, 1e-12, 'y at the North Pole');
+
+    // Longitude grows towards -z
+    assertCloseTo(Geodesy.latLonToVector(0, 90).z, -1, 1e-12, 'z at 90° E');
+
+    [LONDON, NEW_YORK, { lat: -33.9461, lon: 151.1772 }, { lat: 10, lon: -179.5 }].forEach((position) => {
+        const back = Geodesy.vectorToLatLon(Geodesy.latLonToVector(position.lat, position.lon, 2));
+        assertCloseTo(back.lat, position.lat, 1e-9, 'latitude');
+        assertCloseTo(back.lon, position.lon, 1e-9, 'longitude');
+    });
+});
+
+test('haversine distance', () => {
+    assert.equal(Geodesy.haversineDistance(LONDON, LONDON), 0);
+    assertCloseTo(Geodesy.haversineDistance({ lat: 0, lon: 0 }, { lat: 0, lon: 90 }),
+        Math.PI / 2 * Geodesy.EARTH_RADIUS_KM, 1e-6, 'quarter of the equator');
+    assertCloseTo(Geodesy.haversineDistance(LONDON, NEW_YORK), 5540, 5, 'LHR-JFK');
+    assert.equal(Geodesy.haversineDistance(LONDON, NEW_YORK), Geodesy.haversineDistance(NEW_YORK, LONDON));
+});
+
+test('Vincenty distance on the WGS84 ellipsoid', () => {
+    // Flinders Peak to Buninyong, the standard check from Vincenty's paper: 54,972.271 m
+    const flindersPeak = { lat: -(37 + 57 / 60 + 3.7203 / 3600), lon: 144 + 25 / 60 + 29.5244 / 3600 };
+    const buninyong = { lat: -(37 + 39 / 60 + 10.1561 / 3600), lon: 143 + 55 / 60 + 35.3839 / 3600 };
+    assertCloseTo(Geodesy.vincentyDistance(flindersPeak, buninyong), 54.972271, 1e-6, 'Flinders Peak-Buninyong');
+
+    assert.equal(Geodesy.vincentyDistance(LONDON, LONDON), 0);
+    assertCloseTo(Geodesy.vincentyDistance(LONDON, NEW_YORK), Geodesy.haversineDistance(LONDON, NEW_YORK), 25, 'close to the sphere');
+});
+
+test('initial and final bearings', () => {
+    assertCloseTo(Geodesy.initialBearing({ lat: 0, lon: 0 }, { lat: 10, lon: 0 }), 0, 1e-9, 'due north');
+    assertCloseTo(Geodesy.initialBearing({ lat: 0, lon: 0 }, { lat: 0, lon: 90 }), 90, 1e-9, 'due east');
+    assertCloseTo(Geodesy.initialBearing({ lat: 0, lon: 0 }, { lat: -10, lon: 0 }), 180, 1e-9, 'due south');
+    assertCloseTo(Geodesy.initialBearing({ lat: 0, lon: 0 }, { lat: 45, lon: 90 }), 45, 1e-9, 'north-east');
+    assertCloseTo(Geodesy.finalBearing({ lat: 0, lon: 0 }, { lat: 45, lon: 90 }), 90, 1e-9, 'arriving heading east');
+
+    // London to New York leaves heading west-north-west and arrives heading south-west
+    const initial = Geodesy.initialBearing(LONDON, NEW_YORK);
+    const final = Geodesy.finalBearing(LONDON, NEW_YORK);
+    assert.ok(initial > 280 && initial < 295, `initial bearing is ${initial}`);
+    assert.ok(final > 225 && final < 240, `final bearing is ${final}`);
+});
+
+test('midpoint and intermediate points', () => {
+    const middle = Geodesy.midpoint({ lat: 0, lon: 0 }, { lat: 0, lon: 90 });
+    assertCloseTo(middle.lat, 0, 1e-9, 'midpoint latitude');
+    assertCloseTo(middle.lon, 45, 1e-9, 'midpoint longitude');
+
+    // Across the antimeridian
+    const pacific = Geodesy.midpoint({ lat: 0, lon: 170 }, { lat: 0, lon: -170 });
+    assertCloseTo(Math.abs(pacific.lon), 180, 1e-9, 'midpoint over the antimeridian');
+
+    // The midpoint is equally far from both ends, on the way
+    const atlantic = Geodesy.midpoint(LONDON, NEW_YORK);
+    const total = Geodesy.haversineDistance(LONDON, NEW_YORK);
+    assertCloseTo(Geodesy.haversineDistance(LONDON, atlantic), total / 2, 1e-6, 'distance from London');
+    assertCloseTo(Geodesy.haversineDistance(atlantic, NEW_YORK), total / 2, 1e-6, 'distance to New York');
+
+    const start = Geodesy.intermediatePoint(LONDON, NEW_YORK, 0);
+    const end = Geodesy.intermediatePoint(LONDON, NEW_YORK, 1);
+    assertCloseTo(start.lat, LONDON.lat, 1e-9, 'fraction 0');
+    assertCloseTo(end.lon, NEW_YORK.lon, 1e-9, 'fraction 1');
+
+    const points = Geodesy.greatCirclePoints(LONDON, NEW_YORK, 10);
+    assert.equal(points.length, 11);
+});
+
+// Edge cases of the great circle arcs
+
+test('exactly antipodal pins are joined over the nearer pole', () => {
+    assert.ok(Geodesy.isAntipodal(MADRID, MADRID_ANTIPODE));
+    assert.ok(!Geodesy.isAntipodal(MADRID, WELLINGTON));
+
+    const segments = Geodesy.greatCircleSegmentCount(MADRID, MADRID_ANTIPODE);
+    const points = Geodesy.greatCirclePoints(MADRID, MADRID_ANTIPODE, segments);
+    assertFinitePoints(points);
+    assert.ok(degreesApart(points[0], MADRID) < 1e-9);
+    assert.ok(degreesApart(points[segments], MADRID_ANTIPODE) < 1e-6);
+
+    // Northern start: the path heads north and passes the North Pole
+    assert.ok(points[1].lat > MADRID.lat);
+    assertCloseTo(Math.max(...points.map((point) => point.lat)), 90, 2, 'highest latitude');
+
+    // Every segment covers the same angle, adding up to half the globe
+    const steps = points.slice(1).map((point, i) => degreesApart(points[i], point));
+    steps.forEach((step) => assertCloseTo(step, 180 / segments, 1e-6, 'segment angle'));
+});
+
+test('antipodal pins from the southern hemisphere are joined over the South Pole', () => {
+    const points = Geodesy.greatCirclePoints(MADRID_ANTIPODE, MADRID, 90);
+    assertFinitePoints(points);
+    assert.ok(points[1].lat < MADRID_ANTIPODE.lat);
+    assertCloseTo(Math.min(...points.map((point) => point.lat)), -90, 2, 'lowest latitude');
+});
+
+test('bearings between antipodes follow the drawn path', () => {
+    assert.equal(Geodesy.initialBearing(MADRID, MADRID_ANTIPODE), 0);
+    assert.equal(Geodesy.finalBearing(MADRID, MADRID_ANTIPODE), 180);
+    assert.equal(Geodesy.initialBearing(MADRID_ANTIPODE, MADRID), 180);
+    assert.equal(Geodesy.initialBearing({ lat: 0, lon: 0 }, { lat: 0, lon: 180 }), 0);
+    assert.equal(Geodesy.initialBearing({ lat: 90, lon: 0 }, { lat: -90, lon: 0 }), 180);
+    assert.equal(Geodesy.initialBearing({ lat: -90, lon: 0 }, { lat: 90, lon: 0 }), 0);
+
+    // The bearing matches the first step of the path
+    const next = Geodesy.intermediatePoint(MADRID, MADRID_ANTIPODE, 0.01);
+    assertCloseTo(Geodesy.initialBearing(MADRID, next), Geodesy.initialBearing(MADRID, MADRID_ANTIPODE), 1e-6, 'bearing');
+});
+
+test('identical pins stay on the pin', () => {
+    const points = Geodesy.greatCirclePoints(MADRID, MADRID, 8);
+    assertFinitePoints(points);
+    points.forEach((point) => assert.ok(degreesApart(point, MADRID) < 1e-9));
+
+    assert.equal(Geodesy.haversineDistance(MADRID, MADRID), 0);
+    assert.equal(Geodesy.greatCircleSegmentCount(MADRID, MADRID), 8);
+    assert.ok(!Geodesy.isAntipodal(MADRID, MADRID));
+});
+
+test('nearly identical pins give finite points between them', () => {
+    const nearby = { lat: MADRID.lat + 1e-10, lon: MADRID.lon - 1e-10 };
+    const points = Geodesy.greatCirclePoints(MADRID, nearby, 8);
+    assertFinitePoints(points);
+    points.forEach((point) => {
+        assert.ok(degreesApart(point, MADRID) < 1e-8);
+        assert.ok(degreesApart(point, nearby) < 1e-8);
+    });
+    assert.ok(Number.isFinite(Geodesy.initialBearing(MADRID, nearby)));
+    assert.equal(Geodesy.greatCircleSegmentCount(MADRID, nearby), 8);
+});
+
+test('routes over 15,000 km get more segments, none longer than the limit', () => {
+    const distance = Geodesy.haversineDistance(SINGAPORE, NEW_YORK);
+    assert.ok(distance > 15000, `distance is ${distance}`);
+
+    const segments = Geodesy.greatCircleSegmentCount(SINGAPORE, NEW_YORK);
+    assert.ok(segments > Geodesy.greatCircleSegmentCount(MADRID, WELLINGTON) / 2);
+    assert.ok(segments > 64 && segments <= 128, `segments is ${segments}`);
+
+    const points = Geodesy.greatCirclePoints(SINGAPORE, NEW_YORK, segments);
+    assertFinitePoints(points);
+    points.slice(1).forEach((point, i) => assert.ok(degreesApart(points[i], point) <= 2 + 1e-9));
+    assert.ok(degreesApart(points[segments], NEW_YORK) < 1e-6);
+
+    // Capped for the longest routes
+    assert.equal(Geodesy.greatCircleSegmentCount(MADRID, MADRID_ANTIPODE, { maxSegments: 64 }), 64);
+});
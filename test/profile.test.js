@@ -0,0 +1,57 @@
+/**
+ * Tests for the flight profile that sets the height of the flight arcs
+ *
+ * Run with `npm test` (node --test).
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Geodesy = require('../public/geodesy.js');
+const FlightProfile = require('../public/profile.js');
+
+const MADRID = { lat: 40.4168, lon: -3.7038 };
+const MADRID_ANTIPODE = { lat: -40.4168, lon: 176.2962 };  // In the sea off Wellington
+
+function assertCloseTo(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('arc heights rise with the route length and stay finite', () => {
+    const antipodal = FlightProfile.createProfile(Geodesy.haversineDistance(MADRID, MADRID_ANTIPODE));
+    assertCloseTo(antipodal.distanceKm, Math.PI * Geodesy.EARTH_RADIUS_KM, 1e-6, 'antipodal distance');
+    assert.equal(antipodal.topAltitudeFt, FlightProfile.DEFAULT_SETTINGS.cruiseAltitudeFt);
+    assert.equal(FlightProfile.altitudeAt(antipodal, antipodal.distanceKm / 2), antipodal.topAltitudeFt);
+
+    const short = FlightProfile.createProfile(100);
+    assert.ok(short.topAltitudeFt > 0 && short.topAltitudeFt < antipodal.topAltitudeFt);
+    assert.equal(FlightProfile.phaseAt(short, 10), 'climb');
+
+    // Identical and nearly identical pins
+    [0, Geodesy.haversineDistance(MADRID, { lat: MADRID.lat + 1e-10, lon: MADRID.lon })].forEach((distance) => {
+        const profile = FlightProfile.createProfile(distance);
+        assert.ok(profile.topAltitudeFt >= 0 && profile.topAltitudeFt < 1, `top altitude is ${profile.topAltitudeFt}`);
+        profile.breakpoints.forEach((breakpoint) => assert.ok(Number.isFinite(breakpoint)));
+        [0, 0.5, 1].forEach((fraction) => {
+            const altitude = FlightProfile.altitudeAt(profile, distance * fraction);
+            assert.ok(Number.isFinite(altitude) && altitude <= profile.topAltitudeFt);
+        });
+    });
+});
+
+test('climb, cruise and descent of a long leg', () => {
+    const profile = FlightProfile.createProfile(5000);
+    assert.equal(profile.climbKm + profile.cruiseKm + profile.descentKm, 5000);
+    assert.deepEqual(profile.breakpoints, [0, profile.climbKm, 5000 - profile.descentKm, 5000]);
+
+    assert.equal(FlightProfile.phaseAt(profile, profile.climbKm / 2), 'climb');
+    assert.equal(FlightProfile.phaseAt(profile, 2500), 'cruise');
+    assert.equal(FlightProfile.phaseAt(profile, 5000 - profile.descentKm / 2), 'descent');
+    assertCloseTo(FlightProfile.altitudeAt(profile, profile.climbKm / 2), profile.topAltitudeFt / 2, 1e-9, 'halfway up');
+    assert.equal(FlightProfile.altitudeAt(profile, 0), 0);
+    assert.equal(FlightProfile.altitudeAt(profile, 5000), 0);
+
+    // A 3° descent loses about 318 ft per nautical mile
+    const feetPerNm = profile.topAltitudeFt / (profile.descentKm / 1.852);
+    assertCloseTo(feetPerNm, 318, 1, 'descent gradient');
+});